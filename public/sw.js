@@ -31,6 +31,8 @@ self.addEventListener('fetch', (event) => {
   // Skip API calls - let them go through normally
   if (event.request.url.includes('/api/') || 
       event.request.url.includes('openai.com') ||
+      event.request.url.includes('openai.azure.com') ||
+      event.request.url.includes('anthropic.com') ||
       event.request.url.includes('figma.com')) {
     return; // Don't intercept API calls
   }
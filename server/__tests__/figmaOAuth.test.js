@@ -0,0 +1,159 @@
+const { test, before, after, mock, afterEach } = require('node:test');
+const http = require('http');
+const assert = require('node:assert');
+const { createApp } = require('../index');
+const { createFigmaOAuthStub, STUB_USER } = require('../figmaOAuthStub');
+
+const APP_URL = 'http://localhost:3000';
+const HOUR_MS = 60 * 60 * 1000;
+const servers = [];
+let stub;
+let proxyURL;
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, () => resolve(`http://127.0.0.1:${server.address().port}`));
+  servers.push(server);
+});
+
+const get = (url, cookie) => fetch(url, { redirect: 'manual', headers: cookie ? { cookie } : {} });
+
+// Walk the redirect chain of a login, like the browser would
+async function login(proxy = proxyURL) {
+  const start = await get(`${proxy}/api/auth/figma/login`);
+  const cookie = start.headers.get('set-cookie').split(';')[0];
+  const consent = await get(start.headers.get('location'));
+  const callback = await get(consent.headers.get('location'), cookie);
+  return { cookie, callback };
+}
+
+// Start a proxy signing in against the stub at stubURL
+async function startProxy(stubURL) {
+  // The redirect URI needs the proxy's port, so listen before the app exists
+  let proxy;
+  const url = await listen(http.createServer((req, res) => proxy(req, res)));
+  proxy = createApp({
+    APP_URL,
+    FIGMA_CLIENT_ID: 'client',
+    FIGMA_CLIENT_SECRET: 'secret',
+    FIGMA_OAUTH_REDIRECT_URI: `${url}/api/auth/figma/callback`,
+    FIGMA_OAUTH_URL: `${stubURL}/oauth`,
+    FIGMA_API_URL: stubURL
+  });
+  return url;
+}
+
+// Move the clock the proxy reads forward
+function advanceClock(ms) {
+  const now = Date.now();
+  mock.method(Date, 'now', () => now + ms);
+}
+
+before(async () => {
+  // Tokens live 30s - inside the refresh margin, so every use refreshes them
+  stub = createFigmaOAuthStub({ tokenTTL: 30 });
+  proxyURL = await startProxy(await listen(stub));
+});
+
+afterEach(() => mock.restoreAll());
+
+after(() => servers.forEach(server => server.close()));
+
+test('logs in, reports the user and proxies Figma with the OAuth token', async () => {
+  const { cookie, callback } = await login();
+  assert.strictEqual(callback.headers.get('location'), APP_URL);
+
+  const me = await (await get(`${proxyURL}/api/auth/figma/me`, cookie)).json();
+  assert.deepStrictEqual(me, {
+    oauth: true,
+    connected: true,
+    sharedToken: false,
+    user: { id: STUB_USER.id, handle: STUB_USER.handle, email: STUB_USER.email, imgUrl: '' }
+  });
+
+  const file = await get(`${proxyURL}/api/figma/files/abc`, cookie);
+  assert.strictEqual(file.status, 200);
+  assert.strictEqual((await file.json()).name, 'Stub file');
+});
+
+test('refreshes an expiring token', async () => {
+  const { cookie } = await login();
+  const issued = stub.locals.accessTokens.size;
+
+  await get(`${proxyURL}/api/figma/files/abc`, cookie);
+  await get(`${proxyURL}/api/figma/files/abc`, cookie);
+
+  assert.strictEqual(stub.locals.accessTokens.size, issued + 2);
+});
+
+test('shares one refresh between concurrent requests', async () => {
+  const rotatingStub = createFigmaOAuthStub({ tokenTTL: 30, rotateRefreshTokens: true });
+  const proxy = await startProxy(await listen(rotatingStub));
+  const { cookie } = await login(proxy);
+
+  // Without a shared refresh the losers would present a spent refresh token and sign the user out
+  const responses = await Promise.all([1, 2, 3].map(() => get(`${proxy}/api/figma/files/abc`, cookie)));
+
+  assert.deepStrictEqual(responses.map(response => response.status), [200, 200, 200]);
+  assert.strictEqual((await (await get(`${proxy}/api/auth/figma/me`, cookie)).json()).connected, true);
+});
+
+test('starts a new session for every login', async () => {
+  const { cookie } = await login();
+
+  const start = await get(`${proxyURL}/api/auth/figma/login`, cookie);
+  const newCookie = start.headers.get('set-cookie').split(';')[0];
+
+  assert.notStrictEqual(newCookie, cookie);
+  assert.strictEqual((await (await get(`${proxyURL}/api/auth/figma/me`, cookie)).json()).connected, false);
+});
+
+test('rejects a callback with the wrong state', async () => {
+  const start = await get(`${proxyURL}/api/auth/figma/login`);
+  const cookie = start.headers.get('set-cookie').split(';')[0];
+
+  const callback = await get(`${proxyURL}/api/auth/figma/callback?code=x&state=forged`, cookie);
+  assert.match(callback.headers.get('location'), /figma_auth_error=Login%20expired/);
+});
+
+test('logs out and falls back to no Figma access', async () => {
+  const { cookie } = await login();
+
+  await fetch(`${proxyURL}/api/auth/figma/logout`, { method: 'POST', headers: { cookie } });
+
+  const me = await (await get(`${proxyURL}/api/auth/figma/me`, cookie)).json();
+  assert.strictEqual(me.connected, false);
+  assert.strictEqual((await get(`${proxyURL}/api/figma/files/abc`, cookie)).status, 503);
+});
+
+test('refreshes tokens without expires_in after an hour', async () => {
+  const undatedStub = createFigmaOAuthStub({ tokenTTL: null });
+  const proxy = await startProxy(await listen(undatedStub));
+  const { cookie } = await login(proxy);
+
+  await get(`${proxy}/api/figma/files/abc`, cookie);
+  assert.strictEqual(undatedStub.locals.accessTokens.size, 1);
+
+  advanceClock(HOUR_MS);
+  await get(`${proxy}/api/figma/files/abc`, cookie);
+  assert.strictEqual(undatedStub.locals.accessTokens.size, 2);
+});
+
+test('ends sessions that have not been used for a day', async () => {
+  const { cookie } = await login();
+
+  advanceClock(25 * HOUR_MS);
+
+  const me = await (await get(`${proxyURL}/api/auth/figma/me`, cookie)).json();
+  assert.strictEqual(me.connected, false);
+});
+
+test('drops logins that are not completed within 10 minutes', async () => {
+  const start = await get(`${proxyURL}/api/auth/figma/login`);
+  const cookie = start.headers.get('set-cookie').split(';')[0];
+  const consent = await get(start.headers.get('location'));
+
+  advanceClock(11 * 60 * 1000);
+
+  const callback = await get(consent.headers.get('location'), cookie);
+  assert.match(callback.headers.get('location'), /figma_auth_error=Login%20expired/);
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createApp } = require('../index');
+const { createFigmaOAuthStub } = require('../figmaOAuthStub');
+
+const servers = [];
+let figmaURL;
+let azureURL;
+const azureRequests = [];
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, () => resolve(`http://127.0.0.1:${server.address().port}`));
+  servers.push(server);
+});
+
+// Start a proxy with the given settings and return its /api URL
+const startProxy = async (env) => `${await listen(createApp(env))}/api`;
+
+before(async () => {
+  figmaURL = await listen(createFigmaOAuthStub());
+
+  const azure = express();
+  azure.use(express.json());
+  azure.post('/openai/deployments/:deployment/chat/completions', (req, res) => {
+    azureRequests.push({ deployment: req.params.deployment, query: req.query, apiKey: req.get('api-key'), body: req.body });
+    res.json({ model: 'gpt-4o', choices: [{ message: { content: 'Hi' } }], usage: { prompt_tokens: 3, completion_tokens: 1 } });
+  });
+  azureURL = await listen(azure);
+});
+
+after(() => servers.forEach(server => server.close()));
+
+test('proxies Figma routes with the shared token and the query string', async () => {
+  const api = await startProxy({ FIGMA_TOKEN: 'shared', FIGMA_API_URL: figmaURL });
+
+  const response = await fetch(`${api}/figma/files/abc/nodes?ids=1:2`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).nodes['1:2'].document.name, 'Sample Button');
+});
+
+test('rejects Figma file ids that would leave the file routes', async () => {
+  const figmaRequests = [];
+  const figma = express();
+  figma.use((req, res) => {
+    figmaRequests.push(req.originalUrl);
+    res.json({});
+  });
+  const api = await startProxy({ FIGMA_TOKEN: 'shared', FIGMA_API_URL: await listen(figma) });
+
+  for (const path of ['files/..%2F..%2Fv1%2Fme', 'files/..%2Fme/nodes', 'images/abc%2F..%2F..%2Fme', 'files/abc.def']) {
+    const response = await fetch(`${api}/figma/${path}`);
+    assert.strictEqual(response.status, 400, path);
+    assert.strictEqual((await response.json()).error, 'Invalid Figma file id');
+  }
+  assert.deepStrictEqual(figmaRequests, []);
+
+  await fetch(`${api}/figma/files/abc123/variables/local`);
+  assert.deepStrictEqual(figmaRequests, ['/v1/files/abc123/variables/local']);
+});
+
+test('proxies chat completions with the server-side key', async () => {
+  const api = await startProxy({ AZURE_OPENAI_ENDPOINT: `${azureURL}/`, AZURE_OPENAI_API_KEY: 'azure-key' });
+
+  const response = await fetch(`${api}/azure/openai/deployments/gpt-4o/chat/completions?api-version=2024-06-01`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messages: [{ role: 'user', content: 'Hello' }] })
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).choices[0].message.content, 'Hi');
+  assert.deepStrictEqual(azureRequests.at(-1), {
+    deployment: 'gpt-4o',
+    query: { 'api-version': '2024-06-01' },
+    apiKey: 'azure-key',
+    body: { messages: [{ role: 'user', content: 'Hello' }] }
+  });
+});
+
+test('answers 503 for services without credentials and 404 for unknown routes', async () => {
+  const api = await startProxy({});
+
+  const completion = await fetch(`${api}/openai/v1/chat/completions`, { method: 'POST' });
+  assert.strictEqual(completion.status, 503);
+  assert.match((await completion.json()).error, /no credentials configured for openai/);
+
+  assert.strictEqual((await fetch(`${api}/figma/projects/1`)).status, 404);
+});
+
+test('answers 502 when Figma cannot be reached', async () => {
+  // Nothing listens on the discard port
+  const api = await startProxy({ FIGMA_TOKEN: 'shared', FIGMA_API_URL: 'http://127.0.0.1:9' });
+
+  const response = await fetch(`${api}/figma/files/abc`);
+  assert.strictEqual(response.status, 502);
+  assert.match((await response.json()).error, /Could not reach figma/);
+});
+
+test('rate limits by connection address unless TRUST_PROXY is set', async () => {
+  const request = (api, ip) => fetch(`${api}/figma/files/abc`, { headers: { 'X-Forwarded-For': ip } });
+
+  const direct = await startProxy({ FIGMA_TOKEN: 'shared', FIGMA_API_URL: figmaURL, RATE_LIMIT_FIGMA: '1' });
+  assert.strictEqual((await request(direct, '203.0.113.1')).status, 200);
+  assert.strictEqual((await request(direct, '203.0.113.2')).status, 429);
+
+  const behindProxy = await startProxy({ FIGMA_TOKEN: 'shared', FIGMA_API_URL: figmaURL, RATE_LIMIT_FIGMA: '1', TRUST_PROXY: '1' });
+  assert.strictEqual((await request(behindProxy, '203.0.113.1')).status, 200);
+  assert.strictEqual((await request(behindProxy, '203.0.113.2')).status, 200);
+  assert.strictEqual((await request(behindProxy, '203.0.113.2')).status, 429);
+});
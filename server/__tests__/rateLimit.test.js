@@ -0,0 +1,53 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../rateLimit');
+
+afterEach(() => mock.restoreAll());
+
+// Run the middleware for a client and record what it answered
+function call(limiter, ip) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; }
+  };
+  let passed = false;
+  limiter({ ip }, res, () => { passed = true; });
+  return { ...res, passed };
+}
+
+test('lets requests through up to the limit, then answers 429 with Retry-After', () => {
+  let now = 1_000_000;
+  mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ name: 'Figma', limit: 2, windowMs: 10_000 });
+
+  assert.strictEqual(call(limiter, '10.0.0.1').passed, true);
+  const second = call(limiter, '10.0.0.1');
+  assert.strictEqual(second.passed, true);
+  assert.strictEqual(second.headers['X-RateLimit-Remaining'], '0');
+
+  now += 4_000;
+  const third = call(limiter, '10.0.0.1');
+  assert.strictEqual(third.passed, false);
+  assert.strictEqual(third.statusCode, 429);
+  assert.strictEqual(third.headers['Retry-After'], '6');
+  assert.deepStrictEqual(third.body, { error: 'Too many Figma requests - try again in 6s' });
+});
+
+test('counts clients separately and starts a new window when the old one ends', () => {
+  let now = 1_000_000;
+  mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ name: 'LLM', limit: 1, windowMs: 10_000 });
+
+  assert.strictEqual(call(limiter, '10.0.0.1').passed, true);
+  assert.strictEqual(call(limiter, '10.0.0.2').passed, true);
+  assert.strictEqual(call(limiter, '10.0.0.1').passed, false);
+
+  now += 10_000;
+  const next = call(limiter, '10.0.0.1');
+  assert.strictEqual(next.passed, true);
+  assert.strictEqual(next.headers['X-RateLimit-Limit'], '1');
+});
@@ -0,0 +1,231 @@
+/**
+ * Figma OAuth
+ * @fileoverview Figma OAuth2 login for the API proxy. Tokens stay in a
+ * server-side session; the browser only holds an HttpOnly session cookie, so
+ * no Figma token ever reaches page state or localStorage.
+ *
+ * Routes (mounted under /api/auth/figma):
+ * - GET  /login     Redirect to Figma's consent page
+ * - GET  /callback  Exchange the code for tokens, then return to the app
+ * - GET  /me        { oauth, connected, sharedToken, user }
+ * - POST /logout
+ *
+ * Sessions are kept in memory. A login that is not completed expires after
+ * 10 minutes, a signed-in session after FIGMA_SESSION_IDLE_HOURS (24) without use.
+ *
+ * Environment: FIGMA_CLIENT_ID, FIGMA_CLIENT_SECRET, FIGMA_OAUTH_REDIRECT_URI,
+ * FIGMA_OAUTH_SCOPE, FIGMA_OAUTH_URL and FIGMA_API_URL (point both at
+ * server/figmaOAuthStub.js for local development), APP_URL, FIGMA_SESSION_IDLE_HOURS
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const SESSION_COOKIE = 'smart_handoff_session';
+// Refresh a little before Figma rejects the token
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Lifetime assumed when a token response leaves out expires_in
+const DEFAULT_TOKEN_LIFETIME_S = 60 * 60;
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create the OAuth routes and the token lookup used by the Figma proxy
+ *
+ * @param {Object} env - Settings (see file header)
+ * @returns {Object} { router, isConfigured, getAccessToken(req) }
+ */
+function createFigmaOAuth(env) {
+  const router = express.Router();
+  const sessions = new Map();
+  const apiURL = (env.FIGMA_API_URL || 'https://api.figma.com').replace(/\/+$/, '');
+  const authorizeURL = env.FIGMA_OAUTH_URL || 'https://www.figma.com/oauth';
+  const appURL = env.APP_URL || env.ALLOWED_ORIGIN || 'http://localhost:3000';
+  const scope = env.FIGMA_OAUTH_SCOPE || 'current_user:read,file_content:read';
+  const isConfigured = Boolean(env.FIGMA_CLIENT_ID && env.FIGMA_CLIENT_SECRET && env.FIGMA_OAUTH_REDIRECT_URI);
+  const secureCookie = appURL.startsWith('https:');
+  const sessionIdleMs = (Number(env.FIGMA_SESSION_IDLE_HOURS) || 24) * HOUR_MS;
+
+  const isExpired = (session, now) => now - session.lastUsed > (session.figma ? sessionIdleMs : LOGIN_TTL_MS);
+
+  const getSession = (req) => {
+    const session = sessions.get(readCookie(req, SESSION_COOKIE));
+    if (!session) return null;
+
+    const now = Date.now();
+    if (isExpired(session, now)) {
+      sessions.delete(session.id);
+      return null;
+    }
+    session.lastUsed = now;
+    return session;
+  };
+
+  const startSession = (res) => {
+    // Sessions nobody comes back for would otherwise stay forever
+    const now = Date.now();
+    sessions.forEach(session => {
+      if (isExpired(session, now)) sessions.delete(session.id);
+    });
+
+    const id = crypto.randomBytes(24).toString('hex');
+    const session = { id, lastUsed: now };
+    sessions.set(id, session);
+    res.set('Set-Cookie', `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Lax${secureCookie ? '; Secure' : ''}`);
+    return session;
+  };
+
+  const requestToken = async (path, params) => {
+    const credentials = Buffer.from(`${env.FIGMA_CLIENT_ID}:${env.FIGMA_CLIENT_SECRET}`).toString('base64');
+    const response = await fetch(`${apiURL}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params).toString()
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.access_token) {
+      throw new Error(body.message || body.error || `Figma token request failed (${response.status})`);
+    }
+    return body;
+  };
+
+  const refresh = async (session) => {
+    const body = await requestToken('/v1/oauth/refresh', { refresh_token: session.figma.refreshToken });
+    session.figma = {
+      ...session.figma,
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token || session.figma.refreshToken,
+      expiresAt: tokenExpiry(body)
+    };
+  };
+
+  /**
+   * Access token of the signed-in user, refreshed when it is about to expire
+   * @param {Object} req - Express request
+   * @returns {Promise<string|null>} Token, or null when the user is not connected
+   */
+  const getAccessToken = async (req) => {
+    const session = getSession(req);
+    if (!session || !session.figma) return null;
+
+    if (Date.now() > session.figma.expiresAt - REFRESH_MARGIN_MS) {
+      // Concurrent requests wait for one refresh - a rotated refresh token only works once
+      session.refreshing = session.refreshing || refresh(session).finally(() => {
+        delete session.refreshing;
+      });
+
+      try {
+        await session.refreshing;
+      } catch (error) {
+        if (session.figma) {
+          console.warn('⚠️ Figma token refresh failed, signing out:', error.message);
+          delete session.figma;
+          delete session.user;
+        }
+        return null;
+      }
+    }
+
+    return session.figma ? session.figma.accessToken : null;
+  };
+
+  router.get('/login', (req, res) => {
+    if (!isConfigured) {
+      res.status(503).json({ error: 'Figma OAuth is not configured on the proxy' });
+      return;
+    }
+
+    // A fresh session id for every login, so a cookie planted before it never holds the tokens
+    sessions.delete(readCookie(req, SESSION_COOKIE));
+    const session = startSession(res);
+    session.oauthState = crypto.randomBytes(16).toString('hex');
+
+    const params = new URLSearchParams({
+      client_id: env.FIGMA_CLIENT_ID,
+      redirect_uri: env.FIGMA_OAUTH_REDIRECT_URI,
+      scope,
+      state: session.oauthState,
+      response_type: 'code'
+    });
+    res.redirect(`${authorizeURL}?${params}`);
+  });
+
+  router.get('/callback', async (req, res) => {
+    const session = getSession(req);
+    const returnWithError = (message) => res.redirect(`${appURL}?figma_auth_error=${encodeURIComponent(message)}`);
+
+    if (req.query.error) {
+      returnWithError(req.query.error);
+      return;
+    }
+    if (!session || !session.oauthState || req.query.state !== session.oauthState) {
+      returnWithError('Login expired or was started in another browser - please try again');
+      return;
+    }
+    delete session.oauthState;
+
+    try {
+      const body = await requestToken('/v1/oauth/token', {
+        redirect_uri: env.FIGMA_OAUTH_REDIRECT_URI,
+        code: req.query.code,
+        grant_type: 'authorization_code'
+      });
+      session.figma = {
+        accessToken: body.access_token,
+        refreshToken: body.refresh_token,
+        expiresAt: tokenExpiry(body)
+      };
+      session.user = await fetchUser(apiURL, body.access_token);
+      res.redirect(appURL);
+    } catch (error) {
+      console.error('❌ Figma OAuth callback failed:', error.message);
+      returnWithError(error.message);
+    }
+  });
+
+  router.get('/me', async (req, res) => {
+    const accessToken = await getAccessToken(req);
+    const session = getSession(req);
+
+    res.json({
+      oauth: isConfigured,
+      connected: Boolean(accessToken),
+      sharedToken: Boolean(env.FIGMA_TOKEN),
+      user: accessToken ? session.user : null
+    });
+  });
+
+  router.post('/logout', (req, res) => {
+    const session = getSession(req);
+    if (session) sessions.delete(session.id);
+    res.set('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    res.json({ connected: false });
+  });
+
+  return { router, isConfigured, getAccessToken };
+}
+
+function tokenExpiry(body) {
+  const lifetime = Number(body.expires_in);
+  return Date.now() + (lifetime > 0 ? lifetime : DEFAULT_TOKEN_LIFETIME_S) * 1000;
+}
+
+async function fetchUser(apiURL, accessToken) {
+  const response = await fetch(`${apiURL}/v1/me`, { headers: { Authorization: `Bearer ${accessToken}` } });
+  if (!response.ok) return null;
+
+  const user = await response.json();
+  return { id: user.id, handle: user.handle, email: user.email, imgUrl: user.img_url };
+}
+
+function readCookie(req, name) {
+  const header = req.get('cookie') || '';
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? match.slice(name.length + 1) : null;
+}
+
+module.exports = { createFigmaOAuth, SESSION_COOKIE };
@@ -0,0 +1,161 @@
+/**
+ * Figma OAuth Stub
+ * @fileoverview Stand-in for Figma's OAuth and REST endpoints, for local
+ * development and tests. The consent page approves immediately, tokens are
+ * random strings and the file API serves one small sample document.
+ *
+ * Run it with `npm run figma-oauth-stub`, then start the proxy with
+ * FIGMA_OAUTH_URL=http://localhost:4001/oauth and FIGMA_API_URL=http://localhost:4001.
+ *
+ * Environment: STUB_PORT (4001), STUB_TOKEN_TTL (token lifetime in seconds, 3600)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const STUB_USER = {
+  id: 'stub-user',
+  handle: 'Stub Designer',
+  email: 'designer@example.com',
+  img_url: ''
+};
+
+const SAMPLE_FRAME = {
+  id: '1:2',
+  name: 'Sample Button',
+  type: 'FRAME',
+  absoluteBoundingBox: { x: 0, y: 0, width: 160, height: 48 },
+  fills: [{ type: 'SOLID', color: { r: 0.15, g: 0.39, b: 0.92, a: 1 } }],
+  cornerRadius: 8,
+  children: [
+    {
+      id: '1:3',
+      name: 'Label',
+      type: 'TEXT',
+      characters: 'Get started',
+      absoluteBoundingBox: { x: 36, y: 14, width: 88, height: 20 },
+      fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+      style: { fontFamily: 'Inter', fontSize: 16, fontWeight: 600 }
+    }
+  ]
+};
+
+/**
+ * Build the stub app
+ * @param {Object} [options] - Stub options
+ * @param {number|null} [options.tokenTTL] - Access token lifetime in seconds; null leaves
+ *   expires_in out of token responses
+ * @param {boolean} [options.rotateRefreshTokens] - Replace the refresh token on every refresh,
+ *   so each one can be used only once
+ * @returns {Object} Express app, with the issued tokens on app.locals for tests
+ */
+function createFigmaOAuthStub({ tokenTTL = 3600, rotateRefreshTokens = false } = {}) {
+  const app = express();
+  const codes = new Map();
+  const accessTokens = new Set();
+  const refreshTokens = new Set();
+  app.locals.accessTokens = accessTokens;
+
+  app.use(express.urlencoded({ extended: false }));
+
+  const expiresIn = () => (tokenTTL === null ? {} : { expires_in: tokenTTL });
+  const issue = (prefix) => `${prefix}-${crypto.randomBytes(12).toString('hex')}`;
+  const clientId = (req) => {
+    const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+    return basic ? Buffer.from(basic[1], 'base64').toString().split(':')[0] : req.body.client_id;
+  };
+  const isAuthorized = (req) => {
+    const bearer = (req.get('authorization') || '').match(/^Bearer (.+)$/);
+    return (bearer && accessTokens.has(bearer[1])) || Boolean(req.get('x-figma-token'));
+  };
+
+  // Consent page - approves straight away
+  app.get('/oauth', (req, res) => {
+    const { client_id: client, redirect_uri: redirectURI, state } = req.query;
+    if (!client || !redirectURI) {
+      res.status(400).send('client_id and redirect_uri are required');
+      return;
+    }
+
+    const code = issue('code');
+    codes.set(code, { client, redirectURI });
+    res.redirect(`${redirectURI}?${new URLSearchParams({ code, state: state || '' })}`);
+  });
+
+  app.post('/v1/oauth/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    if (!grant || grant.client !== clientId(req) || grant.redirectURI !== req.body.redirect_uri) {
+      res.status(400).json({ error: true, message: 'Invalid code' });
+      return;
+    }
+    codes.delete(req.body.code);
+
+    const accessToken = issue('access');
+    const refreshToken = issue('refresh');
+    accessTokens.add(accessToken);
+    refreshTokens.add(refreshToken);
+    res.json({ user_id: STUB_USER.id, access_token: accessToken, refresh_token: refreshToken, ...expiresIn() });
+  });
+
+  app.post('/v1/oauth/refresh', (req, res) => {
+    if (!refreshTokens.has(req.body.refresh_token)) {
+      res.status(400).json({ error: true, message: 'Invalid refresh token' });
+      return;
+    }
+
+    const accessToken = issue('access');
+    accessTokens.add(accessToken);
+
+    if (!rotateRefreshTokens) {
+      res.json({ access_token: accessToken, ...expiresIn() });
+      return;
+    }
+
+    const refreshToken = issue('refresh');
+    refreshTokens.delete(req.body.refresh_token);
+    refreshTokens.add(refreshToken);
+    res.json({ access_token: accessToken, refresh_token: refreshToken, ...expiresIn() });
+  });
+
+  app.use('/v1', (req, res, next) => {
+    if (!isAuthorized(req)) {
+      res.status(403).json({ status: 403, err: 'Invalid token' });
+      return;
+    }
+    next();
+  });
+
+  app.get('/v1/me', (req, res) => res.json(STUB_USER));
+
+  app.get('/v1/files/:fileId', (req, res) => {
+    res.json({
+      name: 'Stub file',
+      document: { id: '0:0', type: 'DOCUMENT', children: [{ id: '0:1', name: 'Page 1', type: 'CANVAS', children: [SAMPLE_FRAME] }] }
+    });
+  });
+
+  app.get('/v1/files/:fileId/nodes', (req, res) => {
+    const nodes = {};
+    String(req.query.ids || '').split(',').forEach(id => {
+      nodes[id] = id === SAMPLE_FRAME.id ? { document: SAMPLE_FRAME, components: {}, componentSets: {} } : null;
+    });
+    res.json({ name: 'Stub file', nodes });
+  });
+
+  app.get('/v1/images/:fileId', (req, res) => {
+    const images = {};
+    String(req.query.ids || '').split(',').forEach(id => { images[id] = null; });
+    res.json({ err: null, images });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.STUB_PORT) || 4001;
+  createFigmaOAuthStub({ tokenTTL: Number(process.env.STUB_TOKEN_TTL) || 3600 }).listen(port, () => {
+    console.log(`🧪 Figma OAuth stub listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createFigmaOAuthStub, STUB_USER };
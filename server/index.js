@@ -0,0 +1,231 @@
+/**
+ * Smart Handoff API Proxy
+ * @fileoverview Small Express server that keeps the Figma and LLM credentials
+ * out of the browser bundle. The React app calls these routes (set
+ * REACT_APP_API_PROXY_URL) and the server adds the secrets upstream.
+ *
+ * Routes (all under /api):
+ * - GET  /health
+ * - /auth/figma/* Figma OAuth login (see figmaOAuth.js)
+ * - GET  /figma/files/:fileId, /figma/files/:fileId/nodes, /figma/files/:fileId/variables/local,
+ *        /figma/images/:fileId
+ * - POST /openai/v1/chat/completions
+ * - POST /anthropic/v1/messages
+ * - POST /azure/openai/deployments/:deployment/chat/completions
+ *
+ * Figma requests use the signed-in user's OAuth token, or the shared FIGMA_TOKEN.
+ *
+ * Environment: FIGMA_TOKEN, OPENAI_API_KEY, ANTHROPIC_API_KEY, AZURE_OPENAI_ENDPOINT,
+ * AZURE_OPENAI_API_KEY, PORT (4000), ALLOWED_ORIGIN (http://localhost:3000),
+ * RATE_LIMIT_FIGMA (120/min), RATE_LIMIT_LLM (20/min), USAGE_LOG_FILE, FIGMA_API_URL,
+ * TRUST_PROXY (off), plus the OAuth settings listed in figmaOAuth.js
+ *
+ * Rate limits key on the client IP. Behind a load balancer set TRUST_PROXY to the
+ * number of proxy hops or their addresses ('loopback', '10.0.0.0/8'), so the IP is
+ * read from X-Forwarded-For; left off, clients cannot pick their own IP with it.
+ */
+
+require('dotenv').config();
+const { Readable } = require('stream');
+const express = require('express');
+const { createRateLimiter } = require('./rateLimit');
+const { createUsageLogger, extractTokenUsage } = require('./usageLog');
+const { createFigmaOAuth } = require('./figmaOAuth');
+
+const OPENAI_API_BASE = 'https://api.openai.com/v1';
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+// Figma file keys are alphanumeric; anything else could walk to another endpoint
+const FIGMA_FILE_ID = /^[A-Za-z0-9]+$/;
+
+/**
+ * Build the proxy app
+ * @param {Object} [env] - Settings (defaults to process.env)
+ * @returns {Object} Express app
+ */
+function createApp(env = process.env) {
+  const app = express();
+  const logUsage = createUsageLogger(env.USAGE_LOG_FILE);
+  const allowedOrigin = env.ALLOWED_ORIGIN || 'http://localhost:3000';
+  const azureEndpoint = (env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+  const figmaAPIBase = `${(env.FIGMA_API_URL || 'https://api.figma.com').replace(/\/+$/, '')}/v1`;
+  const figmaOAuth = createFigmaOAuth({ ...env, ALLOWED_ORIGIN: allowedOrigin });
+
+  app.set('trust proxy', parseTrustProxy(env.TRUST_PROXY));
+  // Screenshots for visual comparison are sent as base64 data URLs
+  app.use(express.json({ limit: '20mb' }));
+
+  app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', allowedOrigin);
+    // The Figma session cookie has to travel with the app's requests
+    res.set('Access-Control-Allow-Credentials', 'true');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, anthropic-version');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(204);
+      return;
+    }
+    next();
+  });
+
+  const figmaLimit = createRateLimiter({ name: 'Figma', limit: Number(env.RATE_LIMIT_FIGMA) || 120 });
+  const llmLimit = createRateLimiter({ name: 'LLM', limit: Number(env.RATE_LIMIT_LLM) || 20 });
+
+  app.get('/api/health', (req, res) => {
+    res.json({
+      figma: Boolean(env.FIGMA_TOKEN),
+      figmaOAuth: figmaOAuth.isConfigured,
+      openai: Boolean(env.OPENAI_API_KEY),
+      anthropic: Boolean(env.ANTHROPIC_API_KEY),
+      azure: Boolean(azureEndpoint && env.AZURE_OPENAI_API_KEY)
+    });
+  });
+
+  app.use('/api/auth/figma', figmaOAuth.router);
+
+  // Each route rebuilds its upstream path from the checked file id, never from the request path
+  [
+    '/figma/files/:fileId',
+    '/figma/files/:fileId/nodes',
+    '/figma/files/:fileId/variables/local',
+    '/figma/images/:fileId'
+  ].forEach(route => {
+    app.get(`/api${route}`, figmaLimit, async (req, res) => {
+      const { fileId } = req.params;
+      if (!FIGMA_FILE_ID.test(fileId)) {
+        res.status(400).json({ error: 'Invalid Figma file id' });
+        return;
+      }
+
+      try {
+        const accessToken = await figmaOAuth.getAccessToken(req);
+        await forward(req, res, {
+          route: 'figma',
+          secret: accessToken || env.FIGMA_TOKEN,
+          url: `${figmaAPIBase}${route.replace(/^\/figma/, '').replace(':fileId', encodeURIComponent(fileId))}${queryString(req)}`,
+          headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : { 'X-Figma-Token': env.FIGMA_TOKEN }
+        }, logUsage);
+      } catch (error) {
+        console.error('❌ Proxy error for figma:', error.message);
+        if (!res.headersSent) {
+          res.status(502).json({ error: `Could not reach figma: ${error.message}` });
+        }
+      }
+    });
+  });
+
+  app.post('/api/openai/v1/chat/completions', llmLimit, (req, res) => forward(req, res, {
+    route: 'openai',
+    secret: env.OPENAI_API_KEY,
+    url: `${OPENAI_API_BASE}/chat/completions`,
+    headers: { Authorization: `Bearer ${env.OPENAI_API_KEY}` }
+  }, logUsage));
+
+  app.post('/api/anthropic/v1/messages', llmLimit, (req, res) => forward(req, res, {
+    route: 'anthropic',
+    secret: env.ANTHROPIC_API_KEY,
+    url: `${ANTHROPIC_API_BASE}/messages`,
+    headers: {
+      'x-api-key': env.ANTHROPIC_API_KEY,
+      'anthropic-version': req.get('anthropic-version') || '2023-06-01'
+    }
+  }, logUsage));
+
+  app.post('/api/azure/openai/deployments/:deployment/chat/completions', llmLimit, (req, res) => forward(req, res, {
+    route: 'azure',
+    secret: azureEndpoint && env.AZURE_OPENAI_API_KEY,
+    url: `${azureEndpoint}/openai/deployments/${encodeURIComponent(req.params.deployment)}/chat/completions${queryString(req)}`,
+    headers: { 'api-key': env.AZURE_OPENAI_API_KEY }
+  }, logUsage));
+
+  app.use('/api', (req, res) => {
+    res.status(404).json({ error: `Unknown proxy route ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
+
+// Send the request upstream with the server-side credentials and relay the answer
+async function forward(req, res, { route, secret, url, headers }, logUsage) {
+  const startedAt = Date.now();
+  const entry = { route, method: req.method, path: req.path, client: req.ip };
+
+  if (!secret) {
+    res.status(503).json({ error: `The proxy has no credentials configured for ${route}` });
+    logUsage({ ...entry, status: 503, durationMs: 0 });
+    return;
+  }
+
+  try {
+    // Stop the upstream call when the browser cancels a streamed completion
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const upstream = await fetch(url, {
+      method: req.method,
+      headers: req.method === 'POST' ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: req.method === 'POST' ? JSON.stringify(req.body) : undefined,
+      signal: controller.signal
+    });
+
+    if (req.body?.stream && upstream.ok && upstream.body) {
+      // Relay server-sent events as they arrive; token usage is not reported for streams
+      res.status(upstream.status);
+      res.set('Content-Type', upstream.headers.get('content-type') || 'text/event-stream');
+      Readable.fromWeb(upstream.body)
+        .on('error', () => res.end())
+        .on('end', () => logUsage({ ...entry, status: upstream.status, durationMs: Date.now() - startedAt, streamed: true }))
+        .pipe(res);
+      return;
+    }
+
+    const text = await upstream.text();
+
+    res.status(upstream.status);
+    res.set('Content-Type', upstream.headers.get('content-type') || 'application/json');
+    res.send(text);
+
+    logUsage({
+      ...entry,
+      status: upstream.status,
+      durationMs: Date.now() - startedAt,
+      ...(route !== 'figma' && extractTokenUsage(parseJSON(text)))
+    });
+  } catch (error) {
+    if (res.destroyed) {
+      return;
+    }
+    console.error(`❌ Proxy error for ${route}:`, error.message);
+    res.status(502).json({ error: `Could not reach ${route}: ${error.message}` });
+    logUsage({ ...entry, status: 502, durationMs: Date.now() - startedAt });
+  }
+}
+
+// '2' → 2 hops, 'loopback, 10.0.0.0/8' → those addresses, unset or 'false' → off
+function parseTrustProxy(value) {
+  const setting = String(value || '').trim();
+  if (!setting || setting === 'false') return false;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting.split(',').map(address => address.trim()).filter(Boolean);
+}
+
+function queryString(req) {
+  const index = req.originalUrl.indexOf('?');
+  return index === -1 ? '' : req.originalUrl.slice(index);
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4000;
+  createApp().listen(port, () => {
+    console.log(`🔐 Smart Handoff API proxy listening on http://localhost:${port}/api`);
+  });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,55 @@
+/**
+ * Rate Limit
+ * @fileoverview Fixed-window request limiter per client IP. Kept in memory, so
+ * limits reset when the server restarts - enough for a single internal instance.
+ */
+
+/**
+ * Create an Express middleware that limits requests per client
+ *
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Label used in the error response and logs
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} [options.windowMs] - Window length in ms (default one minute)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.use('/api/figma', createRateLimiter({ name: 'figma', limit: 120 }));
+ */
+function createRateLimiter({ name, limit, windowMs = 60 * 1000 }) {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const client = req.ip;
+    let current = windows.get(client);
+
+    if (!current || now >= current.resetAt) {
+      current = { count: 0, resetAt: now + windowMs };
+      windows.set(client, current);
+    }
+
+    current.count += 1;
+    const remaining = Math.max(0, limit - current.count);
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(remaining));
+
+    if (current.count > limit) {
+      const retryAfter = Math.ceil((current.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ error: `Too many ${name} requests - try again in ${retryAfter}s` });
+      return;
+    }
+
+    // Drop windows that have expired so the map does not grow with every client seen
+    if (windows.size > 1000) {
+      windows.forEach((entry, key) => {
+        if (now >= entry.resetAt) windows.delete(key);
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,43 @@
+/**
+ * Usage Log
+ * @fileoverview One JSON line per proxied request (client, route, status,
+ * duration and LLM token counts), written to stdout and optionally to a file.
+ */
+
+const fs = require('fs');
+
+/**
+ * Create a usage logger
+ * @param {string} [filePath] - Also append entries to this file
+ * @returns {Function} (entry) => void
+ */
+function createUsageLogger(filePath) {
+  return (entry) => {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+    console.log(line);
+
+    if (filePath) {
+      fs.appendFile(filePath, `${line}\n`, (error) => {
+        if (error) console.error('Could not write usage log:', error.message);
+      });
+    }
+  };
+}
+
+/**
+ * Read token usage from an OpenAI, Azure OpenAI or Anthropic response body
+ * @param {Object} body - Parsed upstream response
+ * @returns {Object|null} { model, inputTokens, outputTokens } or null
+ */
+function extractTokenUsage(body) {
+  const usage = body && body.usage;
+  if (!usage) return null;
+
+  return {
+    model: body.model,
+    inputTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+    outputTokens: usage.completion_tokens ?? usage.output_tokens ?? 0
+  };
+}
+
+module.exports = { createUsageLogger, extractTokenUsage };
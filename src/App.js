@@ -6,97 +6,92 @@
  * live preview, accessibility enhancement, and design token extraction.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useMutation } from '@tanstack/react-query';
 import { motion, AnimatePresence } from 'framer-motion';
-import axios from 'axios';
 import FigmaTreeViewer from './components/FigmaTreeViewer';
 import LiveCodePreview from './components/LiveCodePreview';
-import { fetchNodeById } from './figmaApi';
-import { generateSpecAndCode } from './services/openai';
+import { fetchNodeById, fetchNodesById, fetchLocalVariables } from './figmaApi';
+import { generateSpecAndCode, refineCompiledCode } from './services/openai';
+import { isAbortError, getLLMConfig } from './services/llmProvider';
 import { fetchNodeThumbnail } from './services/fetchNodeThumbnail';
 import PerformanceMonitor from './components/PerformanceMonitor';
 import AIGeneratedCodePreview from './components/AIGeneratedCodePreview';
-import { enforceExactValues, validateExactValues, debugAlignmentValues } from './utils/exactValueEnforcer';
+import { validateExactValues } from './utils/exactValueEnforcer';
+import { runJSXPasses } from './utils/jsxTransform';
+import { rootPositioningPass, exactValuesPass } from './utils/jsxPasses';
 import { enhanceWithAccessibility } from './utils/accessibilityEnhancer';
 import { extractDesignTokens } from './utils/tokenExtractor';
+import { compileFigmaNode } from './utils/figmaCompiler';
+import { prependImports } from './utils/componentMapper';
+import { hasComponentProperties, compileVariantComponent } from './utils/variantCompiler';
+import { compileResponsiveFrames, getBreakpointForWidth } from './utils/responsiveCompiler';
 import DesignTokensPanel from './components/DesignTokensPanel';
+import BatchGenerationPanel from './components/BatchGenerationPanel';
+import DesignSystemPanel from './components/DesignSystemPanel';
+import { loadRegistry, DESIGN_SYSTEM_LIBRARY } from './utils/designSystemRegistry';
+import ComponentKeyMapPanel from './components/ComponentKeyMapPanel';
+import { loadComponentKeyMap, findComponentKeyMapping } from './utils/componentKeyMap';
+import { collectBatchNodes } from './services/batchGenerator';
+import { figmaGet, isProxyEnabled, fetchFigmaSession, logoutFigma } from './services/apiProxy';
+import FigmaConnection from './components/FigmaConnection';
+import GenerationHistoryPanel from './components/GenerationHistoryPanel';
+import {
+  createGenerationRecord,
+  saveGeneration,
+  listGenerations,
+  listFileGenerations,
+  latestGenerationPerNode,
+  updateGeneration,
+  deleteGeneration
+} from './utils/generationHistory';
+import { normalizeDesignNode, hashDesignSnapshot, findStaleGenerations } from './utils/designChangeDetector';
+import DesignChangesPanel from './components/DesignChangesPanel';
 
 
 function App() {
   const [fileUrl, setFileUrl] = useState('');
   const [token, setToken] = useState('');
+  // Behind the API proxy the server holds the Figma token (OAuth session or a shared token)
+  const usesProxy = isProxyEnabled();
+  const [figmaSession, setFigmaSession] = useState(null);
+  const hasFigmaAccess = usesProxy
+    ? Boolean(figmaSession?.connected || figmaSession?.sharedToken)
+    : Boolean(token);
   const [fileData, setFileData] = useState(null);
-  const [, setSelectedNodeId] = useState(null);
+  const [selectedNodeId, setSelectedNodeId] = useState(null);
   const [selectedNodeName, setSelectedNodeName] = useState(null);
   const [selectedNodeData, setSelectedNodeData] = useState(null);
   const [thumbnailUrl, setThumbnailUrl] = useState(null);
   const [aiOutput, setAiOutput] = useState(null);
   const [extractedCode, setExtractedCode] = useState('');
   const [loadingAI, setLoadingAI] = useState(false);
+  // Spec and code as they stream in from the model (replaced by the final result)
+  const [generatedSpec, setGeneratedSpec] = useState(null);
+  const [streamingCode, setStreamingCode] = useState('');
+  const generationAbortRef = useRef(null);
   const [error, setError] = useState(null);
   const [showPerformance, setShowPerformance] = useState(false);
   const [selectedLibrary, setSelectedLibrary] = useState('none');
+  const [designSystem, setDesignSystem] = useState(() => loadRegistry());
+  const [componentKeyMap, setComponentKeyMap] = useState(() => loadComponentKeyMap());
+  const [generationMode, setGenerationMode] = useState('compiler');
+  const [checkedNodes, setCheckedNodes] = useState([]);
+  const [responsiveStyleMode, setResponsiveStyleMode] = useState('css');
   const [componentDetection, setComponentDetection] = useState(null);
+  const [componentProperties, setComponentProperties] = useState(null);
   const [libraryMapping, setLibraryMapping] = useState(null);
   const [loadingFigma, setLoadingFigma] = useState(false);
   const [accessibilityReport, setAccessibilityReport] = useState(null);
   const [designTokens, setDesignTokens] = useState(null);
-
-  // Fix common positioning issues in generated code
-  const fixPositioningIssues = (code) => {
-    console.log('=== POSITIONING FIX DEBUG ===');
-    console.log('Input code:', code);
-
-    if (!code) return code;
-
-    let fixedCode = code;
-
-    // Find the root element (first element with style attribute)
-    const rootElementMatch = fixedCode.match(/(<(article|div|section|main|header|footer|nav)[^>]*style=\{[^}]*\}[^>]*>)/);
-
-    if (rootElementMatch) {
-      const originalRootElement = rootElementMatch[1];
-      console.log('Found root element:', originalRootElement);
-
-      // Only remove positioning from this root element
-      const fixedRootElement = originalRootElement
-        .replace(/position:\s*['"]absolute['"]\s*,?\s*/g, '')
-        .replace(/left:\s*[^,}]+,?\s*/g, '')
-        .replace(/top:\s*[^,}]+,?\s*/g, '')
-        .replace(/right:\s*[^,}]+,?\s*/g, '')
-        .replace(/bottom:\s*[^,}]+,?\s*/g, '')
-        .replace(/transform:\s*[^,}]+,?\s*/g, '')
-        .replace(/,\s*}/g, '}')
-        .replace(/{\s*,/g, '{')
-        .replace(/,\s*,/g, ',');
-
-      console.log('Fixed root element:', fixedRootElement);
-
-      // Replace only the root element, leave all others untouched
-      fixedCode = fixedCode.replace(originalRootElement, fixedRootElement);
-
-      // Ensure root has position: relative if no position specified
-      if (!fixedRootElement.includes('position:')) {
-        // Add position: relative INSIDE the style object
-        // Find the opening of the style object: style={{
-        fixedCode = fixedCode.replace(
-          /(<[^>]*style=\{\{)/,  // Match style={{
-          '$1 position: \'relative\', '  // Add inside the braces
-        );
-        console.log('Added position relative to root element');
-      }
-    }
-
-    // After fixing root, verify children have positioning
-    const childDivs = fixedCode.match(/<div[^>]*position:\s*['"]absolute['"]/g);
-    console.log(`Found ${childDivs?.length || 0} correctly positioned child elements`);
-
-    console.log('Fixed positioning - only modified root element');
-    console.log('Output code:', fixedCode);
-    console.log('=== END DEBUG ===');
-    return fixedCode;
-  };
+  const [importedTokenSet, setImportedTokenSet] = useState(null);
+  // Local Figma Variables of the loaded file (null without Enterprise access)
+  const [figmaVariables, setFigmaVariables] = useState(null);
+  const [generationHistory, setGenerationHistory] = useState([]);
+  const [currentGenerationId, setCurrentGenerationId] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [staleGenerations, setStaleGenerations] = useState([]);
+  const [regeneratingStale, setRegeneratingStale] = useState(false);
 
   const extractFileId = (url) => {
     try {
@@ -107,10 +102,31 @@ function App() {
     }
   };
 
+  const currentFileId = extractFileId(fileUrl);
+
+  // Load the saved generations of the selected node, and reload after every change
+  useEffect(() => {
+    if (!currentFileId || !selectedNodeId) {
+      setGenerationHistory([]);
+      return;
+    }
+
+    let cancelled = false;
+    listGenerations(currentFileId, selectedNodeId)
+      .then(history => {
+        if (!cancelled) setGenerationHistory(history);
+      })
+      .catch(error => console.warn('Could not load generation history:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentFileId, selectedNodeId, historyVersion]);
+
   const fetchFigmaData = async (e) => {
     e.preventDefault();
     const fileId = extractFileId(fileUrl);
-    if (!fileId || !token) {
+    if (!fileId || !hasFigmaAccess) {
       setError('Please provide both a valid Figma URL and Access Token.');
       return;
     }
@@ -119,23 +135,47 @@ function App() {
     setError(null);
 
     try {
-      const response = await axios.get(`https://api.figma.com/v1/files/${fileId}`, {
-        headers: {
-          'X-Figma-Token': token,
-        },
-      });
+      const response = await figmaGet(`/files/${fileId}`, token);
 
       setFileData(response.data);
       setError(null);
+      checkDesignChanges(fileId, response.data);
+      fetchLocalVariables(fileId, token).then(setFigmaVariables);
     } catch (err) {
       console.error('❌ Fetch error:', err);
       setError('Failed to fetch file. Check your URL and token.');
       setFileData(null);
+      setFigmaVariables(null);
     } finally {
       setLoadingFigma(false);
     }
   };
 
+  // Find generated components whose Figma node changed since they were generated
+  const checkDesignChanges = async (fileId, file) => {
+    try {
+      // Nodes of a file version we already generated from cannot have changed
+      const candidates = latestGenerationPerNode(await listFileGenerations(fileId))
+        .filter(record => record.designHash && record.fileVersion !== file.version);
+      if (candidates.length === 0) {
+        setStaleGenerations([]);
+        return;
+      }
+
+      const { nodes } = await fetchNodesById(fileId, candidates.map(record => record.nodeId), token);
+      const stale = findStaleGenerations(candidates, nodes);
+      setStaleGenerations(stale);
+      console.log(`🔄 DESIGN CHANGES: ${stale.length} of ${candidates.length} generated components are stale`);
+
+      // Unchanged nodes are current for this version, so the next reload can skip them
+      await Promise.all(candidates
+        .filter(record => !stale.some(item => item.record.id === record.id))
+        .map(record => updateGeneration(record.id, { fileVersion: file.version, fileLastModified: file.lastModified })));
+    } catch (error) {
+      console.warn('Could not check for design changes:', error);
+    }
+  };
+
   // Safe JSON serialization to handle circular references
   const safeStringify = (obj, maxDepth = 3) => {
     const seen = new WeakSet();
@@ -159,7 +199,7 @@ function App() {
       setSelectedNodeName(node.name);
       
       const fileId = extractFileId(fileUrl);
-      if (fileId && token) {
+      if (fileId && hasFigmaAccess) {
         console.log('Fetching node data for:', node.id);
         
         const nodeData = await fetchNodeById(fileId, node.id, token);
@@ -186,7 +226,7 @@ function App() {
         // Extract design tokens with error handling
         try {
           console.log('🎨 TOKENS: Extracting design tokens...');
-          const tokens = extractDesignTokens(nodeData);
+          const tokens = extractDesignTokens(nodeData, { styles: fileData?.styles, variables: figmaVariables });
           setDesignTokens(tokens);
           console.log('🎨 TOKENS: Extraction complete', tokens.summary);
         } catch (tokenError) {
@@ -203,139 +243,208 @@ function App() {
     }
   };
 
+  // Check/uncheck a node for batch or responsive (multi-frame) generation
+  const handleToggleCheckedNode = (node) => {
+    setCheckedNodes(prev => (
+      prev.some(checked => checked.id === node.id)
+        ? prev.filter(checked => checked.id !== node.id)
+        : [...prev, node]
+    ));
+  };
+
+  // Checked frames that can act as breakpoints of one responsive component
+  const breakpointFrames = checkedNodes.filter(node =>
+    ['FRAME', 'COMPONENT', 'INSTANCE'].includes(node.type) && node.absoluteBoundingBox
+  );
+  const batchNodes = collectBatchNodes(checkedNodes);
+
   // React Query mutation for code generation
   const codeGenerationMutation = useMutation({
     mutationFn: async (nodeData) => {
-      // Generate the actual code (detection happens inside generateSpecAndCode)
-      return await generateSpecAndCode(nodeData, selectedLibrary);
-    },
-    onSuccess: (result) => {
-      const output = result.output || result; // Handle both new and old formats
-      setAiOutput(output);
-      
-      // Set component detection from the result
-      if (result.componentDetection) {
-        setComponentDetection(result.componentDetection);
-      } else {
-        // Fallback: Extract detection results from AI output
-        try {
-          const detectionMatch = output.match(/COMPONENT ANALYSIS:\s*- Detected Component Type: ([^\n]+)\s*- Confidence: (\d+)%\s*- Reasoning: ([^\n]+)/);
-          if (detectionMatch) {
-            setComponentDetection({
-              componentType: detectionMatch[1].toLowerCase().trim(),
-              confidence: parseInt(detectionMatch[2]),
-              reasoning: detectionMatch[3].trim()
-            });
-          }
-          
-          const libraryMatch = output.match(/Using ([^\s]+) component library/);
-          if (libraryMatch) {
-            setLibraryMapping({
-              usesLibrary: true,
-              library: libraryMatch[1]
-            });
-          }
-        } catch (error) {
-          console.log('Could not parse detection results from AI output');
+      generationAbortRef.current = new AbortController();
+      const streaming = {
+        signal: generationAbortRef.current.signal,
+        onProgress: ({ spec, code }) => {
+          if (spec !== null) setGeneratedSpec(spec);
+          if (code !== null) setStreamingCode(code);
+        }
+      };
+
+      // Several frames of one screen: merge them into a single responsive component
+      if (Array.isArray(nodeData)) {
+        const compiled = compileResponsiveFrames(nodeData, { styleMode: responsiveStyleMode });
+        if (compiled.warnings.length > 0) {
+          console.log('📐 RESPONSIVE: Warnings:', compiled.warnings);
         }
+
+        const baseFrame = nodeData.find(frame => frame.name === compiled.breakpoints[0].frameName) || nodeData[0];
+        if (generationMode === 'refine') {
+          return await refineCompiledCode(compiled, baseFrame, streaming);
+        }
+
+        return {
+          output: compiled.output,
+          code: compiled.code,
+          componentDetection: compiled.componentDetection,
+          figmaNode: baseFrame,
+          compiled: true
+        };
+      }
+
+      if (generationMode === 'ai') {
+        // Generate the actual code (detection happens inside generateSpecAndCode)
+        return await generateSpecAndCode(nodeData, selectedLibrary, streaming);
+      }
+
+      // Compile locally - deterministic, offline and exact from the start.
+      // Component sets and instances with properties become one component with props,
+      // unless the instance is mapped to a code component
+      const compiled = hasComponentProperties(nodeData) && !findComponentKeyMapping(nodeData, componentKeyMap)
+        ? compileVariantComponent(nodeData)
+        : compileFigmaNode(nodeData, { componentKeyMap, library: selectedLibrary, registry: designSystem });
+      if (compiled.warnings.length > 0) {
+        console.log('⚙️ COMPILER: Warnings:', compiled.warnings);
+      }
+
+      if (generationMode === 'refine') {
+        return await refineCompiledCode(compiled, nodeData, streaming);
+      }
+
+      return {
+        output: compiled.output,
+        code: compiled.code,
+        componentDetection: compiled.componentDetection,
+        componentProperties: compiled.componentProperties,
+        libraryMapping: compiled.libraryMapping,
+        figmaNode: nodeData,
+        compiled: true
+      };
+    },
+    onSuccess: (result, nodeData) => {
+      setAiOutput(result.output);
+      setGeneratedSpec(result.spec || null);
+      setStreamingCode('');
+      setComponentProperties(result.componentProperties || null);
+      setComponentDetection(result.componentDetection || null);
+      setLibraryMapping(result.libraryMapping || null);
+
+      if (result.warnings?.length > 0) {
+        console.log('⚠️ GENERATION: Warnings:', result.warnings);
       }
       
-      // Note: Using simple exact value enforcement instead of complex alignment analysis
+      // Every generator returns the component code directly (AI output is validated against the JSON contract)
+      if (!result.code) {
+        throw new Error('Generation returned no code. Please try again.');
+      }
+      // Library components need their imports in the shown module (compiled and refined code already has them)
+      let extractedCode = prependImports(result.code, result.imports);
       
-      // Extract the code from the output
-      const codeMatch = output.match(/```jsx\n([\s\S]*?)```/);
-      if (codeMatch) {
-        let extractedCode = codeMatch[1].trim();
-        
-        // Fix common positioning issues
-        extractedCode = fixPositioningIssues(extractedCode);
-        
-        // Enforce exact values from Figma JSON
+      if (result.compiled) {
+        // Compiled output already uses exact Figma values and a static root
+        console.log('⚙️ COMPILER: Skipping positioning fixes and exact value enforcement');
+      } else {
+        // Static root and exact Figma values, rewritten on the AST
+        const postProcessed = runJSXPasses(extractedCode, [rootPositioningPass, exactValuesPass], { figmaNode: result.figmaNode });
+        postProcessed.changes.forEach(change => console.log(`🔧 ${change.pass}: ${change.message}`));
+        postProcessed.errors.forEach(error => console.error(`❌ ${error.pass}: ${error.message}`));
+        extractedCode = postProcessed.code;
+
         if (result.figmaNode) {
-          try {
-            console.log('🎯 ALIGNMENT: Starting exact value enforcement...');
-            
-            // Debug the values before correction
-            debugAlignmentValues(extractedCode, result.figmaNode);
-            
-            // Apply exact value corrections
-            const correctedCode = enforceExactValues(extractedCode, result.figmaNode);
-            if (correctedCode !== extractedCode) {
-              console.log('🔧 ALIGNMENT: Applied exact value corrections');
-              console.log('🔧 ALIGNMENT: Before:', extractedCode.substring(0, 200) + '...');
-              console.log('🔧 ALIGNMENT: After:', correctedCode.substring(0, 200) + '...');
-              extractedCode = correctedCode;
-            } else {
-              console.log('🔧 ALIGNMENT: No corrections needed - values already exact');
-            }
-            
-            // Validate exact values
-            const validation = validateExactValues(extractedCode, result.figmaNode);
-            if (!validation.isValid) {
-              console.log('❌ ALIGNMENT: Value mismatches detected:', validation.issues);
-            } else {
-              console.log('✅ ALIGNMENT: All values match Figma exactly');
-            }
-          } catch (error) {
-            console.error('❌ ALIGNMENT: Error enforcing exact values:', error);
+          const validation = validateExactValues(extractedCode, result.figmaNode);
+          if (!validation.isValid) {
+            console.log('❌ ALIGNMENT: Value mismatches detected:', validation.issues);
+          } else {
+            console.log('✅ ALIGNMENT: All values match Figma exactly');
           }
         } else {
           console.log('⚠️ ALIGNMENT: No Figma node data available for alignment enforcement');
         }
+      }
 
-        // Enhance with accessibility features
-        try {
-          console.log('♿ ACCESSIBILITY: Starting accessibility enhancement...');
-          const accessibilityResult = enhanceWithAccessibility(
-            extractedCode, 
-            result.componentDetection || componentDetection, 
-            result.figmaNode
-          );
-          
-          if (accessibilityResult.enhancedCode !== extractedCode) {
-            console.log('♿ ACCESSIBILITY: Applied accessibility enhancements');
-            extractedCode = accessibilityResult.enhancedCode;
-          }
-          
-          setAccessibilityReport(accessibilityResult.accessibilityReport);
-          console.log('♿ ACCESSIBILITY: Enhancement complete, score:', accessibilityResult.accessibilityReport.score);
-        } catch (error) {
-          console.error('❌ ACCESSIBILITY: Error enhancing accessibility:', error);
-          setAccessibilityReport({
-            score: 0,
-            issues: ['Accessibility enhancement failed: ' + error.message],
-            improvements: []
-          });
-        }
+      // Enhance with accessibility features
+      let report;
+      try {
+        console.log('♿ ACCESSIBILITY: Starting accessibility enhancement...');
+        const accessibilityResult = enhanceWithAccessibility(
+          extractedCode, 
+          result.componentDetection || componentDetection, 
+          result.figmaNode
+        );
         
-        console.log('Extracted code from AI output:', extractedCode);
-        console.log('Full AI output for debugging:', output);
-        setExtractedCode(extractedCode);
-      } else {
-        // Try alternative format
-        const altCodeMatch = output.match(/```(javascript|js)\n([\s\S]*?)```/);
-        if (altCodeMatch) {
-          let extractedCode = altCodeMatch[2].trim();
-          
-          // Fix common positioning issues
-          extractedCode = fixPositioningIssues(extractedCode);
-          
-          console.log('Extracted code from AI output (alt format):', extractedCode);
-          setExtractedCode(extractedCode);
-        } else {
-          console.error('Could not extract code from AI output');
-          console.log('AI output:', output);
-          throw new Error('Could not extract code from AI output. Please try again.');
+        if (accessibilityResult.enhancedCode !== extractedCode) {
+          console.log('♿ ACCESSIBILITY: Applied accessibility enhancements');
+          extractedCode = accessibilityResult.enhancedCode;
         }
+        
+        report = accessibilityResult.accessibilityReport;
+        console.log('♿ ACCESSIBILITY: Enhancement complete, score:', report.score);
+      } catch (error) {
+        console.error('❌ ACCESSIBILITY: Error enhancing accessibility:', error);
+        report = {
+          score: 0,
+          issues: ['Accessibility enhancement failed: ' + error.message],
+          improvements: []
+        };
       }
+      setAccessibilityReport(report);
+      
+      console.log('Generated code:', extractedCode);
+      setExtractedCode(extractedCode);
+
+      // Keep this generation in the node's history (responsive output is filed under its base frame)
+      const frames = Array.isArray(nodeData) ? nodeData : [nodeData];
+      const historyNode = Array.isArray(nodeData) ? result.figmaNode : nodeData;
+      // Responsive output depends on several frames, so it is not tracked for design changes
+      const designSnapshot = Array.isArray(nodeData) ? null : normalizeDesignNode(nodeData);
+      const llm = result.compiled ? null : getLLMConfig();
+      const record = createGenerationRecord({
+        fileId: currentFileId,
+        nodeId: historyNode?.id,
+        nodeName: historyNode?.name,
+        inputs: {
+          mode: generationMode,
+          library: selectedLibrary,
+          nodeIds: frames.map(frame => frame.id),
+          responsive: Array.isArray(nodeData),
+          // What the generation read, so the entry can be reproduced
+          nodes: frames,
+          options: {
+            componentKeyMap,
+            registry: designSystem,
+            responsiveStyleMode: Array.isArray(nodeData) ? responsiveStyleMode : null,
+            llm: llm && { provider: llm.provider, model: llm.models.generation }
+          }
+        },
+        rawOutput: result.output,
+        spec: result.spec || null,
+        code: extractedCode,
+        componentDetection: result.componentDetection || null,
+        componentProperties: result.componentProperties || null,
+        accessibilityReport: report,
+        fileVersion: fileData?.version || null,
+        fileLastModified: fileData?.lastModified || null,
+        designHash: designSnapshot && hashDesignSnapshot(designSnapshot),
+        designSnapshot
+      });
+      setCurrentGenerationId(record.id);
+      saveGeneration(record)
+        .then(() => setHistoryVersion(version => version + 1))
+        .catch(error => console.warn('Could not save generation history:', error));
     },
     onError: (error) => {
+      setStreamingCode('');
+      if (isAbortError(error)) {
+        console.log('⏹️ GENERATION: Cancelled');
+        return;
+      }
       console.error('Error generating code:', error);
       setError(error.message);
     },
     onMutate: () => {
       setLoadingAI(true);
       setError(null);
+      setGeneratedSpec(null);
+      setStreamingCode('');
       setComponentDetection(null);
       setLibraryMapping(null);
       setAccessibilityReport(null);
@@ -343,9 +452,108 @@ function App() {
     },
     onSettled: () => {
       setLoadingAI(false);
+      generationAbortRef.current = null;
     }
   });
 
+  const handleCancelGeneration = () => {
+    generationAbortRef.current?.abort();
+  };
+
+  // Put an earlier generation back into the code and preview panes
+  const handleRestoreGeneration = (record) => {
+    setAiOutput(record.rawOutput || record.code);
+    setExtractedCode(record.code);
+    setGeneratedSpec(record.spec);
+    setStreamingCode('');
+    setComponentDetection(record.componentDetection);
+    setComponentProperties(record.componentProperties);
+    setLibraryMapping(null);
+    setAccessibilityReport(record.accessibilityReport);
+    setCurrentGenerationId(record.id);
+    setError(null);
+  };
+
+  const handleDeleteGeneration = async (record) => {
+    try {
+      await deleteGeneration(record.id);
+      if (record.id === currentGenerationId) {
+        setCurrentGenerationId(null);
+      }
+      setHistoryVersion(version => version + 1);
+    } catch (error) {
+      console.warn('Could not delete generation:', error);
+    }
+  };
+
+  // Regenerate stale components one after another; the last one stays in the panes
+  const handleRegenerateStale = async (items) => {
+    setRegeneratingStale(true);
+    try {
+      for (const item of items) {
+        setSelectedNodeId(item.node.id);
+        setSelectedNodeName(item.node.name);
+        setSelectedNodeData(item.node);
+        setExtractedCode('');
+        setAiOutput('');
+        fetchNodeThumbnail(currentFileId, item.node.id, token)
+          .then(setThumbnailUrl)
+          .catch(() => setThumbnailUrl(null));
+
+        try {
+          await codeGenerationMutation.mutateAsync(item.node);
+        } catch (error) {
+          // onError already reported it; stop so a failing provider is not hit again
+          break;
+        }
+        setStaleGenerations(prev => prev.filter(entry => entry.record.nodeId !== item.record.nodeId));
+      }
+    } finally {
+      setRegeneratingStale(false);
+    }
+  };
+
+  const handleDismissStale = (item) => {
+    setStaleGenerations(prev => prev.filter(entry => entry !== item));
+  };
+
+  // Keep the auto-refined code and file it as a new generation of the node
+  const handleAutoRefined = (result) => {
+    setExtractedCode(result.code);
+
+    const base = generationHistory.find(record => record.id === currentGenerationId);
+    if (!base) return;
+
+    const record = createGenerationRecord({
+      ...base,
+      inputs: { ...base.inputs, mode: 'auto-refine' },
+      rawOutput: result.code,
+      code: result.code,
+      comparisonScore: result.score
+    });
+    setCurrentGenerationId(record.id);
+    saveGeneration(record)
+      .then(() => setHistoryVersion(version => version + 1))
+      .catch(error => console.warn('Could not save generation history:', error));
+  };
+
+  // Record the visual comparison score on the generation being previewed
+  const handleComparison = async (differences) => {
+    const score = differences?.accuracyScore?.overall;
+    if (!currentGenerationId || score === undefined) return;
+
+    try {
+      await updateGeneration(currentGenerationId, { comparisonScore: score });
+      setHistoryVersion(version => version + 1);
+    } catch (error) {
+      console.warn('Could not save comparison score:', error);
+    }
+  };
+
+  // While the model streams, show its partial code until the final result replaces it
+  const displayedCode = extractedCode || streamingCode;
+  const isStreaming = loadingAI && !extractedCode && Boolean(streamingCode);
+
   const handleGenerateCode = async () => {
     if (!selectedNodeData) {
       setError('No node selected. Please select a node first.');
@@ -374,6 +582,57 @@ function App() {
     codeGenerationMutation.mutate(selectedNodeData);
   };
 
+  const handleGenerateResponsive = async () => {
+    if (breakpointFrames.length < 2) {
+      setError('Check at least two frames of the same screen to generate a responsive component.');
+      return;
+    }
+
+    setLoadingAI(true);
+    setError(null);
+    setExtractedCode('');
+    setAiOutput('');
+
+    try {
+      const fileId = extractFileId(fileUrl);
+      const frames = await Promise.all(
+        breakpointFrames.map(frame => fetchNodeById(fileId, frame.id, token))
+      );
+      codeGenerationMutation.mutate(frames);
+    } catch (error) {
+      console.error('Failed to load breakpoint frames:', error);
+      setError(`Failed to load frames: ${error.message}`);
+      setLoadingAI(false);
+    }
+  };
+
+  // Pick up the Figma OAuth session (and any login error the proxy redirected back with)
+  useEffect(() => {
+    if (!usesProxy) return;
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('figma_auth_error')) {
+      setError(`Figma login failed: ${params.get('figma_auth_error')}`);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    fetchFigmaSession()
+      .then(setFigmaSession)
+      .catch(sessionError => {
+        console.error('❌ Could not reach the API proxy:', sessionError);
+        setFigmaSession({ oauth: false, connected: false, sharedToken: false, user: null });
+      });
+  }, [usesProxy]);
+
+  const handleFigmaLogout = async () => {
+    try {
+      await logoutFigma();
+      setFigmaSession(prev => ({ ...prev, connected: false, user: null }));
+    } catch (logoutError) {
+      setError(`Could not disconnect from Figma: ${logoutError.message}`);
+    }
+  };
+
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyPress = (event) => {
@@ -454,6 +713,9 @@ function App() {
                   onChange={(e) => setFileUrl(e.target.value)}
                 />
                   
+              {usesProxy ? (
+                    <FigmaConnection session={figmaSession} onLogout={handleFigmaLogout} />
+              ) : (
               <input
                     type="password"
                     className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-slate-50 focus:bg-white"
@@ -461,12 +723,13 @@ function App() {
                 value={token}
                 onChange={(e) => setToken(e.target.value)}
               />
+              )}
                   
                   <motion.button 
                     type="submit"
                     whileHover={{ scale: 1.02 }}
                     whileTap={{ scale: 0.98 }}
-                    disabled={!fileUrl || !token}
+                    disabled={!fileUrl || !hasFigmaAccess}
                     className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-2 px-4 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {loadingFigma ? 'Loading...' : 'Load File'}
@@ -504,7 +767,8 @@ function App() {
                   { value: 'none', label: 'Auto', icon: '🤖' },
                   { value: 'shadcn', label: 'shadcn', icon: '⚡' },
                   { value: 'mui', label: 'MUI', icon: '🎨' },
-                  { value: 'chakra', label: 'Chakra', icon: '✨' }
+                  { value: 'chakra', label: 'Chakra', icon: '✨' },
+                  ...(designSystem ? [{ value: DESIGN_SYSTEM_LIBRARY, label: designSystem.name, icon: '🧩' }] : [])
                 ].map((option) => (
                   <motion.button
                     key={option.value}
@@ -516,6 +780,50 @@ function App() {
                         ? 'border-blue-500 bg-blue-50 text-blue-700'
                         : 'border-slate-200 bg-white hover:border-slate-300 text-slate-700'
                     }`}
+                  >
+                    <div className="text-sm">{option.icon}</div>
+                    <div className="text-xs font-medium truncate">{option.label}</div>
+                  </motion.button>
+                ))}
+              </div>
+
+              <DesignSystemPanel
+                registry={designSystem}
+                onChange={(registry) => {
+                  setDesignSystem(registry);
+                  setSelectedLibrary(registry ? DESIGN_SYSTEM_LIBRARY : 'none');
+                }}
+              />
+            </div>
+
+            {/* Generator Mode */}
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200/50 p-4">
+              <div className="flex items-center gap-2 mb-3">
+                <div className="h-5 w-5 bg-gradient-to-br from-orange-500 to-amber-500 rounded-lg flex items-center justify-center">
+                  <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+                  </svg>
+                </div>
+                <h3 className="text-sm font-semibold text-slate-800">Generator</h3>
+              </div>
+
+              <div className="grid grid-cols-3 gap-1">
+                {[
+                  { value: 'compiler', label: 'Compiler', icon: '⚙️', title: 'Rule-based, offline and exact' },
+                  { value: 'refine', label: 'Refine', icon: '🪄', title: 'Compile, then let AI improve semantics' },
+                  { value: 'ai', label: 'AI', icon: '🤖', title: 'Generate everything with the configured LLM provider' }
+                ].map((option) => (
+                  <motion.button
+                    key={option.value}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={() => setGenerationMode(option.value)}
+                    title={option.title}
+                    className={`p-2 rounded-lg border transition-all duration-200 text-center ${
+                      generationMode === option.value
+                        ? 'border-blue-500 bg-blue-50 text-blue-700'
+                        : 'border-slate-200 bg-white hover:border-slate-300 text-slate-700'
+                    }`}
                   >
                     <div className="text-sm">{option.icon}</div>
                     <div className="text-xs font-medium">{option.label}</div>
@@ -573,6 +881,22 @@ function App() {
                     <span>{libraryMapping.usesLibrary ? libraryMapping.library || 'Library' : 'Custom'}</span>
                   </div>
                 )}
+
+                {componentDetection.mappedComponent && (
+                  <div className="mt-2 flex items-center gap-2 text-xs text-slate-600" title={componentDetection.mappedComponent.key}>
+                    <span>🔑</span>
+                    <span>
+                      Mapped by component key to <code>{componentDetection.mappedComponent.component}</code>
+                      {componentDetection.mappedComponent.import && ` from ${componentDetection.mappedComponent.import}`}
+                    </span>
+                  </div>
+                )}
+
+                <ComponentKeyMapPanel
+                  node={selectedNodeData}
+                  keyMap={componentKeyMap}
+                  onChange={setComponentKeyMap}
+                />
               </motion.div>
             )}
 
@@ -659,6 +983,9 @@ function App() {
             <DesignTokensPanel 
               tokens={designTokens} 
               componentName={selectedNodeName}
+              figmaNode={selectedNodeData}
+              tokenSet={importedTokenSet}
+              onTokenSetChange={setImportedTokenSet}
             />
 
             {/* Error Message */}
@@ -708,11 +1035,19 @@ function App() {
             className="lg:col-span-3 space-y-4"
           >
 
+            {/* Generated components whose Figma node changed since */}
+            <DesignChangesPanel
+              items={staleGenerations}
+              onRegenerate={handleRegenerateStale}
+              onDismiss={handleDismissStale}
+              busy={regeneratingStale || loadingAI}
+            />
+
             {/* TOP ROW: Generated Code + Generate Code side by side */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
               
-              {/* Generated Code - Left side */}
-              {extractedCode && (
+              {/* Generated Code - Left side (shown from the start of a generation, so it can be cancelled) */}
+              {(displayedCode || generatedSpec || codeGenerationMutation.isPending) && (
                 <motion.div
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
@@ -729,12 +1064,32 @@ function App() {
                         </div>
                         <h3 className="text-sm font-semibold text-slate-800">Generated Code</h3>
                       </div>
+                      {codeGenerationMutation.isPending && (
+                        <div className="flex items-center gap-2 text-xs">
+                          <span className="h-2 w-2 bg-blue-500 rounded-full animate-pulse"></span>
+                          <span className="text-slate-500">{streamingCode || generatedSpec ? 'Streaming...' : 'Waiting for a response...'}</span>
+                          <button
+                            onClick={handleCancelGeneration}
+                            className="text-slate-500 hover:text-red-600 font-medium"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )}
             </div>
           </div>
-                  <div className="p-4 max-h-[300px] overflow-auto">
+                  <div className="p-4 max-h-[300px] overflow-auto space-y-3">
+                    {generatedSpec && (
+                      <div>
+                        <div className="text-xs font-medium text-slate-800 mb-1">📝 Design Specification</div>
+                        <p className="text-xs text-slate-600 whitespace-pre-wrap">{generatedSpec}</p>
+                      </div>
+                    )}
+                    {displayedCode && (
                     <pre className="text-xs text-slate-700 whitespace-pre-wrap font-mono">
-                      <code>{extractedCode}</code>
+                      <code>{displayedCode}</code>
                     </pre>
+                    )}
                   </div>
                 </motion.div>
               )}
@@ -767,8 +1122,91 @@ function App() {
                         <FigmaTreeViewer
                           document={fileData.document}
                           onSelect={handleNodeSelect}
+                          checkedNodeIds={checkedNodes.map(node => node.id)}
+                          onToggleCheck={handleToggleCheckedNode}
                         />
                       </div>
+
+                      {checkedNodes.length > 0 && (
+                        <div className="flex items-center justify-between text-xs text-slate-600">
+                          <span>{checkedNodes.length} checked</span>
+                          <button
+                            onClick={() => setCheckedNodes([])}
+                            className="text-slate-500 hover:text-slate-700"
+                          >
+                            Clear
+                          </button>
+                        </div>
+                      )}
+
+                      <BatchGenerationPanel
+                        nodes={batchNodes}
+                        fileId={extractFileId(fileUrl)}
+                        token={token}
+                        mode={generationMode}
+                        library={selectedLibrary}
+                        registry={designSystem}
+                        componentKeyMap={componentKeyMap}
+                        variables={figmaVariables}
+                      />
+
+                      {breakpointFrames.length > 1 && (
+                        <motion.div
+                          initial={{ opacity: 0, y: 10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          className="p-3 bg-slate-50 rounded-lg space-y-2"
+                        >
+                          <span className="text-xs font-medium text-slate-800">📐 Merge as breakpoints</span>
+
+                          <ul className="space-y-1">
+                            {[...breakpointFrames]
+                              .sort((a, b) => a.absoluteBoundingBox.width - b.absoluteBoundingBox.width)
+                              .map((frame, index) => (
+                                <li key={frame.id} className="flex items-center justify-between text-xs text-slate-600">
+                                  <span className="truncate">{frame.name}</span>
+                                  <span className="font-mono text-slate-500">
+                                    {index === 0 ? 'base' : getBreakpointForWidth(frame.absoluteBoundingBox.width).name} · {Math.round(frame.absoluteBoundingBox.width)}px
+                                  </span>
+                                </li>
+                              ))}
+                          </ul>
+
+                          <div className="grid grid-cols-2 gap-1">
+                            {[
+                              { value: 'css', label: 'Media queries' },
+                              { value: 'tailwind', label: 'Tailwind sm:/md:/lg:' }
+                            ].map((option) => (
+                              <button
+                                key={option.value}
+                                onClick={() => setResponsiveStyleMode(option.value)}
+                                className={`p-1.5 rounded-lg border text-xs font-medium transition-all duration-200 ${
+                                  responsiveStyleMode === option.value
+                                    ? 'border-blue-500 bg-blue-50 text-blue-700'
+                                    : 'border-slate-200 bg-white hover:border-slate-300 text-slate-700'
+                                }`}
+                              >
+                                {option.label}
+                              </button>
+                            ))}
+                          </div>
+
+                          {generationMode === 'ai' && (
+                            <div className="text-xs text-yellow-600">
+                              ⚠️ Responsive output always starts from the compiler.
+                            </div>
+                          )}
+
+                          <motion.button
+                            whileHover={{ scale: 1.02 }}
+                            whileTap={{ scale: 0.98 }}
+                            onClick={handleGenerateResponsive}
+                            disabled={loadingAI}
+                            className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-2 px-4 rounded-lg text-sm font-medium shadow-lg hover:shadow-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            Generate Responsive Component
+                          </motion.button>
+                        </motion.div>
+                      )}
                       
                       {selectedNodeData && (
                         <motion.div 
@@ -837,7 +1275,7 @@ function App() {
             </div>
 
             {/* BOTTOM ROW: Full-width Live Preview with Figma + React side by side */}
-            {extractedCode && (
+            {displayedCode && (
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
@@ -868,10 +1306,13 @@ function App() {
                 
                 <div className="p-6">
                   <LiveCodePreview 
-                    code={extractedCode} 
+                    code={displayedCode} 
+                    streaming={isStreaming}
                     figmaPreviewUrl={thumbnailUrl}
                     componentDetection={componentDetection}
                     figmaNode={selectedNodeData}
+                    onCompare={handleComparison}
+                    onAutoRefined={handleAutoRefined}
                   />
                 </div>
               </motion.div>
@@ -889,11 +1330,21 @@ function App() {
                   code={extractedCode} 
                   componentName={selectedNodeName || 'Component'}
                   detectionInfo={componentDetection}
+                  componentProperties={componentProperties}
+                  designTokens={designTokens}
                   showPreview={false}
                 />
               </motion.div>
             )}
 
+            {/* Generation History - earlier results of the selected node */}
+            <GenerationHistoryPanel
+              history={generationHistory}
+              currentId={currentGenerationId}
+              onRestore={handleRestoreGeneration}
+              onDelete={handleDeleteGeneration}
+            />
+
           </motion.div>
         </div>
       </main>
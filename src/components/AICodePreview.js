@@ -1,7 +1,9 @@
-import React, { useState, useEffect, forwardRef } from 'react';
+import React, { useState, useEffect, useMemo, forwardRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { LiveProvider, LiveError, LivePreview } from 'react-live';
-import { inlineStylesToTailwind } from '../utils/styleConverter';
+import { runJSXPasses } from '../utils/jsxTransform';
+import { tailwindPass, designTokensPass } from '../utils/jsxPasses';
+import { collectTokenEntries, buildThemeObject, buildCSSVariables } from '../utils/tokenMatcher';
 import { generateStorybookStory, generateStoryFilename } from '../utils/storybookGenerator';
 
 /**
@@ -9,6 +11,8 @@ import { generateStorybookStory, generateStoryFilename } from '../utils/storyboo
  * 
  * A production-ready component for rendering AI-generated React/JSX code.
  * Handles JSX transformation, error boundaries, and live preview updates.
+ * With design tokens, the Tokens toggle makes the code reference them instead of
+ * literal values and lists the values that are only close to a token.
  */
 const AICodePreview = forwardRef(({ 
   code, 
@@ -16,7 +20,9 @@ const AICodePreview = forwardRef(({
   showCode = true,
   showPreview = true,
   className = '',
-  detectionInfo = null
+  detectionInfo = null,
+  componentProperties = null,
+  designTokens = null
 }, ref) => {
   const [processedCode, setProcessedCode] = useState('');
   const [error, setError] = useState(null);
@@ -29,6 +35,12 @@ const AICodePreview = forwardRef(({
   const [storybookSuccess, setStorybookSuccess] = useState(false);
   const [showStoryPreview, setShowStoryPreview] = useState(false);
   const [storyContent, setStoryContent] = useState('');
+  const [useTokens, setUseTokens] = useState(false);
+  const [tokenFormat, setTokenFormat] = useState('css-var');
+  const [tokenFlags, setTokenFlags] = useState([]);
+
+  const tokenEntries = useMemo(() => collectTokenEntries(designTokens), [designTokens]);
+  const tokenAware = useTokens && tokenEntries.length > 0;
 
   // Copy to clipboard function
   const copyToClipboard = async () => {
@@ -64,7 +76,7 @@ const AICodePreview = forwardRef(({
   const downloadAsStorybook = () => {
     try {
       // Generate the story file content
-      const generatedStory = generateStorybookStory(code, componentName, detectionInfo);
+      const generatedStory = generateStorybookStory(code, componentName, detectionInfo, componentProperties);
       setStoryContent(generatedStory);
       setShowStoryPreview(true);
     } catch (err) {
@@ -102,48 +114,21 @@ const AICodePreview = forwardRef(({
   };
 
   // Function to convert inline styles to Tailwind classes in JSX
-  const convertJSXStylesToTailwind = (jsxCode) => {
+  const convertJSXStylesToTailwind = (jsxCode, context = {}) => {
     if (!jsxCode || typeof jsxCode !== 'string') return jsxCode;
 
-    // Find all style objects in JSX and convert them
-    return jsxCode.replace(/style=\{\{([^}]+)\}\}/g, (match, styleContent) => {
-      try {
-        // Parse the style object content
-        const styleObject = {};
-        const stylePairs = styleContent.split(',');
-        
-        stylePairs.forEach(pair => {
-          const [key, ...valueParts] = pair.split(':');
-          if (key && valueParts.length > 0) {
-            const cleanKey = key.trim();
-            const cleanValue = valueParts.join(':').trim().replace(/['"]/g, '');
-            styleObject[cleanKey] = cleanValue;
-          }
-        });
+    const { code, changes, errors } = runJSXPasses(jsxCode, [tailwindPass], context);
+    changes.forEach(change => console.log(`🎨 Tailwind: ${change.message}`));
+    errors.forEach(error => console.warn('Error converting styles to Tailwind:', error.message));
+    return code;
+  };
 
-        // Convert to Tailwind
-        const { className, remainingStyles } = inlineStylesToTailwind(styleObject);
-        
-        // If we have Tailwind classes and no remaining styles, use className
-        if (className && Object.keys(remainingStyles).length === 0) {
-          return `className="${className}"`;
-        }
-        
-        // If we have some Tailwind classes but also remaining styles, combine both
-        if (className && Object.keys(remainingStyles).length > 0) {
-          const remainingStyleString = Object.entries(remainingStyles)
-            .map(([key, value]) => `${key}: '${value}'`)
-            .join(', ');
-          return `className="${className}" style={{${remainingStyleString}}}`;
-        }
-        
-        // If no Tailwind conversion possible, keep original
-        return match;
-      } catch (error) {
-        console.warn('Error converting styles to Tailwind:', error);
-        return match;
-      }
-    });
+  // Swap literal style values for token references; near misses come back as flags
+  const referenceDesignTokens = (jsxCode, context) => {
+    const { code, changes, errors } = runJSXPasses(jsxCode, [designTokensPass], context);
+    changes.forEach(change => console.log(`🎨 Tokens: ${change.message}`));
+    errors.forEach(error => console.warn('Error referencing design tokens:', error.message));
+    return { code, flags: changes.filter(change => change.kind === 'near-miss') };
   };
 
   // Function to clean and prepare AI-generated code for React Live
@@ -189,6 +174,14 @@ const AICodePreview = forwardRef(({
       cleaned = cleaned.substring(componentMatch.index);
     }
     
+    // Components with props (Figma variants) reference them in the JSX, so render
+    // the whole component with its default props instead of extracting the JSX
+    const propsComponentMatch = cleaned.match(/^const\s+([A-Z]\w*)\s*=\s*\(\s*\{/);
+    if (propsComponentMatch) {
+      console.log('✅ Rendering component with default props:', propsComponentMatch[1]);
+      return `(() => {\n${cleaned}\nreturn <${propsComponentMatch[1]} />;\n})()`;
+    }
+
     // Extract only the JSX from the return statement for React Live
     const jsxMatch = cleaned.match(/return\s*\(\s*([\s\S]*?)\s*\)\s*;?\s*}/);
     if (jsxMatch) {
@@ -230,12 +223,14 @@ const AICodePreview = forwardRef(({
       console.log('📝 Full prepared code:', preparedCode);
       
       if (preparedCode && preparedCode.trim() !== '') {
-        // Store original prepared code
-        setOriginalCode(preparedCode);
+        // Store original prepared code (with token references in token-aware mode)
+        const inline = tokenAware ? referenceDesignTokens(preparedCode, { tokenEntries, tokenFormat }) : { code: preparedCode, flags: [] };
+        setOriginalCode(inline.code);
+        setTokenFlags(inline.flags);
         console.log('✅ Set original code');
         
         // Convert to Tailwind version
-        const tailwindVersion = convertJSXStylesToTailwind(preparedCode);
+        const tailwindVersion = convertJSXStylesToTailwind(preparedCode, tokenAware ? { tokenEntries } : {});
         setTailwindCode(tailwindVersion);
         console.log('🎨 Tailwind conversion:');
         console.log('   Original:', preparedCode);
@@ -243,7 +238,7 @@ const AICodePreview = forwardRef(({
         console.log('   Are different:', preparedCode !== tailwindVersion);
         
         // Set the appropriate version based on toggle
-        const codeToUse = useTailwind ? tailwindVersion : preparedCode;
+        const codeToUse = useTailwind ? tailwindVersion : inline.code;
         setProcessedCode(codeToUse);
         console.log('✨ Set processed code to:', useTailwind ? 'TAILWIND' : 'INLINE', codeToUse.substring(0, 100));
         setError(null);
@@ -266,6 +261,7 @@ const AICodePreview = forwardRef(({
         setProcessedCode(fallbackJSX);
         setOriginalCode(fallbackJSX);
         setTailwindCode(convertJSXStylesToTailwind(fallbackJSX));
+        setTokenFlags([]);
         setError('No valid React component found, showing fallback');
       }
     } catch (err) {
@@ -274,7 +270,7 @@ const AICodePreview = forwardRef(({
     } finally {
       setIsProcessing(false);
     }
-  }, [code, useTailwind, componentName]);
+  }, [code, useTailwind, componentName, tokenAware, tokenFormat, tokenEntries]);
 
   // Show placeholder when no code is available
   if (!code || code.trim() === '') {
@@ -373,6 +369,33 @@ const AICodePreview = forwardRef(({
                   </motion.button>
                 </div>
 
+                {/* Design Token Toggle */}
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setUseTokens(!useTokens)}
+                    disabled={tokenEntries.length === 0}
+                    className={`px-3 py-1.5 text-sm font-medium rounded-lg border transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+                      tokenAware
+                        ? 'bg-indigo-500 text-white border-indigo-500'
+                        : 'bg-white text-slate-600 border-slate-200 hover:text-slate-800'
+                    }`}
+                    title={tokenEntries.length === 0 ? 'No design tokens extracted for this component' : 'Reference design tokens instead of literal values'}
+                  >
+                    Tokens
+                  </button>
+                  {tokenAware && !useTailwind && (
+                    <select
+                      value={tokenFormat}
+                      onChange={(e) => setTokenFormat(e.target.value)}
+                      className="px-2 py-1.5 text-sm border border-slate-200 rounded-lg bg-white text-slate-700"
+                      title="How tokens are referenced"
+                    >
+                      <option value="css-var">var(--token)</option>
+                      <option value="theme">theme.*</option>
+                    </select>
+                  )}
+                </div>
+
                 {/* Action Buttons */}
                 <div className="flex items-center gap-2">
                   <motion.button
@@ -428,6 +451,20 @@ const AICodePreview = forwardRef(({
             </div>
           </div>
 
+          {/* Values close to a token but not equal - left for a person to decide */}
+          {tokenAware && tokenFlags.length > 0 && (
+            <div className="px-6 py-3 bg-amber-50 border-b border-amber-200 text-xs text-amber-800">
+              <div className="font-semibold mb-1">
+                {tokenFlags.length} near-miss value{tokenFlags.length === 1 ? '' : 's'} left as is
+              </div>
+              <ul className="space-y-0.5 font-mono">
+                {tokenFlags.map((flag, index) => (
+                  <li key={index}>{flag.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Code Content */}
           <div className="relative">
             <pre className="p-6 bg-slate-900 text-slate-100 text-sm overflow-auto max-h-96 font-mono leading-relaxed">
@@ -470,7 +507,7 @@ const AICodePreview = forwardRef(({
         <LiveProvider
           code={originalCode}
           noInline={false}
-          scope={{ React }}
+          scope={tokenAware ? { React, theme: buildThemeObject(tokenEntries) } : { React }}
         >
           <div className="relative">
             <LiveError 
@@ -485,7 +522,11 @@ const AICodePreview = forwardRef(({
                 setError(`Syntax Error: ${error.message}`);
               }}
             />
-                  <div ref={ref} className="w-full">
+                  <div
+                    ref={ref}
+                    className="w-full"
+                    style={tokenAware ? buildCSSVariables(tokenEntries) : undefined}
+                  >
                     <LivePreview />
                   </div>
                 </div>
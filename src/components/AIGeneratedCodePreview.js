@@ -7,7 +7,7 @@ import AICodePreview from './AICodePreview';
  * A specialized component for displaying AI-generated code with both
  * code display and live preview. Used in the AI output section.
  */
-const AIGeneratedCodePreview = ({ code, componentName = 'Component', detectionInfo = null, showPreview = true }) => {
+const AIGeneratedCodePreview = ({ code, componentName = 'Component', detectionInfo = null, componentProperties = null, designTokens = null, showPreview = true }) => {
   return (
     <AICodePreview 
       code={code}
@@ -16,6 +16,8 @@ const AIGeneratedCodePreview = ({ code, componentName = 'Component', detectionIn
       showPreview={showPreview} // Show/hide the live preview based on prop
       className="w-full"
       detectionInfo={detectionInfo}
+      componentProperties={componentProperties}
+      designTokens={designTokens}
     />
   );
 };
@@ -0,0 +1,135 @@
+/**
+ * Auto Refine Panel Component
+ *
+ * Settings and progress of the auto-refine loop: the target score and
+ * iteration limit, then one row per iteration with its score, where the
+ * changes came from, the fixes applied or skipped and the changed lines.
+ */
+
+import React from 'react';
+
+const SOURCE_LABELS = {
+  initial: 'Initial render',
+  ast: 'Style edits',
+  model: 'Model'
+};
+
+const REASON_MESSAGES = {
+  target: 'Reached the target score.',
+  limit: 'Stopped at the iteration limit.',
+  'no-fixes': 'Stopped - nothing left that could be fixed automatically.',
+  regressed: 'Stopped - the last change lowered the score, so the best version was kept.',
+  cancelled: 'Stopped.'
+};
+
+const DIFF_STYLES = {
+  changed: 'bg-yellow-50',
+  removed: 'bg-red-50',
+  added: 'bg-green-50'
+};
+
+const AutoRefinePanel = ({
+  iterations,
+  running,
+  reason,
+  error,
+  targetScore,
+  maxIterations,
+  onTargetScoreChange,
+  onMaxIterationsChange
+}) => {
+  const best = iterations.reduce((top, iteration) => (!top || iteration.score > top.score ? iteration : top), null);
+
+  return (
+    <div className="bg-white border rounded-xl p-4">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <h4 className="font-semibold">Auto-refine</h4>
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          Target
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={targetScore}
+            disabled={running}
+            onChange={(e) => onTargetScoreChange(Number(e.target.value))}
+            className="w-16 px-1 py-0.5 border rounded"
+          />
+          %
+        </label>
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          Max iterations
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={maxIterations}
+            disabled={running}
+            onChange={(e) => onMaxIterationsChange(Number(e.target.value))}
+            className="w-14 px-1 py-0.5 border rounded"
+          />
+        </label>
+        {running && <span className="text-sm text-blue-600">Refining...</span>}
+      </div>
+
+      {iterations.length > 0 && (
+        <ol className="space-y-2">
+          {iterations.map(iteration => (
+            <li key={iteration.index} className={`border rounded-lg p-2 ${iteration === best && !running ? 'border-green-300' : ''}`}>
+              <div className="flex items-center gap-3 text-sm">
+                <span className="w-6 text-gray-500 tabular-nums">#{iteration.index}</span>
+                <span className="font-semibold tabular-nums w-12">{iteration.score}%</span>
+                <span className="text-gray-600">{SOURCE_LABELS[iteration.source]}</span>
+                {iteration.diff && (
+                  <span className="text-xs tabular-nums">
+                    <span className="text-green-700">+{iteration.diff.added}</span>{' '}
+                    <span className="text-red-700">−{iteration.diff.removed}</span>
+                  </span>
+                )}
+                {iteration === best && !running && <span className="ml-auto text-xs text-green-700">kept</span>}
+              </div>
+
+              {iteration.index > 0 && (
+                <details className="mt-1 text-xs">
+                  <summary className="cursor-pointer text-gray-600">
+                    {iteration.applied.length} fix{iteration.applied.length === 1 ? '' : 'es'} applied
+                    {iteration.skipped.length > 0 && `, ${iteration.skipped.length} skipped`}
+                  </summary>
+                  <ul className="mt-1 ml-4 list-disc text-gray-700">
+                    {iteration.applied.map((fix, index) => (
+                      <li key={`applied-${index}`}>{fix.reason}</li>
+                    ))}
+                    {iteration.skipped.map((fix, index) => (
+                      <li key={`skipped-${index}`} className="text-gray-400">{fix.reason} - {fix.skipReason}</li>
+                    ))}
+                  </ul>
+                  {iteration.diff?.rows.length > 0 && (
+                    <table className="mt-2 w-full font-mono text-[11px]">
+                      <tbody>
+                        {iteration.diff.rows.map((row, index) => (
+                          <tr key={index} className={DIFF_STYLES[row.type]}>
+                            <td className="px-1 whitespace-pre text-red-800">{row.left ?? ''}</td>
+                            <td className="px-1 whitespace-pre text-green-800">{row.right ?? ''}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </details>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!running && reason && (
+        <p className="mt-3 text-sm text-gray-700">{REASON_MESSAGES[reason]}</p>
+      )}
+      {error && (
+        <p className="mt-3 text-sm text-red-700">Auto-refine failed: {error}</p>
+      )}
+    </div>
+  );
+};
+
+export default AutoRefinePanel;
@@ -0,0 +1,176 @@
+/**
+ * Batch Generation Panel Component
+ *
+ * Generates every selected component in one run:
+ * - Queue with a configurable concurrency limit
+ * - Live progress list with per-item status
+ * - Automatic retries plus a manual retry per failed item
+ * - One ZIP download with the .jsx, .stories.js and token files
+ */
+
+import React, { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { fetchNodeById } from '../figmaApi';
+import { generateComponentBundle, runBatchQueue, buildBatchZip } from '../services/batchGenerator';
+import { downloadFile } from '../utils/tokenExtractor';
+
+const STATUS_STYLES = {
+  queued: { icon: '⏳', className: 'text-slate-500' },
+  running: { icon: '⚙️', className: 'text-blue-600' },
+  retrying: { icon: '🔁', className: 'text-yellow-600' },
+  done: { icon: '✅', className: 'text-green-600' },
+  failed: { icon: '❌', className: 'text-red-600' },
+  cancelled: { icon: '⏹️', className: 'text-slate-400' }
+};
+
+const BatchGenerationPanel = ({ nodes, fileId, token, mode, library, registry, componentKeyMap, variables }) => {
+  const [statuses, setStatuses] = useState({});
+  const [running, setRunning] = useState(false);
+  const [concurrency, setConcurrency] = useState(3);
+  const stopRequested = useRef(false);
+
+  const generate = async (node) => {
+    const nodeData = await fetchNodeById(fileId, node.id, token);
+    if (!nodeData || !nodeData.absoluteBoundingBox) {
+      throw new Error('Node has no positioning data');
+    }
+    return generateComponentBundle(nodeData, { mode, library, registry, componentKeyMap, variables });
+  };
+
+  const runQueue = async (items) => {
+    stopRequested.current = false;
+    setRunning(true);
+
+    setStatuses(prev => {
+      const next = { ...prev };
+      items.forEach(item => { next[item.id] = { status: 'queued', attempts: 0 }; });
+      return next;
+    });
+
+    try {
+      await runBatchQueue(items, generate, {
+        concurrency,
+        retries: 1,
+        onUpdate: (id, state) => setStatuses(prev => ({ ...prev, [id]: state })),
+        shouldStop: () => stopRequested.current
+      });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const entries = nodes
+      .filter(node => statuses[node.id])
+      .map(node => ({
+        nodeId: node.id,
+        nodeName: node.name,
+        bundle: statuses[node.id].status === 'done' ? statuses[node.id].result : null,
+        error: statuses[node.id].error
+      }));
+
+    downloadFile(buildBatchZip(entries), 'figma-components.zip', 'application/zip');
+  };
+
+  const counts = nodes.reduce((acc, node) => {
+    const status = statuses[node.id]?.status;
+    if (status) acc[status] = (acc[status] || 0) + 1;
+    return acc;
+  }, {});
+  const finished = (counts.done || 0) + (counts.failed || 0) + (counts.cancelled || 0);
+  const failedNodes = nodes.filter(node => statuses[node.id]?.status === 'failed');
+
+  if (nodes.length === 0) {
+    return null;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="p-3 bg-slate-50 rounded-lg space-y-2"
+    >
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-slate-800">📦 Batch generation ({nodes.length})</span>
+        <label className="flex items-center gap-1 text-xs text-slate-500">
+          Parallel
+          <select
+            value={concurrency}
+            onChange={(e) => setConcurrency(Number(e.target.value))}
+            disabled={running}
+            className="border border-slate-200 rounded px-1 py-0.5 bg-white"
+          >
+            {[1, 2, 3, 5].map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Progress */}
+      {finished > 0 || running ? (
+        <div className="w-full h-1.5 bg-slate-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-gradient-to-r from-blue-600 to-purple-600 transition-all duration-300"
+            style={{ width: `${(finished / nodes.length) * 100}%` }}
+          />
+        </div>
+      ) : null}
+
+      <ul className="max-h-40 overflow-y-auto space-y-1">
+        {nodes.map(node => {
+          const state = statuses[node.id];
+          const style = STATUS_STYLES[state?.status] || STATUS_STYLES.queued;
+
+          return (
+            <li key={node.id} className="flex items-center gap-2 text-xs">
+              <span>{state ? style.icon : '•'}</span>
+              <span className="truncate flex-1 text-slate-700" title={state?.error || node.name}>
+                {state?.status === 'done' ? state.result.componentName : node.name}
+              </span>
+              {state?.attempts > 1 && (
+                <span className="text-slate-400">try {state.attempts}</span>
+              )}
+              {state?.status === 'failed' && !running && (
+                <button
+                  onClick={() => runQueue([node])}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  Retry
+                </button>
+              )}
+              {state && <span className={style.className}>{state.status}</span>}
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="grid grid-cols-2 gap-1">
+        {running ? (
+          <button
+            onClick={() => { stopRequested.current = true; }}
+            className="p-1.5 rounded-lg border border-slate-200 bg-white hover:border-slate-300 text-xs font-medium text-slate-700"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={() => runQueue(failedNodes.length > 0 ? failedNodes : nodes)}
+            className="p-1.5 rounded-lg border border-blue-500 bg-blue-50 text-xs font-medium text-blue-700"
+          >
+            {failedNodes.length > 0 ? `Retry ${failedNodes.length} failed` : finished > 0 ? 'Run again' : 'Generate all'}
+          </button>
+        )}
+        <button
+          onClick={handleDownload}
+          disabled={running || !counts.done}
+          className="p-1.5 rounded-lg border border-slate-200 bg-white hover:border-slate-300 text-xs font-medium text-slate-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Download ZIP{counts.done ? ` (${counts.done})` : ''}
+        </button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default BatchGenerationPanel;
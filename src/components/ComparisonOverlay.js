@@ -0,0 +1,294 @@
+/**
+ * Comparison Overlay Component
+ *
+ * Stacks the captured React render on the Figma render of the same node, both
+ * at the node's real size, with the QA modes designers use:
+ * - Onion skin: React layer over Figma with an opacity slider
+ * - Difference: difference blend - identical pixels turn black
+ * - Swipe: React left of the split line, Figma right of it
+ * - Blink: alternate the two layers, or flip them by hand
+ *
+ * Scroll to zoom around the cursor, drag to pan. Rulers show design pixels and
+ * the cursor's offset from the node's top-left corner.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { fitView, zoomView, toDesignPoint, rulerTicks, clampZoom } from '../utils/overlayViewport';
+
+const MODES = [
+  { id: 'onion', label: 'Onion skin' },
+  { id: 'difference', label: 'Difference' },
+  { id: 'swipe', label: 'Swipe' },
+  { id: 'blink', label: 'Blink' }
+];
+
+const BLINK_INTERVAL = 500;
+const RULER_SIZE = 20;
+const WHEEL_ZOOM_STEP = 1.1;
+
+/**
+ * @param {Object} props
+ * @param {string} props.reactImageUrl - Capture of the component's root element
+ * @param {Object} props.reactSize - { width, height } of that element in CSS pixels
+ * @param {string} props.figmaImageUrl - Figma render of the node
+ * @param {Object} props.figmaSize - { width, height } of the node (absoluteBoundingBox)
+ * @param {boolean} [props.capturing] - A new capture is being taken
+ * @param {Function} [props.onRecapture] - Take a new capture of the preview
+ */
+const ComparisonOverlay = ({ reactImageUrl, reactSize, figmaImageUrl, figmaSize, capturing = false, onRecapture }) => {
+  const [mode, setMode] = useState('onion');
+  const [opacity, setOpacity] = useState(0.5);
+  const [split, setSplit] = useState(0.5);
+  const [blinking, setBlinking] = useState(true);
+  const [showFigma, setShowFigma] = useState(false);
+  const [view, setView] = useState({ zoom: 1, panX: 0, panY: 0 });
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+  const [cursor, setCursor] = useState(null);
+  const viewportRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const { width: viewportWidth, height: viewportHeight } = viewport;
+  const stageWidth = Math.max(figmaSize.width, reactSize.width);
+  const stageHeight = Math.max(figmaSize.height, reactSize.height);
+
+  // Track the viewport size so fitting and rulers use real screen pixels
+  useEffect(() => {
+    const element = viewportRef.current;
+    if (!element) return undefined;
+
+    const measure = () => setViewport({ width: element.clientWidth, height: element.clientHeight });
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  useEffect(() => {
+    if (viewportWidth && viewportHeight) {
+      setView(fitView({ width: stageWidth, height: stageHeight }, { width: viewportWidth, height: viewportHeight }));
+    }
+  }, [stageWidth, stageHeight, viewportWidth, viewportHeight]);
+
+  useEffect(() => {
+    if (mode !== 'blink' || !blinking) return undefined;
+    const timer = setInterval(() => setShowFigma(prev => !prev), BLINK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [mode, blinking]);
+
+  // React registers wheel listeners as passive, so zooming needs a native one to stop page scroll
+  useEffect(() => {
+    const element = viewportRef.current;
+    if (!element) return undefined;
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const point = getLocalPoint(element, event);
+      const factor = event.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP;
+      setView(prev => zoomView(prev, factor, point));
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY, panX: view.panX, panY: view.panY };
+  };
+
+  const handlePointerMove = (event) => {
+    setCursor(getLocalPoint(event.currentTarget, event));
+
+    const drag = dragRef.current;
+    if (drag) {
+      setView(prev => ({
+        ...prev,
+        panX: drag.panX + event.clientX - drag.x,
+        panY: drag.panY + event.clientY - drag.y
+      }));
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const zoomFromCenter = (factor) => {
+    setView(prev => zoomView(prev, factor, { x: viewportWidth / 2, y: viewportHeight / 2 }));
+  };
+
+  const setZoom = (zoom) => {
+    zoomFromCenter(clampZoom(zoom) / view.zoom);
+  };
+
+  const designPoint = cursor ? toDesignPoint(view, cursor) : null;
+  const imageRendering = view.zoom >= 2 ? 'pixelated' : 'auto';
+
+  const reactLayerStyle = {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    width: reactSize.width * view.zoom,
+    height: reactSize.height * view.zoom,
+    imageRendering
+  };
+  if (mode === 'onion') reactLayerStyle.opacity = opacity;
+  if (mode === 'difference') reactLayerStyle.mixBlendMode = 'difference';
+  if (mode === 'swipe') {
+    // The split is a share of the stage; convert it to the React layer's own width
+    const visible = (split * stageWidth) / reactSize.width;
+    reactLayerStyle.clipPath = `inset(0 ${Math.max(0, (1 - visible) * 100)}% 0 0)`;
+  }
+  if (mode === 'blink') reactLayerStyle.visibility = showFigma ? 'hidden' : 'visible';
+
+  return (
+    <div className="bg-white border rounded-xl p-4">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <div className="flex rounded-lg border overflow-hidden">
+          {MODES.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setMode(option.id)}
+              className={`px-3 py-1 text-sm ${mode === option.id ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'onion' && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            React opacity
+            <input type="range" min="0" max="1" step="0.05" value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} />
+            <span className="w-10 text-right tabular-nums">{Math.round(opacity * 100)}%</span>
+          </label>
+        )}
+
+        {mode === 'swipe' && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Split
+            <input type="range" min="0" max="1" step="0.01" value={split} onChange={(e) => setSplit(Number(e.target.value))} />
+          </label>
+        )}
+
+        {mode === 'blink' && (
+          <div className="flex items-center gap-2 text-sm">
+            <button onClick={() => setBlinking(prev => !prev)} className="px-2 py-1 border rounded hover:bg-gray-50">
+              {blinking ? 'Pause' : 'Play'}
+            </button>
+            <button
+              onClick={() => { setBlinking(false); setShowFigma(prev => !prev); }}
+              className="px-2 py-1 border rounded hover:bg-gray-50"
+            >
+              Flip
+            </button>
+            <span className="text-gray-600">Showing {showFigma ? 'Figma' : 'React'}</span>
+          </div>
+        )}
+
+        <div className="flex items-center gap-1 ml-auto text-sm">
+          <button onClick={() => zoomFromCenter(1 / 1.5)} className="px-2 py-1 border rounded hover:bg-gray-50" title="Zoom out">−</button>
+          <span className="w-14 text-center tabular-nums">{Math.round(view.zoom * 100)}%</span>
+          <button onClick={() => zoomFromCenter(1.5)} className="px-2 py-1 border rounded hover:bg-gray-50" title="Zoom in">+</button>
+          <button onClick={() => setZoom(1)} className="px-2 py-1 border rounded hover:bg-gray-50">1:1</button>
+          <button
+            onClick={() => setView(fitView({ width: stageWidth, height: stageHeight }, viewport))}
+            className="px-2 py-1 border rounded hover:bg-gray-50"
+          >
+            Fit
+          </button>
+          {onRecapture && (
+            <button onClick={onRecapture} disabled={capturing} className="px-2 py-1 border rounded hover:bg-gray-50 disabled:opacity-50">
+              {capturing ? 'Capturing...' : 'Recapture'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="relative h-[480px] bg-slate-100 rounded-lg overflow-hidden select-none">
+        {/* Rulers */}
+        <div className="absolute top-0 right-0 bg-white border-b text-[10px] text-gray-500 overflow-hidden" style={{ left: RULER_SIZE, height: RULER_SIZE }}>
+          {rulerTicks(view.panX, view.zoom, viewportWidth).map(tick => (
+            <div key={tick.value} className="absolute top-0 h-full border-l border-gray-300 pl-0.5" style={{ left: tick.position }}>
+              {tick.value}
+            </div>
+          ))}
+          {cursor && <div className="absolute top-0 h-full border-l border-red-500" style={{ left: cursor.x }} />}
+        </div>
+        <div className="absolute left-0 bottom-0 bg-white border-r text-[10px] text-gray-500 overflow-hidden" style={{ top: RULER_SIZE, width: RULER_SIZE }}>
+          {rulerTicks(view.panY, view.zoom, viewportHeight).map(tick => (
+            <div
+              key={tick.value}
+              className="absolute left-0 w-full border-t border-gray-300"
+              style={{ top: tick.position, writingMode: 'vertical-rl' }}
+            >
+              {tick.value}
+            </div>
+          ))}
+          {cursor && <div className="absolute left-0 w-full border-t border-red-500" style={{ top: cursor.y }} />}
+        </div>
+        <div
+          className="absolute top-0 left-0 bg-white border-r border-b text-[10px] text-gray-500 flex items-center justify-center"
+          style={{ width: RULER_SIZE, height: RULER_SIZE }}
+        >
+          px
+        </div>
+
+        {/* Viewport */}
+        <div
+          ref={viewportRef}
+          className="absolute right-0 bottom-0 overflow-hidden cursor-grab active:cursor-grabbing"
+          style={{ top: RULER_SIZE, left: RULER_SIZE }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={() => setCursor(null)}
+        >
+          <div
+            className="absolute bg-white shadow"
+            style={{
+              left: view.panX,
+              top: view.panY,
+              width: stageWidth * view.zoom,
+              height: stageHeight * view.zoom,
+              isolation: 'isolate'
+            }}
+          >
+            <img
+              src={figmaImageUrl}
+              alt="Figma render"
+              draggable={false}
+              className="absolute top-0 left-0 max-w-none"
+              style={{ width: figmaSize.width * view.zoom, height: figmaSize.height * view.zoom, imageRendering }}
+            />
+            {reactImageUrl && (
+              <img src={reactImageUrl} alt="React render" draggable={false} className="max-w-none" style={reactLayerStyle} />
+            )}
+            {mode === 'swipe' && (
+              <div className="absolute top-0 h-full border-l-2 border-blue-500" style={{ left: `${split * 100}%` }} />
+            )}
+          </div>
+        </div>
+
+        {designPoint && (
+          <div className="absolute bottom-2 right-2 px-2 py-1 bg-black/70 text-white text-xs rounded tabular-nums pointer-events-none">
+            x {designPoint.x} · y {designPoint.y} px
+          </div>
+        )}
+      </div>
+
+      {(Math.round(reactSize.width) !== Math.round(figmaSize.width) || Math.round(reactSize.height) !== Math.round(figmaSize.height)) && (
+        <p className="mt-2 text-xs text-gray-500">
+          React renders at {Math.round(reactSize.width)}×{Math.round(reactSize.height)}px, the Figma node is {Math.round(figmaSize.width)}×{Math.round(figmaSize.height)}px.
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Pointer position relative to an element's top-left corner
+function getLocalPoint(element, event) {
+  const rect = element.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+export default ComparisonOverlay;
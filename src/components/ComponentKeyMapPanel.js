@@ -0,0 +1,97 @@
+/**
+ * Component Key Map Panel Component
+ *
+ * Lists the library components used by the selected node that have no code
+ * mapping yet, and lets the team map each Figma component key to a code
+ * component. Mapped instances are detected with 100% confidence.
+ */
+
+import React, { useState } from 'react';
+import { findUnmappedComponentKeys, saveComponentKeyMap } from '../utils/componentKeyMap';
+import { downloadFile } from '../utils/tokenExtractor';
+
+const ComponentKeyMapPanel = ({ node, keyMap, onChange }) => {
+  const [drafts, setDrafts] = useState({});
+
+  const unmapped = node ? findUnmappedComponentKeys(node, keyMap) : [];
+  const mappedCount = Object.keys(keyMap).length;
+
+  const updateDraft = (key, field, value) => {
+    setDrafts(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const handleMap = (entry) => {
+    const draft = drafts[entry.key] || {};
+    if (!draft.component?.trim()) return;
+
+    const nextKeyMap = {
+      ...keyMap,
+      [entry.key]: {
+        name: entry.name,
+        component: draft.component.trim(),
+        import: draft.import?.trim() || ''
+      }
+    };
+    saveComponentKeyMap(nextKeyMap);
+    onChange(nextKeyMap);
+    setDrafts(prev => {
+      const { [entry.key]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  if (unmapped.length === 0 && mappedCount === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 pt-2 border-t border-slate-100 space-y-1">
+      <div className="flex items-center justify-between text-xs">
+        <span className="font-medium text-slate-700">
+          🔑 Unmapped components ({unmapped.length})
+        </span>
+        {mappedCount > 0 && (
+          <button
+            onClick={() => downloadFile(JSON.stringify(keyMap, null, 2), 'component-key-map.json', 'application/json')}
+            className="text-blue-600 hover:text-blue-800"
+            title="Download the mapping table to share it with the team"
+          >
+            Export {mappedCount}
+          </button>
+        )}
+      </div>
+
+      {unmapped.map(entry => (
+        <div key={entry.key} className="space-y-1">
+          <div className="flex items-center gap-1 text-xs text-slate-600">
+            <span className="truncate flex-1" title={entry.key}>{entry.name}</span>
+            <span className="text-slate-400">×{entry.count}</span>
+          </div>
+          <div className="flex items-center gap-1">
+            <input
+              value={drafts[entry.key]?.component || ''}
+              onChange={(e) => updateDraft(entry.key, 'component', e.target.value)}
+              placeholder="Button"
+              className="w-1/3 px-1.5 py-0.5 text-xs border border-slate-200 rounded"
+            />
+            <input
+              value={drafts[entry.key]?.import || ''}
+              onChange={(e) => updateDraft(entry.key, 'import', e.target.value)}
+              placeholder="@/components/ui/button"
+              className="flex-1 px-1.5 py-0.5 text-xs border border-slate-200 rounded"
+            />
+            <button
+              onClick={() => handleMap(entry)}
+              disabled={!drafts[entry.key]?.component?.trim()}
+              className="px-1.5 py-0.5 text-xs rounded border border-blue-500 bg-blue-50 text-blue-700 disabled:opacity-50"
+            >
+              Map
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ComponentKeyMapPanel;
@@ -0,0 +1,105 @@
+/**
+ * Design Changes Panel Component
+ *
+ * Lists generated components whose Figma node changed since they were
+ * generated, with what changed (colors, text, sizes, added/removed layers), and
+ * regenerates only those with the current Generator settings.
+ */
+
+import React, { useState } from 'react';
+import { describeDesignChange, summarizeDesignChanges } from '../utils/designChangeDetector';
+
+// Changes listed per component before collapsing the rest
+const MAX_LISTED_CHANGES = 12;
+
+const DesignChangesPanel = ({ items, onRegenerate, onDismiss, busy }) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const regenerable = items.filter(item => !item.deleted);
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-2xl p-4 space-y-2">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-amber-900">
+          🔄 Design changed since generation ({items.length})
+        </h3>
+        {regenerable.length > 1 && (
+          <button
+            onClick={() => onRegenerate(regenerable)}
+            disabled={busy}
+            className="px-2 py-1 text-xs rounded border border-amber-400 bg-white text-amber-800 hover:bg-amber-100 disabled:opacity-50"
+          >
+            Regenerate all ({regenerable.length})
+          </button>
+        )}
+      </div>
+
+      {items.map(item => {
+        const { record, changes } = item;
+        const summary = Object.entries(summarizeDesignChanges(changes));
+        const expanded = expandedId === record.id;
+
+        return (
+          <div key={record.id} className="bg-white border border-amber-100 rounded-lg px-3 py-2 text-xs space-y-1">
+            <div className="flex items-center gap-2">
+              <span className="flex-1 truncate font-medium text-slate-800">{record.nodeName || record.nodeId}</span>
+              {item.deleted ? (
+                <span className="text-red-600">Deleted in Figma</span>
+              ) : (
+                <>
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : record.id)}
+                    className="text-slate-500 hover:text-slate-700"
+                  >
+                    {changes.length} change{changes.length === 1 ? '' : 's'} {expanded ? '▲' : '▼'}
+                  </button>
+                  <button
+                    onClick={() => onRegenerate([item])}
+                    disabled={busy}
+                    className="text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                  >
+                    Regenerate
+                  </button>
+                </>
+              )}
+              <button
+                onClick={() => onDismiss(item)}
+                className="text-slate-400 hover:text-slate-600"
+                title="Hide until the next reload"
+              >
+                ✕
+              </button>
+            </div>
+
+            {summary.length > 0 && (
+              <div className="flex flex-wrap gap-1">
+                {summary.map(([type, count]) => (
+                  <span key={type} className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800">
+                    {count} {type}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {expanded && (
+              <ul className="space-y-0.5 text-slate-600 font-mono break-all">
+                {changes.slice(0, MAX_LISTED_CHANGES).map((change, index) => (
+                  <li key={index}>{describeDesignChange(change)}</li>
+                ))}
+                {changes.length > MAX_LISTED_CHANGES && (
+                  <li className="text-slate-400">...and {changes.length - MAX_LISTED_CHANGES} more</li>
+                )}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DesignChangesPanel;
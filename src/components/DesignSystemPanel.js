@@ -0,0 +1,84 @@
+/**
+ * Design System Panel Component
+ *
+ * Uploads a custom component manifest (JSON or JS) so generation can use the
+ * team's own components. The registry is kept in localStorage across sessions.
+ */
+
+import React, { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { parseRegistryManifest, saveRegistry, clearRegistry } from '../utils/designSystemRegistry';
+
+const DesignSystemPanel = ({ registry, onChange }) => {
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const handleUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const nextRegistry = parseRegistryManifest(await file.text());
+      saveRegistry(nextRegistry);
+      setError(null);
+      onChange(nextRegistry);
+    } catch (uploadError) {
+      setError(uploadError.message);
+    }
+  };
+
+  const handleRemove = () => {
+    clearRegistry();
+    setError(null);
+    onChange(null);
+  };
+
+  return (
+    <div className="mt-2 p-2 bg-slate-50 rounded-lg space-y-1">
+      <div className="flex items-center gap-2 text-xs">
+        <span>🧩</span>
+        {registry ? (
+          <span className="flex-1 truncate text-slate-700" title={registry.components.map(component => component.name).join(', ')}>
+            {registry.name} ({registry.components.length} components)
+          </span>
+        ) : (
+          <span className="flex-1 text-slate-500">No custom design system</span>
+        )}
+        <button
+          onClick={() => fileInput.current?.click()}
+          className="text-blue-600 hover:text-blue-800 font-medium"
+        >
+          {registry ? 'Replace' : 'Upload'}
+        </button>
+        {registry && (
+          <button
+            onClick={handleRemove}
+            className="text-slate-500 hover:text-red-600"
+          >
+            Remove
+          </button>
+        )}
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.js,.mjs,application/json,text/javascript"
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+
+      {error && (
+        <motion.pre
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="text-xs text-red-600 whitespace-pre-wrap"
+        >
+          {error}
+        </motion.pre>
+      )}
+    </div>
+  );
+};
+
+export default DesignSystemPanel;
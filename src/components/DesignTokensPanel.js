@@ -2,16 +2,29 @@
  * Design Tokens Panel Component
  * 
  * Displays extracted design tokens in an organized, interactive panel
- * with export functionality and copy-to-clipboard features.
+ * with export functionality and copy-to-clipboard features. Tokens named after
+ * Figma styles and Variables are listed first, with their aliases and modes.
+ * The export menu offers every format in TOKEN_EXPORT_FORMATS. An imported token set
+ * (the design system's tokens JSON) turns on a compliance report for the selected node.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useMemo, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { exportTokensAsCSS, exportTokensAsJSON, downloadFile, copyToClipboard } from '../utils/tokenExtractor';
+import { downloadFile, copyToClipboard } from '../utils/tokenExtractor';
+import { TOKEN_EXPORT_FORMATS, parseTokenFile } from '../utils/tokenFormats';
+import { checkTokenCompliance, describeComplianceIssue, COMPLIANCE_GROUPS } from '../utils/tokenCompliance';
+import { describeDifference, cssValue } from '../utils/tokenMatcher';
 
-const DesignTokensPanel = ({ tokens, componentName }) => {
+const DesignTokensPanel = ({ tokens, componentName, figmaNode = null, tokenSet = null, onTokenSetChange }) => {
   const [copiedToken, setCopiedToken] = useState(null);
   const [showExportOptions, setShowExportOptions] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const compliance = useMemo(
+    () => (tokenSet && figmaNode ? checkTokenCompliance(figmaNode, tokenSet.entries) : null),
+    [tokenSet, figmaNode]
+  );
 
   const handleCopyToken = async (value, type) => {
     const success = await copyToClipboard(value);
@@ -21,18 +34,40 @@ const DesignTokensPanel = ({ tokens, componentName }) => {
     }
   };
 
-  const handleExportCSS = () => {
-    const css = exportTokensAsCSS(tokens);
-    downloadFile(css, `${componentName || 'design'}-tokens.css`, 'text/css');
-    setShowExportOptions(false);
+  const formatModeValue = (value, type) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'object') return value.alias ? `→ ${value.alias}` : `${value.fontFamily} ${value.fontSize}px`;
+    return type === 'dimension' ? `${value}px` : String(value);
   };
 
-  const handleExportJSON = () => {
-    const json = exportTokensAsJSON(tokens);
-    downloadFile(json, `${componentName || 'design'}-tokens.json`, 'application/json');
+  const handleExport = (formatId) => {
+    const format = TOKEN_EXPORT_FORMATS.find(candidate => candidate.id === formatId);
+    downloadFile(format.exporter(tokens), format.filename(componentName || 'design'), format.mimeType);
     setShowExportOptions(false);
   };
 
+  const handleCopyReport = async () => {
+    const success = await copyToClipboard(compliance.issues.map(describeComplianceIssue).join('\n'));
+    if (success) {
+      setCopiedToken('compliance report');
+      setTimeout(() => setCopiedToken(null), 2000);
+    }
+  };
+
+  const handleImportTokens = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const entries = parseTokenFile(await file.text());
+      onTokenSetChange?.({ fileName: file.name, entries });
+      setImportError(null);
+    } catch (error) {
+      setImportError(`${file.name}: ${error.message}`);
+    }
+  };
+
   if (!tokens || tokens.summary.totalColors === 0 && tokens.summary.totalSpacingValues === 0) {
     return null;
   }
@@ -55,6 +90,22 @@ const DesignTokensPanel = ({ tokens, componentName }) => {
           <span className="text-xs text-slate-500">
             {tokens.summary.totalColors + tokens.summary.totalSpacingValues + tokens.summary.totalFontStyles} tokens
           </span>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="p-1 hover:bg-slate-100 rounded transition-colors"
+            title="Import a token set to check this design against"
+          >
+            <svg className="w-4 h-4 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+            </svg>
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportTokens}
+            className="hidden"
+          />
           <button
             onClick={() => setShowExportOptions(!showExportOptions)}
             className="p-1 hover:bg-slate-100 rounded transition-colors"
@@ -76,23 +127,140 @@ const DesignTokensPanel = ({ tokens, componentName }) => {
             exit={{ opacity: 0, y: -10 }}
             className="mb-4 p-3 bg-slate-50 rounded-lg border border-slate-200"
           >
-            <div className="flex gap-2">
+            <div className="grid grid-cols-2 gap-2">
+              {TOKEN_EXPORT_FORMATS.map(format => (
+                <button
+                  key={format.id}
+                  onClick={() => handleExport(format.id)}
+                  className="py-2 px-3 bg-white text-slate-700 text-xs font-medium rounded border border-slate-200 hover:border-indigo-300 hover:text-indigo-700 transition-colors text-left"
+                  title={format.filename(componentName || 'design')}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {importError && (
+        <div className="mb-4 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-700">{importError}</div>
+      )}
+
+      {/* Design System Compliance Section */}
+      {compliance && (
+        <div className="mb-4 p-3 rounded-lg border border-slate-200 bg-slate-50">
+          <div className="flex items-center gap-2 mb-2">
+            <h4 className="text-xs font-medium text-slate-600 truncate" title={tokenSet.fileName}>
+              Compliance with {tokenSet.fileName}
+            </h4>
+            <span className={`ml-auto px-1.5 py-0.5 rounded text-xs font-semibold ${
+              compliance.score >= 90 ? 'bg-green-100 text-green-700' : compliance.score >= 70 ? 'bg-amber-100 text-amber-700' : 'bg-red-100 text-red-700'
+            }`}>
+              {compliance.score}%
+            </span>
+            <button
+              onClick={() => onTokenSetChange?.(null)}
+              className="text-xs text-slate-400 hover:text-slate-600"
+              title="Remove the imported token set"
+            >
+              ✕
+            </button>
+          </div>
+          <div className="text-xs text-slate-500 mb-2">
+            {compliance.compliant} of {compliance.checked} values use a token from the set ({tokenSet.entries.length} tokens)
+          </div>
+
+          {compliance.issues.length === 0 ? (
+            <div className="text-xs text-green-700">Every checked value matches a token.</div>
+          ) : (
+            <>
+              {Object.entries(COMPLIANCE_GROUPS).map(([group, label]) => {
+                const issues = compliance.issues.filter(issue => issue.group === group);
+                if (issues.length === 0) return null;
+                return (
+                  <div key={group} className="mb-2">
+                    <div className="text-[11px] font-medium text-slate-500 uppercase tracking-wide mb-1">{label} ({issues.length})</div>
+                    <div className="space-y-1">
+                      {issues.map(issue => (
+                        <div key={issue.value} className="flex items-start gap-2 text-xs">
+                          {group === 'color' && (
+                            <span className="w-4 h-4 mt-0.5 flex-shrink-0 rounded border border-slate-200" style={{ backgroundColor: issue.value }} />
+                          )}
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-1">
+                              <span className="font-mono text-slate-800 truncate" title={issue.value}>{issue.value}</span>
+                              {issue.nearest?.near && (
+                                <span className="px-1 rounded bg-amber-100 text-amber-700 text-[10px]">near miss</span>
+                              )}
+                            </div>
+                            <div className="text-slate-500 truncate">
+                              {issue.nearest
+                                ? `→ --${issue.nearest.token.name} (${cssValue(issue.nearest.token)}, ${describeDifference(issue.nearest)})`
+                                : '→ no token of this kind in the set'}
+                            </div>
+                            <div className="text-slate-400 truncate" title={issue.usages.map(usage => `${usage.name} (${usage.property})`).join(', ')}>
+                              {issue.usages.slice(0, 3).map(usage => `${usage.name} · ${usage.property}`).join(', ')}
+                              {issue.usages.length > 3 && ` +${issue.usages.length - 3} more`}
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
               <button
-                onClick={handleExportCSS}
-                className="flex-1 py-2 px-3 bg-indigo-500 text-white text-xs font-medium rounded hover:bg-indigo-600 transition-colors"
+                onClick={handleCopyReport}
+                className="w-full mt-1 py-1.5 bg-white text-slate-600 border border-slate-200 rounded text-xs font-medium hover:text-slate-800 transition-colors"
               >
-                Export CSS
+                Copy report
               </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Named Tokens Section */}
+      {tokens.semantic?.tokens.length > 0 && (
+        <div className="mb-4">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-xs font-medium text-slate-600">Named Tokens ({tokens.semantic.tokens.length})</h4>
+            {tokens.semantic.modes.length > 1 && (
+              <span className="text-xs text-slate-500">{tokens.semantic.modes.join(' / ')}</span>
+            )}
+          </div>
+          <div className="space-y-1">
+            {tokens.semantic.tokens.map(token => (
               <button
-                onClick={handleExportJSON}
-                className="flex-1 py-2 px-3 bg-purple-500 text-white text-xs font-medium rounded hover:bg-purple-600 transition-colors"
+                key={token.name}
+                onClick={() => handleCopyToken(`var(--${token.name})`, token.source)}
+                className="w-full flex items-start gap-2 p-1 text-left text-xs rounded hover:bg-slate-50 transition-colors"
+                title={`${token.figmaName} (${token.source}) • copy var(--${token.name})`}
               >
-                Export JSON
+                {token.type === 'color' ? (
+                  <span
+                    className="w-4 h-4 mt-0.5 flex-shrink-0 rounded border border-slate-200"
+                    style={{ backgroundColor: token.resolvedValue || 'transparent' }}
+                  />
+                ) : (
+                  <span className="w-4 h-4 mt-0.5 flex-shrink-0 rounded bg-slate-100 text-[9px] text-slate-500 flex items-center justify-center">
+                    {token.source === 'style' ? 'S' : 'V'}
+                  </span>
+                )}
+                <div className="flex-1 min-w-0">
+                  <div className="font-mono text-slate-800 truncate">--{token.name}</div>
+                  <div className="text-slate-500 truncate">
+                    {token.modes && Object.keys(token.modes).length > 1
+                      ? Object.entries(token.modes).map(([mode, value]) => `${mode}: ${formatModeValue(value, token.type)}`).join(' • ')
+                      : formatModeValue(token.value, token.type)}
+                  </div>
+                </div>
               </button>
-            </div>
-          </motion.div>
-        )}
-      </AnimatePresence>
+            ))}
+          </div>
+        </div>
+      )}
 
       {/* Colors Section */}
       {tokens.colors.length > 0 && (
@@ -254,13 +422,13 @@ const DesignTokensPanel = ({ tokens, componentName }) => {
       <div className="mt-4 pt-3 border-t border-slate-200">
         <div className="flex gap-2">
           <button
-            onClick={handleExportCSS}
+            onClick={() => handleExport('css')}
             className="flex-1 py-2 px-3 bg-indigo-50 text-indigo-700 rounded-lg text-xs font-medium hover:bg-indigo-100 transition-colors"
           >
             Export CSS
           </button>
           <button
-            onClick={handleExportJSON}
+            onClick={() => handleExport('json')}
             className="flex-1 py-2 px-3 bg-purple-50 text-purple-700 rounded-lg text-xs font-medium hover:bg-purple-100 transition-colors"
           >
             Export JSON
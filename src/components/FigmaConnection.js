@@ -0,0 +1,57 @@
+/**
+ * Figma Connection Component
+ *
+ * Shows who is signed in to Figma through the API proxy, with a button to
+ * connect via OAuth or to disconnect. Tokens stay on the proxy.
+ */
+
+import React from 'react';
+import { getFigmaLoginURL } from '../services/apiProxy';
+
+const FigmaConnection = ({ session, onLogout }) => {
+  if (!session) {
+    return <p className="text-xs text-slate-500">Checking Figma connection...</p>;
+  }
+
+  if (session.connected) {
+    return (
+      <div className="flex items-center gap-2 text-xs">
+        {session.user?.imgUrl ? (
+          <img src={session.user.imgUrl} alt="" className="w-5 h-5 rounded-full" />
+        ) : (
+          <span className="w-2 h-2 rounded-full bg-green-500" />
+        )}
+        <span className="flex-1 truncate text-slate-700" title={session.user?.email}>
+          Connected as {session.user?.handle || 'Figma user'}
+        </span>
+        <button
+          type="button"
+          onClick={onLogout}
+          className="text-slate-500 hover:text-red-600"
+        >
+          Disconnect
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-1">
+      {session.oauth && (
+        <a
+          href={getFigmaLoginURL()}
+          className="block w-full text-center py-2 px-4 rounded-lg text-sm font-medium border border-slate-300 bg-white text-slate-700 hover:bg-slate-50"
+        >
+          Connect with Figma
+        </a>
+      )}
+      {session.sharedToken ? (
+        <p className="text-xs text-slate-500">🔐 Using the proxy's shared Figma token</p>
+      ) : !session.oauth && (
+        <p className="text-xs text-red-600">The API proxy has no Figma access configured</p>
+      )}
+    </div>
+  );
+};
+
+export default FigmaConnection;
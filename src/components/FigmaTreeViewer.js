@@ -7,11 +7,15 @@
  * - Expand/collapse functionality for nodes
  * - Proper visual hierarchy with icons
  * - Node selection for code generation
+ * - Optional checkboxes for batch and multi-frame (breakpoint) generation
  */
 
 import React, { useState } from 'react';
 
-const FigmaTreeViewer = ({ document, onSelect }) => {
+// Node types that can be checked - a checked page (CANVAS) stands for all its components
+const CHECKABLE_TYPES = ['CANVAS', 'SECTION', 'FRAME', 'GROUP', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+
+const FigmaTreeViewer = ({ document, onSelect, checkedNodeIds = [], onToggleCheck }) => {
   const [expandedNodes, setExpandedNodes] = useState(new Set());
   
   const toggleExpand = (nodeId, e) => {
@@ -49,6 +53,18 @@ const FigmaTreeViewer = ({ document, onSelect }) => {
             <span className="w-4" />
           )}
           
+          {/* Checkbox - only rendered when the parent handles checking */}
+          {onToggleCheck && CHECKABLE_TYPES.includes(node.type) && (
+            <input
+              type="checkbox"
+              checked={checkedNodeIds.includes(node.id)}
+              onChange={() => onToggleCheck(node)}
+              onClick={(e) => e.stopPropagation()}
+              className="w-3 h-3 accent-blue-600"
+              title="Select for batch or responsive generation"
+            />
+          )}
+
           {/* Node content - clickable to select */}
           <div 
             onClick={() => onSelect(node)}
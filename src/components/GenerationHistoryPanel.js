@@ -0,0 +1,139 @@
+/**
+ * Generation History Panel Component
+ *
+ * Lists earlier generations of the selected node with their scores. Pick any
+ * two (A and B) to see their code side by side, or restore one into the code
+ * and preview panes.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { diffGenerations } from '../utils/generationHistory';
+
+const MODE_LABELS = {
+  compiler: 'Compiler',
+  refine: 'Compile + AI',
+  ai: 'AI',
+  'auto-refine': 'Auto-refine'
+};
+
+const ROW_STYLES = {
+  same: ['', ''],
+  changed: ['bg-red-50', 'bg-green-50'],
+  removed: ['bg-red-50', 'bg-slate-50'],
+  added: ['bg-slate-50', 'bg-green-50']
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const GenerationHistoryPanel = ({ history, currentId, onRestore, onDelete }) => {
+  const [compareIds, setCompareIds] = useState({ a: null, b: null });
+
+  // Compare the two newest generations until the user picks others
+  useEffect(() => {
+    setCompareIds(prev => {
+      const ids = history.map(record => record.id);
+      if (ids.includes(prev.a) && ids.includes(prev.b)) return prev;
+      return { a: history[1]?.id || null, b: history[0]?.id || null };
+    });
+  }, [history]);
+
+  if (history.length === 0) {
+    return null;
+  }
+
+  const recordA = history.find(record => record.id === compareIds.a);
+  const recordB = history.find(record => record.id === compareIds.b);
+  const diff = recordA && recordB && recordA !== recordB ? diffGenerations(recordA.code, recordB.code) : null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-slate-200/50 overflow-hidden">
+      <div className="bg-slate-50 px-4 py-3 border-b border-slate-200 flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-slate-800">🕘 Generation History ({history.length})</h3>
+        <span className="text-xs text-slate-500">Pick A and B to compare</span>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="max-h-48 overflow-y-auto divide-y divide-slate-100 border border-slate-200 rounded-lg">
+          {history.map(record => (
+            <div
+              key={record.id}
+              className={`flex items-center gap-2 px-2 py-1.5 text-xs ${record.id === currentId ? 'bg-blue-50' : ''}`}
+            >
+              {['a', 'b'].map(slot => (
+                <label key={slot} className="flex items-center gap-0.5 text-slate-500 uppercase">
+                  <input
+                    type="radio"
+                    name={`history-${slot}`}
+                    checked={compareIds[slot] === record.id}
+                    onChange={() => setCompareIds(prev => ({ ...prev, [slot]: record.id }))}
+                  />
+                  {slot}
+                </label>
+              ))}
+              <span className="flex-1 truncate text-slate-700">
+                {formatTime(record.createdAt)} · {MODE_LABELS[record.inputs?.mode] || record.inputs?.mode || 'Unknown'}
+                {record.inputs?.responsive && ' · responsive'}
+                {record.inputs?.library && record.inputs.library !== 'none' && ` · ${record.inputs.library}`}
+              </span>
+              {record.accessibilityScore !== null && (
+                <span className="text-slate-500" title="Accessibility score">♿ {record.accessibilityScore}</span>
+              )}
+              {record.comparisonScore !== null && (
+                <span className="text-slate-500" title="Visual comparison accuracy">🎯 {record.comparisonScore}%</span>
+              )}
+              {record.id === currentId ? (
+                <span className="text-blue-600 font-medium">Current</span>
+              ) : (
+                <button
+                  onClick={() => onRestore(record)}
+                  className="text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Restore
+                </button>
+              )}
+              <button
+                onClick={() => onDelete(record)}
+                className="text-slate-400 hover:text-red-600"
+                title="Delete this generation"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {diff && (
+          <div className="space-y-1">
+            <div className="flex items-center justify-between text-xs text-slate-600">
+              <span>A: {formatTime(recordA.createdAt)} → B: {formatTime(recordB.createdAt)}</span>
+              <span>
+                <span className="text-green-700">+{diff.added}</span>{' '}
+                <span className="text-red-700">-{diff.removed}</span>
+              </span>
+            </div>
+            {diff.added === 0 && diff.removed === 0 ? (
+              <p className="text-xs text-slate-500">The code of both generations is identical.</p>
+            ) : (
+              <div className="max-h-96 overflow-auto border border-slate-200 rounded-lg">
+                <table className="w-full text-xs font-mono table-fixed">
+                  <tbody>
+                    {diff.rows.map((row, index) => (
+                      <tr key={index}>
+                        <td className="w-8 px-1 text-right text-slate-400 select-none">{row.leftLine}</td>
+                        <td className={`px-2 whitespace-pre-wrap break-all ${ROW_STYLES[row.type][0]}`}>{row.left}</td>
+                        <td className="w-8 px-1 text-right text-slate-400 select-none border-l border-slate-200">{row.rightLine}</td>
+                        <td className={`px-2 whitespace-pre-wrap break-all ${ROW_STYLES[row.type][1]}`}>{row.right}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GenerationHistoryPanel;
@@ -22,28 +22,127 @@
  * 3. Preview Comparison:
  *    - Renders React components in real-time
  *    - Allows side-by-side comparison with Figma
- *    - Provides visual difference analysis
+ *    - Scores the difference with a local pixel diff (ΔE, SSIM) and shows a heatmap
+ *    - Optionally adds the vision model's notes and suggested fixes
+ *    - Compares every element tagged with data-figma-id against its Figma layer
+ *      (box, colors, font) and highlights the selected layer in the preview
+ *    - Overlay modes (onion skin, difference, swipe, blink) stack the React render
+ *      on the Figma render at the node's real size, with zoom, pan and rulers
+ *    - Auto-refine renders, compares and fixes the code in a loop until it reaches
+ *      a target score, showing each iteration's score and changed lines
+ * 
+ * 4. Streaming:
+ *    - While code is still streaming in, the preview keeps the last complete
+ *      component and only re-renders once the new code is syntactically complete
  */
 
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import html2canvas from 'html2canvas';
 // import domtoimage from 'dom-to-image'; // Available for future use
 import { compareVisuals } from '../services/compareVisuals';
+import { applyComparisonFeedback } from '../services/openai';
+import { isLLMConfigured } from '../services/llmProvider';
 import { deployToCodeSandbox, createShareableLink } from '../services/codesandbox';
 import SimpleLivePreview from './SimpleLivePreview';
+import ComparisonOverlay from './ComparisonOverlay';
+import AutoRefinePanel from './AutoRefinePanel';
 import { enhanceWithAccessibility } from '../utils/accessibilityEnhancer';
+import { isCompleteComponentCode } from '../utils/generationContract';
+import { extractFigmaLayers, measureRenderedLayers, diffLayers, describeLayerDiff, FIGMA_ID_ATTRIBUTE } from '../utils/layerDiff';
+import { runAutoRefine, DEFAULT_TARGET_SCORE, DEFAULT_MAX_ITERATIONS } from '../utils/autoRefine';
+
+// How long React Live gets to render changed code before it is measured
+const REFINE_RENDER_DELAY = 500;
 
-const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode }) => {
+const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode, streaming = false, onCompare, onAutoRefined }) => {
   const [differences, setDifferences] = useState(null);
   const [isComparing, setIsComparing] = useState(false);
   const [compareError, setCompareError] = useState(null);
+  const [includeNarrative, setIncludeNarrative] = useState(false);
   const [transformedCode] = useState('');
   const [isDeploying, setIsDeploying] = useState(false);
   const [deploymentUrl, setDeploymentUrl] = useState(null);
   const [shareableLink, setShareableLink] = useState(null);
   const [componentName, setComponentName] = useState('Component');
   const [accessibilityAnalysis, setAccessibilityAnalysis] = useState(null);
+  const [previewCode, setPreviewCode] = useState(streaming ? '' : code);
+  const [layerDiff, setLayerDiff] = useState(null);
+  const [highlightedLayerId, setHighlightedLayerId] = useState(null);
+  const [highlightBox, setHighlightBox] = useState(null);
+  const [overlayOpen, setOverlayOpen] = useState(false);
+  const [overlayCapture, setOverlayCapture] = useState(null);
+  const [isCapturingOverlay, setIsCapturingOverlay] = useState(false);
+  const [refineOpen, setRefineOpen] = useState(false);
+  const [refineRun, setRefineRun] = useState({ iterations: [], running: false, reason: null, error: null });
+  const [refineTarget, setRefineTarget] = useState(DEFAULT_TARGET_SCORE);
+  const [refineMaxIterations, setRefineMaxIterations] = useState(DEFAULT_MAX_ITERATIONS);
   const livePreviewRef = useRef(null);
+  const refineAbortRef = useRef(null);
+  const previewFrameRef = useRef(null);
+
+  // Partial code would only produce render errors - wait until the component is complete
+  useEffect(() => {
+    if (!streaming || isCompleteComponentCode(code)) {
+      setPreviewCode(code);
+    }
+  }, [code, streaming]);
+
+  // Outline the selected layer's element with an overlay, leaving the rendered component untouched
+  useEffect(() => {
+    const frame = previewFrameRef.current;
+    const element = highlightedLayerId && livePreviewRef.current &&
+      Array.from(livePreviewRef.current.querySelectorAll(`[${FIGMA_ID_ATTRIBUTE}]`))
+        .find(candidate => candidate.getAttribute(FIGMA_ID_ATTRIBUTE) === highlightedLayerId);
+
+    if (!frame || !element) {
+      setHighlightBox(null);
+      return;
+    }
+
+    const frameRect = frame.getBoundingClientRect();
+    const rect = element.getBoundingClientRect();
+    setHighlightBox({
+      left: rect.left - frameRect.left,
+      top: rect.top - frameRect.top,
+      width: rect.width,
+      height: rect.height
+    });
+  }, [highlightedLayerId, previewCode]);
+
+  // Capture the component's own root so it lines up with the Figma render of the node
+  const captureOverlay = useCallback(async () => {
+    const container = livePreviewRef.current;
+    const element = container && (container.querySelector(`[${FIGMA_ID_ATTRIBUTE}]`) || container.firstElementChild);
+    if (!element || element.offsetWidth === 0) return;
+
+    try {
+      setIsCapturingOverlay(true);
+      const canvas = await html2canvas(element, {
+        useCORS: true,
+        allowTaint: true,
+        logging: false,
+        backgroundColor: '#ffffff',
+        scale: 2
+      });
+      setOverlayCapture({
+        url: canvas.toDataURL('image/png'),
+        width: element.offsetWidth,
+        height: element.offsetHeight
+      });
+    } catch (error) {
+      console.error('Error capturing the preview for the overlay:', error);
+      setCompareError(`Could not capture the preview for the overlay: ${error.message}`);
+    } finally {
+      setIsCapturingOverlay(false);
+    }
+  }, []);
+
+  // Recapture whenever the previewed code changes; React Live needs a moment to render it
+  useEffect(() => {
+    if (!overlayOpen || !previewCode) return undefined;
+    const timer = setTimeout(captureOverlay, 300);
+    return () => clearTimeout(timer);
+  }, [overlayOpen, previewCode, captureOverlay]);
 
   // Extract component name and set up smart rendering
   useEffect(() => {
@@ -91,6 +190,53 @@ const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode
     }
   };
 
+  // Measure the rendered layers, capture the preview and compare both with Figma
+  const comparePreview = async () => {
+    console.log('Starting comparison with html2canvas...');
+    console.log('Live preview ref:', livePreviewRef.current);
+    console.log('Figma preview URL:', figmaPreviewUrl);
+    
+    const previewElement = livePreviewRef.current;
+    
+    // Log element details for debugging
+    console.log('Preview element:', previewElement);
+    console.log('Element dimensions:', {
+      width: previewElement.offsetWidth,
+      height: previewElement.offsetHeight,
+      scrollWidth: previewElement.scrollWidth,
+      scrollHeight: previewElement.scrollHeight
+    });
+    
+    // Ensure the element has content
+    if (!previewElement) {
+      throw new Error('The preview did not render. Check the code for errors.');
+    }
+    if (previewElement.offsetWidth === 0 || previewElement.offsetHeight === 0) {
+      throw new Error('Preview element has no size. Check if component is rendering correctly.');
+    }
+
+    // Per-layer diff reads the live DOM, so it needs no screenshot
+    const layers = figmaNode
+      ? diffLayers(extractFigmaLayers(figmaNode), measureRenderedLayers(previewElement, figmaNode.id))
+      : null;
+
+    const canvas = await html2canvas(previewElement, {
+      useCORS: true,
+      allowTaint: true,
+      logging: true, // Enable logging for debugging
+      backgroundColor: '#ffffff',
+      scale: 2, // Higher quality
+    });
+
+    const livePreviewUrl = canvas.toDataURL('image/png');
+    console.log('Canvas generated successfully, size:', canvas.width, 'x', canvas.height);
+    console.log('Live preview data URL length:', livePreviewUrl.length);
+    
+    const diff = await compareVisuals(livePreviewUrl, figmaPreviewUrl, { narrative: includeNarrative });
+    console.log('Comparison result:', diff);
+    return { diff, layers };
+  };
+
   const handleCompare = async () => {
     if (!livePreviewRef.current) {
       console.error('Live preview ref is missing');
@@ -108,42 +254,13 @@ const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode
       setIsComparing(true);
       setDifferences(null);
       setCompareError(null);
+      setLayerDiff(null);
+      setHighlightedLayerId(null);
       
-      console.log('Starting comparison with html2canvas...');
-      console.log('Live preview ref:', livePreviewRef.current);
-      console.log('Figma preview URL:', figmaPreviewUrl);
-      
-      const previewElement = livePreviewRef.current;
-      
-      // Log element details for debugging
-      console.log('Preview element:', previewElement);
-      console.log('Element dimensions:', {
-        width: previewElement.offsetWidth,
-        height: previewElement.offsetHeight,
-        scrollWidth: previewElement.scrollWidth,
-        scrollHeight: previewElement.scrollHeight
-      });
-      
-      // Ensure the element has content
-      if (previewElement.offsetWidth === 0 || previewElement.offsetHeight === 0) {
-        throw new Error('Preview element has no size. Check if component is rendering correctly.');
-      }
-
-      const canvas = await html2canvas(previewElement, {
-        useCORS: true,
-        allowTaint: true,
-        logging: true, // Enable logging for debugging
-        backgroundColor: '#ffffff',
-        scale: 2, // Higher quality
-      });
-
-      const livePreviewUrl = canvas.toDataURL('image/png');
-      console.log('Canvas generated successfully, size:', canvas.width, 'x', canvas.height);
-      console.log('Live preview data URL length:', livePreviewUrl.length);
-      
-      const diff = await compareVisuals(livePreviewUrl, figmaPreviewUrl);
-      console.log('Comparison result:', diff);
+      const { diff, layers } = await comparePreview();
+      setLayerDiff(layers);
       setDifferences(diff);
+      onCompare?.(diff);
 
       // Generate accessibility analysis for the comparison
       if (componentDetection && figmaNode) {
@@ -163,6 +280,71 @@ const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode
     }
   };
 
+  // Render each candidate in the preview, compare it and fix it until the target score is reached
+  const handleAutoRefine = async () => {
+    if (!livePreviewRef.current || !figmaPreviewUrl) {
+      setCompareError('Cannot auto-refine: select a component with a Figma preview first.');
+      return;
+    }
+
+    const controller = new AbortController();
+    refineAbortRef.current = controller;
+    const results = new Map();
+    setRefineOpen(true);
+    setRefineRun({ iterations: [], running: true, reason: null, error: null });
+    setCompareError(null);
+    setHighlightedLayerId(null);
+
+    const evaluate = async (candidate) => {
+      setPreviewCode(candidate);
+      await new Promise(resolve => setTimeout(resolve, REFINE_RENDER_DELAY));
+      const result = await comparePreview();
+      results.set(candidate, result);
+      setLayerDiff(result.layers);
+      setDifferences(result.diff);
+      return { score: result.diff.accuracyScore.overall, layerDiff: result.layers, comparison: result.diff };
+    };
+
+    // With AI notes on, findings that cannot be applied as style edits go back to the model
+    const refine = includeNarrative && isLLMConfigured()
+      ? async (candidate, evaluation, fixes) => {
+        const findings = [...new Set([
+          ...fixes.map(fix => fix.reason),
+          ...(evaluation.comparison.actionableFixes || [])
+        ])];
+        const result = await applyComparisonFeedback(candidate, figmaNode, findings, { signal: controller.signal });
+        return result.code;
+      }
+      : undefined;
+
+    try {
+      const result = await runAutoRefine(code, {
+        evaluate,
+        refine,
+        targetScore: refineTarget,
+        maxIterations: refineMaxIterations,
+        signal: controller.signal,
+        onIteration: (iteration) => setRefineRun(prev => ({ ...prev, iterations: [...prev.iterations, iteration] }))
+      });
+
+      // Leave the best version on screen, with its own comparison
+      const best = results.get(result.code);
+      setPreviewCode(result.code);
+      setLayerDiff(best.layers);
+      setDifferences(best.diff);
+      setRefineRun(prev => ({ ...prev, running: false, reason: result.reason }));
+      if (result.code !== code) {
+        onAutoRefined?.(result);
+      }
+    } catch (error) {
+      console.error('Error auto-refining:', error);
+      setPreviewCode(code);
+      setRefineRun(prev => ({ ...prev, running: false, error: error.message }));
+    } finally {
+      refineAbortRef.current = null;
+    }
+  };
+
   // Format value for display
   const formatValue = (value) => {
     if (value && value.startsWith('#')) {
@@ -205,11 +387,25 @@ const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode
         {/* React Preview */}
         <div>
           <h3 className="text-lg font-semibold mb-2">React Preview</h3>
-          <SimpleLivePreview
-            ref={livePreviewRef}
-            code={code}
-            componentName={componentName}
-          />
+          {previewCode ? (
+            <div ref={previewFrameRef} className="relative">
+              <SimpleLivePreview
+                ref={livePreviewRef}
+                code={previewCode}
+                componentName={componentName}
+              />
+              {highlightBox && (
+                <div
+                  className="absolute pointer-events-none border-2 border-red-500 bg-red-500/10 rounded-sm"
+                  style={highlightBox}
+                />
+              )}
+            </div>
+          ) : (
+            <div className="min-h-[200px] flex items-center justify-center text-sm text-slate-500">
+              Waiting for a complete component...
+            </div>
+          )}
         </div>
 
         {/* Figma Preview */}
@@ -231,14 +427,77 @@ const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode
 
       {/* Compare Visuals Button */}
       {figmaPreviewUrl && (
-        <div className="mt-4 flex justify-center">
+        <div className="mt-4 flex items-center justify-center gap-4">
           <button
             onClick={handleCompare}
-            disabled={isComparing}
+            disabled={isComparing || refineRun.running || streaming}
             className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
           >
             {isComparing ? 'Comparing...' : 'Compare Visuals'}
           </button>
+          {refineRun.running ? (
+            <button
+              onClick={() => refineAbortRef.current?.abort()}
+              className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600"
+            >
+              Stop Refining
+            </button>
+          ) : (
+            <button
+              onClick={handleAutoRefine}
+              disabled={isComparing || streaming}
+              className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50"
+              title="Compare, fix the differences and repeat until the target score is reached"
+            >
+              Auto-refine
+            </button>
+          )}
+          <label
+            className="flex items-center gap-1 text-sm text-gray-600"
+            title={isLLMConfigured() ? 'Ask the vision model for notes and fixes (slower, costs tokens)' : 'No LLM provider configured'}
+          >
+            <input
+              type="checkbox"
+              checked={includeNarrative}
+              onChange={(e) => setIncludeNarrative(e.target.checked)}
+              disabled={!isLLMConfigured()}
+            />
+            AI notes
+          </label>
+          <button
+            onClick={() => setOverlayOpen(prev => !prev)}
+            className={`px-4 py-2 rounded border ${overlayOpen ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+          >
+            {overlayOpen ? 'Hide Overlay' : 'Overlay'}
+          </button>
+        </div>
+      )}
+
+      {refineOpen && (
+        <div className="mt-4">
+          <AutoRefinePanel
+            iterations={refineRun.iterations}
+            running={refineRun.running}
+            reason={refineRun.reason}
+            error={refineRun.error}
+            targetScore={refineTarget}
+            maxIterations={refineMaxIterations}
+            onTargetScoreChange={setRefineTarget}
+            onMaxIterationsChange={setRefineMaxIterations}
+          />
+        </div>
+      )}
+
+      {overlayOpen && figmaPreviewUrl && (
+        <div className="mt-4">
+          <ComparisonOverlay
+            reactImageUrl={overlayCapture?.url}
+            reactSize={overlayCapture || { width: 0, height: 0 }}
+            figmaImageUrl={figmaPreviewUrl}
+            figmaSize={figmaNode?.absoluteBoundingBox || overlayCapture || { width: 0, height: 0 }}
+            capturing={isCapturingOverlay}
+            onRecapture={captureOverlay}
+          />
         </div>
       )}
 
@@ -271,17 +530,88 @@ const LiveCodePreview = ({ code, figmaPreviewUrl, componentDetection, figmaNode
                   <div className="text-lg font-semibold">{differences.accuracyScore.colors || 0}%</div>
                 </div>
                 <div className="text-center">
-                  <div className="text-sm text-gray-600">Spacing</div>
-                  <div className="text-lg font-semibold">{differences.accuracyScore.spacing || 0}%</div>
+                  <div className="text-sm text-gray-600">Structure</div>
+                  <div className="text-lg font-semibold">{differences.accuracyScore.structure || 0}%</div>
                 </div>
                 <div className="text-center">
-                  <div className="text-sm text-gray-600">Typography</div>
-                  <div className="text-lg font-semibold">{differences.accuracyScore.typography || 0}%</div>
+                  <div className="text-sm text-gray-600">Pixels</div>
+                  <div className="text-lg font-semibold">{differences.accuracyScore.pixels || 0}%</div>
                 </div>
               </div>
             </div>
           )}
 
+          {differences.narrativeError && (
+            <div className="p-3 mb-4 bg-yellow-50 border border-yellow-200 rounded-xl text-sm text-yellow-800">
+              AI notes unavailable: {differences.narrativeError}. Scores come from the pixel diff.
+            </div>
+          )}
+
+          {/* Difference heatmap - red where the preview differs from Figma */}
+          {differences.pixelDiff?.heatmapUrl && (
+            <div className="bg-white border rounded-xl p-4 mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold">Difference Heatmap</h4>
+                <span className="text-xs text-gray-500">
+                  SSIM {differences.pixelDiff.ssim.toFixed(3)} · mean ΔE {differences.pixelDiff.meanDeltaE.toFixed(2)}
+                </span>
+              </div>
+              <img
+                src={differences.pixelDiff.heatmapUrl}
+                alt="Pixel difference heatmap"
+                className="max-w-full mx-auto border border-gray-100"
+              />
+            </div>
+          )}
+
+          {/* Per-layer differences - click a row to outline its element in the preview */}
+          {layerDiff && (
+            <div className="bg-white border rounded-xl p-4 mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold">Layer Differences</h4>
+                <span className="text-xs text-gray-500">
+                  {layerDiff.matched} match · {layerDiff.mismatched} differ · {layerDiff.missing} missing
+                </span>
+              </div>
+              {layerDiff.tagged === 0 ? (
+                <p className="text-sm text-gray-600">
+                  The preview has no elements tagged with {FIGMA_ID_ATTRIBUTE}, so layers cannot be matched.
+                  Regenerate the component to compare it layer by layer.
+                </p>
+              ) : layerDiff.mismatched + layerDiff.missing === 0 ? (
+                <p className="text-sm text-green-700">Every layer matches its Figma box, colors and font.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500">
+                      <th className="py-1 pr-2 font-medium">Layer</th>
+                      <th className="py-1 font-medium">Preview vs Figma</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {layerDiff.rows.filter(row => row.status !== 'match').map(row => (
+                      <tr
+                        key={row.id}
+                        onClick={() => setHighlightedLayerId(highlightedLayerId === (row.mergedInto || row.id) ? null : (row.mergedInto || row.id))}
+                        className={`border-t cursor-pointer hover:bg-red-50 ${
+                          highlightedLayerId && highlightedLayerId === (row.mergedInto || row.id) ? 'bg-red-50' : ''
+                        }`}
+                        title={describeLayerDiff(row)}
+                      >
+                        <td className="py-1 pr-2 align-top whitespace-nowrap">{row.label}</td>
+                        <td className={`py-1 ${row.status === 'missing' ? 'text-gray-500 italic' : 'text-red-700'}`}>
+                          {row.status === 'missing'
+                            ? 'not found in the preview'
+                            : row.issues.map(issue => issue.message).join(', ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
           {/* Critical Issues */}
           {differences.criticalIssues && differences.criticalIssues.length > 0 && (
             <div className="bg-red-50 border border-red-200 rounded-xl p-4 mb-4">
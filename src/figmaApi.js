@@ -1,15 +1,13 @@
-import axios from 'axios';
+import { figmaGet } from './services/apiProxy';
+import { annotateComponentKeys } from './utils/componentKeyMap';
+import { annotateStyleNames } from './utils/tokenExtractor';
 
 const FIGMA_TOKEN = process.env.REACT_APP_FIGMA_TOKEN;
 const FILE_ID = process.env.REACT_APP_FIGMA_FILE_ID;
 
 export const fetchFigmaData = async () => {
   try {
-    const response = await axios.get(`https://api.figma.com/v1/files/${FILE_ID}`, {
-      headers: {
-        'X-Figma-Token': FIGMA_TOKEN,
-      },
-    });
+    const response = await figmaGet(`/files/${FILE_ID}`, FIGMA_TOKEN);
     console.log('✅ Figma data fetched:', response.data);
     return response.data;
   } catch (error) {
@@ -19,12 +17,7 @@ export const fetchFigmaData = async () => {
 
 export const fetchNodeById = async (fileId, nodeId, token) => {
   try {
-    const response = await axios.get(
-      `https://api.figma.com/v1/files/${fileId}/nodes?ids=${nodeId}`,
-      {
-        headers: { 'X-Figma-Token': token },
-      }
-    );
+    const response = await figmaGet(`/files/${fileId}/nodes?ids=${nodeId}`, token);
     
     console.log('Figma API raw response:', response.data);
     
@@ -34,19 +27,13 @@ export const fetchNodeById = async (fileId, nodeId, token) => {
       throw new Error('Node not found in response');
     }
     
-    const nodeData = nodes[nodeId].document;
+    const nodeData = prepareNode(nodes[nodeId]);
     
     // Validate critical data exists
     if (!nodeData) {
       throw new Error('No document data in node');
     }
     
-    // If absoluteBoundingBox is missing, try to construct it
-    if (!nodeData.absoluteBoundingBox && nodeData.children) {
-      console.warn('absoluteBoundingBox missing, attempting to calculate from children');
-      nodeData.absoluteBoundingBox = calculateBoundingBox(nodeData.children);
-    }
-    
     console.log('🎯 Fetched node data:', nodeData);
     return nodeData;
     
@@ -56,6 +43,68 @@ export const fetchNodeById = async (fileId, nodeId, token) => {
   }
 };
 
+/**
+ * Fetch several nodes in one request, together with the file version they come from
+ * @param {string} fileId - Figma file key
+ * @param {Array<string>} nodeIds - Node ids
+ * @param {string} token - Figma token
+ * @returns {Promise<Object>} { version, lastModified, nodes: { [nodeId]: node | null } } - null for deleted nodes
+ */
+export const fetchNodesById = async (fileId, nodeIds, token) => {
+  try {
+    const response = await figmaGet(`/files/${fileId}/nodes?ids=${nodeIds.join(',')}`, token);
+    const nodes = {};
+
+    nodeIds.forEach(nodeId => {
+      const entry = response.data.nodes?.[nodeId];
+      nodes[nodeId] = entry ? prepareNode(entry) : null;
+    });
+
+    return { version: response.data.version, lastModified: response.data.lastModified, nodes };
+  } catch (error) {
+    console.error('Figma API error:', error.response?.data || error.message);
+    throw new Error(`Failed to fetch nodes: ${error.response?.data?.err || error.message}`);
+  }
+};
+
+/**
+ * Fetch the file's local Variables, with their collections and modes
+ * The endpoint needs an Enterprise plan and the file_variables:read scope, so any
+ * failure resolves to null and design tokens fall back to styles and raw values.
+ * @param {string} fileId - Figma file key
+ * @param {string} token - Figma token
+ * @returns {Promise<Object|null>} { variables, variableCollections } or null
+ */
+export const fetchLocalVariables = async (fileId, token) => {
+  try {
+    const response = await figmaGet(`/files/${fileId}/variables/local`, token);
+    return response.data?.meta || null;
+  } catch (error) {
+    console.warn('Local variables unavailable:', error.response?.data?.message || error.message);
+    return null;
+  }
+};
+
+// Take the document out of a /nodes entry and fill in what the generators rely on
+function prepareNode(entry) {
+  const nodeData = entry.document;
+  if (!nodeData) return null;
+
+  // Library component keys live next to the document - copy them onto the instances
+  annotateComponentKeys(nodeData, entry.components, entry.componentSets);
+
+  // Same for style names, which design tokens are named after
+  annotateStyleNames(nodeData, entry.styles);
+
+  // If absoluteBoundingBox is missing, try to construct it
+  if (!nodeData.absoluteBoundingBox && nodeData.children) {
+    console.warn('absoluteBoundingBox missing, attempting to calculate from children');
+    nodeData.absoluteBoundingBox = calculateBoundingBox(nodeData.children);
+  }
+
+  return nodeData;
+}
+
 function calculateBoundingBox(children) {
   if (!children || children.length === 0) return null;
   
@@ -0,0 +1,39 @@
+import axios from 'axios';
+import { figmaGet, isProxyEnabled } from '../apiProxy';
+
+// axios ships as ESM - jest.mock is hoisted above the import
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+describe('apiProxy', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.REACT_APP_API_PROXY_URL;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should call Figma directly with the personal token', () => {
+    figmaGet('/files/abc/nodes?ids=1:2', 'figd_token');
+
+    expect(isProxyEnabled()).toBe(false);
+    expect(axios.get).toHaveBeenCalledWith('https://api.figma.com/v1/files/abc/nodes?ids=1:2', {
+      headers: { 'X-Figma-Token': 'figd_token' }
+    });
+  });
+
+  it('should leave the token out when the proxy is enabled', () => {
+    process.env.REACT_APP_API_PROXY_URL = '/api/';
+
+    figmaGet('/images/abc?ids=1:2&format=png', 'figd_token');
+
+    expect(isProxyEnabled()).toBe(true);
+    expect(axios.get).toHaveBeenCalledWith('/api/figma/images/abc?ids=1:2&format=png', { withCredentials: true });
+  });
+});
@@ -0,0 +1,150 @@
+import { collectBatchNodes, generateComponentBundle, runBatchQueue, buildBatchZip } from '../batchGenerator';
+
+// axios ships as ESM - jest.mock is hoisted above the import
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+describe('batchGenerator', () => {
+  const button = {
+    id: '1:1',
+    name: 'Primary',
+    type: 'GROUP',
+    absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 40 },
+    children: [
+      {
+        id: '1:2',
+        name: 'Bg',
+        type: 'RECTANGLE',
+        absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 40 },
+        fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }]
+      },
+      {
+        id: '1:3',
+        name: 'Label',
+        type: 'TEXT',
+        characters: 'Go',
+        absoluteBoundingBox: { x: 40, y: 10, width: 40, height: 20 },
+        style: { fontSize: 14 }
+      }
+    ]
+  };
+
+  describe('collectBatchNodes', () => {
+    it('should expand pages into their components and drop duplicates', () => {
+      const page = {
+        id: '0:1',
+        type: 'CANVAS',
+        children: [
+          button,
+          { id: '2:1', type: 'FRAME', name: 'Card' },
+          { id: '2:2', type: 'FRAME', name: 'Hidden', visible: false },
+          { id: '2:3', type: 'TEXT', name: 'Loose text' }
+        ]
+      };
+
+      expect(collectBatchNodes([page, button]).map(node => node.id)).toEqual(['1:1', '2:1']);
+    });
+  });
+
+  describe('generateComponentBundle', () => {
+    it('should compile a node into component, story and token files', async () => {
+      const bundle = await generateComponentBundle(button);
+
+      expect(bundle.componentName).toBe('PrimaryButton');
+      expect(bundle.files.map(file => file.name)).toEqual([
+        'PrimaryButton.jsx',
+        'PrimaryButton.stories.js',
+        'PrimaryButton.tokens.css',
+        'PrimaryButton.tokens.json'
+      ]);
+      expect(bundle.files[0].content).toMatch(/^import React from 'react';/);
+      expect(bundle.files[0].content).toContain('export default PrimaryButton;');
+      expect(bundle.files[1].content).toContain("import PrimaryButton from './PrimaryButton';");
+    });
+
+    it('should run the AI mode offline with the fixture provider', async () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, REACT_APP_LLM_PROVIDER: 'mock' };
+
+      try {
+        const bundle = await generateComponentBundle(button, { mode: 'ai' });
+
+        expect(bundle.componentName).toBe('GeneratedComponent');
+        expect(bundle.warnings).toEqual(['Generated by the offline fixture provider']);
+        expect(bundle.files[0].content).toContain('export default GeneratedComponent;');
+      } finally {
+        process.env = originalEnv;
+      }
+    });
+  });
+
+  describe('runBatchQueue', () => {
+    const items = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+
+    it('should never run more items than the concurrency limit', async () => {
+      let active = 0;
+      let peak = 0;
+      const worker = async (item) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return item.id.toUpperCase();
+      };
+
+      const outcomes = await runBatchQueue(items, worker, { concurrency: 2 });
+
+      expect(peak).toBe(2);
+      expect(outcomes.map(outcome => outcome.result)).toEqual(['A', 'B', 'C', 'D']);
+      expect(outcomes.every(outcome => outcome.status === 'done')).toBe(true);
+    });
+
+    it('should retry failed items and report the final status', async () => {
+      const calls = {};
+      const worker = async (item) => {
+        calls[item.id] = (calls[item.id] || 0) + 1;
+        if (item.id === 'a' && calls.a === 1) throw new Error('rate limited');
+        if (item.id === 'b') throw new Error('broken node');
+        return item.id;
+      };
+      const updates = [];
+
+      const outcomes = await runBatchQueue(items.slice(0, 2), worker, {
+        retries: 1,
+        retryDelay: 0,
+        onUpdate: (id, state) => updates.push(`${id}:${state.status}`)
+      });
+
+      expect(outcomes[0]).toMatchObject({ status: 'done', attempts: 2 });
+      expect(outcomes[1]).toMatchObject({ status: 'failed', attempts: 2, error: 'broken node' });
+      expect(updates).toContain('a:retrying');
+    });
+
+    it('should cancel items that have not started when stopped', async () => {
+      let stop = false;
+      const worker = async () => { stop = true; };
+
+      const outcomes = await runBatchQueue(items, worker, { concurrency: 1, shouldStop: () => stop });
+
+      expect(outcomes.map(outcome => outcome.status)).toEqual(['done', 'cancelled', 'cancelled', 'cancelled']);
+    });
+  });
+
+  describe('buildBatchZip', () => {
+    it('should give components with the same name separate folders', async () => {
+      const bundle = await generateComponentBundle(button);
+      const zip = buildBatchZip([
+        { nodeId: '1:1', nodeName: 'Primary', bundle },
+        { nodeId: '1:9', nodeName: 'Primary', bundle },
+        { nodeId: '3:1', nodeName: 'Broken', error: 'broken node' }
+      ]);
+      const text = String.fromCharCode(...zip);
+
+      expect(text).toContain('PrimaryButton/PrimaryButton.jsx');
+      expect(text).toContain('PrimaryButton2/PrimaryButton.jsx');
+      expect(text).toContain('"error": "broken node"');
+    });
+  });
+});
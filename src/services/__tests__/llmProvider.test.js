@@ -0,0 +1,213 @@
+import axios from 'axios';
+import {
+  completeChat,
+  streamChat,
+  createEventStreamParser,
+  isAbortError,
+  isLLMConfigured,
+  getLLMConfig,
+  createFixtureProvider,
+  setFixtureProvider,
+  fixtureKey,
+  LLM_TASKS
+} from '../llmProvider';
+
+// axios ships as ESM - jest.mock is hoisted above the import
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+describe('llmProvider', () => {
+  const originalEnv = process.env;
+  const messages = [
+    { role: 'system', content: 'You are helpful.' },
+    { role: 'user', content: 'Hello' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    Object.keys(process.env)
+      .filter(name => /^REACT_APP_(LLM|OPENAI|ANTHROPIC|AZURE|API_PROXY)_/.test(name))
+      .forEach(name => delete process.env[name]);
+    setFixtureProvider(null);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should read the API key on every call', () => {
+    expect(isLLMConfigured()).toBe(false);
+
+    process.env.REACT_APP_OPENAI_API_KEY = 'sk-test';
+    expect(isLLMConfigured()).toBe(true);
+  });
+
+  it('should reject an unknown provider', () => {
+    process.env.REACT_APP_LLM_PROVIDER = 'parrot';
+
+    expect(() => getLLMConfig()).toThrow(/Unknown LLM provider "parrot"/);
+  });
+
+  it('should call OpenAI with the model configured for the task', async () => {
+    process.env.REACT_APP_OPENAI_API_KEY = 'sk-test';
+    process.env.REACT_APP_LLM_MODEL_VISION = 'gpt-4o-mini';
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'ok' } }] } });
+
+    await expect(completeChat(LLM_TASKS.VISION, messages, { maxTokens: 800, json: true })).resolves.toBe('ok');
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://api.openai.com/v1/chat/completions',
+      { model: 'gpt-4o-mini', messages, max_tokens: 800, response_format: { type: 'json_object' } },
+      { headers: { 'Content-Type': 'application/json', Authorization: 'Bearer sk-test' } }
+    );
+  });
+
+  it('should address Azure deployments with an api-key header', async () => {
+    process.env.REACT_APP_LLM_PROVIDER = 'azure';
+    process.env.REACT_APP_AZURE_OPENAI_ENDPOINT = 'https://team.openai.azure.com/';
+    process.env.REACT_APP_AZURE_OPENAI_API_KEY = 'azure-key';
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'ok' } }] } });
+
+    await completeChat(LLM_TASKS.GENERATION, messages);
+
+    const [url, body, config] = axios.post.mock.calls[0];
+    expect(url).toBe('https://team.openai.azure.com/openai/deployments/gpt-35-turbo/chat/completions?api-version=2024-06-01');
+    expect(body.model).toBeUndefined();
+    expect(config.headers['api-key']).toBe('azure-key');
+  });
+
+  it('should call a local endpoint without a key', async () => {
+    process.env.REACT_APP_LLM_PROVIDER = 'local';
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'ok' } }] } });
+
+    await completeChat(LLM_TASKS.STRUCTURE, messages);
+
+    const [url, body, config] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(body.model).toBe('llama3.1');
+    expect(config.headers.Authorization).toBeUndefined();
+  });
+
+  it('should convert messages for Anthropic', async () => {
+    process.env.REACT_APP_LLM_PROVIDER = 'anthropic';
+    process.env.REACT_APP_ANTHROPIC_API_KEY = 'anthropic-key';
+    axios.post.mockResolvedValue({ data: { content: [{ type: 'text', text: 'Looks ' }, { type: 'text', text: 'right' }] } });
+
+    const content = await completeChat(LLM_TASKS.VISION, [
+      messages[0],
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Compare' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+        ]
+      }
+    ], { json: true });
+
+    const [url, body, config] = axios.post.mock.calls[0];
+    expect(content).toBe('Looks right');
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(body.system).toBe('You are helpful.');
+    expect(body.messages).toEqual([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Compare' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }
+      ]
+    }]);
+    expect(body.response_format).toBeUndefined();
+    expect(config.headers['x-api-key']).toBe('anthropic-key');
+  });
+
+  it('should send requests through the API proxy without a key', async () => {
+    process.env.REACT_APP_API_PROXY_URL = 'http://localhost:4000/api/';
+    process.env.REACT_APP_LLM_PROVIDER = 'anthropic';
+    axios.post.mockResolvedValue({ data: { content: [{ type: 'text', text: 'ok' }] } });
+
+    expect(isLLMConfigured()).toBe(true);
+    await completeChat(LLM_TASKS.GENERATION, messages);
+
+    const [url, , config] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:4000/api/anthropic/v1/messages');
+    expect(config.headers).toEqual({ 'Content-Type': 'application/json', 'anthropic-version': '2023-06-01' });
+  });
+
+  it('should fail before the request when the provider has no key', async () => {
+    await expect(completeChat(LLM_TASKS.GENERATION, messages)).rejects.toThrow(/openai LLM provider is not configured/);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  describe('fixture provider', () => {
+    beforeEach(() => {
+      process.env.REACT_APP_LLM_PROVIDER = 'mock';
+    });
+
+    it('should replay the response recorded for the exact conversation first', async () => {
+      const provider = createFixtureProvider({ [LLM_TASKS.GENERATION]: 'task default' });
+      provider.record(LLM_TASKS.GENERATION, messages, 'recorded');
+      setFixtureProvider(provider);
+
+      await expect(completeChat(LLM_TASKS.GENERATION, messages)).resolves.toBe('recorded');
+      await expect(completeChat(LLM_TASKS.GENERATION, [messages[1]])).resolves.toBe('task default');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should throw for a request without a fixture', async () => {
+      setFixtureProvider(createFixtureProvider());
+
+      await expect(completeChat(LLM_TASKS.VISION, messages))
+        .rejects.toThrow(`No LLM fixture for "vision" (${fixtureKey(LLM_TASKS.VISION, messages)})`);
+    });
+
+    it('should ship built-in fixtures for every task', async () => {
+      const prompt = 'Original code:\nconst Card = () => <div />;\n\nComponent name: Card';
+
+      await expect(completeChat(LLM_TASKS.STRUCTURE, [{ role: 'user', content: prompt }]))
+        .resolves.toBe('const Card = () => <div />;');
+      await expect(completeChat(LLM_TASKS.VISION, messages)).resolves.toMatch(/Overall: 100%/);
+      expect(JSON.parse(await completeChat(LLM_TASKS.GENERATION, messages)).componentName).toBe('GeneratedComponent');
+    });
+  });
+
+  describe('streamChat', () => {
+    it('should replay fixtures in chunks', async () => {
+      process.env.REACT_APP_LLM_PROVIDER = 'mock';
+      setFixtureProvider(createFixtureProvider({ [LLM_TASKS.GENERATION]: 'x'.repeat(60) }));
+      const onToken = jest.fn();
+
+      const text = await streamChat(LLM_TASKS.GENERATION, messages, { onToken });
+
+      expect(text).toHaveLength(60);
+      expect(onToken).toHaveBeenCalledTimes(3);
+      expect(onToken).toHaveBeenLastCalledWith('x'.repeat(12), text);
+    });
+
+    it('should stop with an abort error when cancelled mid-stream', async () => {
+      process.env.REACT_APP_LLM_PROVIDER = 'mock';
+      setFixtureProvider(createFixtureProvider({ [LLM_TASKS.GENERATION]: 'x'.repeat(60) }));
+      const controller = new AbortController();
+      const onToken = jest.fn(() => controller.abort());
+
+      const error = await streamChat(LLM_TASKS.GENERATION, messages, { onToken, signal: controller.signal }).catch(e => e);
+
+      expect(isAbortError(error)).toBe(true);
+      expect(onToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('should split server-sent events across chunk boundaries', () => {
+      const payloads = [];
+      const parser = createEventStreamParser(data => payloads.push(data));
+
+      parser.push('data: {"choices":[{"delta":{"content":"He"}}]}\n\nda');
+      parser.push('ta: {"choices":[{"delta":{"content":"llo"}}]}\n\nevent: ping\n');
+      parser.push('data: [DONE]\n');
+
+      expect(payloads).toEqual([
+        '{"choices":[{"delta":{"content":"He"}}]}',
+        '{"choices":[{"delta":{"content":"llo"}}]}',
+        '[DONE]'
+      ]);
+    });
+  });
+});
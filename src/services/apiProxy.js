@@ -0,0 +1,77 @@
+/**
+ * API Proxy
+ * @fileoverview Routes Figma and LLM requests through the backend proxy in
+ * server/ when REACT_APP_API_PROXY_URL is set. The proxy holds the
+ * credentials, so the browser never sees them. It also runs the Figma OAuth
+ * login; the session lives in an HttpOnly cookie.
+ */
+
+import axios from 'axios';
+
+const FIGMA_API_BASE = 'https://api.figma.com/v1';
+
+/**
+ * Base URL of the backend proxy, read on every call
+ * @returns {string|null} e.g. 'http://localhost:4000/api', or null when calling APIs directly
+ */
+export function getProxyURL() {
+  const url = process.env.REACT_APP_API_PROXY_URL;
+  return url ? url.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Whether requests go through the backend proxy
+ * @returns {boolean}
+ */
+export function isProxyEnabled() {
+  return Boolean(getProxyURL());
+}
+
+/**
+ * GET a Figma REST endpoint, through the proxy when it is enabled
+ *
+ * @param {string} path - Path below /v1, e.g. `/files/${fileId}/nodes?ids=${nodeId}`
+ * @param {string} [token] - Personal access token (ignored behind the proxy, which uses the OAuth session)
+ * @returns {Promise<Object>} Axios response
+ *
+ * @example
+ * const response = await figmaGet(`/images/${fileId}?ids=${nodeId}&format=png`, token);
+ */
+export function figmaGet(path, token) {
+  const proxyURL = getProxyURL();
+
+  if (proxyURL) {
+    // The proxy identifies the Figma OAuth session by cookie
+    return axios.get(`${proxyURL}/figma${path}`, { withCredentials: true });
+  }
+
+  return axios.get(`${FIGMA_API_BASE}${path}`, {
+    headers: { 'X-Figma-Token': token }
+  });
+}
+
+/**
+ * URL that starts the Figma OAuth login on the proxy
+ * @returns {string|null} null when the proxy is not enabled
+ */
+export function getFigmaLoginURL() {
+  const proxyURL = getProxyURL();
+  return proxyURL ? `${proxyURL}/auth/figma/login` : null;
+}
+
+/**
+ * Ask the proxy who is signed in to Figma
+ * @returns {Promise<Object>} { oauth, connected, sharedToken, user: { handle, email, imgUrl } | null }
+ */
+export async function fetchFigmaSession() {
+  const response = await axios.get(`${getProxyURL()}/auth/figma/me`, { withCredentials: true });
+  return response.data;
+}
+
+/**
+ * End the Figma OAuth session on the proxy
+ * @returns {Promise<void>}
+ */
+export async function logoutFigma() {
+  await axios.post(`${getProxyURL()}/auth/figma/logout`, null, { withCredentials: true });
+}
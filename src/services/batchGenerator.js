@@ -0,0 +1,237 @@
+/**
+ * Batch Generator
+ *
+ * Generates many components in one go: expands the user's selection (whole
+ * pages included) into component nodes, runs them through a small queue with a
+ * concurrency limit and per-item retries, and bundles every result into a ZIP.
+ */
+
+import { generateSpecAndCode, refineCompiledCode } from './openai';
+import { compileFigmaNode, generateComponentName } from '../utils/figmaCompiler';
+import { hasComponentProperties, compileVariantComponent } from '../utils/variantCompiler';
+import { findComponentKeyMapping } from '../utils/componentKeyMap';
+import { generateStorybookStory, generateStoryFilename } from '../utils/storybookGenerator';
+import { extractDesignTokens, exportTokensAsCSS, exportTokensAsJSON } from '../utils/tokenExtractor';
+import { createZip } from '../utils/zipWriter';
+
+// Node types that become one generated component each
+const COMPONENT_NODE_TYPES = ['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'GROUP'];
+
+// Node types that only hold components - selecting them selects their children
+const CONTAINER_NODE_TYPES = ['DOCUMENT', 'CANVAS', 'SECTION'];
+
+/**
+ * Expand a selection into the list of nodes to generate
+ * Pages (CANVAS) and sections contribute their top-level components; duplicates are dropped.
+ *
+ * @param {Array<Object>} nodes - Selected tree nodes
+ * @returns {Array<Object>} Component nodes in selection order
+ */
+export const collectBatchNodes = (nodes) => {
+  const collected = [];
+  const seen = new Set();
+
+  const visit = (node) => {
+    if (!node || node.visible === false) return;
+
+    if (CONTAINER_NODE_TYPES.includes(node.type)) {
+      (node.children || []).forEach(visit);
+      return;
+    }
+
+    if (COMPONENT_NODE_TYPES.includes(node.type) && !seen.has(node.id)) {
+      seen.add(node.id);
+      collected.push(node);
+    }
+  };
+
+  (nodes || []).forEach(visit);
+  return collected;
+};
+
+/**
+ * Generate the files for a single component
+ *
+ * @param {Object} nodeData - Full Figma node (from fetchNodeById)
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.mode] - 'compiler', 'refine' or 'ai' (same as the Generator setting)
+ * @param {string} [options.library] - Component library the root (or the AI output) uses
+ * @param {Object} [options.registry] - Design system registry for compiling with 'design-system'
+ * @param {Object} [options.componentKeyMap] - Figma component key -> code component table for detection
+ * @param {Object} [options.variables] - Local Figma Variables (fetchLocalVariables) for token names and modes
+ * @returns {Promise<Object>} { componentName, componentDetection, files: [{ name, content }], warnings }
+ */
+export const generateComponentBundle = async (nodeData, options = {}) => {
+  const { mode = 'compiler', library = 'none', registry, componentKeyMap, variables } = options;
+  let code;
+  let componentDetection;
+  let componentProperties;
+  let imports = [];
+  let warnings = [];
+
+  if (mode === 'ai') {
+    const result = await generateSpecAndCode(nodeData, library);
+    code = result.code;
+    imports = result.imports;
+    warnings = result.warnings;
+    componentDetection = result.componentDetection;
+    componentProperties = result.componentProperties;
+  } else {
+    const compiled = hasComponentProperties(nodeData) && !findComponentKeyMapping(nodeData, componentKeyMap)
+      ? compileVariantComponent(nodeData)
+      : compileFigmaNode(nodeData, { componentKeyMap, library, registry });
+    code = compiled.code;
+    componentDetection = compiled.componentDetection;
+    componentProperties = compiled.componentProperties;
+    warnings = compiled.warnings;
+
+    if (mode === 'refine') {
+      const refined = await refineCompiledCode(compiled, nodeData);
+      code = refined.code;
+      imports = refined.imports;
+      warnings = [...warnings, ...refined.warnings];
+    }
+  }
+
+  if (!code) {
+    throw new Error('Generation returned no code');
+  }
+
+  const nameMatch = code.match(/const\s+([A-Z][a-zA-Z0-9]*)\s*=/);
+  const componentName = nameMatch
+    ? nameMatch[1]
+    : generateComponentName(nodeData.name, componentDetection?.componentType);
+
+  const tokens = extractDesignTokens(nodeData, { variables });
+
+  return {
+    componentName,
+    componentDetection,
+    warnings,
+    files: [
+      { name: `${componentName}.jsx`, content: toModule(code, componentName, imports) },
+      { name: generateStoryFilename(componentName), content: generateStorybookStory(code, componentName, componentDetection, componentProperties) },
+      { name: `${componentName}.tokens.css`, content: exportTokensAsCSS(tokens) },
+      { name: `${componentName}.tokens.json`, content: exportTokensAsJSON(tokens) }
+    ]
+  };
+};
+
+/**
+ * Run a worker over every item with a concurrency limit and automatic retries
+ *
+ * @param {Array<Object>} items - Items with a unique id
+ * @param {Function} worker - async (item) => result
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.concurrency] - Items processed at the same time
+ * @param {number} [options.retries] - Extra attempts after a failure
+ * @param {number} [options.retryDelay] - Base delay in ms, multiplied by the attempt number
+ * @param {Function} [options.onUpdate] - (id, { status, attempts, result, error }) on every change
+ * @param {Function} [options.shouldStop] - Returns true to stop starting new items
+ * @returns {Promise<Array>} [{ id, status, attempts, result, error }] in item order
+ *
+ * @example
+ * await runBatchQueue(nodes, node => generate(node), {
+ *   concurrency: 3,
+ *   onUpdate: (id, state) => setStatuses(prev => ({ ...prev, [id]: state }))
+ * });
+ */
+export const runBatchQueue = async (items, worker, options = {}) => {
+  const {
+    concurrency = 3,
+    retries = 1,
+    retryDelay = 1000,
+    onUpdate = () => {},
+    shouldStop = () => false
+  } = options;
+
+  const outcomes = items.map(item => ({ id: item.id, status: 'queued', attempts: 0 }));
+  const update = (index, changes) => {
+    Object.assign(outcomes[index], changes);
+    const { id, ...state } = outcomes[index];
+    onUpdate(id, state);
+  };
+
+  let next = 0;
+  const runLane = async () => {
+    while (next < items.length) {
+      const index = next++;
+
+      if (shouldStop()) {
+        update(index, { status: 'cancelled' });
+        continue;
+      }
+
+      for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        update(index, { status: 'running', attempts: attempt, error: undefined });
+        try {
+          const result = await worker(items[index]);
+          update(index, { status: 'done', result });
+          break;
+        } catch (error) {
+          const lastAttempt = attempt > retries || shouldStop();
+          update(index, { status: lastAttempt ? 'failed' : 'retrying', error: error.message });
+          if (lastAttempt) break;
+          await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+        }
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, runLane));
+
+  return outcomes;
+};
+
+/**
+ * Bundle generated components into one ZIP
+ * Each component gets its own folder; a manifest lists what succeeded and what failed.
+ *
+ * @param {Array<Object>} entries - [{ nodeId, nodeName, bundle, error }] - bundle from generateComponentBundle
+ * @returns {Uint8Array} ZIP archive bytes
+ */
+export const buildBatchZip = (entries) => {
+  const files = [];
+  const usedFolders = new Set();
+  const manifest = { generatedAt: new Date().toISOString(), components: [], failed: [] };
+
+  entries.forEach(entry => {
+    if (!entry.bundle) {
+      manifest.failed.push({ nodeId: entry.nodeId, nodeName: entry.nodeName, error: entry.error || 'Not generated' });
+      return;
+    }
+
+    // Two layers can compile to the same name - keep both
+    let folder = entry.bundle.componentName;
+    for (let suffix = 2; usedFolders.has(folder); suffix++) {
+      folder = `${entry.bundle.componentName}${suffix}`;
+    }
+    usedFolders.add(folder);
+
+    entry.bundle.files.forEach(file => files.push({ name: `${folder}/${file.name}`, content: file.content }));
+    manifest.components.push({
+      nodeId: entry.nodeId,
+      nodeName: entry.nodeName,
+      componentName: entry.bundle.componentName,
+      folder,
+      componentType: entry.bundle.componentDetection?.componentType,
+      warnings: entry.bundle.warnings
+    });
+  });
+
+  files.push({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+  return createZip(files);
+};
+
+// Generated code is a component declaration (compiled code may start with its
+// library imports) - make it an importable module
+function toModule(code, componentName, imports = []) {
+  const statements = [
+    ...(/^import\s+React\b/m.test(code) ? [] : ["import React from 'react';"]),
+    ...imports.filter(statement => !code.includes(statement.replace(/;$/, '')))
+  ];
+  const header = statements.length > 0 ? `${statements.join('\n')}\n\n` : '';
+  const footer = /export\s+default/.test(code) ? '' : `\n\nexport default ${componentName};`;
+  return `${header}${code}${footer}\n`;
+}
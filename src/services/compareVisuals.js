@@ -1,8 +1,15 @@
-import axios from 'axios';
+/**
+ * Compare Visuals
+ * @fileoverview Scores how closely the live preview matches the Figma render.
+ * The scores come from the local pixel diff (see utils/pixelDiff.js), so they
+ * are reproducible and free. A narrative from the vision model (per-section
+ * notes and suggested fixes) can be added on request.
+ */
 
-const OPENAI_API_KEY = process.env.REACT_APP_OPENAI_API_KEY;
+import { completeChat, isLLMConfigured, LLM_TASKS } from './llmProvider';
+import { comparePixels, loadImageData, imageDataToDataURL, DELTA_E_THRESHOLD } from '../utils/pixelDiff';
 
-// Cache comparison results to avoid re-analyzing same images
+// Cache narratives to avoid re-analyzing the same images
 const comparisonCache = new Map();
 
 // Clear cache function for testing
@@ -11,53 +18,156 @@ export const clearComparisonCache = () => {
 };
 
 function getCacheKey(reactImage, figmaImage) {
-  // Create hash from image data URLs
-  return `${reactImage.substring(0, 50)}_${figmaImage.substring(0, 50)}`;
+  // Hash the whole data URLs - PNG data URLs share their first bytes
+  let hash = 0x811c9dc5;
+  const text = `${reactImage}|${figmaImage}`;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${hash.toString(16)}_${text.length}`;
 }
 
-export const compareVisuals = async (livePreviewUrl, figmaPreviewUrl) => {
+/**
+ * Compare the live preview with the Figma render
+ *
+ * @param {string} livePreviewUrl - Data URL of the captured live preview
+ * @param {string} figmaPreviewUrl - Figma render URL (data URL or CORS-enabled URL)
+ * @param {Object} [options]
+ * @param {boolean} [options.narrative=false] - Also ask the vision model for notes and fixes
+ * @returns {Promise<Object>} { accuracyScore: { overall, dimensions, colors, structure, pixels },
+ *   pixelDiff: { width, height, mismatchRatio, meanDeltaE, maxDeltaE, ssim, heatmapUrl },
+ *   dimensions, colors, spacing, typography, borders, criticalIssues, actionableFixes,
+ *   narrative, narrativeError, rawResponse }
+ */
+export const compareVisuals = async (livePreviewUrl, figmaPreviewUrl, options = {}) => {
+  const { narrative = false } = options;
+
+  if (!figmaPreviewUrl) {
+    throw new Error('Figma preview URL is required for comparison');
+  }
+  if (!livePreviewUrl) {
+    throw new Error('Live preview image is required for comparison');
+  }
+
+  let report;
   try {
-    if (!figmaPreviewUrl) {
-      throw new Error('Figma preview URL is required for comparison');
-    }
+    const [reactImage, figmaImage] = await Promise.all([loadImageData(livePreviewUrl), loadImageData(figmaPreviewUrl)]);
+    const diff = comparePixels(reactImage, figmaImage);
+    report = buildPixelReport(diff, imageDataToDataURL(diff.heatmap));
+  } catch (error) {
+    console.error('Error comparing visuals:', error);
+    throw new Error(`Failed to compare the component preview: ${error.message}`);
+  }
 
-    if (!OPENAI_API_KEY) {
-      console.warn('OpenAI API key is not configured. Using fallback analysis.');
-      return getFallbackAnalysis();
-    }
+  if (!narrative) {
+    return report;
+  }
 
-    // Simple fallback for test environments or invalid URLs
-    if (process.env.NODE_ENV === 'test' || !livePreviewUrl || !livePreviewUrl.startsWith('data:')) {
-      console.warn('Running in test mode or invalid preview URL - using fallback analysis');
-      return getFallbackAnalysis();
-    }
+  try {
+    const notes = await describeDifferences(livePreviewUrl, figmaPreviewUrl);
+    return mergeNarrative(report, notes);
+  } catch (error) {
+    console.warn('Visual narrative unavailable:', error.message);
+    return { ...report, narrativeError: error.message };
+  }
+};
 
-    console.log('Attempting to analyze component with OpenAI API...');
-    
-    // Check cache first
-    const cacheKey = getCacheKey(livePreviewUrl, figmaPreviewUrl);
-    if (comparisonCache.has(cacheKey)) {
-      console.log('Returning cached comparison results');
-      return comparisonCache.get(cacheKey);
-    }
-    
-    try {
-      // Get image data for both previews
-      const figmaImageData = figmaPreviewUrl;
-      const reactImageData = livePreviewUrl;
-      
-      // For single image analysis, which is more reliable
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: 'gpt-4o',
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: `You are a visual QA expert analyzing UI implementation accuracy.
+/**
+ * Turn pixel diff metrics into the comparison report shown by LiveCodePreview
+ * @param {Object} diff - From comparePixels
+ * @param {string|null} heatmapUrl - Encoded heatmap
+ * @returns {Object} Report without narrative
+ */
+export function buildPixelReport(diff, heatmapUrl) {
+  const accuracyScore = {
+    dimensions: toScore(diff.aspectSimilarity),
+    // A mean ΔE of 10 is a clearly different palette
+    colors: toScore(1 - diff.meanDeltaE / 20),
+    structure: toScore(diff.ssim),
+    pixels: toScore(1 - diff.mismatchRatio)
+  };
+  accuracyScore.overall = Math.round(
+    accuracyScore.structure * 0.35 + accuracyScore.pixels * 0.3 + accuracyScore.colors * 0.2 + accuracyScore.dimensions * 0.15
+  );
+
+  const { actualSize, expectedSize } = diff;
+  const mismatchPercent = formatPercent(diff.mismatchRatio);
+  const criticalIssues = [];
+
+  if (accuracyScore.dimensions < 97) {
+    criticalIssues.push({
+      description: `Proportions differ: React ${actualSize.width} x ${actualSize.height} vs Figma ${expectedSize.width} x ${expectedSize.height}`,
+      impact: accuracyScore.dimensions < 90 ? 'high' : 'medium'
+    });
+  }
+  if (diff.mismatchRatio > 0.02) {
+    criticalIssues.push({
+      description: `${mismatchPercent}% of pixels differ visibly (ΔE > ${DELTA_E_THRESHOLD}) - see the heatmap`,
+      impact: diff.mismatchRatio > 0.15 ? 'high' : diff.mismatchRatio > 0.05 ? 'medium' : 'low'
+    });
+  }
+  if (diff.meanDeltaE > 5) {
+    criticalIssues.push({ description: `Colors are off on average (mean ΔE ${diff.meanDeltaE.toFixed(1)})`, impact: 'medium' });
+  }
+  if (diff.ssim < 0.9) {
+    criticalIssues.push({ description: `Layout or text differs (structural similarity ${diff.ssim.toFixed(3)})`, impact: 'medium' });
+  }
+
+  return {
+    accuracyScore,
+    pixelDiff: {
+      width: diff.width,
+      height: diff.height,
+      mismatchRatio: diff.mismatchRatio,
+      meanDeltaE: diff.meanDeltaE,
+      maxDeltaE: diff.maxDeltaE,
+      ssim: diff.ssim,
+      heatmapUrl
+    },
+    dimensions: [
+      `- React: ${actualSize.width} x ${actualSize.height} (content, capture scale)`,
+      `- Figma: ${expectedSize.width} x ${expectedSize.height}`,
+      `- Compared at: ${diff.width} x ${diff.height}`,
+      `- Status: ${accuracyScore.dimensions >= 99 ? '✓ Match' : `⚠ Proportions ${accuracyScore.dimensions}% similar`}`
+    ].join('\n'),
+    colors: [
+      `- Mean ΔE: ${diff.meanDeltaE.toFixed(2)}, max ΔE: ${diff.maxDeltaE.toFixed(1)}`,
+      `- Visibly different pixels: ${mismatchPercent}%`,
+      `- Structural similarity (SSIM): ${diff.ssim.toFixed(3)}`
+    ].join('\n'),
+    spacing: 'Not analyzed',
+    typography: 'Not analyzed',
+    borders: 'Not analyzed',
+    criticalIssues,
+    actionableFixes: [],
+    narrative: false,
+    rawResponse: null
+  };
+}
+
+// Ask the vision model to describe the differences; throws when it is unavailable
+async function describeDifferences(livePreviewUrl, figmaPreviewUrl) {
+  if (!isLLMConfigured()) {
+    throw new Error('LLM provider is not configured');
+  }
+
+  const cacheKey = getCacheKey(livePreviewUrl, figmaPreviewUrl);
+  if (comparisonCache.has(cacheKey)) {
+    console.log('Returning cached visual narrative');
+    return comparisonCache.get(cacheKey);
+  }
+
+  console.log('Asking the vision model for a visual narrative...');
+  const responseText = await completeChat(
+    LLM_TASKS.VISION,
+    [
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: `You are a visual QA expert analyzing UI implementation accuracy.
 
 Compare these two screenshots:
 1. React Implementation (generated code)
@@ -116,129 +226,52 @@ Provide specific code changes needed:
 Be precise with measurements. Use actual pixel values, not approximations.
 If something matches perfectly, clearly state "✓ Perfect match".
 If there are no differences, say "✓ Pixel-perfect implementation".`
-                },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: figmaImageData
-                  }
-                },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: reactImageData
-                  }
-                }
-              ]
+          },
+          {
+            type: 'image_url',
+            image_url: {
+              url: figmaPreviewUrl
+            }
+          },
+          {
+            type: 'image_url',
+            image_url: {
+              url: livePreviewUrl
             }
-          ],
-          max_tokens: 800
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_API_KEY}`
           }
-        }
-      );
-
-      console.log('OpenAI response received');
-      
-      // Try to extract JSON from the response
-      const responseText = response.data.choices[0].message.content;
-      console.log('Response text sample:', responseText.substring(0, 200) + '...');
-      
-      try {
-        // Parse the structured response
-        const parsedResults = parseComparisonResults(responseText);
-        
-        // Cache the results
-        comparisonCache.set(cacheKey, parsedResults);
-        
-        return parsedResults;
-        
-      } catch (parseError) {
-        console.warn('Failed to parse structured response:', parseError);
-        return parseTextResponse(responseText);
+        ]
       }
-    } catch (apiError) {
-      console.error('API error:', apiError);
-      console.error('Error details:', apiError.response?.data || apiError.message);
-      
-      // Fall back to static analysis
-      return getFallbackAnalysis();
-    }
-  } catch (error) {
-    console.error('Error comparing visuals:', error);
-    throw new Error('Failed to analyze the component preview');
-  }
-};
+    ],
+    { maxTokens: 800 }
+  );
 
-// Enhance analysis by adding specificity where needed
-function enhanceAnalysis(analysisData) {
-  return analysisData.map(item => {
-    // Ensure titles are specific enough
-    if (item.title.includes('general') || item.title.includes('overall')) {
-      item.priority = 'low';
-    }
-    
-    // Add specificity to vague descriptions
-    if (item.description.length < 50) {
-      item.description += ' Consider checking exact values in the Figma design and comparing with the React implementation.';
+  console.log('Vision model response received');
+  const notes = parseComparisonResults(responseText);
+  comparisonCache.set(cacheKey, notes);
+  return notes;
+}
+
+// Keep the pixel scores; take the model's notes, issues and fixes
+function mergeNarrative(report, notes) {
+  const sections = ['dimensions', 'colors', 'spacing', 'typography', 'borders'];
+  const merged = { ...report, narrative: true, narrativeScore: notes.accuracyScore, rawResponse: notes.rawResponse };
+
+  sections.forEach(section => {
+    if (notes[section] && notes[section] !== 'Not analyzed') {
+      merged[section] = report[section] === 'Not analyzed' ? notes[section] : `${report[section]}\n\n${notes[section]}`;
     }
-    
-    return item;
   });
+  merged.criticalIssues = [...report.criticalIssues, ...notes.criticalIssues];
+  merged.actionableFixes = notes.actionableFixes;
+  return merged;
 }
 
-// Helper to parse text-based responses
-function parseTextResponse(text) {
-  const issues = [];
-  
-  // Look for sections that might indicate issues
-  const lines = text.split('\n');
-  
-  let currentIssue = null;
-  
-  for (const line of lines) {
-    // Try to identify headers or bullet points that might be issues
-    if (line.match(/^#+\s+/) || line.match(/^[-*•]\s+/) || line.match(/^\d+\.\s+/)) {
-      // Save previous issue if we have one
-      if (currentIssue && currentIssue.title && currentIssue.description) {
-        issues.push(currentIssue);
-      }
-      
-      // Start a new issue
-      currentIssue = {
-        title: line.replace(/^[-*•#+\d.]\s+/, '').trim(),
-        description: '',
-        priority: 'medium' // Default priority
-      };
-      
-      // Try to determine priority from keywords
-      const lowerLine = line.toLowerCase();
-      if (lowerLine.includes('critical') || lowerLine.includes('major') || lowerLine.includes('significant')) {
-        currentIssue.priority = 'high';
-      } else if (lowerLine.includes('minor') || lowerLine.includes('subtle') || lowerLine.includes('small')) {
-        currentIssue.priority = 'low';
-      }
-    } else if (currentIssue && line.trim()) {
-      // Add to description of current issue
-      currentIssue.description += (currentIssue.description ? ' ' : '') + line.trim();
-    }
-  }
-  
-  // Add the last issue if we have one
-  if (currentIssue && currentIssue.title && currentIssue.description) {
-    issues.push(currentIssue);
-  }
-  
-  // If we couldn't parse any issues, return a generic analysis
-  if (issues.length === 0) {
-    return getFallbackAnalysis();
-  }
-  
-  return issues;
+function toScore(value) {
+  return Math.max(0, Math.min(100, Math.round(value * 100)));
+}
+
+function formatPercent(ratio) {
+  return Number((ratio * 100).toFixed(1));
 }
 
 // Parse the structured AI response into organized data
@@ -316,33 +349,3 @@ function extractActionableFixes(response) {
   
   return fixes;
 }
-
-// Provides a fallback analysis when API calls fail
-function getFallbackAnalysis() {
-  return {
-    dimensions: 'Unable to analyze dimensions - API unavailable',
-    colors: 'Unable to analyze colors - API unavailable',
-    spacing: 'Unable to analyze spacing - API unavailable',
-    typography: 'Unable to analyze typography - API unavailable',
-    borders: 'Unable to analyze borders - API unavailable',
-    criticalIssues: [
-      {
-        description: 'Visual analysis unavailable - check component manually',
-        impact: 'high'
-      }
-    ],
-    accuracyScore: {
-      overall: 0,
-      dimensions: 0,
-      colors: 0,
-      spacing: 0,
-      typography: 0
-    },
-    actionableFixes: [
-      'Verify component matches Figma design manually',
-      'Check exact pixel values in Figma inspect panel',
-      'Compare colors, spacing, and typography side by side'
-    ],
-    rawResponse: 'Fallback analysis - API unavailable'
-  };
-} 
\ No newline at end of file
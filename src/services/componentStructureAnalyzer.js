@@ -5,9 +5,10 @@
  * ensuring proper JSX hierarchy and React Live compatibility.
  */
 
+import { completeChat, isLLMConfigured, LLM_TASKS } from './llmProvider';
+
 export class ComponentStructureAnalyzer {
-  constructor(openaiApiKey) {
-    this.apiKey = openaiApiKey;
+  constructor() {
     this.analysisCache = new Map();
   }
 
@@ -39,8 +40,8 @@ export class ComponentStructureAnalyzer {
    * Perform AI analysis of component structure
    */
   performAIAnalysis = async (code, componentName) => {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not available');
+    if (!isLLMConfigured()) {
+      throw new Error('LLM provider is not configured');
     }
 
     const prompt = `Analyze this React component code and fix any structural issues for React Live rendering:
@@ -66,32 +67,18 @@ Component name: ${componentName}
 
 Return ONLY the fixed JSX component code in the exact format: const ComponentName = () => { return (<JSX>); }; ComponentName`;
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { 
-            role: 'system', 
-            content: 'You are a React expert who fixes component structure issues for React Live rendering.' 
-          },
-          { role: 'user', content: prompt },
-        ],
-        temperature: 0.1,
-        max_tokens: 1500,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const fixedCode = data.choices[0].message.content.trim();
+    const content = await completeChat(
+      LLM_TASKS.STRUCTURE,
+      [
+        { 
+          role: 'system', 
+          content: 'You are a React expert who fixes component structure issues for React Live rendering.' 
+        },
+        { role: 'user', content: prompt },
+      ],
+      { temperature: 0.1, maxTokens: 1500 }
+    );
+    const fixedCode = content.trim();
 
     return {
       success: true,
@@ -183,6 +170,4 @@ ${componentName}`;
 }
 
 // Export singleton instance
-export const componentStructureAnalyzer = new ComponentStructureAnalyzer(
-  process.env.REACT_APP_OPENAI_API_KEY
-);
+export const componentStructureAnalyzer = new ComponentStructureAnalyzer();
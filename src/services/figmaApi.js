@@ -1,7 +1,5 @@
-import axios from 'axios';
 import { useCache } from '../utils/cache';
-
-const FIGMA_API_BASE = 'https://api.figma.com/v1';
+import { figmaGet } from './apiProxy';
 
 // Create a cache instance for the API service
 const nodeCache = new Map();
@@ -10,9 +8,7 @@ const imageCache = new Map();
 export const fetchFigmaData = async (fileUrl, token) => {
   try {
     const fileId = fileUrl.split('/').pop();
-    const response = await axios.get(`${FIGMA_API_BASE}/files/${fileId}`, {
-      headers: { 'X-Figma-Token': token }
-    });
+    const response = await figmaGet(`/files/${fileId}`, token);
     return response.data;
   } catch (error) {
     console.error('Error fetching Figma data:', error);
@@ -20,21 +16,23 @@ export const fetchFigmaData = async (fileUrl, token) => {
   }
 };
 
-export const fetchNodeById = async (fileId, nodeId, token) => {
+// Nodes are only cached per file version - pass the version from the file response,
+// otherwise every call fetches so designer edits are never hidden
+export const fetchNodeById = async (fileId, nodeId, token, version) => {
   // Check cache first
-  const cacheKey = `${fileId}-${nodeId}`;
-  if (nodeCache.has(cacheKey)) {
+  const cacheKey = `${fileId}@${version}-${nodeId}`;
+  if (version && nodeCache.has(cacheKey)) {
     return nodeCache.get(cacheKey);
   }
 
   try {
-    const response = await axios.get(`${FIGMA_API_BASE}/files/${fileId}/nodes?ids=${nodeId}`, {
-      headers: { 'X-Figma-Token': token }
-    });
+    const response = await figmaGet(`/files/${fileId}/nodes?ids=${nodeId}`, token);
     
-    // Cache the result
+    // Cache the result under the version it was actually read from
     const nodeData = response.data.nodes[nodeId];
-    nodeCache.set(cacheKey, nodeData);
+    if (response.data.version) {
+      nodeCache.set(`${fileId}@${response.data.version}-${nodeId}`, nodeData);
+    }
     
     return nodeData;
   } catch (error) {
@@ -51,9 +49,7 @@ export const fetchNodeThumbnail = async (fileId, nodeId, token) => {
   }
 
   try {
-    const response = await axios.get(`${FIGMA_API_BASE}/images/${fileId}?ids=${nodeId}&format=png`, {
-      headers: { 'X-Figma-Token': token }
-    });
+    const response = await figmaGet(`/images/${fileId}?ids=${nodeId}&format=png`, token);
     
     // Cache the result
     const imageUrl = response.data.images[nodeId];
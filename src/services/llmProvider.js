@@ -0,0 +1,443 @@
+/**
+ * LLM Provider
+ * @fileoverview One chat completion API over several LLM backends. Callers pass
+ * OpenAI-style messages and a task name; the provider adapter and the model for
+ * that task come from the environment, read on every call.
+ *
+ * Environment:
+ * - REACT_APP_LLM_PROVIDER: 'openai' (default), 'anthropic', 'azure', 'local' or 'mock'
+ * - REACT_APP_OPENAI_API_KEY / REACT_APP_ANTHROPIC_API_KEY
+ * - REACT_APP_AZURE_OPENAI_ENDPOINT, REACT_APP_AZURE_OPENAI_API_KEY, REACT_APP_AZURE_OPENAI_API_VERSION
+ * - REACT_APP_LLM_BASE_URL: OpenAI-compatible endpoint for 'local' (Ollama, llama.cpp)
+ * - REACT_APP_LLM_MODEL_<TASK>: model (Azure: deployment) per task, e.g. REACT_APP_LLM_MODEL_VISION
+ * - REACT_APP_API_PROXY_URL: send OpenAI, Anthropic and Azure requests through the
+ *   backend proxy, which holds the API keys (see server/index.js)
+ */
+
+import axios from 'axios';
+import { getProxyURL } from './apiProxy';
+
+/**
+ * Tasks that call an LLM, each with its own model setting
+ */
+export const LLM_TASKS = {
+  GENERATION: 'generation',
+  VISION: 'vision',
+  STRUCTURE: 'structure'
+};
+
+const DEFAULT_MODELS = {
+  openai: { generation: 'gpt-3.5-turbo', vision: 'gpt-4o', structure: 'gpt-3.5-turbo' },
+  anthropic: { generation: 'claude-3-5-sonnet-latest', vision: 'claude-3-5-sonnet-latest', structure: 'claude-3-5-haiku-latest' },
+  azure: { generation: 'gpt-35-turbo', vision: 'gpt-4o', structure: 'gpt-35-turbo' },
+  local: { generation: 'llama3.1', vision: 'llava', structure: 'llama3.1' },
+  mock: { generation: 'fixture', vision: 'fixture', structure: 'fixture' }
+};
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_AZURE_API_VERSION = '2024-06-01';
+const ANTHROPIC_VERSION = '2023-06-01';
+const PROXIED_PROVIDERS = ['openai', 'anthropic', 'azure'];
+const FIXTURE_CHUNK_SIZE = 24;
+
+let fixtureProvider = null;
+
+/**
+ * Read the provider settings from the environment
+ * Values are read on every call, so a key added at runtime (or in a test) is picked up.
+ *
+ * @returns {Object} { provider, apiKey, baseURL, apiVersion, models, proxied }
+ */
+export function getLLMConfig() {
+  const env = process.env;
+  const provider = (env.REACT_APP_LLM_PROVIDER || 'openai').toLowerCase();
+
+  if (!DEFAULT_MODELS[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(DEFAULT_MODELS).join(', ')}`);
+  }
+
+  const models = {};
+  Object.values(LLM_TASKS).forEach(task => {
+    models[task] = env[`REACT_APP_LLM_MODEL_${task.toUpperCase()}`] || DEFAULT_MODELS[provider][task];
+  });
+
+  const settings = {
+    openai: { apiKey: env.REACT_APP_OPENAI_API_KEY, baseURL: 'https://api.openai.com/v1' },
+    anthropic: { apiKey: env.REACT_APP_ANTHROPIC_API_KEY, baseURL: 'https://api.anthropic.com/v1' },
+    azure: {
+      apiKey: env.REACT_APP_AZURE_OPENAI_API_KEY,
+      baseURL: (env.REACT_APP_AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, ''),
+      apiVersion: env.REACT_APP_AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION
+    },
+    local: { apiKey: env.REACT_APP_LLM_API_KEY, baseURL: (env.REACT_APP_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL).replace(/\/+$/, '') },
+    mock: {}
+  };
+
+  const proxyURL = getProxyURL();
+  if (proxyURL && PROXIED_PROVIDERS.includes(provider)) {
+    // The proxy mirrors each provider's API below its own prefix and adds the key
+    const proxyPaths = { openai: '/openai/v1', anthropic: '/anthropic/v1', azure: '/azure' };
+    return { provider, models, ...settings[provider], apiKey: undefined, baseURL: `${proxyURL}${proxyPaths[provider]}`, proxied: true };
+  }
+
+  return { provider, models, ...settings[provider], proxied: false };
+}
+
+/**
+ * Whether the configured provider has what it needs to make a request
+ * Local endpoints, the fixture provider and the API proxy need no key.
+ *
+ * @returns {boolean}
+ */
+export function isLLMConfigured() {
+  const config = getLLMConfig();
+  if (config.proxied || config.provider === 'mock' || config.provider === 'local') return true;
+  if (config.provider === 'azure') return Boolean(config.apiKey && config.baseURL);
+  return Boolean(config.apiKey);
+}
+
+/**
+ * Send a chat conversation to the configured provider
+ *
+ * Messages use the OpenAI shape: { role, content } where content is a string or
+ * an array of { type: 'text', text } / { type: 'image_url', image_url: { url } } parts.
+ *
+ * @param {string} task - One of LLM_TASKS, selects the model
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} [options] - Request options
+ * @param {number} [options.maxTokens] - Completion token limit (default 1000)
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {boolean} [options.json] - Ask for a JSON object response where the provider supports it
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} Message content of the reply
+ *
+ * @example
+ * const content = await completeChat(LLM_TASKS.GENERATION, [
+ *   { role: 'user', content: 'Describe this frame' }
+ * ], { maxTokens: 500 });
+ */
+export async function completeChat(task, messages, options = {}) {
+  const { config, request } = prepareRequest(task, messages, options);
+
+  switch (config.provider) {
+    case 'anthropic':
+      return sendAnthropic(config, request);
+    case 'mock':
+      return getFixtureProvider().complete(task, messages);
+    default:
+      return sendOpenAICompatible(config, request);
+  }
+}
+
+/**
+ * Stream a chat conversation from the configured provider
+ * Same request as completeChat, but the reply is passed on as it is generated.
+ *
+ * @param {string} task - One of LLM_TASKS, selects the model
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} [options] - completeChat options, plus:
+ * @param {Function} [options.onToken] - (delta, textSoFar) for every received chunk
+ * @returns {Promise<string>} Full message content
+ * @throws {Error} AbortError when options.signal is aborted mid-stream
+ *
+ * @example
+ * const controller = new AbortController();
+ * await streamChat(LLM_TASKS.GENERATION, messages, {
+ *   signal: controller.signal,
+ *   onToken: (delta, text) => setPartial(text)
+ * });
+ */
+export async function streamChat(task, messages, options = {}) {
+  const { config, request } = prepareRequest(task, messages, options);
+  const onToken = options.onToken || (() => {});
+  let text = '';
+  const emit = (delta) => {
+    text += delta;
+    onToken(delta, text);
+  };
+
+  if (config.provider === 'mock') {
+    const content = await getFixtureProvider().complete(task, messages);
+    // Replay the fixture in small chunks, like a model would send it
+    for (let i = 0; i < content.length; i += FIXTURE_CHUNK_SIZE) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      throwIfAborted(request.signal);
+      emit(content.slice(i, i + FIXTURE_CHUNK_SIZE));
+    }
+    return text;
+  }
+
+  const isAnthropic = config.provider === 'anthropic';
+  const { url, headers, body } = isAnthropic
+    ? buildAnthropicRequest(config, request)
+    : buildOpenAIRequest(config, request);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ ...body, stream: true }),
+    signal: request.signal
+  });
+  if (!response.ok) {
+    throw new Error(`${config.provider} streaming request failed (${response.status}): ${await response.text()}`);
+  }
+
+  const parser = createEventStreamParser(data => {
+    if (data === '[DONE]') return;
+    const event = JSON.parse(data);
+
+    if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Streaming error');
+    }
+    const delta = isAnthropic
+      ? event.type === 'content_block_delta' && event.delta.text
+      : event.choices?.[0]?.delta?.content;
+    if (delta) emit(delta);
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push('\n');
+
+  return text;
+}
+
+/**
+ * Split a server-sent event stream into its data payloads
+ * Chunks can end anywhere - partial lines are kept until the rest arrives.
+ *
+ * @param {Function} onData - (payload) for every `data:` line
+ * @returns {Object} { push(chunk) }
+ */
+export function createEventStreamParser(onData) {
+  let buffer = '';
+
+  return {
+    push: (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      lines.forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('data:')) onData(trimmed.slice(5).trim());
+      });
+    }
+  };
+}
+
+/**
+ * Whether an error comes from a cancelled request
+ * @param {Error} error - Error thrown by completeChat or streamChat
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return Boolean(error) && (error.name === 'AbortError' || error.name === 'CanceledError');
+}
+
+/**
+ * Create a provider that replays recorded responses instead of calling a model
+ *
+ * A response is looked up by task and a hash of the conversation first, then by
+ * task alone. Fixture values are strings or (messages) => string. An unknown
+ * request throws, so a test never silently falls through to a real model.
+ *
+ * @param {Object} [fixtures] - { [fixtureKey(task, messages) | task]: response }
+ * @returns {Object} { complete(task, messages), record(task, messages, response), fixtures }
+ */
+export function createFixtureProvider(fixtures = {}) {
+  const recorded = { ...fixtures };
+
+  return {
+    fixtures: recorded,
+    complete: async (task, messages) => {
+      const response = recorded[fixtureKey(task, messages)] ?? recorded[task];
+      if (response === undefined) {
+        throw new Error(`No LLM fixture for "${task}" (${fixtureKey(task, messages)})`);
+      }
+      return typeof response === 'function' ? response(messages) : response;
+    },
+    record: (task, messages, response) => {
+      recorded[fixtureKey(task, messages)] = response;
+    }
+  };
+}
+
+/**
+ * Replace the fixtures used when REACT_APP_LLM_PROVIDER is 'mock'
+ * @param {Object|null} provider - From createFixtureProvider, or null for the built-in fixtures
+ */
+export function setFixtureProvider(provider) {
+  fixtureProvider = provider;
+}
+
+/**
+ * Key a recorded response by task and conversation
+ * @param {string} task - One of LLM_TASKS
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} e.g. 'generation:1a2b3c4d'
+ */
+export function fixtureKey(task, messages) {
+  const text = JSON.stringify(messages);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return `${task}:${(hash >>> 0).toString(16)}`;
+}
+
+function getFixtureProvider() {
+  if (!fixtureProvider) {
+    fixtureProvider = createFixtureProvider(DEFAULT_FIXTURES);
+  }
+  return fixtureProvider;
+}
+
+function prepareRequest(task, messages, options) {
+  const config = getLLMConfig();
+  const request = {
+    model: config.models[task] || DEFAULT_MODELS[config.provider][LLM_TASKS.GENERATION],
+    messages,
+    maxTokens: options.maxTokens || 1000,
+    temperature: options.temperature,
+    json: Boolean(options.json),
+    signal: options.signal
+  };
+
+  if (config.provider !== 'mock' && !isLLMConfigured()) {
+    throw new Error(`${config.provider} LLM provider is not configured - check the API key settings in your .env file`);
+  }
+
+  throwIfAborted(request.signal);
+  console.log(`🤖 LLM: ${config.provider} request for "${task}" (${request.model})`);
+  return { config, request };
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const error = new Error('The request was cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+async function sendOpenAICompatible(config, request) {
+  const { url, headers, body } = buildOpenAIRequest(config, request);
+  const response = await axios.post(url, body, { headers, signal: request.signal });
+  return response.data.choices[0].message.content;
+}
+
+async function sendAnthropic(config, request) {
+  const { url, headers, body } = buildAnthropicRequest(config, request);
+  const response = await axios.post(url, body, { headers, signal: request.signal });
+
+  return response.data.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+function buildOpenAIRequest(config, request) {
+  const isAzure = config.provider === 'azure';
+  const url = isAzure
+    ? `${config.baseURL}/openai/deployments/${request.model}/chat/completions?api-version=${config.apiVersion}`
+    : `${config.baseURL}/chat/completions`;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (isAzure && config.apiKey) {
+    headers['api-key'] = config.apiKey;
+  } else if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  const body = {
+    messages: request.messages,
+    max_tokens: request.maxTokens
+  };
+  if (!isAzure) body.model = request.model;
+  if (request.temperature !== undefined) body.temperature = request.temperature;
+  if (request.json) body.response_format = { type: 'json_object' };
+
+  return { url, headers, body };
+}
+
+function buildAnthropicRequest(config, request) {
+  const system = request.messages
+    .filter(message => message.role === 'system')
+    .map(message => toText(message.content))
+    .join('\n\n');
+
+  const body = {
+    model: request.model,
+    max_tokens: request.maxTokens,
+    messages: request.messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({ role: message.role, content: toAnthropicContent(message.content) }))
+  };
+  if (system) body.system = system;
+  if (request.temperature !== undefined) body.temperature = request.temperature;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'anthropic-version': ANTHROPIC_VERSION
+  };
+  if (!config.proxied) {
+    headers['x-api-key'] = config.apiKey;
+    // Without the proxy the app calls the API straight from the browser
+    headers['anthropic-dangerous-direct-browser-access'] = 'true';
+  }
+
+  return { url: `${config.baseURL}/messages`, headers, body };
+}
+
+function toText(content) {
+  return Array.isArray(content)
+    ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+    : String(content);
+}
+
+function toAnthropicContent(content) {
+  if (!Array.isArray(content)) return String(content);
+
+  return content.map(part => {
+    if (part.type !== 'image_url') return { type: 'text', text: part.text };
+
+    const match = part.image_url.url.match(/^data:([^;]+);base64,(.*)$/);
+    return match
+      ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+      : { type: 'image', source: { type: 'url', url: part.image_url.url } };
+  });
+}
+
+// Responses for REACT_APP_LLM_PROVIDER=mock - enough for every step of the pipeline to run offline
+const DEFAULT_FIXTURES = {
+  [LLM_TASKS.GENERATION]: JSON.stringify({
+    spec: 'Offline fixture: 200x100 container with a centered label.',
+    code: "const GeneratedComponent = () => {\n  return (\n    <div style={{ width: '200px', height: '100px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>\n      Generated component\n    </div>\n  );\n};",
+    componentName: 'GeneratedComponent',
+    imports: [],
+    warnings: ['Generated by the offline fixture provider']
+  }),
+  [LLM_TASKS.VISION]: `## DIMENSIONS
+- Status: ✓ Match
+
+## CRITICAL ISSUES
+1. No critical issues found - Impact: Low
+
+## ACCURACY SCORE
+Overall: 100%
+
+## ACTIONABLE FIXES
+1. No fixes needed (offline fixture)`,
+  // Echo the submitted code back unchanged
+  [LLM_TASKS.STRUCTURE]: (messages) => {
+    const prompt = toText(messages[messages.length - 1].content);
+    const match = prompt.match(/Original code:\n([\s\S]*?)\n\nComponent name:/);
+    return match ? match[1] : '';
+  }
+};
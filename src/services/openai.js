@@ -1,16 +1,21 @@
-import axios from 'axios';
+import { completeChat, streamChat, isLLMConfigured, LLM_TASKS } from './llmProvider';
 import { detectComponentPattern } from '../utils/componentDetector';
 import { generateImageJSX } from '../utils/imageHandler';
-import { mapToComponentLibrary } from '../utils/componentMapper';
+import { mapToComponentLibrary, generateImports, prependImports } from '../utils/componentMapper';
+import { loadRegistry, describeRegistryProps, DESIGN_SYSTEM_LIBRARY } from '../utils/designSystemRegistry';
+import { loadComponentKeyMap } from '../utils/componentKeyMap';
+import {
+  requestWithContract,
+  formatGenerationOutput,
+  parsePartialGenerationOutput,
+  GENERATION_CONTRACT_INSTRUCTIONS
+} from '../utils/generationContract';
 import { checkColorContrast } from '../utils/accessibilityEnhancer';
+import { isAutoLayout } from '../utils/figmaCompiler';
+import { hasComponentProperties, extractComponentProperties } from '../utils/variantCompiler';
 
-const OPENAI_API_KEY = process.env.REACT_APP_OPENAI_API_KEY;
-
-console.log('OpenAI API Key loaded:', OPENAI_API_KEY ? 'Yes' : 'No');
-
-if (!OPENAI_API_KEY) {
-  console.warn('⚠️ OpenAI API key is not set. Please set REACT_APP_OPENAI_API_KEY in your .env file');
-}
+// Generation runs in JSON mode with room for a full component
+const GENERATION_REQUEST = { temperature: 0.4, maxTokens: 2000, json: true };
 
 /**
  * Generates component-specific generation rules based on detected component type
@@ -79,9 +84,148 @@ function getComponentSpecificRules(componentType) {
   return rules[componentType] || rules.unknown;
 }
 
-export const generateSpecAndCode = async (figmaNode, selectedLibrary = 'none') => {
-  if (!OPENAI_API_KEY) {
-    throw new Error('OpenAI API key is not configured');
+/**
+ * Describe Auto Layout frames so the model uses flexbox instead of absolute positioning
+ * @param {Object} node - Figma node
+ * @returns {string} Prompt section, empty when the node tree has no Auto Layout
+ */
+function getAutoLayoutRules(node) {
+  const frames = [node, ...(node.children || [])].filter(isAutoLayout);
+  if (frames.length === 0) {
+    return '';
+  }
+
+  const describe = frame => JSON.stringify({
+    id: frame.id,
+    name: frame.name,
+    layoutMode: frame.layoutMode,
+    itemSpacing: frame.itemSpacing || 0,
+    padding: [frame.paddingTop || 0, frame.paddingRight || 0, frame.paddingBottom || 0, frame.paddingLeft || 0],
+    primaryAxisAlignItems: frame.primaryAxisAlignItems || 'MIN',
+    counterAxisAlignItems: frame.counterAxisAlignItems || 'MIN',
+    layoutWrap: frame.layoutWrap,
+    children: (frame.children || []).map(child => ({
+      name: child.name,
+      layoutGrow: child.layoutGrow,
+      layoutAlign: child.layoutAlign,
+      layoutPositioning: child.layoutPositioning,
+      layoutSizingHorizontal: child.layoutSizingHorizontal,
+      layoutSizingVertical: child.layoutSizingVertical
+    }))
+  });
+
+  return `
+AUTO LAYOUT - OVERRIDES THE ABSOLUTE POSITIONING RULES ABOVE:
+These frames use Figma Auto Layout. Render them with flexbox, NOT absolute positioning:
+${frames.map(describe).join('\n')}
+
+- display: 'flex', flexDirection: 'row' for HORIZONTAL and 'column' for VERTICAL
+- gap: itemSpacing in px (omit when primaryAxisAlignItems is SPACE_BETWEEN)
+- padding: the four padding values in px, top right bottom left
+- justifyContent from primaryAxisAlignItems: MIN → 'flex-start', CENTER → 'center', MAX → 'flex-end', SPACE_BETWEEN → 'space-between'
+- alignItems from counterAxisAlignItems: MIN → 'flex-start', CENTER → 'center', MAX → 'flex-end', BASELINE → 'baseline'
+- layoutWrap WRAP → flexWrap: 'wrap'
+- Children stay in document order with NO position, left or top
+- layoutGrow 1 or layoutSizing FILL on the main axis → flexGrow: 1 and no fixed size on that axis
+- layoutAlign STRETCH or layoutSizing FILL on the cross axis → alignSelf: 'stretch'
+- layoutSizing HUG → omit width/height on that axis so the element fits its content
+- Only children with layoutPositioning ABSOLUTE keep position: 'absolute' with left/top
+- Add boxSizing: 'border-box' on the flex container
+`;
+}
+
+/**
+ * Describe non-default constraints so the model anchors children instead of pinning them top-left
+ * @param {Object} node - Figma node
+ * @returns {string} Prompt section, empty when every child uses LEFT/TOP
+ */
+function getConstraintRules(node) {
+  const anchored = (node.children || []).filter(child =>
+    child.constraints &&
+    (child.constraints.horizontal !== 'LEFT' || child.constraints.vertical !== 'TOP')
+  );
+  if (anchored.length === 0) {
+    return '';
+  }
+
+  return `
+CONSTRAINTS - HOW CHILDREN RESIZE WITH THE PARENT:
+${anchored.map(child => JSON.stringify({ name: child.name, constraints: child.constraints })).join('\n')}
+
+- RIGHT / BOTTOM → use right / bottom (parent size minus child offset and size) instead of left / top
+- LEFT_RIGHT / TOP_BOTTOM → set both left and right (or top and bottom) and omit width (or height)
+- CENTER → left: 'calc(50% + Npx)' where N is the child offset from the parent's center
+- SCALE → left/top and width/height as percentages of the parent
+`;
+}
+
+/**
+ * Rules for component props: none for plain nodes, the Figma component
+ * properties (with defaults so the preview still renders) for variants
+ * @param {Object|null} componentProperties - Result from extractComponentProperties
+ * @returns {string} Prompt section
+ */
+function getPropsRules(componentProperties) {
+  if (!componentProperties || componentProperties.props.length === 0) {
+    return `CRITICAL CODE GENERATION RULE:
+- DO NOT use props or parameters in the component function
+- DO NOT use variables like {title}, {body}, {children} in JSX
+- USE hardcoded content directly in JSX elements
+- Component must be self-contained and render without any props being passed
+
+WRONG (causes ReferenceError):
+const CustomCard = ({ title, body }) => {
+  return <article>{title}</article>  // ❌ title is undefined
+}
+
+CORRECT (works):
+const CustomCard = () => {
+  return <article>Card Header</article>  // ✅ hardcoded content
+}
+`;
+  }
+
+  const { props, variants } = componentProperties;
+  const describe = prop => {
+    if (prop.type === 'variant') return prop.options.map(option => `'${option}'`).join(' | ');
+    return prop.type === 'boolean' ? 'boolean' : 'string';
+  };
+  const signature = props
+    .map(prop => `${prop.name} = ${typeof prop.defaultValue === 'string' ? `'${prop.defaultValue}'` : prop.defaultValue}`)
+    .join(', ');
+
+  return `CRITICAL CODE GENERATION RULE - COMPONENT PROPERTIES:
+This node is a Figma component with properties. The component MUST take exactly these props,
+each with its default value so it renders without any props being passed:
+${props.map(prop => `- ${prop.name}: ${describe(prop)} (Figma property "${prop.key}")`).join('\n')}
+
+REQUIRED SIGNATURE:
+const Component = ({ ${signature} }) => {
+
+- Variant props select between the variant styles below - use lookup objects such as
+  { primary: '#3366cc', secondary: '#ffffff' }[variant] for values that differ
+- Boolean props bound to a layer's visibility render it conditionally: {showIcon && (...)}
+- Text props replace the bound text: {label}
+- DO NOT invent props that are not listed above
+
+VARIANTS (${variants.length}):
+${variants.map(variant => `- "${variant.name}" → ${JSON.stringify(variant.values)}`).join('\n')}
+`;
+}
+
+/**
+ * Generates a spec and component code for a Figma node with the LLM
+ *
+ * @param {Object} figmaNode - Figma node
+ * @param {string} [selectedLibrary] - Component library to map to ('none' for plain JSX)
+ * @param {Object} [options] - Streaming options
+ * @param {Function} [options.onProgress] - ({ spec, code }) while the response streams in
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} { spec, code, componentName, imports, warnings, output, componentDetection, libraryMapping, figmaNode, componentProperties }
+ */
+export const generateSpecAndCode = async (figmaNode, selectedLibrary = 'none', options = {}) => {
+  if (!isLLMConfigured()) {
+    throw new Error('LLM provider is not configured - set REACT_APP_LLM_PROVIDER and its API key in your .env file');
   }
 
   // Validate input
@@ -89,6 +233,10 @@ export const generateSpecAndCode = async (figmaNode, selectedLibrary = 'none') =
     throw new Error('Invalid Figma node data - missing positioning information');
   }
   
+  const componentProperties = hasComponentProperties(figmaNode)
+    ? extractComponentProperties(figmaNode)
+    : null;
+
   // Create safe defaults for missing data
   const safeNode = {
     ...figmaNode,
@@ -119,15 +267,18 @@ export const generateSpecAndCode = async (figmaNode, selectedLibrary = 'none') =
   });
 
   // Detect component pattern and handle images
-  const componentDetection = detectComponentPattern(safeNode);
+  // Mapped Figma component keys and the team's registered components (if any) take part in detection
+  const registry = loadRegistry();
+  const componentDetection = detectComponentPattern(safeNode, { registry, componentKeyMap: loadComponentKeyMap() });
   console.log('Component Detection Result:', componentDetection);
 
   // Note: Using simple exact value enforcement instead of complex alignment analysis
 
   // Auto-detect if we should use library components
-  const shouldAutoUseLibrary = componentDetection.confidence >= 70 && 
+  const shouldAutoUseLibrary = Boolean(componentDetection.mappedComponent || componentDetection.registryComponent) ||
+                               (componentDetection.confidence >= 70 && 
                                componentDetection.componentType !== 'unknown' && 
-                               componentDetection.componentType !== 'container';
+                               componentDetection.componentType !== 'container');
   
   // Use auto-detected library or user selection
   const effectiveLibrary = shouldAutoUseLibrary && selectedLibrary === 'none' 
@@ -139,7 +290,7 @@ export const generateSpecAndCode = async (figmaNode, selectedLibrary = 'none') =
   console.log('Effective Library:', effectiveLibrary);
 
   // Map to component library
-  const libraryMapping = mapToComponentLibrary(componentDetection, safeNode, effectiveLibrary);
+  const libraryMapping = mapToComponentLibrary(componentDetection, safeNode, effectiveLibrary, registry);
   console.log('Component Library Mapping:', libraryMapping);
 
   // Check for images in the Figma node
@@ -172,6 +323,20 @@ export const generateSpecAndCode = async (figmaNode, selectedLibrary = 'none') =
 - Generated component code: ${libraryMapping.code}
 - This replaces the generic div approach with proper component library patterns
 - ${autoDetected ? 'Automatically chose library based on high confidence detection' : 'Using user-selected library'}`;
+
+    if (componentDetection.mappedComponent) {
+      libraryInfo += `
+- The Figma component key maps to ${componentDetection.mappedComponent.component} in our codebase: render it instead of rebuilding it from divs`;
+    }
+
+    const registryComponent = effectiveLibrary === DESIGN_SYSTEM_LIBRARY &&
+      registry.components.find(component => component.name === componentDetection.registryComponent);
+    if (registryComponent) {
+      libraryInfo += `
+- This is the team's own "${registry.name}" design system: use ${registryComponent.name} instead of styling the root yourself
+- ${registryComponent.name} props: ${describeRegistryProps(registryComponent) || 'none'}${registryComponent.description ? `
+- ${registryComponent.description}` : ''}`;
+    }
   }
 
   // Note: Removed complex alignment hints in favor of simple exact value enforcement
@@ -205,22 +370,7 @@ COMPONENT ANALYSIS:
    - Includes keyboard accessibility (tabIndex only - no event handlers)
    - Has proper focus management and visual focus indicators${imageHandling}${libraryInfo}${contrastWarning}
 
-CRITICAL CODE GENERATION RULE:
-- DO NOT use props or parameters in the component function
-- DO NOT use variables like {title}, {body}, {children} in JSX
-- USE hardcoded content directly in JSX elements
-- Component must be self-contained and render without any props being passed
-
-WRONG (causes ReferenceError):
-const CustomCard = ({ title, body }) => {
-  return <article>{title}</article>  // ❌ title is undefined
-}
-
-CORRECT (works):
-const CustomCard = () => {
-  return <article>Card Header</article>  // ✅ hardcoded content
-}
-
+${getPropsRules(componentProperties)}
 CONTENT EXTRACTION RULES:
 - If Figma design has visible text, extract that exact text and hardcode it
 - If no text exists, use descriptive placeholder content
@@ -389,7 +539,9 @@ Generate button using CHILDREN properties, not GROUP properties.
 
 
 
-
+LAYER TAGGING:
+- Give every element that renders a Figma layer a data-figma-id attribute with that layer's "id" from the JSON (e.g. data-figma-id="12:34")
+- When one element renders several layers (a <button> built from a GROUP's RECTANGLE + TEXT), tag it with the GROUP's id
 
 ACCESSIBILITY REQUIREMENTS:
 - Component type: ${componentDetection.componentType}
@@ -497,7 +649,7 @@ Parent at (100, 200), Child at (150, 250):
   }}>
   </div>
 </div>
-
+${getAutoLayoutRules(safeNode)}${getConstraintRules(safeNode)}
 FIGMA DATA:
 Parent: ${JSON.stringify(safeNode.absoluteBoundingBox)}
 ${safeNode.children ? `Children: ${safeNode.children.map(c => ({
@@ -524,6 +676,7 @@ const SubmitButton = () => {
     // Corresponds to Figma node with id: "1:2"
     // ROOT ELEMENT: NO position, NO left, NO top - starts at (0,0)
     <button 
+      data-figma-id="1:2"
       style={{
         width: '120px',  // From absoluteBoundingBox.width
         height: '40px',  // From absoluteBoundingBox.height
@@ -613,17 +766,7 @@ const ComplexComponent = () => {
 };
 \`\`\`
 
-Respond in this format:
-
----
-📝 Design Specification:
-<your detailed spec here>
-
----
-⚛️ React Code:
-\`\`\`jsx
-<your component code here>
-\`\`\`
+${GENERATION_CONTRACT_INSTRUCTIONS}
 
 Component Type: ${figmaNode.type}
 Dimensions: ${figmaNode.absoluteBoundingBox?.width} x ${figmaNode.absoluteBoundingBox?.height}
@@ -673,37 +816,160 @@ ${JSON.stringify({
 `;
 
   try {
-    console.log('Making OpenAI API request...');
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: 'You are a helpful design-to-code assistant.' },
-          { role: 'user', content: prompt },
-        ],
-        temperature: 0.4,
-        max_tokens: 1000,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    console.log('OpenAI API response:', response.status);
-    const output = response.data.choices[0].message.content;
+    const generated = await requestStructuredCompletion(prompt, options);
     
-    // Return the AI output with component detection and Figma node data
+    // Return the validated output with component detection and Figma node data
     return {
-      output: output,
+      ...generated,
+      output: formatGenerationOutput(generated),
       componentDetection: componentDetection,
-      figmaNode: safeNode
+      libraryMapping: libraryMapping,
+      figmaNode: safeNode,
+      componentProperties: componentProperties && {
+        props: componentProperties.props,
+        variants: componentProperties.variants.map(variant => ({ name: variant.name, values: variant.values }))
+      }
     };
   } catch (error) {
-    console.error('❌ Error calling OpenAI:', error.response?.data || error.message);
+    console.error('❌ Error calling the LLM provider:', error.response?.data || error.message);
     throw error;
   }
 };
+
+/**
+ * Refines code produced by the local Figma compiler.
+ * The compiler already has exact values, so the model is only allowed to
+ * improve semantics and accessibility - never to change measurements.
+ *
+ * @param {Object} compiled - Result from compileFigmaNode
+ * @param {Object} figmaNode - Figma node the code was compiled from
+ * @param {Object} [options] - Streaming options, as for generateSpecAndCode
+ * @returns {Promise<Object>} { spec, code, componentName, imports, warnings, output, componentDetection, libraryMapping, figmaNode }
+ */
+export const refineCompiledCode = async (compiled, figmaNode, options = {}) => {
+  if (!isLLMConfigured()) {
+    throw new Error('LLM provider is not configured - set REACT_APP_LLM_PROVIDER and its API key in your .env file');
+  }
+
+  const prompt = `You are a React expert. The component below was compiled deterministically from a Figma design.
+Every pixel value, color and font in it is exact and MUST NOT change.
+
+Improve ONLY:
+- Semantic HTML elements (headings, <button>, <article>, <nav>, etc.)
+- Accessibility attributes (aria-label, role, alt text)
+- Readability of the JSX structure
+
+Keep these rules:
+- DO NOT change, round or remove any style value
+- DO NOT add or remove visual elements
+- ${compiled.componentProperties
+    ? 'Keep the existing props and their default values exactly as they are - DO NOT add props, event handlers, imports or exports'
+    : 'DO NOT use props, event handlers, imports or exports'}${compiled.imports?.length > 0 ? `
+- Keep the imported components and their props exactly as they are - list their imports in "imports"` : ''}
+- Keep the same component name: ${compiled.componentName}
+
+Detected component type: ${compiled.componentDetection.componentType} (${compiled.componentDetection.confidence}% confidence)
+
+Design specification:
+${compiled.spec}
+
+Compiled component:
+\`\`\`jsx
+${compiled.code}
+\`\`\`
+
+${GENERATION_CONTRACT_INSTRUCTIONS}
+- "spec" is the specification, with any notes on what you changed
+`;
+
+  try {
+    const refined = await requestStructuredCompletion(prompt, options);
+
+    // Compiled code leads with the imports of its code components - keep them there
+    if (compiled.imports?.length > 0) {
+      refined.imports = generateImports([compiled, refined]);
+      refined.code = prependImports(refined.code, refined.imports);
+    }
+
+    return {
+      ...refined,
+      output: formatGenerationOutput(refined),
+      componentDetection: compiled.componentDetection,
+      componentProperties: compiled.componentProperties,
+      libraryMapping: compiled.libraryMapping,
+      figmaNode: figmaNode
+    };
+  } catch (error) {
+    console.error('❌ Error refining compiled code:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Feeds visual comparison findings back to the model to fix the code.
+ * Used by the auto-refine loop when the findings cannot be applied as direct
+ * style edits (for example when the code has no data-figma-id tags).
+ *
+ * @param {string} code - Component code that was compared
+ * @param {Object} figmaNode - Figma node the code should match
+ * @param {Array<string>} findings - What the comparison found, one per line
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} { spec, code, componentName, imports, warnings }
+ */
+export const applyComparisonFeedback = async (code, figmaNode, findings, options = {}) => {
+  if (!isLLMConfigured()) {
+    throw new Error('LLM provider is not configured - set REACT_APP_LLM_PROVIDER and its API key in your .env file');
+  }
+
+  const box = figmaNode?.absoluteBoundingBox;
+  const prompt = `You are a React expert. The component below was rendered and compared with its Figma design.
+Fix ONLY the differences listed. Keep everything else - structure, text, props and every other style value - exactly as it is.
+
+Figma node: "${figmaNode?.name || 'Untitled'}"${box ? ` (${box.width}×${box.height}px)` : ''}
+
+Differences (React preview vs Figma):
+${findings.map(finding => `- ${finding}`).join('\n')}
+
+Component:
+\`\`\`jsx
+${code}
+\`\`\`
+
+${GENERATION_CONTRACT_INSTRUCTIONS}
+- "spec" is a short list of what you changed
+`;
+
+  return requestStructuredCompletion(prompt, { signal: options.signal });
+};
+
+/**
+ * Sends a prompt to the LLM provider and validates the JSON reply
+ * against the generation contract, retrying with the validation errors.
+ * With options.onProgress the response is streamed and the partial spec and
+ * code are reported as they arrive (restarting on a retry).
+ * @param {string} prompt - User prompt
+ * @param {Object} [options] - { onProgress, signal }
+ * @returns {Promise<Object>} { spec, code, componentName, imports, warnings }
+ */
+async function requestStructuredCompletion(prompt, options = {}) {
+  const { onProgress, signal } = options;
+  const messages = [
+    { role: 'system', content: 'You are a helpful design-to-code assistant. You always answer with a single JSON object.' },
+    { role: 'user', content: prompt },
+  ];
+
+  const send = (conversation) => onProgress
+    ? streamChat(LLM_TASKS.GENERATION, conversation, {
+      ...GENERATION_REQUEST,
+      signal,
+      onToken: (delta, text) => onProgress(parsePartialGenerationOutput(text))
+    })
+    : completeChat(LLM_TASKS.GENERATION, conversation, { ...GENERATION_REQUEST, signal });
+
+  const { value, attempts } = await requestWithContract(send, messages, {
+    onRetry: (attempt, errors) => console.warn(`⚠️ LLM response ${attempt} broke the output contract, retrying:`, errors)
+  });
+
+  console.log(`LLM response matched the output contract (attempt ${attempts})`);
+  return value;
+}
@@ -5,6 +5,9 @@
  * React Live compatible components with proper structure and error handling.
  */
 
+import { runJSXPasses } from '../utils/jsxTransform';
+import { previewDefaultsPass } from '../utils/jsxPasses';
+
 export class ReactLiveTransformer {
   constructor() {
     this.componentCache = new Map();
@@ -201,7 +204,15 @@ export class ReactLiveTransformer {
    */
   cleanupJSX = (jsxContent) => {
     console.log('Cleaning up JSX:', jsxContent);
-    
+
+    // JSX that parses is fixed on the AST: undefined references get placeholders
+    const passes = runJSXPasses(jsxContent, [previewDefaultsPass]);
+    if (passes.errors.length === 0) {
+      passes.changes.forEach(change => console.log(`Preview default: ${change.message}`));
+      return this.addLayoutProperties(passes.code);
+    }
+
+    // Otherwise fall back to best-effort text repairs
     // Remove comments
     jsxContent = jsxContent.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '');
     
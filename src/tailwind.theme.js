@@ -0,0 +1,42 @@
+/**
+ * Theme extension of tailwind.config.js, kept in src so the app can import it too:
+ * the Tailwind code converter (utils/tailwindTheme.js) maps styles onto this scale,
+ * and the classes it writes are the ones this project builds with.
+ */
+module.exports = {
+  colors: {
+    primary: '#5D5FEF',
+    'primary-light': '#7879F1',
+    'primary-dark': '#4A4ADB',
+    secondary: '#1E293B',
+    tertiary: '#F8FAFC',
+    accent: '#0EA5E9',
+    success: '#10B981',
+    warning: '#F59E0B',
+    danger: '#EF4444',
+    gray: {
+      50: '#F9FAFB',
+      100: '#F3F4F6',
+      200: '#E5E7EB',
+      300: '#D1D5DB',
+      400: '#9CA3AF',
+      500: '#6B7280',
+      600: '#4B5563',
+      700: '#374151',
+      800: '#1F2937',
+      900: '#111827',
+    },
+  },
+  boxShadow: {
+    sm: '0 1px 2px rgba(0, 0, 0, 0.05)',
+    DEFAULT: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    md: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)',
+    lg: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+  },
+  borderRadius: {
+    sm: '0.25rem',
+    DEFAULT: '0.5rem',
+    md: '0.75rem',
+    lg: '1rem',
+  },
+};
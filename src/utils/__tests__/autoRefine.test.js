@@ -0,0 +1,178 @@
+import {
+  planLayerFixes,
+  parseActionableFix,
+  applyStyleFixes,
+  runAutoRefine
+} from '../autoRefine';
+import { compileFigmaNode } from '../figmaCompiler';
+
+describe('autoRefine', () => {
+  const card = {
+    id: '1:1',
+    name: 'Card',
+    type: 'FRAME',
+    absoluteBoundingBox: { x: 0, y: 0, width: 320, height: 200 },
+    fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+    children: [
+      {
+        id: '1:2',
+        name: 'Title',
+        type: 'TEXT',
+        characters: 'Submit',
+        absoluteBoundingBox: { x: 16, y: 16, width: 80, height: 20 },
+        fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+        style: { fontFamily: 'Inter', fontSize: 14, fontWeight: 600 }
+      }
+    ]
+  };
+
+  const layerDiff = {
+    rows: [
+      { id: '1:1', label: "Frame 'Card'", status: 'match', mergedInto: null, issues: [] },
+      {
+        id: '1:2',
+        label: "Text 'Title'",
+        status: 'mismatch',
+        mergedInto: null,
+        issues: [
+          { kind: 'position', property: 'left', actual: 19, expected: 16, difference: 3, message: 'left off by 3px' },
+          { kind: 'typography', property: 'font-size', actual: 16, expected: 14, difference: 2, message: 'font-size 16 vs 14' },
+          { kind: 'color', property: 'color', actual: '#333333', expected: '#000000', difference: 12, message: 'color #333333 vs #000000' }
+        ]
+      }
+    ]
+  };
+
+  describe('planLayerFixes', () => {
+    it('should turn layer issues into style fixes on the tagged element', () => {
+      expect(planLayerFixes(layerDiff)).toEqual([
+        { figmaId: '1:2', property: 'left', adjust: -3, reason: "Text 'Title': left off by 3px" },
+        { figmaId: '1:2', property: 'fontSize', value: '14px', reason: "Text 'Title': font-size 16 vs 14" },
+        { figmaId: '1:2', property: 'color', value: '#000000', reason: "Text 'Title': color #333333 vs #000000" }
+      ]);
+    });
+  });
+
+  describe('applyStyleFixes', () => {
+    it('should edit only the targeted style values and keep the formatting', () => {
+      const { code } = compileFigmaNode(card);
+      const broken = code.replace("left: '16px'", "left: '19px'").replace("fontSize: '14px'", "fontSize: '16px'");
+
+      const result = applyStyleFixes(broken, planLayerFixes(layerDiff));
+
+      expect(result.applied).toHaveLength(3);
+      expect(result.code).toBe(code);
+    });
+
+    it('should add a missing property in the object layout', () => {
+      const code = `const Card = () => (
+  <div data-figma-id="1:1" style={{
+    width: '320px'
+  }}>
+    <span data-figma-id="1:2" style={{ fontSize: '16px' }}>Submit</span>
+  </div>
+);`;
+
+      const result = applyStyleFixes(code, [
+        { figmaId: '1:1', property: 'backgroundColor', value: '#ffffff', reason: 'fill' },
+        { figmaId: '1:2', property: 'fontWeight', value: 600, reason: 'weight' }
+      ]);
+
+      expect(result.code).toContain("width: '320px',\n    backgroundColor: '#ffffff'\n  }}");
+      expect(result.code).toContain("style={{ fontSize: '16px', fontWeight: 600 }}");
+    });
+
+    it('should skip values that depend on props and elements without a tag', () => {
+      const code = `const Button = ({ size = 'md' }) => (
+  <button data-figma-id="2:1" style={{ fontSize: size === 'lg' ? '18px' : '14px' }}>Go</button>
+);`;
+
+      const result = applyStyleFixes(code, [
+        { figmaId: '2:1', property: 'fontSize', value: '16px', reason: 'size' },
+        { figmaId: '9:9', property: 'color', value: '#000000', reason: 'color' }
+      ]);
+
+      expect(result.code).toBe(code);
+      expect(result.skipped.map(fix => fix.skipReason)).toEqual([
+        'fontSize depends on props',
+        'No element is tagged data-figma-id="9:9"'
+      ]);
+    });
+
+    it('should apply narrative fixes that name a unique value', () => {
+      const code = `const Badge = () => <div style={{ backgroundColor: '#44b24f', color: '#ffffff' }}>New</div>;`;
+      const fix = parseActionableFix("Change backgroundColor from '#44b24f' to '#43b261'");
+
+      const result = applyStyleFixes(code, [fix, parseActionableFix('Set color from #000000 to #111111')]);
+
+      expect(result.code).toContain("backgroundColor: '#43b261'");
+      expect(result.skipped[0].skipReason).toBe('No color of #000000 in the code');
+      expect(parseActionableFix('Consider using flexbox')).toBeNull();
+    });
+
+    it('should leave code it cannot parse untouched', () => {
+      const result = applyStyleFixes('const Card = () => <div', [{ figmaId: '1:1', property: 'width', value: '1px' }]);
+
+      expect(result.code).toBe('const Card = () => <div');
+      expect(result.skipped[0].skipReason).toMatch(/could not be parsed/);
+    });
+  });
+
+  describe('runAutoRefine', () => {
+    const target = "fontSize: '14px'";
+    const makeDiff = (code) => ({
+      rows: code.includes(target) ? [] : [{
+        id: '1:2',
+        label: "Text 'Title'",
+        status: 'mismatch',
+        issues: [{ kind: 'typography', property: 'font-size', expected: 14, message: 'font-size 16 vs 14' }]
+      }]
+    });
+    const broken = `const Title = () => <span data-figma-id="1:2" style={{ fontSize: '16px' }}>Submit</span>;`;
+
+    it('should fix, re-evaluate and stop at the target score', async () => {
+      const evaluate = jest.fn(async (code) => ({ score: code.includes(target) ? 98 : 80, layerDiff: makeDiff(code) }));
+      const onIteration = jest.fn();
+
+      const result = await runAutoRefine(broken, { evaluate, onIteration });
+
+      expect(result.reason).toBe('target');
+      expect(result.score).toBe(98);
+      expect(result.code).toContain(target);
+      expect(evaluate).toHaveBeenCalledTimes(2);
+      expect(onIteration.mock.calls.map(([iteration]) => [iteration.index, iteration.score, iteration.source]))
+        .toEqual([[0, 80, 'initial'], [1, 98, 'ast']]);
+      expect(result.iterations[1].diff).toMatchObject({ added: 1, removed: 1 });
+    });
+
+    it('should keep the best code when a change lowers the score', async () => {
+      const evaluate = async (code) => ({ score: code.includes(target) ? 70 : 80, layerDiff: makeDiff(code) });
+
+      const result = await runAutoRefine(broken, { evaluate });
+
+      expect(result.reason).toBe('regressed');
+      expect(result.code).toBe(broken);
+    });
+
+    it('should hand unfixable findings to the generator', async () => {
+      const untagged = broken.replace(' data-figma-id="1:2"', '');
+      const evaluate = async (code) => ({ score: code.includes(target) ? 96 : 80, layerDiff: makeDiff(code) });
+      const refine = jest.fn(async (code) => code.replace("'16px'", "'14px'"));
+
+      const result = await runAutoRefine(untagged, { evaluate, refine });
+
+      expect(refine).toHaveBeenCalledTimes(1);
+      expect(result.iterations[1].source).toBe('model');
+      expect(result.reason).toBe('target');
+    });
+
+    it('should stop when nothing can be fixed or the run is cancelled', async () => {
+      const evaluate = async () => ({ score: 50, layerDiff: { rows: [] } });
+      const controller = new AbortController();
+      controller.abort();
+
+      expect((await runAutoRefine(broken, { evaluate })).reason).toBe('no-fixes');
+      expect((await runAutoRefine(broken, { evaluate, signal: controller.signal })).reason).toBe('cancelled');
+    });
+  });
+});
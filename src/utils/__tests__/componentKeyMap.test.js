@@ -0,0 +1,120 @@
+/**
+ * Tests for componentKeyMap utility
+ */
+
+import {
+  annotateComponentKeys,
+  findComponentKeyMapping,
+  collectComponentKeys,
+  findUnmappedComponentKeys,
+  loadComponentKeyMap,
+  saveComponentKeyMap,
+  COMPONENT_KEY_MAP_STORAGE_KEY
+} from '../componentKeyMap';
+import { detectComponentPattern } from '../componentDetector';
+import { mapToComponentLibrary } from '../componentMapper';
+
+describe('componentKeyMap', () => {
+  const response = () => ({
+    document: {
+      id: '1:1',
+      type: 'FRAME',
+      name: 'Checkout',
+      absoluteBoundingBox: { x: 0, y: 0, width: 400, height: 300 },
+      children: [
+        {
+          id: '2:1',
+          type: 'INSTANCE',
+          name: 'Pay button',
+          componentId: '10:1',
+          absoluteBoundingBox: { x: 16, y: 240, width: 368, height: 44 },
+          componentProperties: {
+            Variant: { type: 'VARIANT', value: 'Primary' },
+            'Label#1:0': { type: 'TEXT', value: 'Pay now' }
+          },
+          children: [{ id: '2:2', type: 'TEXT', characters: 'Pay now' }]
+        },
+        { id: '2:3', type: 'INSTANCE', name: 'Cancel button', componentId: '10:2', children: [] },
+        { id: '2:4', type: 'INSTANCE', name: 'Info icon', componentId: '11:1', children: [] },
+        { id: '2:5', type: 'INSTANCE', name: 'Local thing', componentId: '99:9', children: [] }
+      ]
+    },
+    components: {
+      '10:1': { key: 'btn-primary', name: 'Variant=Primary', componentSetId: '10:0' },
+      '10:2': { key: 'btn-secondary', name: 'Variant=Secondary', componentSetId: '10:0' },
+      '11:1': { key: 'icon-info', name: 'Icon / Info' }
+    },
+    componentSets: {
+      '10:0': { key: 'btn-set', name: 'Button' }
+    }
+  });
+
+  const annotated = () => {
+    const { document, components, componentSets } = response();
+    return annotateComponentKeys(document, components, componentSets);
+  };
+
+  const keyMap = {
+    'btn-set': { name: 'Button', component: 'Button', import: '@/components/ui/button', type: 'button' }
+  };
+
+  it('should copy component and component set keys onto instances', () => {
+    const node = annotated();
+
+    expect(node.children[0]).toMatchObject({
+      componentKey: 'btn-primary',
+      componentName: 'Variant=Primary',
+      componentSetKey: 'btn-set',
+      componentSetName: 'Button'
+    });
+    expect(node.children[3].componentKey).toBeUndefined();
+  });
+
+  it('should find mappings by component key or component set key', () => {
+    const node = annotated();
+
+    expect(findComponentKeyMapping(node.children[1], keyMap)).toMatchObject({ key: 'btn-set', component: 'Button' });
+    expect(findComponentKeyMapping(node.children[1], { 'btn-secondary': { component: 'SecondaryButton' } }).component)
+      .toBe('SecondaryButton');
+    expect(findComponentKeyMapping(node.children[2], keyMap)).toBeNull();
+  });
+
+  it('should report library components without a mapping once per set', () => {
+    const node = annotated();
+
+    expect(collectComponentKeys(node)).toEqual([
+      { key: 'btn-set', name: 'Button', count: 2 },
+      { key: 'icon-info', name: 'Icon / Info', count: 1 }
+    ]);
+    expect(findUnmappedComponentKeys(node, keyMap)).toEqual([
+      { key: 'icon-info', name: 'Icon / Info', count: 1 }
+    ]);
+  });
+
+  it('should recognize mapped instances with 100% confidence ahead of the heuristics', () => {
+    const instance = annotated().children[0];
+    const detection = detectComponentPattern(instance, { componentKeyMap: keyMap });
+
+    expect(detection).toMatchObject({ componentType: 'button', confidence: 100, suggestedLibrary: 'component-key-map' });
+    expect(detection.mappedComponent.component).toBe('Button');
+    expect(detectComponentPattern(instance).mappedComponent).toBeUndefined();
+  });
+
+  it('should map instances to the code component with their property values', () => {
+    const instance = annotated().children[0];
+    const detection = detectComponentPattern(instance, { componentKeyMap: keyMap });
+    const result = mapToComponentLibrary(detection, instance, 'shadcn');
+
+    expect(result.code).toBe('<Button\n  variant="primary"\n>\n  Pay now\n</Button>');
+    expect(result.imports).toEqual(['import { Button } from "@/components/ui/button"']);
+    expect(result.usesLibrary).toBe(true);
+  });
+
+  it('should keep the table across sessions', () => {
+    saveComponentKeyMap(keyMap);
+    expect(loadComponentKeyMap()).toEqual(keyMap);
+
+    localStorage.removeItem(COMPONENT_KEY_MAP_STORAGE_KEY);
+    expect(loadComponentKeyMap()).toEqual({});
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for componentMapper utility
+ */
+
+import { packages } from '@babel/standalone';
+import { mapToComponentLibrary, generateImports, prependImports } from '../componentMapper';
+import { runJSXPasses } from '../jsxTransform';
+import { rootPositioningPass, exactValuesPass } from '../jsxPasses';
+import { enhanceWithAccessibility } from '../accessibilityEnhancer';
+
+describe('componentMapper', () => {
+  const detection = (componentType) => ({ componentType, confidence: 90, suggestedLibrary: 'shadcn' });
+  const solid = (r, g, b) => [{ type: 'SOLID', color: { r, g, b, a: 1 } }];
+
+  const buttonNode = {
+    absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 48 },
+    cornerRadius: 8,
+    fills: solid(0.86, 0.15, 0.15),
+    children: [{ type: 'TEXT', characters: 'Delete' }]
+  };
+
+  describe('Material UI', () => {
+    it('should map buttons with variant, size, color and sx', () => {
+      const result = mapToComponentLibrary(detection('button'), buttonNode, 'mui');
+
+      expect(result.usesLibrary).toBe(true);
+      expect(result.code).toContain('variant="contained"');
+      expect(result.code).toContain('size="large"');
+      expect(result.code).toContain('color="error"');
+      expect(result.code).toContain("sx={{ width: '120px', borderRadius: '8px' }}");
+      expect(result.code).toContain('Delete');
+      expect(result.imports).toEqual(['import { Button } from "@mui/material"']);
+    });
+
+    it('should keep colors without a palette role in sx', () => {
+      const result = mapToComponentLibrary(detection('button'), { ...buttonNode, fills: solid(0.6, 0.2, 0.8) }, 'mui');
+
+      expect(result.code).toContain('color="primary"');
+      expect(result.code).toContain("backgroundColor: '#9933cc'");
+    });
+
+    it('should map inputs to an outlined TextField', () => {
+      const input = {
+        name: 'Email field',
+        absoluteBoundingBox: { width: 280, height: 40 },
+        fills: solid(1, 1, 1),
+        strokes: [{ type: 'SOLID', color: { r: 0.8, g: 0.8, b: 0.8 } }],
+        children: [{ type: 'TEXT', characters: 'Enter your email' }]
+      };
+      const result = mapToComponentLibrary(detection('input'), input, 'mui');
+
+      expect(result.code).toMatch(/^<TextField/);
+      expect(result.code).toContain('type="email"');
+      expect(result.code).toContain('variant="outlined"');
+      expect(result.code).toContain('size="small"');
+      expect(result.code).toContain('placeholder="Enter your email"');
+    });
+
+    it('should map cards, badges and avatars', () => {
+      const card = {
+        absoluteBoundingBox: { width: 320, height: 200 },
+        fills: solid(1, 1, 1),
+        effects: [{ type: 'DROP_SHADOW' }],
+        children: [{ type: 'TEXT', characters: 'Plan' }, { type: 'FRAME' }]
+      };
+      const cardResult = mapToComponentLibrary(detection('card'), card, 'mui');
+      expect(cardResult.code).toContain('elevation={1}');
+      expect(cardResult.code).toContain('<CardHeader title="Plan" />');
+      expect(cardResult.imports).toEqual(['import { Card, CardHeader, CardContent, CardActions } from "@mui/material"']);
+
+      const badge = { absoluteBoundingBox: { width: 48, height: 20 }, fills: solid(0.1, 0.6, 0.3), children: [{ type: 'TEXT', characters: 'New' }] };
+      const chip = mapToComponentLibrary(detection('badge'), badge, 'mui').code;
+      expect(chip).toContain('label="New"');
+      expect(chip).toContain('size="small"');
+      expect(chip).toContain('color="success"');
+
+      const avatar = { absoluteBoundingBox: { width: 40, height: 40 }, cornerRadius: 20, children: [{ type: 'TEXT', characters: 'jd' }] };
+      const avatarCode = mapToComponentLibrary(detection('avatar'), avatar, 'mui').code;
+      expect(avatarCode).toContain("sx={{ width: '40px', height: '40px' }}");
+      expect(avatarCode).toContain('JD');
+    });
+
+    it('should give neutral chips the default color and escape quotes in their label', () => {
+      const badge = { absoluteBoundingBox: { width: 64, height: 20 }, fills: solid(0.9, 0.9, 0.9), children: [{ type: 'TEXT', characters: 'Say "hi" & go' }] };
+      const chip = mapToComponentLibrary(detection('badge'), badge, 'mui').code;
+
+      expect(chip).toContain('color="default"');
+      expect(chip).toContain('label="Say &quot;hi&quot; &amp; go"');
+      expect(packages.parser.parse(chip, { plugins: ['jsx'] }).program.body[0].expression.openingElement.attributes[0].value.value)
+        .toBe('Say "hi" & go');
+    });
+
+    it('should escape placeholders and card titles', () => {
+      const input = { name: 'Field', absoluteBoundingBox: { width: 240, height: 40 }, strokes: [{ type: 'SOLID' }], children: [{ type: 'TEXT', characters: 'Enter "name"' }] };
+      const card = { absoluteBoundingBox: { width: 320, height: 200 }, fills: solid(1, 1, 1), children: [{ type: 'TEXT', characters: '5" screen' }] };
+
+      expect(mapToComponentLibrary(detection('input'), input, 'mui').code).toContain('placeholder="Enter &quot;name&quot;"');
+      expect(mapToComponentLibrary(detection('card'), card, 'mui').code).toContain('<CardHeader title="5&quot; screen" />');
+    });
+  });
+
+  describe('Chakra UI', () => {
+    it('should map buttons with variant, size, colorScheme and style props', () => {
+      const result = mapToComponentLibrary(detection('button'), { ...buttonNode, absoluteBoundingBox: { width: 120, height: 32 } }, 'chakra');
+
+      expect(result.code).toContain('variant="solid"');
+      expect(result.code).toContain('size="sm"');
+      expect(result.code).toContain('colorScheme="red"');
+      expect(result.code).toContain('w="120px"');
+      expect(result.code).toContain('borderRadius="8px"');
+      expect(result.imports).toEqual(['import { Button } from "@chakra-ui/react"']);
+    });
+
+    it('should map outlined buttons and badges without fills', () => {
+      const outlined = { ...buttonNode, fills: [], strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 } }] };
+
+      expect(mapToComponentLibrary(detection('button'), outlined, 'chakra').code).toContain('variant="outline"');
+      expect(mapToComponentLibrary(detection('badge'), { ...outlined, strokes: [] }, 'chakra').code).toContain('variant="subtle"');
+    });
+
+    it('should map cards with a heading and body', () => {
+      const card = {
+        absoluteBoundingBox: { width: 320, height: 200 },
+        fills: solid(1, 1, 1),
+        strokes: [{ type: 'SOLID', color: { r: 0.9, g: 0.9, b: 0.9 } }],
+        children: [{ type: 'TEXT', characters: 'Plan' }]
+      };
+      const result = mapToComponentLibrary(detection('card'), card, 'chakra');
+
+      expect(result.code).toContain('variant="outline"');
+      expect(result.code).toContain('<Heading size="md">Plan</Heading>');
+      expect(result.code).toContain('<CardBody>');
+      expect(result.imports).toEqual(['import { Card, CardHeader, CardBody, Heading } from "@chakra-ui/react"']);
+    });
+  });
+
+  describe('generateImports', () => {
+    it('should merge named imports from the same module', () => {
+      const imports = generateImports([
+        { imports: ['import { Button } from "@mui/material"'] },
+        { imports: ['import React from "react"'] },
+        { imports: ['import { Card, CardContent } from "@mui/material"'] },
+        { imports: ['import { Button } from "@mui/material"', 'import React from "react"'] }
+      ]);
+
+      expect(imports).toEqual([
+        'import { Button, Card, CardContent } from "@mui/material"',
+        'import React from "react"'
+      ]);
+    });
+  });
+
+  describe('prependImports', () => {
+    it('should keep the imports of an AI result with a library mapping', () => {
+      const mapping = mapToComponentLibrary(detection('button'), buttonNode, 'chakra');
+      const result = {
+        code: `const DeleteButton = () => {\n  return (\n    ${mapping.code.replace(/\n/g, '\n    ')}\n  );\n};`,
+        imports: mapping.imports
+      };
+
+      // The same steps App.js runs on AI output
+      let code = prependImports(result.code, result.imports);
+      code = runJSXPasses(code, [rootPositioningPass, exactValuesPass], { figmaNode: buttonNode }).code;
+      code = enhanceWithAccessibility(code, detection('button'), buttonNode).enhancedCode;
+
+      expect(code.startsWith('import { Button } from "@chakra-ui/react";\n\nconst DeleteButton')).toBe(true);
+    });
+
+    it('should leave out imports the code already has', () => {
+      const code = 'import { Chip } from "@mui/material";\n\nconst Tag = () => <Chip label="New" />;';
+
+      expect(prependImports(code, ['import { Chip } from "@mui/material"'])).toBe(code);
+      expect(prependImports('const Empty = () => null;', undefined)).toBe('const Empty = () => null;');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import {
+  normalizeDesignNode,
+  hashDesignSnapshot,
+  diffDesignSnapshots,
+  describeDesignChange,
+  summarizeDesignChanges,
+  findStaleGenerations
+} from '../designChangeDetector';
+
+describe('designChangeDetector', () => {
+  const makeCard = (overrides = {}) => ({
+    id: '1:1',
+    name: 'Card',
+    type: 'FRAME',
+    absoluteBoundingBox: { x: 100, y: 200, width: 320, height: 200 },
+    fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+    cornerRadius: 8,
+    children: [
+      {
+        id: '1:2',
+        name: 'Title',
+        type: 'TEXT',
+        characters: 'Submit',
+        absoluteBoundingBox: { x: 116, y: 216, width: 80, height: 20 },
+        fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+        style: { fontFamily: 'Inter', fontSize: 14, fontWeight: 600 }
+      },
+      {
+        id: '1:3',
+        name: 'Button',
+        type: 'RECTANGLE',
+        absoluteBoundingBox: { x: 116, y: 250, width: 120, height: 40 },
+        fills: [{ type: 'SOLID', color: { r: 0.145, g: 0.388, b: 0.922, a: 1 } }]
+      }
+    ],
+    ...overrides
+  });
+
+  describe('hashDesignSnapshot', () => {
+    it('should ignore where the node sits on the canvas', () => {
+      const moved = makeCard();
+      moved.absoluteBoundingBox = { x: 500, y: 900, width: 320, height: 200 };
+      moved.children.forEach(child => {
+        child.absoluteBoundingBox = { ...child.absoluteBoundingBox, x: child.absoluteBoundingBox.x + 400, y: child.absoluteBoundingBox.y + 700 };
+      });
+
+      expect(hashDesignSnapshot(normalizeDesignNode(moved))).toBe(hashDesignSnapshot(normalizeDesignNode(makeCard())));
+    });
+
+    it('should change when a property in the generated code changes', () => {
+      const edited = makeCard();
+      edited.children[0].style = { ...edited.children[0].style, fontSize: 16 };
+
+      expect(hashDesignSnapshot(normalizeDesignNode(edited))).not.toBe(hashDesignSnapshot(normalizeDesignNode(makeCard())));
+    });
+  });
+
+  describe('diffDesignSnapshots', () => {
+    it('should report colors, text, sizes and typography per layer', () => {
+      const edited = makeCard({ absoluteBoundingBox: { x: 100, y: 200, width: 360, height: 200 } });
+      edited.children[0] = { ...edited.children[0], characters: 'Send', style: { ...edited.children[0].style, fontSize: 16 } };
+      edited.children[1] = { ...edited.children[1], fills: [{ type: 'SOLID', color: { r: 0.086, g: 0.639, b: 0.29, a: 1 } }] };
+
+      const changes = diffDesignSnapshots(normalizeDesignNode(makeCard()), normalizeDesignNode(edited));
+
+      expect(changes.map(describeDesignChange)).toEqual([
+        'Card: size 320×200 → 360×200',
+        'Card / Title: text "Submit" → "Send"',
+        'Card / Title: fontSize 14 → 16',
+        'Card / Button: fills #2563eb → #16a34a'
+      ]);
+      expect(summarizeDesignChanges(changes)).toEqual({ size: 1, text: 1, typography: 1, color: 1 });
+    });
+
+    it('should report added and removed children', () => {
+      const edited = makeCard();
+      edited.children = [
+        edited.children[0],
+        { id: '1:9', name: 'Badge', type: 'FRAME', absoluteBoundingBox: { x: 300, y: 210, width: 16, height: 16 } }
+      ];
+
+      const changes = diffDesignSnapshots(normalizeDesignNode(makeCard()), normalizeDesignNode(edited));
+
+      expect(changes).toEqual([
+        { type: 'removed', path: 'Card', property: 'children', before: 'rectangle "Button"', after: null },
+        { type: 'added', path: 'Card', property: 'children', before: null, after: 'frame "Badge"' }
+      ]);
+    });
+  });
+
+  describe('findStaleGenerations', () => {
+    it('should return only changed or deleted nodes', () => {
+      const snapshot = normalizeDesignNode(makeCard());
+      const record = (nodeId) => ({ id: `r-${nodeId}`, nodeId, designSnapshot: snapshot, designHash: hashDesignSnapshot(snapshot) });
+      const changed = makeCard({ cornerRadius: 12 });
+
+      const stale = findStaleGenerations(
+        [record('1:1'), record('2:1'), record('3:1'), { id: 'old', nodeId: '4:1' }],
+        { '1:1': makeCard(), '2:1': changed, '3:1': null, '4:1': changed }
+      );
+
+      expect(stale.map(item => [item.record.id, item.deleted])).toEqual([['r-2:1', false], ['r-3:1', true]]);
+      expect(stale[0].changes).toEqual([
+        { type: 'style', path: 'Card', property: 'cornerRadius', before: 8, after: 12 }
+      ]);
+    });
+  });
+});
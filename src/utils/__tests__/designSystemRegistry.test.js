@@ -0,0 +1,147 @@
+/**
+ * Tests for designSystemRegistry utility
+ */
+
+import {
+  parseRegistryManifest,
+  loadRegistry,
+  saveRegistry,
+  clearRegistry,
+  matchRegistryComponent,
+  DESIGN_SYSTEM_LIBRARY
+} from '../designSystemRegistry';
+import { detectComponentPattern } from '../componentDetector';
+import { mapToComponentLibrary } from '../componentMapper';
+
+describe('designSystemRegistry', () => {
+  const manifest = {
+    name: 'Acme UI',
+    components: [
+      {
+        name: 'OurButton',
+        import: '@acme/ui',
+        type: 'button',
+        props: {
+          intent: { type: 'enum', options: ['primary', 'danger', 'neutral'], source: 'color', default: 'primary' },
+          size: { type: 'enum', options: ['sm', 'md', 'lg'], source: 'size', default: 'md' },
+          children: { type: 'string', source: 'text' }
+        },
+        match: { keywords: ['button', 'cta'], height: [28, 56], componentKeys: ['key-button'] }
+      },
+      {
+        name: 'OurTag',
+        import: '@acme/ui/tag',
+        defaultImport: true,
+        props: { label: { source: 'text' } },
+        match: { keywords: ['tag'] }
+      }
+    ]
+  };
+
+  const dangerButton = {
+    type: 'FRAME',
+    name: 'Delete button',
+    absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 32 },
+    cornerRadius: 6,
+    fills: [{ type: 'SOLID', color: { r: 0.86, g: 0.15, b: 0.15, a: 1 } }],
+    children: [{ type: 'TEXT', characters: 'Delete' }]
+  };
+
+  describe('parseRegistryManifest', () => {
+    it('should parse JSON and normalize components', () => {
+      const registry = parseRegistryManifest(JSON.stringify(manifest));
+
+      expect(registry.name).toBe('Acme UI');
+      expect(registry.components[1]).toMatchObject({
+        name: 'OurTag',
+        defaultImport: true,
+        props: { label: { type: 'string', source: 'text' } },
+        match: { keywords: ['tag'], width: null, componentKeys: [] }
+      });
+    });
+
+    it('should parse a JS module exporting an object literal', () => {
+      const registry = parseRegistryManifest(`// Acme components
+export default {
+  name: 'Acme UI',
+  components: [
+    { name: 'OurButton', import: '@acme/ui', match: { keywords: ['button'] }, },
+  ],
+};`);
+
+      expect(registry.components.map(component => component.name)).toEqual(['OurButton']);
+    });
+
+    it('should report every problem in an invalid manifest', () => {
+      expect(() => parseRegistryManifest({
+        components: [
+          { name: 'button', import: '@acme/ui' },
+          { name: 'OurInput', props: { kind: { type: 'enum' } } }
+        ]
+      })).toThrow(/PascalCase[\s\S]*"import" path[\s\S]*without "options"/);
+
+      expect(() => parseRegistryManifest('not a manifest')).toThrow('Could not parse design system manifest');
+    });
+  });
+
+  describe('persistence', () => {
+    afterEach(() => clearRegistry());
+
+    it('should keep the registry across sessions', () => {
+      expect(loadRegistry()).toBeNull();
+
+      saveRegistry(parseRegistryManifest(manifest));
+      expect(loadRegistry().components).toHaveLength(2);
+
+      clearRegistry();
+      expect(loadRegistry()).toBeNull();
+    });
+  });
+
+  describe('matchRegistryComponent', () => {
+    const registry = parseRegistryManifest(manifest);
+
+    it('should match on Figma component keys first', () => {
+      const match = matchRegistryComponent({ name: 'Anything', componentKey: 'key-button' }, registry);
+      expect(match).toMatchObject({ confidence: 100, component: { name: 'OurButton' } });
+    });
+
+    it('should score keywords, size ranges and the detected type', () => {
+      expect(matchRegistryComponent(dangerButton, registry, 'button').confidence).toBe(95);
+      expect(matchRegistryComponent({ ...dangerButton, absoluteBoundingBox: { width: 120, height: 120 } }, registry)).toBeNull();
+      expect(matchRegistryComponent({ name: 'Hero image' }, registry)).toBeNull();
+    });
+  });
+
+  describe('detection and mapping', () => {
+    const registry = parseRegistryManifest(manifest);
+
+    it('should detect registered components', () => {
+      const detection = detectComponentPattern(dangerButton, { registry });
+
+      expect(detection.registryComponent).toBe('OurButton');
+      expect(detection.componentType).toBe('button');
+      expect(detection.suggestedLibrary).toBe(DESIGN_SYSTEM_LIBRARY);
+      expect(detectComponentPattern(dangerButton).registryComponent).toBeUndefined();
+    });
+
+    it('should map to the registered component with props from the node', () => {
+      const detection = detectComponentPattern(dangerButton, { registry });
+      const result = mapToComponentLibrary(detection, dangerButton, DESIGN_SYSTEM_LIBRARY, registry);
+
+      expect(result.usesLibrary).toBe(true);
+      expect(result.code).toBe('<OurButton\n  intent="danger"\n  size="sm"\n>\n  Delete\n</OurButton>');
+      expect(result.imports).toEqual(['import { OurButton } from "@acme/ui"']);
+    });
+
+    it('should use default imports and fall back to divs without a match', () => {
+      const tag = { name: 'Status tag', absoluteBoundingBox: { width: 60, height: 20 }, children: [{ type: 'TEXT', characters: 'Beta' }] };
+      const tagResult = mapToComponentLibrary(detectComponentPattern(tag, { registry }), tag, DESIGN_SYSTEM_LIBRARY, registry);
+      expect(tagResult.code).toBe('<OurTag\n  label="Beta"\n/>');
+      expect(tagResult.imports).toEqual(['import OurTag from "@acme/ui/tag"']);
+
+      const unmatched = mapToComponentLibrary({ componentType: 'card', confidence: 90 }, { width: 300, height: 200 }, DESIGN_SYSTEM_LIBRARY, registry);
+      expect(unmatched.usesLibrary).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * Tests for figmaCompiler utility
+ */
+
+import { packages } from '@babel/standalone';
+import { compileFigmaNode, generateComponentName, colorToCSS } from '../figmaCompiler';
+import { parseRegistryManifest, DESIGN_SYSTEM_LIBRARY } from '../designSystemRegistry';
+
+describe('figmaCompiler', () => {
+  const buttonGroup = {
+    id: '1:2',
+    name: 'Submit',
+    type: 'GROUP',
+    absoluteBoundingBox: { x: 100, y: 200, width: 120, height: 40 },
+    children: [
+      {
+        id: '1:3',
+        name: 'Background',
+        type: 'RECTANGLE',
+        absoluteBoundingBox: { x: 100, y: 200, width: 120, height: 40 },
+        fills: [{ type: 'SOLID', color: { r: 0.2, g: 0.4, b: 0.8, a: 1 } }],
+        cornerRadius: 8
+      },
+      {
+        id: '1:4',
+        name: 'Label',
+        type: 'TEXT',
+        characters: 'Submit',
+        absoluteBoundingBox: { x: 130, y: 210, width: 60, height: 20 },
+        fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+        style: { fontFamily: 'Inter', fontSize: 16, fontWeight: 600 }
+      }
+    ]
+  };
+
+  const layoutFrame = {
+    id: '2:1',
+    name: 'Layout',
+    type: 'FRAME',
+    absoluteBoundingBox: { x: 100, y: 100, width: 477, height: 297 },
+    fills: [{ type: 'SOLID', color: { r: 0.267, g: 0.698, b: 0.31, a: 1 } }],
+    children: [
+      {
+        id: '2:2',
+        name: 'Box A',
+        type: 'RECTANGLE',
+        absoluteBoundingBox: { x: 150, y: 125, width: 200, height: 100 },
+        fills: [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5, a: 1 } }]
+      },
+      {
+        id: '2:3',
+        name: 'Hidden',
+        type: 'RECTANGLE',
+        visible: false,
+        absoluteBoundingBox: { x: 150, y: 250, width: 10, height: 10 }
+      }
+    ]
+  };
+
+  describe('compileFigmaNode', () => {
+    it('should compile a RECTANGLE + TEXT group into a button', () => {
+      const result = compileFigmaNode(buttonGroup);
+
+      expect(result.componentName).toBe('SubmitButton');
+      expect(result.code).toContain('<button');
+      expect(result.code).toContain('type="button"');
+      expect(result.code).toContain("width: '120px'");
+      expect(result.code).toContain("backgroundColor: '#3366cc'");
+      expect(result.code).toContain("borderRadius: '8px'");
+      expect(result.code).toContain("color: '#ffffff'");
+      expect(result.code).toContain('fontWeight: 600');
+      expect(result.code).toContain('Submit');
+    });
+
+    it('should not position the root element', () => {
+      const result = compileFigmaNode(buttonGroup);
+
+      expect(result.code).not.toContain('position:');
+      expect(result.code).not.toContain('left:');
+      expect(result.code).not.toContain('top:');
+    });
+
+    it('should position children relative to the parent bounding box', () => {
+      const result = compileFigmaNode(layoutFrame);
+
+      expect(result.code).toContain("position: 'relative'");
+      expect(result.code).toContain("position: 'absolute'");
+      expect(result.code).toContain("left: '50px'");
+      expect(result.code).toContain("top: '25px'");
+      expect(result.code).toContain("width: '477px'");
+      expect(result.code).toContain('Figma node: Box A (2:2)');
+    });
+
+    it('should tag every element with its Figma node id', () => {
+      const result = compileFigmaNode(layoutFrame);
+
+      expect(result.code).toContain('data-figma-id="2:1"');
+      expect(result.code).toContain('data-figma-id="2:2"');
+      expect(result.code).not.toContain('data-figma-id="2:3"');
+    });
+
+    it('should skip invisible children', () => {
+      const result = compileFigmaNode(layoutFrame);
+
+      expect(result.code).not.toContain('Hidden');
+      expect(result.tree.children).toHaveLength(1);
+    });
+
+    it('should keep multi-line layer names inside the header comment', () => {
+      const result = compileFigmaNode({ ...layoutFrame, name: 'Hero\nconst broken = true;\r\n  Banner' });
+
+      expect(result.code).toContain('// Compiled from Figma node "Hero const broken = true; Banner" (2:1)');
+      expect(() => packages.parser.parse(result.code, { sourceType: 'module', plugins: ['jsx'] })).not.toThrow();
+    });
+
+    it('should be deterministic', () => {
+      expect(compileFigmaNode(layoutFrame).code).toBe(compileFigmaNode(layoutFrame).code);
+    });
+
+    it('should wrap the code in the AI output format', () => {
+      const result = compileFigmaNode(layoutFrame);
+
+      expect(result.output).toContain('📝 Design Specification:');
+      expect(result.output).toMatch(/```jsx\n[\s\S]*?```/);
+      expect(result.spec).toContain('Dimensions: 477px x 297px');
+    });
+
+    it('should convert strokes, effects and text styles', () => {
+      const result = compileFigmaNode({
+        id: '3:1',
+        name: 'Card',
+        type: 'FRAME',
+        absoluteBoundingBox: { x: 0, y: 0, width: 300, height: 200 },
+        strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+        strokeWeight: 2,
+        effects: [{ type: 'DROP_SHADOW', visible: true, radius: 4, offset: { x: 0, y: 4 }, color: { r: 0, g: 0, b: 0, a: 0.25 } }],
+        children: [
+          {
+            id: '3:2',
+            name: 'Title',
+            type: 'TEXT',
+            characters: 'Hello {world}',
+            absoluteBoundingBox: { x: 16, y: 16, width: 200, height: 24 },
+            style: { fontSize: 20, lineHeightPx: 24, textAlignHorizontal: 'CENTER', textCase: 'UPPER' }
+          }
+        ]
+      });
+
+      expect(result.code).toContain("border: '2px solid #000000'");
+      expect(result.code).toContain("boxSizing: 'border-box'");
+      expect(result.code).toContain("boxShadow: '0px 4px 4px 0px rgba(0, 0, 0, 0.25)'");
+      expect(result.code).toContain("textAlign: 'center'");
+      expect(result.code).toContain("textTransform: 'uppercase'");
+      expect(result.code).toContain('{"Hello {world}"}');
+    });
+
+    describe('Auto Layout', () => {
+      const label = (id, x, characters) => ({
+        id,
+        name: characters,
+        type: 'TEXT',
+        characters,
+        absoluteBoundingBox: { x, y: 12, width: 40, height: 16 },
+        style: { fontSize: 14, textAutoResize: 'WIDTH_AND_HEIGHT' }
+      });
+
+      const toolbar = {
+        id: '4:1',
+        name: 'Toolbar',
+        type: 'FRAME',
+        layoutMode: 'HORIZONTAL',
+        itemSpacing: 8,
+        paddingTop: 12,
+        paddingRight: 16,
+        paddingBottom: 12,
+        paddingLeft: 16,
+        primaryAxisAlignItems: 'SPACE_BETWEEN',
+        counterAxisAlignItems: 'CENTER',
+        primaryAxisSizingMode: 'FIXED',
+        counterAxisSizingMode: 'AUTO',
+        absoluteBoundingBox: { x: 0, y: 0, width: 320, height: 40 },
+        children: [
+          label('4:2', 16, 'Left'),
+          { ...label('4:3', 64, 'Grow'), layoutGrow: 1 },
+          { ...label('4:4', 264, 'Badge'), layoutPositioning: 'ABSOLUTE', absoluteBoundingBox: { x: 300, y: 0, width: 20, height: 20 } }
+        ]
+      };
+
+      it('should turn Auto Layout frames into flex containers', () => {
+        const { style } = compileFigmaNode(toolbar).tree;
+
+        expect(style).toMatchObject({
+          display: 'flex',
+          flexDirection: 'row',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: '12px 16px 12px 16px',
+          boxSizing: 'border-box',
+          width: '320px'
+        });
+        // Hugging height and space-between gaps are left to flexbox
+        expect(style.height).toBeUndefined();
+        expect(style.gap).toBeUndefined();
+      });
+
+      it('should keep Auto Layout children in flow', () => {
+        const [left, grow, badge] = compileFigmaNode(toolbar).tree.children;
+
+        expect(left.style.position).toBeUndefined();
+        expect(left.style.left).toBeUndefined();
+        expect(left.style.width).toBeUndefined();
+        expect(left.style.flexShrink).toBe(0);
+        expect(grow.style).toMatchObject({ flexGrow: 1, flexBasis: 0 });
+        expect(badge.style).toMatchObject({ position: 'absolute', left: '300px', top: '0px' });
+      });
+
+      it('should emit gap, wrap and stretch for vertical stacks', () => {
+        const { tree, code } = compileFigmaNode({
+          ...toolbar,
+          layoutMode: 'VERTICAL',
+          primaryAxisAlignItems: 'MIN',
+          counterAxisAlignItems: 'MAX',
+          children: [{ ...label('5:1', 16, 'Row'), layoutAlign: 'STRETCH' }]
+        });
+
+        expect(tree.style).toMatchObject({ flexDirection: 'column', gap: '8px', alignItems: 'flex-end', width: 'fit-content' });
+        expect(tree.children[0].style.alignSelf).toBe('stretch');
+        expect(code).toContain("display: 'flex'");
+
+        const wrapped = compileFigmaNode({ ...toolbar, layoutWrap: 'WRAP', counterAxisSpacing: 4, primaryAxisAlignItems: 'MIN' });
+        expect(wrapped.tree.style).toMatchObject({ flexWrap: 'wrap', columnGap: '8px', rowGap: '4px' });
+      });
+
+      it('should prefer layoutSizing properties when present', () => {
+        const { tree } = compileFigmaNode({
+          ...toolbar,
+          children: [{ ...label('6:1', 16, 'Fill'), layoutSizingHorizontal: 'FILL', layoutSizingVertical: 'FIXED' }]
+        });
+
+        expect(tree.children[0].style).toMatchObject({ flexGrow: 1, height: '16px' });
+        expect(tree.children[0].style.width).toBeUndefined();
+      });
+    });
+
+    describe('constraints', () => {
+      const withConstraints = (constraints) => compileFigmaNode({
+        ...layoutFrame,
+        children: [{ ...layoutFrame.children[0], constraints }]
+      }).tree.children[0].style;
+
+      it('should pin the right and bottom edges', () => {
+        const style = withConstraints({ horizontal: 'RIGHT', vertical: 'BOTTOM' });
+
+        expect(style).toMatchObject({ right: '227px', bottom: '172px', width: '200px' });
+        expect(style.left).toBeUndefined();
+        expect(style.top).toBeUndefined();
+      });
+
+      it('should stretch between both edges without a fixed size', () => {
+        const style = withConstraints({ horizontal: 'LEFT_RIGHT', vertical: 'TOP_BOTTOM' });
+
+        expect(style).toMatchObject({ left: '50px', right: '227px', top: '25px', bottom: '172px' });
+        expect(style.width).toBeUndefined();
+        expect(style.height).toBeUndefined();
+      });
+
+      it('should center and scale relative to the parent', () => {
+        const style = withConstraints({ horizontal: 'CENTER', vertical: 'SCALE' });
+
+        expect(style.left).toBe('calc(50% - 188.5px)');
+        expect(style.top).toBe('8.42%');
+        expect(style.height).toBe('33.67%');
+        expect(style.width).toBe('200px');
+      });
+
+      it('should make the root fluid on request', () => {
+        expect(compileFigmaNode(layoutFrame, { fluid: true }).tree.style.width).toBe('100%');
+        expect(compileFigmaNode(layoutFrame).tree.style.width).toBe('477px');
+      });
+    });
+
+    describe('mapped components', () => {
+      const componentKeyMap = {
+        'key-button': { component: 'Button', import: '@acme/ui', type: 'button' }
+      };
+      const buttonInstance = {
+        ...buttonGroup,
+        id: '3:1',
+        type: 'INSTANCE',
+        componentKey: 'key-button',
+        componentProperties: {
+          'Intent': { type: 'VARIANT', value: 'primary' },
+          'Label#3:0': { type: 'TEXT', value: 'Save' }
+        }
+      };
+
+      it('should compile a mapped instance to its code component and import', () => {
+        const result = compileFigmaNode(buttonInstance, { componentKeyMap });
+
+        expect(result.imports).toEqual(['import { Button } from "@acme/ui"']);
+        expect(result.code.startsWith('import { Button } from "@acme/ui";\n\nconst ')).toBe(true);
+        expect(result.code).toContain('<Button\n');
+        expect(result.code).toContain('intent="primary"');
+        expect(result.code).toContain('Save');
+        expect(result.code).not.toContain('<button');
+        expect(result.tree.style).toMatchObject({ position: 'relative', width: '120px', height: '40px' });
+      });
+
+      it('should keep nested mapped instances in place', () => {
+        const result = compileFigmaNode({
+          ...layoutFrame,
+          children: [
+            { ...buttonInstance, absoluteBoundingBox: { x: 150, y: 125, width: 120, height: 40 } },
+            { ...buttonInstance, id: '3:2', absoluteBoundingBox: { x: 150, y: 200, width: 120, height: 40 } }
+          ]
+        }, { componentKeyMap });
+
+        expect(result.imports).toEqual(['import { Button } from "@acme/ui"']);
+        expect(result.tree.children[0].style).toMatchObject({ position: 'absolute', left: '50px', top: '25px' });
+        expect(result.tree.children[0].attributes['data-figma-id']).toBe('3:1');
+        expect(result.code.match(/<Button\n/g)).toHaveLength(2);
+      });
+
+      it('should compile unmapped instances from their layers', () => {
+        const result = compileFigmaNode(buttonInstance, { componentKeyMap: {} });
+
+        expect(result.imports).toEqual([]);
+        expect(result.code).toContain('<button');
+        expect(result.code.startsWith('const ')).toBe(true);
+      });
+    });
+
+    describe('component libraries', () => {
+      const buttonFrame = {
+        id: '4:1',
+        name: 'Submit',
+        type: 'FRAME',
+        absoluteBoundingBox: { x: 100, y: 200, width: 120, height: 40 },
+        fills: [{ type: 'SOLID', color: { r: 0.2, g: 0.4, b: 0.8, a: 1 } }],
+        cornerRadius: 8,
+        children: [buttonGroup.children[1]]
+      };
+
+      it('should compile a detected button to the selected library', () => {
+        const result = compileFigmaNode(buttonFrame, { library: 'mui' });
+
+        expect(result.imports).toEqual(['import { Button } from "@mui/material"']);
+        expect(result.code.startsWith('import { Button } from "@mui/material";\n\n')).toBe(true);
+        expect(result.code).toContain('<Button');
+        expect(result.code).not.toContain('<button');
+        expect(result.libraryMapping.usesLibrary).toBe(true);
+        expect(result.tree.style).toMatchObject({ width: '120px', height: '40px' });
+      });
+
+      it('should leave the output unchanged without a library', () => {
+        expect(compileFigmaNode(buttonFrame, { library: 'none' }).code).toBe(compileFigmaNode(buttonFrame).code);
+        expect(compileFigmaNode(buttonFrame).libraryMapping).toBeNull();
+      });
+
+      it('should keep the compiled layout of containers', () => {
+        const result = compileFigmaNode(layoutFrame, { library: 'chakra' });
+
+        expect(result.imports).toEqual([]);
+        expect(result.code).toBe(compileFigmaNode(layoutFrame).code);
+      });
+
+      it('should compile registered components with the design system selected', () => {
+        const registry = parseRegistryManifest(JSON.stringify({
+          name: 'Acme UI',
+          components: [{
+            name: 'OurButton',
+            import: '@acme/ui',
+            type: 'button',
+            props: { children: { type: 'string', source: 'text' } },
+            match: { keywords: ['submit'] }
+          }]
+        }));
+
+        const result = compileFigmaNode(buttonFrame, { library: DESIGN_SYSTEM_LIBRARY, registry });
+
+        expect(result.componentDetection.registryComponent).toBe('OurButton');
+        expect(result.imports).toEqual(['import { OurButton } from "@acme/ui"']);
+        expect(result.code).toContain('<OurButton>\n');
+        expect(compileFigmaNode(buttonFrame, { library: 'none', registry }).code).not.toContain('OurButton');
+      });
+    });
+
+    it('should throw for nodes without a bounding box', () => {
+      expect(() => compileFigmaNode({ type: 'FRAME' })).toThrow('missing positioning information');
+    });
+  });
+
+  describe('generateComponentName', () => {
+    it('should create PascalCase names with a type suffix', () => {
+      expect(generateComponentName('primary button', 'button')).toBe('PrimaryButton');
+      expect(generateComponentName('user-card', 'card')).toBe('UserCard');
+      expect(generateComponentName('Hero section', 'container')).toBe('HeroSection');
+    });
+
+    it('should produce a valid identifier for numeric or empty names', () => {
+      expect(generateComponentName('123', 'unknown')).toBe('Component123');
+      expect(generateComponentName('', 'unknown')).toBe('Component');
+    });
+  });
+
+  describe('colorToCSS', () => {
+    it('should return hex for opaque colors and rgba for translucent ones', () => {
+      expect(colorToCSS({ r: 1, g: 0, b: 0, a: 1 })).toBe('#ff0000');
+      expect(colorToCSS({ r: 0, g: 0, b: 0, a: 1 }, 0.5)).toBe('rgba(0, 0, 0, 0.5)');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import {
+  parseGenerationOutput,
+  validateGenerationOutput,
+  requestWithContract,
+  formatGenerationOutput,
+  parsePartialGenerationOutput,
+  isCompleteComponentCode
+} from '../generationContract';
+
+describe('generationContract', () => {
+  const valid = {
+    spec: 'Card 320x200, white background',
+    code: 'const ProfileCard = () => {\n  return <div style={{ width: 320 }}>Hello</div>;\n};',
+    componentName: 'ProfileCard',
+    imports: [],
+    warnings: []
+  };
+
+  describe('parseGenerationOutput', () => {
+    it('should parse a valid response', () => {
+      const { value, errors } = parseGenerationOutput(JSON.stringify(valid));
+
+      expect(errors).toEqual([]);
+      expect(value.componentName).toBe('ProfileCard');
+    });
+
+    it('should accept a response wrapped in json fences', () => {
+      const { value } = parseGenerationOutput('```json\n' + JSON.stringify(valid) + '\n```');
+
+      expect(value).not.toBeNull();
+    });
+
+    it('should report responses that are not JSON', () => {
+      const { value, errors } = parseGenerationOutput('Here is your component: ...');
+
+      expect(value).toBeNull();
+      expect(errors[0]).toMatch(/not valid JSON/);
+    });
+  });
+
+  describe('validateGenerationOutput', () => {
+    it('should report missing fields and wrong types', () => {
+      const errors = validateGenerationOutput({ spec: '', code: valid.code, imports: 'none' });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Missing required field "componentName"',
+        'Missing required field "warnings"',
+        '"spec" must be a non-empty string',
+        '"imports" must be an array of strings'
+      ]));
+    });
+
+    it('should require a PascalCase name declared in the code', () => {
+      expect(validateGenerationOutput({ ...valid, componentName: 'profileCard' }))
+        .toContain('"componentName" must be PascalCase, got "profileCard"');
+      expect(validateGenerationOutput({ ...valid, componentName: 'Card' }))
+        .toContain('"code" must declare the component "Card" (const Card = ...)');
+    });
+
+    it('should keep imports, exports and fences out of the code', () => {
+      const errors = validateGenerationOutput({
+        ...valid,
+        code: "```jsx\nimport React from 'react';\n" + valid.code + '\nexport default ProfileCard;\n```'
+      });
+
+      expect(errors).toHaveLength(3);
+    });
+
+    it('should flag truncated code', () => {
+      const errors = validateGenerationOutput({
+        ...valid,
+        code: 'const ProfileCard = () => {\n  return <div style={{ width: 320 }}>'
+      });
+
+      expect(errors).toEqual([expect.stringMatching(/unbalanced brackets \(unclosed "\{"\)/)]);
+    });
+
+    it('should not treat apostrophes in JSX text as strings', () => {
+      const code = "const ProfileCard = () => {\n  return <p className='note'>Don't miss it</p>;\n};";
+
+      expect(validateGenerationOutput({ ...valid, code })).toEqual([]);
+    });
+  });
+
+  describe('requestWithContract', () => {
+    it('should retry with the validation errors fed back', async () => {
+      const send = jest.fn()
+        .mockResolvedValueOnce('not json')
+        .mockResolvedValueOnce(JSON.stringify({ ...valid, spec: '  Card  ' }));
+      const onRetry = jest.fn();
+
+      const result = await requestWithContract(send, [{ role: 'user', content: 'Generate' }], { onRetry });
+
+      expect(result.attempts).toBe(2);
+      expect(result.value.spec).toBe('Card');
+      expect(onRetry).toHaveBeenCalledWith(1, [expect.stringMatching(/not valid JSON/)]);
+
+      const retryMessages = send.mock.calls[1][0];
+      expect(retryMessages).toHaveLength(3);
+      expect(retryMessages[1]).toEqual({ role: 'assistant', content: 'not json' });
+      expect(retryMessages[2].content).toMatch(/does not match the required JSON contract:\n- Response is not valid JSON/);
+    });
+
+    it('should throw after the last attempt', async () => {
+      const send = jest.fn().mockResolvedValue(JSON.stringify({ ...valid, imports: ['React'] }));
+
+      await expect(requestWithContract(send, [], { maxAttempts: 2 }))
+        .rejects.toThrow(/after 2 attempts:\n- "imports" entries must be import statements/);
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('formatGenerationOutput', () => {
+    it('should render the spec, warnings and code sections', () => {
+      const output = formatGenerationOutput({ ...valid, warnings: ['Blur approximated'] });
+
+      expect(output).toContain('📝 Design Specification:\nCard 320x200, white background\n\nWarnings:\n- Blur approximated');
+      expect(output).toContain('⚛️ React Code:\n```jsx\n' + valid.code + '\n```');
+    });
+  });
+
+  describe('parsePartialGenerationOutput', () => {
+    it('should decode string fields up to where the stream ends', () => {
+      const full = JSON.stringify(valid);
+      const cut = full.indexOf('\\n  return') + 1;
+
+      expect(parsePartialGenerationOutput(full.slice(0, cut))).toEqual({
+        spec: valid.spec,
+        code: 'const ProfileCard = () => {'
+      });
+      expect(parsePartialGenerationOutput(full.slice(0, cut + 1)).code).toBe('const ProfileCard = () => {\n');
+    });
+
+    it('should return null for fields that have not started', () => {
+      expect(parsePartialGenerationOutput('{"spec": "Card 320x2')).toEqual({ spec: 'Card 320x2', code: null });
+    });
+  });
+
+  describe('isCompleteComponentCode', () => {
+    it('should only accept a fully closed component declaration', () => {
+      expect(isCompleteComponentCode('const ProfileCard = () => {\n  return <div style={{ width: 320 }}>')).toBe(false);
+      expect(isCompleteComponentCode('const ProfileCard = () => {\n  const size = { width: 320 };')).toBe(false);
+      expect(isCompleteComponentCode(valid.code)).toBe(true);
+    });
+  });
+});
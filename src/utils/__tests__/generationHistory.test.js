@@ -0,0 +1,126 @@
+import {
+  createGenerationRecord,
+  saveGeneration,
+  listGenerations,
+  listFileGenerations,
+  latestGenerationPerNode,
+  updateGeneration,
+  deleteGeneration,
+  diffGenerations,
+  HISTORY_LIMIT_PER_NODE
+} from '../generationHistory';
+
+// jsdom has no IndexedDB, so these run against the in-memory fallback
+describe('generationHistory', () => {
+  const makeRecord = (nodeId, createdAt, fields = {}) => ({
+    ...createGenerationRecord({
+      fileId: 'file1',
+      nodeId,
+      inputs: { mode: 'ai', library: 'none' },
+      rawOutput: 'output',
+      code: 'const Card = () => <div />;',
+      accessibilityReport: { score: 80 },
+      ...fields
+    }),
+    createdAt
+  });
+
+  describe('createGenerationRecord', () => {
+    it('should keep the accessibility score and leave the comparison open', () => {
+      const record = createGenerationRecord({ fileId: 'abc', nodeId: '1:2', code: 'x', accessibilityReport: { score: 92 } });
+
+      expect(record.id).toEqual(expect.any(String));
+      expect(record.accessibilityScore).toBe(92);
+      expect(record.comparisonScore).toBeNull();
+    });
+  });
+
+  describe('storage', () => {
+    it('should list the generations of one node, newest first', async () => {
+      await saveGeneration(makeRecord('10:1', 1000));
+      await saveGeneration(makeRecord('10:1', 3000));
+      await saveGeneration(makeRecord('10:2', 2000));
+
+      const history = await listGenerations('file1', '10:1');
+
+      expect(history.map(record => record.createdAt)).toEqual([3000, 1000]);
+    });
+
+    it('should update and delete a generation', async () => {
+      const record = await saveGeneration(makeRecord('11:1', 1000));
+
+      const updated = await updateGeneration(record.id, { comparisonScore: 87 });
+      expect(updated.comparisonScore).toBe(87);
+      expect((await listGenerations('file1', '11:1'))[0].comparisonScore).toBe(87);
+
+      await deleteGeneration(record.id);
+      expect(await listGenerations('file1', '11:1')).toEqual([]);
+      expect(await updateGeneration(record.id, { comparisonScore: 90 })).toBeNull();
+    });
+
+    it('should list the newest generation of every node in a file', async () => {
+      await saveGeneration(makeRecord('13:1', 1000, { fileId: 'file2' }));
+      await saveGeneration(makeRecord('13:1', 2000, { fileId: 'file2' }));
+      await saveGeneration(makeRecord('13:2', 1500, { fileId: 'file2' }));
+
+      const latest = latestGenerationPerNode(await listFileGenerations('file2'));
+
+      expect(latest.map(record => [record.nodeId, record.createdAt])).toEqual([['13:1', 2000], ['13:2', 1500]]);
+    });
+
+    it('should drop the oldest generations beyond the limit', async () => {
+      for (let index = 0; index <= HISTORY_LIMIT_PER_NODE; index++) {
+        await saveGeneration(makeRecord('12:1', index));
+      }
+
+      const history = await listGenerations('file1', '12:1');
+
+      expect(history).toHaveLength(HISTORY_LIMIT_PER_NODE);
+      expect(history[history.length - 1].createdAt).toBe(1);
+    });
+
+    it('should keep the node data and options the generation read', async () => {
+      const node = { id: '14:1', name: 'Card', type: 'FRAME', absoluteBoundingBox: { x: 0, y: 0, width: 300, height: 200 } };
+      const inputs = {
+        mode: 'refine',
+        library: 'mui',
+        nodeIds: ['14:1'],
+        responsive: false,
+        nodes: [node],
+        options: { componentKeyMap: { 'key-button': { component: 'Button' } }, registry: null, llm: { provider: 'mock', model: 'fixture' } }
+      };
+
+      await saveGeneration(makeRecord('14:1', 1000, { inputs }));
+
+      expect((await listGenerations('file1', '14:1'))[0].inputs).toEqual(inputs);
+    });
+  });
+
+  describe('diffGenerations', () => {
+    it('should pair changed lines and keep unchanged ones aligned', () => {
+      const before = 'const Card = () => (\n  <div style={{ width: 320 }}>\n    Hello\n  </div>\n);';
+      const after = 'const Card = () => (\n  <div style={{ width: 360 }}>\n    Hello\n    <span>New</span>\n  </div>\n);';
+
+      const { rows, added, removed } = diffGenerations(before, after);
+
+      expect(added).toBe(2);
+      expect(removed).toBe(1);
+      expect(rows[1]).toEqual({
+        type: 'changed',
+        left: '  <div style={{ width: 320 }}>',
+        right: '  <div style={{ width: 360 }}>',
+        leftLine: 2,
+        rightLine: 2
+      });
+      expect(rows[3]).toEqual({ type: 'added', left: null, right: '    <span>New</span>', leftLine: null, rightLine: 4 });
+      expect(rows[4]).toMatchObject({ type: 'same', leftLine: 4, rightLine: 5 });
+    });
+
+    it('should report identical code as unchanged', () => {
+      const { rows, added, removed } = diffGenerations('a\nb', 'a\nb');
+
+      expect(added + removed).toBe(0);
+      expect(rows.every(row => row.type === 'same')).toBe(true);
+    });
+  });
+});
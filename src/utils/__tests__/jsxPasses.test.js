@@ -0,0 +1,258 @@
+import { packages } from '@babel/standalone';
+import { runJSXPasses } from '../jsxTransform';
+import {
+  rootPositioningPass,
+  exactValuesPass,
+  semanticElementsPass,
+  ariaPass,
+  designTokensPass,
+  tailwindPass,
+  previewDefaultsPass
+} from '../jsxPasses';
+
+describe('jsxPasses', () => {
+  const figmaNode = {
+    id: '1:1',
+    name: 'Product Card',
+    absoluteBoundingBox: { x: 100, y: 100, width: 320, height: 200 },
+    children: [
+      { id: '1:2', name: 'Title', type: 'TEXT', characters: 'Summer sale', absoluteBoundingBox: { x: 116, y: 116, width: 80, height: 20 } }
+    ]
+  };
+
+  // Nested braces in the first style object broke the old regex rewriting
+  const generated = `const Card = ({ compact = false }) => {
+  return (
+    <div data-figma-id="1:1" style={{ position: 'absolute', left: '100px', top: '100px', width: '318px', height: compact ? '160px' : '200px' }}>
+      <div
+        data-figma-id="1:2"
+        style={{
+          position: 'absolute',
+          left: '19px',
+          top: '16px',
+          width: '80px'
+        }}
+      >
+        Summer sale
+      </div>
+    </div>
+  );
+};`;
+
+  describe('rootPositioningPass', () => {
+    it('should drop the root offsets and make it relative without touching children', () => {
+      const result = runJSXPasses(generated, [rootPositioningPass], { figmaNode });
+
+      expect(result.code).toContain(`<div data-figma-id="1:1" style={{ position: 'relative', width: '318px', height: compact ? '160px' : '200px' }}>`);
+      expect(result.code).toContain("left: '19px'");
+      expect(result.changes).toEqual([
+        { pass: 'root-positioning', message: 'Root <div> (1:1): removed left, top; position: relative' }
+      ]);
+    });
+  });
+
+  describe('exactValuesPass', () => {
+    it('should correct fixed pixel values on the root and on every tagged element', () => {
+      const result = runJSXPasses(generated, [exactValuesPass], { figmaNode });
+
+      expect(result.code).toContain("width: '320px', height: compact ? '160px' : '200px'");
+      expect(result.code).toContain("left: '16px',\n          top: '16px',");
+      expect(result.changes.map(change => change.message)).toEqual([
+        'Product Card: width 318px → 320px',
+        'Title: left 19px → 16px'
+      ]);
+    });
+  });
+
+  describe('semanticElementsPass', () => {
+    it('should turn a card root into an article and its title into a heading', () => {
+      const result = runJSXPasses(generated, [semanticElementsPass], {
+        figmaNode,
+        componentDetection: { componentType: 'card' }
+      });
+
+      expect(result.code).toMatch(/^ {4}<article data-figma-id="1:1" .* role="article">$/m);
+      expect(result.code).toContain('</article>');
+      expect(result.code).toMatch(/<h2\s+data-figma-id="1:2"/);
+      expect(result.code).toContain("width: '80px',\n          margin: 0");
+      expect(result.changes.map(change => change.message)).toEqual([
+        'Root <div> → <article>',
+        '<div> (1:2) "Summer sale" → <h2>'
+      ]);
+    });
+
+    it('should turn a text field into a labelled input', () => {
+      const result = runJSXPasses('<div style={{ width: \'250px\' }}>Email address</div>', [semanticElementsPass], {
+        figmaNode: { name: 'Email Input' },
+        componentDetection: { componentType: 'input' }
+      });
+
+      expect(result.code).toContain('<label htmlFor="input-emailinput"');
+      expect(result.code).toContain('<input id="input-emailinput" type="email" placeholder="Email address" style={{ width: \'250px\' }}');
+      expect(result.code).toContain('aria-describedby="input-emailinput-helper"');
+    });
+
+    it('should escape placeholder text in the generated label', () => {
+      const result = runJSXPasses('<div>{"Search <name> or {id} & \\"tag\\""}</div>', [semanticElementsPass], {
+        figmaNode: { name: 'Search Input' },
+        componentDetection: { componentType: 'input' }
+      });
+
+      expect(result.errors).toEqual([]);
+      expect(result.code).toContain('>{"Search <name> or {id} & \\"tag\\""}</label>');
+      expect(result.code).toContain('>{"Enter your Search <name> or {id} & \\"tag\\""}</span>');
+      expect(result.code).toContain('placeholder="Search <name> or {id} &amp; &quot;tag&quot;"');
+      expect(() => packages.parser.parse(result.code, { plugins: ['jsx'] })).not.toThrow();
+    });
+  });
+
+  describe('ariaPass', () => {
+    it('should add ARIA attributes and keyboard access without duplicating existing ones', () => {
+      const code = `<nav aria-label="Footer">
+  <div style={{ cursor: 'pointer' }}>Home</div>
+  <a style={{ cursor: 'pointer' }}>Blog</a>
+</nav>`;
+
+      const result = runJSXPasses(code, [ariaPass], { figmaNode: {}, componentDetection: { componentType: 'navigation' } });
+
+      expect(result.code).toBe(`<nav aria-label="Footer">
+  <div style={{ cursor: 'pointer' }} role="button" tabIndex={0}>Home</div>
+  <a style={{ cursor: 'pointer' }}>Blog</a>
+</nav>`);
+    });
+
+    it('should label buttons without readable text', () => {
+      const result = runJSXPasses('<button><svg /></button>', [ariaPass], {
+        figmaNode: { name: 'Close Icon' },
+        componentDetection: { componentType: 'button' }
+      });
+
+      expect(result.code).toBe('<button type="button" aria-label="Close"><svg /></button>');
+    });
+  });
+
+  describe('designTokensPass', () => {
+    const tokenEntries = [
+      { name: 'color-brand-primary', group: 'color', key: 'brand-primary', value: '#3366cc', source: 'variable' },
+      { name: 'spacing-md', group: 'spacing', key: 'md', value: 16, source: 'variable' }
+    ];
+    const code = "<div style={{ backgroundColor: '#3366cc', padding: '15px', width: '80px' }}>Hi</div>";
+
+    it('should reference exact matches and flag near misses without snapping them', () => {
+      const result = runJSXPasses(code, [designTokensPass], { tokenEntries });
+
+      expect(result.code).toBe("<div style={{ backgroundColor: 'var(--color-brand-primary)', padding: '15px', width: '80px' }}>Hi</div>");
+      expect(result.changes).toEqual([
+        {
+          pass: 'design-tokens',
+          message: '<div>: padding 15px is 1px from --spacing-md (16px), left as is',
+          kind: 'near-miss',
+          property: 'padding',
+          value: '15px',
+          token: 'spacing-md',
+          difference: 1
+        },
+        { pass: 'design-tokens', message: '<div>: backgroundColor → var(--color-brand-primary)', kind: 'token' }
+      ]);
+    });
+
+    it('should reference the theme object and leave Tailwind classes to the tailwind pass', () => {
+      const theme = runJSXPasses(code, [designTokensPass], { tokenEntries, tokenFormat: 'theme' });
+      const tailwind = runJSXPasses(code, [designTokensPass, tailwindPass], { tokenEntries, tokenFormat: 'tailwind' });
+
+      expect(theme.code).toContain('backgroundColor: theme.colors.brandPrimary,');
+      expect(tailwind.code).toBe('<div className="bg-brand-primary w-20 p-[15px]">Hi</div>');
+    });
+  });
+
+  describe('tailwindPass', () => {
+    it('should move static styles into classes and keep dynamic ones inline', () => {
+      const result = runJSXPasses(generated, [tailwindPass]);
+
+      expect(result.code).toContain(`<div data-figma-id="1:1" className="w-[318px] absolute top-[100px] left-[100px]" style={{ height: compact ? '160px' : '200px' }}>`);
+      expect(result.code).toContain('data-figma-id="1:2"\n        className="w-20 absolute top-4 left-[19px]"\n      >');
+      expect(result.changes).toHaveLength(2);
+    });
+
+    it('should merge with an existing class name', () => {
+      const result = runJSXPasses('<p className="lead" style={{ display: \'flex\' }}>Hi</p>', [tailwindPass]);
+
+      expect(result.code).toBe('<p className="lead flex">Hi</p>');
+    });
+
+    it('should merge into class names that are template literals or expressions', () => {
+      const template = runJSXPasses(`<p className={\`lead \${size}\`} style={{ display: 'flex' }}>Hi</p>`, [tailwindPass]);
+      const expression = runJSXPasses("<p className={styles.lead} style={{ display: 'flex' }}>Hi</p>", [tailwindPass]);
+      const repeated = runJSXPasses('<p className="flex lead" style={{ display: \'flex\', padding: \'16px\' }}>Hi</p>', [tailwindPass]);
+
+      expect(template.code).toBe(`<p className={\`lead \${size} flex\`}>Hi</p>`);
+      expect(expression.code).toBe(`<p className={\`\${styles.lead} flex\`}>Hi</p>`);
+      expect(repeated.code).toBe('<p className="flex lead p-4">Hi</p>');
+    });
+
+    it('should turn hover and focus state styles into variants and drop the state they used', () => {
+      const button = `const Button = () => {
+  const [isHovered, setIsHovered] = useState(false);
+  const [isFocused, setIsFocused] = useState(false);
+  return (
+    <button
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+      onFocus={() => { setIsFocused(true); }}
+      onBlur={() => setIsFocused(false)}
+      style={{
+        padding: '8px 16px',
+        backgroundColor: isHovered ? '#4A4ADB' : '#5D5FEF',
+        borderColor: !isFocused ? 'transparent' : '#0EA5E9',
+        fontFamily: 'Inter'
+      }}
+    >
+      Save
+    </button>
+  );
+};`;
+
+      const result = runJSXPasses(button, [tailwindPass]);
+
+      expect(result.code).toBe(`const Button = () => {
+  return (
+    <button
+      className="bg-primary border-transparent py-2 px-4 hover:bg-primary-dark focus:border-accent"
+      style={{
+        fontFamily: 'Inter'
+      }}
+    >
+      Save
+    </button>
+  );
+};`);
+      expect(result.changes.map(change => change.message)).toEqual([
+        '<button>: 3 styles → bg-primary border-transparent py-2 px-4 hover:bg-primary-dark focus:border-accent',
+        'isHovered state removed, hover: classes replace it',
+        'isFocused state removed, focus: classes replace it'
+      ]);
+    });
+
+    it('should keep state that is used for more than styles', () => {
+      const code = `const Row = () => {
+  const [isHovered, setIsHovered] = useState(false);
+  return <div onMouseEnter={() => setIsHovered(true)} style={{ color: isHovered ? '#111827' : '#6B7280' }}>{isHovered && 'Edit'}</div>;
+};`;
+
+      const result = runJSXPasses(code, [tailwindPass]);
+
+      expect(result.code).toContain('const [isHovered, setIsHovered] = useState(false);');
+      expect(result.code).toContain('<div onMouseEnter={() => setIsHovered(true)} className="text-gray-500 hover:text-gray-900">');
+    });
+  });
+
+  describe('previewDefaultsPass', () => {
+    it('should give undefined references placeholder values', () => {
+      const code = 'const items = [];\n<div onClick={handleClick} style={{ color: primary }}>{text}{items.length}</div>;';
+
+      const result = runJSXPasses(code, [previewDefaultsPass]);
+
+      expect(result.code).toBe("const items = [];\n<div onClick={() => {}} style={{ color: '#000000' }}>{'text'}{items.length}</div>;");
+    });
+  });
+});
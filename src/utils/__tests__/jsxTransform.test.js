@@ -0,0 +1,121 @@
+import {
+  runJSXPasses,
+  findRootElement,
+  updateStyle,
+  setAttribute,
+  renameElement,
+  getStyleObject
+} from '../jsxTransform';
+
+describe('jsxTransform', () => {
+  // A pass that runs one helper on the root element
+  const rootPass = (name, change) => ({
+    name,
+    run({ ast, code, edit, report }) {
+      const root = findRootElement(ast);
+      change({ root: root.node, opening: root.node.openingElement, code, edit });
+      report(`${name} ran`);
+    }
+  });
+
+  describe('runJSXPasses', () => {
+    it('should run passes in order on the previous output and collect their changes', () => {
+      const result = runJSXPasses('<div style={{ width: 1 }}>Hi</div>', [
+        rootPass('rename', ({ root, edit }) => renameElement(edit, root, 'section')),
+        rootPass('label', ({ opening, edit }) => {
+          expect(opening.name.name).toBe('section');
+          setAttribute(edit, opening, 'aria-label', '"Greeting"');
+        })
+      ]);
+
+      expect(result.code).toBe('<section style={{ width: 1 }} aria-label="Greeting">Hi</section>');
+      expect(result.changes).toEqual([
+        { pass: 'rename', message: 'rename ran' },
+        { pass: 'label', message: 'label ran' }
+      ]);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should drop the edits of a pass that throws and keep going', () => {
+      const result = runJSXPasses('<div>Hi</div>', [
+        { name: 'broken', run: ({ edit }) => { edit.insert(0, 'x'); throw new Error('boom'); } },
+        rootPass('rename', ({ root, edit }) => renameElement(edit, root, 'p'))
+      ]);
+
+      expect(result.code).toBe('<p>Hi</p>');
+      expect(result.errors).toEqual([{ pass: 'broken', message: 'boom' }]);
+    });
+
+    it('should leave code it cannot parse untouched', () => {
+      const result = runJSXPasses('<div style={{ width: }}>', [rootPass('rename', () => {})]);
+
+      expect(result.code).toBe('<div style={{ width: }}>');
+      expect(result.errors[0].message).toMatch(/could not be parsed/);
+    });
+  });
+
+  describe('findRootElement', () => {
+    it('should prefer the element tagged with the Figma id over the outermost one', () => {
+      const code = '<Wrapper><div data-figma-id="1:1"><span /></div></Wrapper>';
+      const result = runJSXPasses(code, [{
+        name: 'root',
+        run: ({ ast, report }) => {
+          report(findRootElement(ast).node.openingElement.name.name);
+          report(findRootElement(ast, '1:1').node.openingElement.name.name);
+        }
+      }]);
+
+      expect(result.changes.map(change => change.message)).toEqual(['Wrapper', 'div']);
+    });
+  });
+
+  describe('updateStyle', () => {
+    it('should keep a multi-line object one property per line', () => {
+      const code = `<div
+  style={{
+    position: 'absolute',
+    left: '10px',
+    width: size === 'lg' ? '320px' : '240px'
+  }}
+/>`;
+
+      const result = runJSXPasses(code, [rootPass('style', ({ opening, code: source, edit }) =>
+        updateStyle(edit, source, opening, { left: null, position: "'relative'", height: "'40px'" })
+      )]);
+
+      expect(result.code).toBe(`<div
+  style={{
+    position: 'relative',
+    width: size === 'lg' ? '320px' : '240px',
+    height: '40px'
+  }}
+/>`);
+    });
+
+    it('should add a style attribute when missing and remove it when emptied', () => {
+      const added = runJSXPasses('<div id="a">x</div>', [rootPass('style', ({ opening, code, edit }) =>
+        updateStyle(edit, code, opening, { margin: '0' })
+      )]);
+      const emptied = runJSXPasses('<div id="a" style={{ left: 0 }}>x</div>', [rootPass('style', ({ opening, code, edit }) =>
+        updateStyle(edit, code, opening, { left: null })
+      )]);
+
+      expect(added.code).toBe('<div style={{ margin: 0 }} id="a">x</div>');
+      expect(emptied.code).toBe('<div id="a">x</div>');
+    });
+
+    it('should leave style expressions that are not object literals alone', () => {
+      const result = runJSXPasses('<div style={styles.card} />', [{
+        name: 'style',
+        run: ({ ast, code, edit, report }) => {
+          const { openingElement } = findRootElement(ast).node;
+          report(String(getStyleObject(openingElement)));
+          report(String(updateStyle(edit, code, openingElement, { left: null })));
+        }
+      }]);
+
+      expect(result.code).toBe('<div style={styles.card} />');
+      expect(result.changes.map(change => change.message)).toEqual(['null', 'false']);
+    });
+  });
+});
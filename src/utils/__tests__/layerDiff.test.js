@@ -0,0 +1,147 @@
+import {
+  extractFigmaLayers,
+  measureRenderedLayers,
+  diffLayers,
+  describeLayerDiff
+} from '../layerDiff';
+
+describe('layerDiff', () => {
+  const card = {
+    id: '1:1',
+    name: 'Card',
+    type: 'FRAME',
+    absoluteBoundingBox: { x: 100, y: 200, width: 320, height: 200 },
+    fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+    children: [
+      {
+        id: '1:2',
+        name: 'Submit',
+        type: 'TEXT',
+        characters: 'Submit',
+        absoluteBoundingBox: { x: 116, y: 216, width: 80, height: 20 },
+        fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+        style: { fontFamily: 'Inter', fontSize: 16, fontWeight: 600, lineHeightPx: 20 }
+      },
+      {
+        id: '1:3',
+        name: 'Button',
+        type: 'GROUP',
+        absoluteBoundingBox: { x: 116, y: 250, width: 120, height: 40 },
+        children: [
+          {
+            id: '1:4',
+            name: 'Background',
+            type: 'RECTANGLE',
+            absoluteBoundingBox: { x: 116, y: 250, width: 120, height: 40 },
+            fills: [{ type: 'SOLID', color: { r: 0.145, g: 0.388, b: 0.922, a: 1 } }]
+          },
+          {
+            id: '1:5',
+            name: 'Label',
+            type: 'TEXT',
+            characters: 'Go',
+            absoluteBoundingBox: { x: 160, y: 260, width: 30, height: 20 },
+            fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+            style: { fontFamily: 'Inter', fontSize: 14, fontWeight: 500 }
+          }
+        ]
+      },
+      {
+        id: '1:6',
+        name: 'Hidden',
+        type: 'RECTANGLE',
+        visible: false,
+        absoluteBoundingBox: { x: 100, y: 200, width: 10, height: 10 }
+      }
+    ]
+  };
+
+  const typography = (fontSize, fontWeight, lineHeight = null) => ({
+    fontSize, fontWeight, fontFamily: 'Inter', lineHeight, letterSpacing: 0
+  });
+
+  // What measureRenderedLayers reports for a faithful render of the card
+  const measuredCard = () => ({
+    '1:1': { id: '1:1', box: { x: 0, y: 0, width: 320, height: 200 }, backgroundColor: [255, 255, 255], color: [0, 0, 0], typography: typography(16, 400), isLeaf: false },
+    '1:2': { id: '1:2', box: { x: 16, y: 16, width: 80, height: 20 }, backgroundColor: null, color: [0, 0, 0], typography: typography(16, 600, 20), isLeaf: true },
+    '1:3': { id: '1:3', box: { x: 16, y: 50, width: 120, height: 40 }, backgroundColor: [37, 99, 235], color: [255, 255, 255], typography: typography(14, 500), isLeaf: true }
+  });
+
+  describe('extractFigmaLayers', () => {
+    it('should flatten visible layers with boxes relative to the root', () => {
+      const layers = extractFigmaLayers(card);
+
+      expect(layers.map(layer => layer.id)).toEqual(['1:1', '1:2', '1:3', '1:4', '1:5']);
+      expect(layers[1]).toMatchObject({
+        parentId: '1:1',
+        box: { x: 16, y: 16, width: 80, height: 20 },
+        fill: '#000000',
+        typography: { fontSize: 16, fontWeight: 600, fontFamily: 'Inter', lineHeight: 20 }
+      });
+      expect(layers[2].fill).toBeNull();
+    });
+  });
+
+  describe('diffLayers', () => {
+    it('should match a faithful render, checking collapsed layers against their element', () => {
+      const result = diffLayers(extractFigmaLayers(card), measuredCard());
+
+      expect(result).toMatchObject({ matched: 5, mismatched: 0, missing: 0, tagged: 3 });
+      expect(result.rows.find(row => row.id === '1:5').mergedInto).toBe('1:3');
+    });
+
+    it('should report each offending property per layer', () => {
+      const measured = measuredCard();
+      measured['1:2'] = { ...measured['1:2'], box: { x: 19, y: 16, width: 80, height: 20 }, typography: typography(14, 600, 20) };
+      measured['1:3'] = { ...measured['1:3'], backgroundColor: [22, 163, 74] };
+
+      const { rows, mismatched } = diffLayers(extractFigmaLayers(card), measured);
+
+      expect(mismatched).toBe(2);
+      expect(describeLayerDiff(rows[1])).toBe("Text 'Submit': left off by 3px, font-size 14 vs 16");
+      expect(describeLayerDiff(rows[3])).toBe("Rectangle 'Background': fill #16a34a vs #2563eb");
+      expect(rows[1].issues[0]).toMatchObject({ kind: 'position', property: 'left', actual: 19, expected: 16, difference: 3 });
+    });
+
+    it('should ignore sub-pixel differences', () => {
+      const measured = measuredCard();
+      measured['1:2'] = { ...measured['1:2'], box: { x: 16.5, y: 15.4, width: 80.8, height: 20 } };
+
+      expect(diffLayers(extractFigmaLayers(card), measured).mismatched).toBe(0);
+    });
+
+    it('should mark layers without an element as missing', () => {
+      const measured = measuredCard();
+      delete measured['1:2'];
+
+      const { rows, missing } = diffLayers(extractFigmaLayers(card), measured);
+
+      expect(missing).toBe(1);
+      expect(describeLayerDiff(rows[1])).toBe("Text 'Submit': not found in the preview");
+    });
+  });
+
+  describe('measureRenderedLayers', () => {
+    it('should measure tagged elements relative to the root', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <div data-figma-id="1:1" style="background-color: rgb(255, 255, 255)">
+          <div data-figma-id="1:2" style="color: rgb(0, 0, 0); font-size: 14px; font-weight: 600; font-family: 'Inter', sans-serif; line-height: normal">Submit</div>
+        </div>`;
+      const [rootElement, textElement] = container.querySelectorAll('[data-figma-id]');
+      rootElement.getBoundingClientRect = () => ({ left: 50, top: 40, width: 320, height: 200 });
+      textElement.getBoundingClientRect = () => ({ left: 69, top: 56, width: 80, height: 20 });
+
+      const { '1:1': root, '1:2': text } = measureRenderedLayers(container, '1:1');
+
+      expect(root).toMatchObject({ box: { x: 0, y: 0, width: 320, height: 200 }, backgroundColor: [255, 255, 255], isLeaf: false });
+      expect(text).toMatchObject({
+        tag: 'div',
+        box: { x: 19, y: 16, width: 80, height: 20 },
+        color: [0, 0, 0],
+        typography: { fontSize: 14, fontWeight: 600, fontFamily: 'Inter', lineHeight: null },
+        isLeaf: true
+      });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import {
+  fitView,
+  zoomView,
+  toDesignPoint,
+  rulerTicks,
+  clampZoom,
+  MAX_ZOOM
+} from '../overlayViewport';
+
+describe('overlayViewport', () => {
+  describe('fitView', () => {
+    it('should center content that fits at 1:1 without enlarging it', () => {
+      expect(fitView({ width: 200, height: 100 }, { width: 600, height: 400 })).toEqual({ zoom: 1, panX: 200, panY: 150 });
+    });
+
+    it('should shrink large content into the padded viewport', () => {
+      const view = fitView({ width: 1104, height: 400 }, { width: 600, height: 400 });
+
+      expect(view.zoom).toBe(0.5);
+      expect(view.panX).toBe(24);
+      expect(view.panY).toBe(100);
+    });
+  });
+
+  describe('zoomView', () => {
+    it('should keep the design point under the cursor in place', () => {
+      const view = { zoom: 1, panX: 100, panY: 50 };
+      const cursor = { x: 160, y: 90 };
+
+      const zoomed = zoomView(view, 2, cursor);
+
+      expect(zoomed.zoom).toBe(2);
+      expect(toDesignPoint(zoomed, cursor)).toEqual(toDesignPoint(view, cursor));
+    });
+
+    it('should stop at the zoom limits', () => {
+      expect(zoomView({ zoom: 10, panX: 0, panY: 0 }, 4, { x: 0, y: 0 }).zoom).toBe(MAX_ZOOM);
+      expect(clampZoom(0)).toBeGreaterThan(0);
+    });
+  });
+
+  describe('toDesignPoint', () => {
+    it('should convert screen offsets to whole design pixels', () => {
+      expect(toDesignPoint({ zoom: 4, panX: 20, panY: 10 }, { x: 33, y: 10 })).toEqual({ x: 3, y: 0 });
+    });
+  });
+
+  describe('rulerTicks', () => {
+    it('should pick a step that keeps labels apart and cover the visible range', () => {
+      const ticks = rulerTicks(30, 1, 300);
+
+      expect(ticks.map(tick => tick.value)).toEqual([0, 50, 100, 150, 200, 250]);
+      expect(ticks[1].position).toBe(80);
+    });
+
+    it('should use finer steps when zoomed in', () => {
+      const ticks = rulerTicks(0, 8, 100);
+
+      expect(ticks.map(tick => tick.value)).toEqual([0, 10]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  comparePixels,
+  resampleImage,
+  trimImage,
+  rgbToLab,
+  deltaE2000
+} from '../pixelDiff';
+
+// Solid image with an optional colored rectangle { x, y, width, height, color }
+const makeImage = (width, height, background, rect) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = rect && x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      data.set([...(inside ? rect.color : background), 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+const WHITE = [255, 255, 255];
+const BLUE = [37, 99, 235];
+
+describe('pixelDiff', () => {
+  describe('deltaE2000', () => {
+    it('should match the published CIEDE2000 test data', () => {
+      expect(deltaE2000([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBeCloseTo(2.0425, 4);
+      expect(deltaE2000([50, 0, 0], [50, -1, 2])).toBeCloseTo(2.3669, 4);
+      expect(deltaE2000([2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514])).toBeCloseTo(0.9082, 4);
+    });
+
+    it('should convert sRGB to Lab', () => {
+      const [L, a, b] = rgbToLab(255, 0, 0);
+
+      expect(L).toBeCloseTo(53.24, 1);
+      expect(a).toBeCloseTo(80.09, 1);
+      expect(b).toBeCloseTo(67.2, 1);
+    });
+  });
+
+  describe('resampleImage', () => {
+    it('should average the source pixels when shrinking', () => {
+      const image = makeImage(2, 1, [0, 0, 0], { x: 1, y: 0, width: 1, height: 1, color: WHITE });
+
+      expect(Array.from(resampleImage(image, 1, 1).data)).toEqual([128, 128, 128, 255]);
+    });
+  });
+
+  describe('trimImage', () => {
+    it('should crop the background around the content', () => {
+      const image = makeImage(20, 10, WHITE, { x: 4, y: 2, width: 6, height: 3, color: BLUE });
+
+      const trimmed = trimImage(image);
+
+      expect([trimmed.width, trimmed.height]).toEqual([6, 3]);
+      expect(Array.from(trimmed.data.slice(0, 4))).toEqual([...BLUE, 255]);
+    });
+  });
+
+  describe('comparePixels', () => {
+    const figma = makeImage(40, 20, WHITE, { x: 0, y: 0, width: 40, height: 20, color: BLUE });
+
+    it('should score identical renders as a perfect match at any capture scale', () => {
+      const preview = makeImage(100, 60, WHITE, { x: 10, y: 10, width: 80, height: 40, color: BLUE });
+
+      const diff = comparePixels(preview, figma);
+
+      expect(diff.mismatchedPixels).toBe(0);
+      expect(diff.ssim).toBeCloseTo(1, 6);
+      expect(diff.aspectSimilarity).toBe(1);
+      expect([diff.width, diff.height]).toEqual([40, 20]);
+    });
+
+    it('should measure and highlight differing regions reproducibly', () => {
+      const preview = makeImage(40, 20, WHITE, { x: 0, y: 0, width: 40, height: 20, color: BLUE });
+      preview.data.set([...WHITE, 255], (5 * 40 + 5) * 4);
+      preview.data.set([...WHITE, 255], (5 * 40 + 6) * 4);
+
+      const first = comparePixels(preview, figma);
+      const second = comparePixels(preview, figma);
+
+      expect(first.mismatchedPixels).toBe(2);
+      expect(first.ssim).toBeLessThan(1);
+      expect(first.maxDeltaE).toBeGreaterThan(20);
+      expect(second).toEqual(first);
+
+      // Differing pixels are tinted red, matching ones stay gray
+      const heatmapPixel = (x, y) => Array.from(first.heatmap.data.slice((y * 40 + x) * 4, (y * 40 + x) * 4 + 3));
+      const [red, green] = heatmapPixel(5, 5);
+      expect(red).toBeGreaterThan(green + 100);
+      const [gray, grayGreen, grayBlue] = heatmapPixel(0, 0);
+      expect(gray).toBe(grayGreen);
+      expect(grayGreen).toBe(grayBlue);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for responsiveCompiler utility
+ */
+
+import { compileResponsiveFrames, getBreakpointForWidth } from '../responsiveCompiler';
+import { inlineStylesToTailwind } from '../styleConverter';
+
+describe('responsiveCompiler', () => {
+  const frame = (name, width, children) => ({
+    id: `${width}:1`,
+    name,
+    type: 'FRAME',
+    absoluteBoundingBox: { x: 0, y: 0, width, height: 600 },
+    fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+    children
+  });
+
+  const title = (x, width) => ({
+    id: `t${x}`,
+    name: 'Title',
+    type: 'TEXT',
+    characters: 'Welcome',
+    absoluteBoundingBox: { x, y: 40, width, height: 32 },
+    style: { fontSize: 24 }
+  });
+
+  const sidebar = {
+    id: 's1',
+    name: 'Sidebar',
+    type: 'RECTANGLE',
+    absoluteBoundingBox: { x: 0, y: 0, width: 240, height: 600 },
+    fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }]
+  };
+
+  const mobile = frame('Home / Mobile', 375, [title(16, 343)]);
+  const desktop = frame('Home / Desktop', 1440, [sidebar, title(280, 600)]);
+
+  describe('getBreakpointForWidth', () => {
+    it('should map frame widths onto Tailwind breakpoints', () => {
+      expect(getBreakpointForWidth(375).name).toBe('sm');
+      expect(getBreakpointForWidth(768).name).toBe('md');
+      expect(getBreakpointForWidth(1024).name).toBe('lg');
+      expect(getBreakpointForWidth(1440).name).toBe('xl');
+    });
+  });
+
+  describe('compileResponsiveFrames', () => {
+    it('should use the narrowest frame as the base layout', () => {
+      const result = compileResponsiveFrames([desktop, mobile]);
+
+      expect(result.componentName).toBe('Home');
+      expect(result.breakpoints.map(breakpoint => breakpoint.name)).toEqual(['base', 'xl']);
+      expect(result.tree.style.width).toBe('100%');
+      expect(result.spec).toContain('Breakpoints: base from "Home / Mobile", xl (>= 1280px) from "Home / Desktop"');
+    });
+
+    it('should emit media queries for styles that change', () => {
+      const { code } = compileResponsiveFrames([mobile, desktop]);
+
+      expect(code).toContain('<style>');
+      expect(code).toContain('.home-2 { left: 16px; width: 343px; }');
+      expect(code).toContain('@media (min-width: 1280px) { .home-2 { left: 280px; width: 600px; } }');
+      expect(code).toContain('className="home-2"');
+      expect(code).toContain("top: '40px'");
+      // Unchanged styles stay inline
+      expect(code).toContain("fontSize: '24px'");
+    });
+
+    it('should hide layers that only exist in some frames', () => {
+      const { code, tree } = compileResponsiveFrames([mobile, desktop]);
+
+      // The sidebar keeps its place behind the title
+      expect(tree.children.map(child => child.nodeName)).toEqual([undefined, 'Sidebar', 'Title']);
+      expect(tree.children[1].attributes.className).toBe('home-1');
+      expect(code).toContain('.home-1 { display: none; }');
+      expect(code).toContain('@media (min-width: 1280px) { .home-1 { display: block; } }');
+    });
+
+    it('should emit Tailwind variants in tailwind mode', () => {
+      const { code } = compileResponsiveFrames([mobile, desktop], { styleMode: 'tailwind' });
+
+      expect(code).toContain('className="home-2 w-[343px] left-4 xl:w-[600px] xl:left-[280px]"');
+      expect(code).toContain('className="home-1 hidden xl:block"');
+      expect(code).not.toContain('@media');
+    });
+
+    it('should keep multi-line frame names inside the header comment', () => {
+      const { code } = compileResponsiveFrames([{ ...mobile, name: 'Home\nMobile' }, desktop]);
+
+      expect(code).toContain('// Compiled from Figma frames "Home Mobile" (base), "Home / Desktop" (xl)');
+    });
+
+    it('should warn when two frames share a breakpoint', () => {
+      const wide = frame('Home / Wide', 1500, [title(300, 600)]);
+      const result = compileResponsiveFrames([mobile, desktop, wide]);
+
+      expect(result.breakpoints).toHaveLength(2);
+      expect(result.warnings[0]).toContain('both fall into the xl breakpoint');
+    });
+
+    it('should require at least two frames', () => {
+      expect(() => compileResponsiveFrames([mobile])).toThrow('at least two frames');
+    });
+  });
+
+  describe('inlineStylesToTailwind breakpoints', () => {
+    it('should prefix classes and keep arbitrary values free of spaces', () => {
+      const result = inlineStylesToTailwind({ left: 'calc(50% - 10px)', display: 'none' }, { breakpoint: 'md' });
+
+      expect(result.className).toBe('md:hidden md:left-[calc(50%_-_10px)]');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { inlineStylesToTailwind } from '../styleConverter';
+
+describe('styleConverter', () => {
+  describe('inlineStylesToTailwind', () => {
+    it('should use the project theme scale before arbitrary values', () => {
+      const result = inlineStylesToTailwind({
+        width: '100%',
+        backgroundColor: '#5D5FEF',
+        color: '#ffffff',
+        borderRadius: '8px',
+        padding: '16px',
+        marginTop: '-8px',
+        gap: 12,
+        fontSize: '16px',
+        fontWeight: 700,
+        boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)'
+      });
+
+      expect(result.className).toBe('w-full bg-primary text-white rounded p-4 -mt-2 gap-3 text-base font-bold shadow-sm');
+      expect(result.remainingStyles).toEqual({});
+    });
+
+    it('should write arbitrary values for values off the scale', () => {
+      const result = inlineStylesToTailwind({
+        width: '477px',
+        height: 297,
+        backgroundColor: '#44b24f',
+        border: '13px solid #000000',
+        borderRadius: '15px',
+        padding: '8px 15px',
+        lineHeight: '22px'
+      });
+
+      expect(result.className).toBe('w-[477px] h-[297px] bg-[#44b24f] border-[13px] border-solid border-black rounded-[15px] py-2 px-[15px] leading-[22px]');
+    });
+
+    it('should keep styles without a utility equivalent', () => {
+      const result = inlineStylesToTailwind({
+        display: 'flex',
+        color: 'var(--ink)',
+        fontFamily: 'Inter, sans-serif',
+        border: '1px solid var(--line)',
+        fontSize: 'clamp(1rem, 2vw, 2rem)',
+        transform: 'rotate(3deg)'
+      });
+
+      expect(result.className).toBe('flex');
+      expect(result.remainingStyles).toEqual({
+        color: 'var(--ink)',
+        fontFamily: 'Inter, sans-serif',
+        border: '1px solid var(--line)',
+        fontSize: 'clamp(1rem, 2vw, 2rem)',
+        transform: 'rotate(3deg)'
+      });
+    });
+
+    it('should split padding and margin shorthands into side classes', () => {
+      expect(inlineStylesToTailwind({ padding: '8px 16px' }).className).toBe('py-2 px-4');
+      expect(inlineStylesToTailwind({ padding: '12px 16px 12px 16px' }).className).toBe('py-3 px-4');
+      expect(inlineStylesToTailwind({ padding: '4px 8px 12px' }).className).toBe('pt-1 pr-2 pb-3 pl-2');
+      expect(inlineStylesToTailwind({ padding: '16px 1rem' }).className).toBe('p-4');
+      expect(inlineStylesToTailwind({ margin: '0 auto' }).className).toBe('my-0 mx-auto');
+    });
+
+    it('should map flex item sizing to grow and shrink classes', () => {
+      expect(inlineStylesToTailwind({ flexShrink: 0 }).className).toBe('shrink-0');
+      expect(inlineStylesToTailwind({ flexShrink: 1, flexGrow: 1 }).className).toBe('grow shrink');
+      expect(inlineStylesToTailwind({ flexGrow: 0 }).className).toBe('grow-0');
+    });
+
+    it('should map border shorthands through the theme', () => {
+      expect(inlineStylesToTailwind({ border: '1px solid #E5E7EB' }).className).toBe('border border-solid border-gray-200');
+      expect(inlineStylesToTailwind({ border: 'none' }).className).toBe('border-0');
+    });
+
+    it('should prefix classes with the breakpoint and then the state', () => {
+      const result = inlineStylesToTailwind({ backgroundColor: '#4A4ADB', padding: '20px' }, { breakpoint: 'md', state: 'hover' });
+
+      expect(result.className).toBe('md:hover:bg-primary-dark md:hover:p-5');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { themeClass, normalizeThemeValue, TAILWIND_THEME } from '../tailwindTheme';
+
+describe('tailwindTheme', () => {
+  it('should resolve the project theme over the Tailwind defaults', () => {
+    expect(TAILWIND_THEME.colors.primary).toBe('#5D5FEF');
+    expect(TAILWIND_THEME.borderRadius.DEFAULT).toBe('0.5rem');
+    expect(TAILWIND_THEME.spacing['4']).toBe('1rem');
+  });
+
+  it('should find values on the scale, named by the project first', () => {
+    expect(themeClass('bg', 'backgroundColor', '#5d5fef')).toBe('bg-primary');
+    expect(themeClass('text', 'textColor', 'rgb(55, 65, 81)')).toBe('text-gray-700');
+    expect(themeClass('p', 'padding', '16px')).toBe('p-4');
+    expect(themeClass('p', 'padding', '1rem')).toBe('p-4');
+    expect(themeClass('rounded', 'borderRadius', '8px')).toBe('rounded');
+    expect(themeClass('rounded', 'borderRadius', '12px')).toBe('rounded-md');
+    expect(themeClass('shadow', 'boxShadow', '0px 1px 2px 0px rgba(0,0,0,0.05)')).toBe('shadow-sm');
+    expect(themeClass('text', 'fontSize', '16px')).toBe('text-base');
+    expect(themeClass('font', 'fontWeight', 'bold')).toBe('font-bold');
+    expect(themeClass('leading', 'lineHeight', 1.5)).toBe('leading-normal');
+    expect(themeClass('bg', 'backgroundColor', 'white')).toBe('bg-white');
+  });
+
+  it('should use negative classes for negative margins and offsets', () => {
+    expect(themeClass('mt', 'margin', '-8px')).toBe('-mt-2');
+    expect(themeClass('top', 'inset', '-4px')).toBe('-top-1');
+    expect(themeClass('p', 'padding', '-8px')).toBeNull();
+  });
+
+  it('should return null for values off the scale', () => {
+    expect(themeClass('p', 'padding', '15px')).toBeNull();
+    expect(themeClass('bg', 'backgroundColor', '#123456')).toBeNull();
+    expect(themeClass('bg', 'backgroundColor', 'var(--surface)')).toBeNull();
+  });
+
+  it('should normalize colors, lengths and shadows for comparison', () => {
+    expect(normalizeThemeValue('colors', '#FFF')).toBe('#ffffff');
+    expect(normalizeThemeValue('colors', 'rgb(0 0 0 / 10%)')).toBe('rgba(0, 0, 0, 0.1)');
+    expect(normalizeThemeValue('spacing', '0.5rem')).toBe('8px');
+    expect(normalizeThemeValue('spacing', 12)).toBe('12px');
+    expect(normalizeThemeValue('boxShadow', '0 1px 2px rgba(0, 0, 0, 0.05)'))
+      .toBe(normalizeThemeValue('boxShadow', '0px 1px 2px 0px rgb(0 0 0 / 0.05)'));
+  });
+});
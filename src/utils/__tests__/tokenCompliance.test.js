@@ -0,0 +1,81 @@
+import { checkTokenCompliance, describeComplianceIssue } from '../tokenCompliance';
+import { parseTokenFile } from '../tokenFormats';
+
+describe('tokenCompliance', () => {
+  const tokenSet = parseTokenFile({
+    color: {
+      $type: 'color',
+      brand: { $value: '#3366cc' },
+      ink: { $value: '#1a1a1a' }
+    },
+    spacing: { $type: 'dimension', sm: { $value: '8px' }, md: { $value: '16px' } },
+    radius: { $type: 'dimension', md: { $value: '8px' } },
+    'font-size': { $type: 'dimension', body: { $value: '16px' }, title: { $value: '24px' } },
+    shadow: {
+      $type: 'shadow',
+      card: { $value: { color: 'rgba(0, 0, 0, 0.25)', offsetX: '0px', offsetY: '4px', blur: '8px', spread: '0px' } }
+    }
+  });
+
+  const solid = (r, g, b) => ({ type: 'SOLID', color: { r, g, b, a: 1 } });
+
+  // On-system card, except a near-brand button, an odd gap, radius and title size
+  const card = {
+    id: '1:1',
+    name: 'Card',
+    type: 'FRAME',
+    layoutMode: 'VERTICAL',
+    paddingTop: 16,
+    paddingRight: 16,
+    paddingBottom: 16,
+    paddingLeft: 16,
+    itemSpacing: 12,
+    cornerRadius: 8,
+    fills: [solid(1, 1, 1)],
+    effects: [{ type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 4 }, radius: 8, spread: 0 }],
+    children: [
+      { id: '1:2', name: 'Title', type: 'TEXT', style: { fontSize: 22 }, fills: [solid(0.1, 0.1, 0.1)] },
+      { id: '1:3', name: 'Body', type: 'TEXT', style: { fontSize: 16 }, fills: [solid(0.1, 0.1, 0.1)] },
+      { id: '1:4', name: 'Button', type: 'RECTANGLE', cornerRadius: 6, fills: [solid(0.204, 0.404, 0.8)] },
+      { id: '1:5', name: 'Hidden', type: 'RECTANGLE', visible: false, fills: [solid(1, 0, 0)] }
+    ]
+  };
+
+  it('should list off-system values with their nearest token and where they are used', () => {
+    const report = checkTokenCompliance(card, tokenSet);
+
+    expect(report.issues.map(issue => [issue.group, issue.value, issue.nearest?.token.name, issue.usages.map(usage => usage.name)])).toEqual([
+      ['color', '#ffffff', 'color-brand', ['Card']],
+      ['color', '#3467cc', 'color-brand', ['Button']],
+      ['font-size', '22px', 'font-size-title', ['Title']],
+      ['radius', '6px', 'radius-md', ['Button']],
+      ['spacing', '12px', 'spacing-sm', ['Card']]
+    ]);
+    expect(report.issues[1].nearest.near).toBe(true);
+    expect(report.issues[0].nearest.near).toBe(false);
+    expect(report.issues[4].usages).toEqual([{ id: '1:1', name: 'Card', property: 'itemSpacing' }]);
+  });
+
+  it('should count on-system usages, including shadows, towards the score', () => {
+    const report = checkTokenCompliance(card, tokenSet);
+
+    // 4 paddings, radius, shadow and two text colors and the body size are on-system
+    expect(report.checked).toBe(14);
+    expect(report.compliant).toBe(9);
+    expect(report.score).toBe(64);
+    expect(report.issues.some(issue => issue.group === 'shadow')).toBe(false);
+  });
+
+  it('should find the nearest shadow layer by layer', () => {
+    const report = checkTokenCompliance({
+      id: '2:1',
+      name: 'Popover',
+      effects: [{ type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 6 }, radius: 12, spread: 0 }]
+    }, tokenSet);
+
+    expect(report.issues).toHaveLength(1);
+    expect(report.issues[0].nearest).toMatchObject({ token: { name: 'shadow-card' }, difference: 6, near: false });
+    expect(describeComplianceIssue(report.issues[0]))
+      .toBe('shadow 0px 6px 12px 0px rgba(0, 0, 0, 0.25) → --shadow-card (0px 4px 8px 0px rgba(0, 0, 0, 0.25)), used by Popover (effects)');
+  });
+});
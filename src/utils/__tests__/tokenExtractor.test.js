@@ -2,7 +2,7 @@
  * Tests for tokenExtractor utility
  */
 
-import { extractDesignTokens, exportTokensAsCSS, exportTokensAsJSON } from '../tokenExtractor';
+import { extractDesignTokens, exportTokensAsCSS, exportTokensAsJSON, annotateStyleNames } from '../tokenExtractor';
 
 describe('tokenExtractor', () => {
   const mockFigmaNode = {
@@ -194,4 +194,124 @@ describe('tokenExtractor', () => {
       expect(parsed.typography['font-1'].type).toBe('typography');
     });
   });
+
+  describe('semantic tokens', () => {
+    const alias = (id) => ({ type: 'VARIABLE_ALIAS', id });
+
+    // Theme colors alias primitives; the card also uses named text, fill and effect styles
+    const variables = {
+      meta: {
+        variableCollections: {
+          'C:theme': { name: 'Theme', defaultModeId: '1:0', modes: [{ modeId: '1:0', name: 'Light' }, { modeId: '1:1', name: 'Dark' }] },
+          'C:primitives': { name: 'Primitives', defaultModeId: '2:0', modes: [{ modeId: '2:0', name: 'Value' }] }
+        },
+        variables: {
+          'V:brand': { name: 'brand/primary', resolvedType: 'COLOR', variableCollectionId: 'C:theme', valuesByMode: { '1:0': alias('V:blue500'), '1:1': alias('V:blue300') } },
+          'V:gap': { name: 'spacing/md', resolvedType: 'FLOAT', variableCollectionId: 'C:theme', valuesByMode: { '1:0': 16, '1:1': 16 } },
+          'V:blue500': { name: 'blue/500', resolvedType: 'COLOR', variableCollectionId: 'C:primitives', valuesByMode: { '2:0': { r: 0.2, g: 0.4, b: 0.8, a: 1 } } },
+          'V:blue300': { name: 'blue/300', resolvedType: 'COLOR', variableCollectionId: 'C:primitives', valuesByMode: { '2:0': { r: 0.4, g: 0.6, b: 1, a: 1 } } }
+        }
+      }
+    };
+
+    const styles = {
+      'S:h1': { name: 'Heading/LG', styleType: 'TEXT' },
+      'S:ink': { name: 'Text/Primary', styleType: 'FILL' },
+      'S:shadow': { name: 'Elevation/Card', styleType: 'EFFECT' }
+    };
+
+    const card = () => ({
+      name: 'Card',
+      type: 'FRAME',
+      fills: [{ type: 'SOLID', color: { r: 0.2, g: 0.4, b: 0.8 }, boundVariables: { color: alias('V:brand') } }],
+      itemSpacing: 16,
+      boundVariables: { itemSpacing: alias('V:gap') },
+      effects: [{ type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 4 }, radius: 8, spread: 0 }],
+      styles: { effect: 'S:shadow' },
+      children: [
+        {
+          name: 'Title',
+          type: 'TEXT',
+          styles: { text: 'S:h1', fill: 'S:ink' },
+          style: { fontFamily: 'Inter', fontSize: 32, fontWeight: 700, lineHeightPx: 40 },
+          fills: [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }]
+        },
+        {
+          name: 'Body',
+          type: 'TEXT',
+          style: { fontFamily: 'Inter', fontSize: 14, fontWeight: 400 },
+          fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0 } }]
+        }
+      ]
+    });
+
+    it('should name tokens after Variables and styles and keep alias chains per mode', () => {
+      const { semantic } = extractDesignTokens(card(), { styles, variables });
+      const byName = Object.fromEntries(semantic.tokens.map(token => [token.name, token]));
+
+      expect(semantic.tokens.map(token => token.name)).toEqual([
+        'color-brand-primary', 'spacing-md', 'color-blue-500', 'color-blue-300',
+        'shadow-elevation-card', 'color-text-primary', 'text-heading-lg'
+      ]);
+      expect(semantic.modes).toEqual(['light', 'dark']);
+      expect(byName['color-brand-primary']).toMatchObject({
+        source: 'variable',
+        collection: 'Theme',
+        value: { alias: 'color-blue-500' },
+        modes: { light: { alias: 'color-blue-500' }, dark: { alias: 'color-blue-300' } },
+        aliasOf: 'color-blue-500',
+        aliasChain: ['color-blue-500'],
+        resolvedValue: '#3366cc',
+        resolvedModes: { light: '#3366cc', dark: '#6699ff' },
+        usage: ['background']
+      });
+      expect(byName['spacing-md']).toMatchObject({ type: 'dimension', value: 16 });
+      expect(byName['text-heading-lg'].value).toMatchObject({ fontFamily: 'Inter', fontSize: 32, fontWeight: 700, lineHeight: 40 });
+      expect(byName['shadow-elevation-card'].value).toBe('0px 4px 8px 0px rgba(0, 0, 0, 0.25)');
+    });
+
+    it('should export named tokens with var() aliases and a dark theme block', () => {
+      const css = exportTokensAsCSS(extractDesignTokens(card(), { styles, variables }));
+
+      expect(css).toContain('  --color-brand-primary: var(--color-blue-500);\n  --color-blue-500: #3366cc;\n');
+      expect(css).toContain('--color-text-primary: #1a1a1a;');
+      expect(css).toContain('--spacing-md: 16px;');
+      expect(css).toContain('--text-heading-lg-font-size: 32px;');
+      expect(css).toContain('--shadow-elevation-card: 0px 4px 8px 0px rgba(0, 0, 0, 0.25);');
+      expect(css).toContain('[data-theme="dark"] {\n  --color-brand-primary: var(--color-blue-300);\n}');
+      expect(css).toContain('@media (prefers-color-scheme: dark) {\n  :root:not([data-theme]) {\n    --color-brand-primary: var(--color-blue-300);\n  }\n}');
+      expect(css).not.toContain('--spacing-md: 16px;\n  --spacing-md');
+      expect(css).not.toContain('[data-theme="value"]');
+    });
+
+    it('should only number the raw values that have no name', () => {
+      const tokens = extractDesignTokens(card(), { styles, variables });
+      const css = exportTokensAsCSS(tokens);
+      const json = JSON.parse(exportTokensAsJSON(tokens));
+
+      expect(css.match(/#3366cc/g)).toHaveLength(1);
+      expect(css).toContain('--color-1: #ff0000;');
+      expect(css).toContain('--font-1-size: 14px;');
+      expect(css).not.toContain('--font-2');
+      expect(Object.keys(json.colors)).toEqual(['color-1', 'color-2']);
+      expect(json.semantic['color-brand-primary']).toMatchObject({
+        value: '{color-blue-500}',
+        aliasOf: 'color-blue-500',
+        resolvedValue: '#3366cc',
+        modes: { light: '{color-blue-500}', dark: '{color-blue-300}' }
+      });
+      expect(json.semantic['spacing-md'].value).toBe('16px');
+      expect(json.meta.modes).toEqual(['light', 'dark']);
+    });
+
+    it('should read style names stamped on the nodes and fall back to raw values without Variables', () => {
+      const node = annotateStyleNames(card(), styles);
+      const tokens = extractDesignTokens(node);
+
+      expect(node.children[0].styleNames).toEqual({ text: 'Heading/LG', fill: 'Text/Primary' });
+      expect(tokens.semantic.tokens.map(token => token.name)).toEqual(['shadow-elevation-card', 'color-text-primary', 'text-heading-lg']);
+      expect(tokens.semantic.modes).toEqual([]);
+      expect(exportTokensAsCSS(tokens)).toMatch(/--color-\d: #3366cc;/);
+    });
+  });
 });
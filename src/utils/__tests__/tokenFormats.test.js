@@ -0,0 +1,175 @@
+import { packages } from '@babel/standalone';
+import {
+  exportTokensAsDTCG,
+  exportTokensAsStyleDictionary,
+  exportTokensAsTailwindConfig,
+  exportTokensAsSCSS,
+  exportTokensAsTypeScript,
+  parseTokenFile
+} from '../tokenFormats';
+import { exportTokensAsJSON } from '../tokenExtractor';
+import { collectTokenEntries, buildThemeObject, cssValue, THEME_SECTIONS } from '../tokenMatcher';
+
+describe('tokenFormats', () => {
+  // A themed brand color aliasing a primitive, plus raw values without names
+  const tokens = {
+    colors: [{ hex: '#ffffff', usage: ['fill'], count: 2 }],
+    spacing: [8],
+    typography: [{ family: 'Roboto', size: 14, weight: 400, lineHeight: 20 }],
+    borders: { radii: [4], widths: [1] },
+    effects: [],
+    semantic: {
+      modes: ['light', 'dark'],
+      tokens: [
+        {
+          name: 'color-blue-500', source: 'variable', category: 'color', type: 'color', usage: ['fills'],
+          value: '#3366cc', resolvedValue: '#3366cc', aliasOf: null, aliasChain: [],
+          modes: { value: '#3366cc' }, resolvedModes: { value: '#3366cc' }
+        },
+        {
+          name: 'color-brand-primary', source: 'variable', category: 'color', type: 'color', usage: ['fills'],
+          value: { alias: 'color-blue-500' }, resolvedValue: '#3366cc', aliasOf: 'color-blue-500', aliasChain: ['color-blue-500'],
+          modes: { light: { alias: 'color-blue-500' }, dark: '#6699ff' }, resolvedModes: { light: '#3366cc', dark: '#6699ff' }
+        },
+        { name: 'spacing-md', source: 'variable', category: 'spacing', type: 'dimension', usage: ['itemSpacing'], value: 16, resolvedValue: 16, aliasChain: [] },
+        {
+          name: 'shadow-elevation-card', source: 'style', category: 'shadow', type: 'shadow', usage: ['effect'],
+          value: '0px 4px 8px 0px rgba(0, 0, 0, 0.25)', resolvedValue: '0px 4px 8px 0px rgba(0, 0, 0, 0.25)', aliasChain: []
+        },
+        {
+          name: 'text-heading-lg', source: 'style', category: 'typography', type: 'typography', usage: ['text'], aliasChain: [],
+          value: { fontFamily: 'Open Sans', fontSize: 32, fontWeight: 700, lineHeight: 40 },
+          resolvedValue: { fontFamily: 'Open Sans', fontSize: 32, fontWeight: 700, lineHeight: 40 }
+        }
+      ]
+    }
+  };
+  const entries = collectTokenEntries(tokens);
+
+  // Group, key and value of every entry, in a stable order
+  const values = (list) => list
+    .map(({ group, key, value }) => ({ group, key, value }))
+    .sort((a, b) => `${a.group}.${a.key}`.localeCompare(`${b.group}.${b.key}`));
+
+  // Evaluate the object literal a generated module exports
+  const evaluate = (node) => {
+    if (node.type === 'ObjectExpression') {
+      return Object.fromEntries(node.properties.map(property => [property.key.name ?? property.key.value, evaluate(property.value)]));
+    }
+    if (node.type === 'ArrayExpression') return node.elements.map(evaluate);
+    if (node.type === 'TSAsExpression') return evaluate(node.expression);
+    return node.value;
+  };
+  const parseModule = (code) => packages.parser.parse(code, { sourceType: 'module', plugins: ['typescript'] }).program.body;
+
+  describe('exportTokensAsDTCG', () => {
+    it('should write typed groups, references and modes', () => {
+      const document = JSON.parse(exportTokensAsDTCG(tokens));
+
+      expect(document.color.$type).toBe('color');
+      expect(document.color['brand-primary']).toEqual({
+        $value: '{color.blue-500}',
+        $extensions: { 'com.figma': { modes: { light: '#3366cc', dark: '#6699ff' } } }
+      });
+      expect(document.spacing).toEqual({ $type: 'dimension', md: { $value: '16px' }, 'spacing-1': { $value: '8px' } });
+      expect(document.shadow['elevation-card'].$value).toEqual({ color: 'rgba(0, 0, 0, 0.25)', offsetX: '0px', offsetY: '4px', blur: '8px', spread: '0px' });
+    });
+
+    it('should read back into the same tokens', () => {
+      const imported = parseTokenFile(exportTokensAsDTCG(tokens));
+
+      expect(values(collectTokenEntries(null, imported))).toEqual(values(entries));
+      expect(imported.find(entry => entry.key === 'brand-primary')).toMatchObject({ name: 'color-brand-primary', alias: 'color-blue-500' });
+    });
+  });
+
+  describe('exportTokensAsStyleDictionary', () => {
+    it('should write value/type tokens with references and read back into the same tokens', () => {
+      const json = exportTokensAsStyleDictionary(tokens);
+
+      expect(JSON.parse(json).color['brand-primary']).toEqual({ value: '{color.blue-500.value}', type: 'color' });
+      expect(values(collectTokenEntries(null, parseTokenFile(json)))).toEqual(values(entries));
+    });
+  });
+
+  describe('exportTokensAsTailwindConfig', () => {
+    it('should extend the theme with every token under its key', () => {
+      const code = exportTokensAsTailwindConfig(tokens);
+      const statement = parseModule(code).find(node => node.type === 'ExpressionStatement');
+      const { extend } = evaluate(statement.expression.right).theme;
+      const sections = { color: 'colors', spacing: 'spacing', radius: 'borderRadius', 'border-width': 'borderWidth', 'font-size': 'fontSize', 'line-height': 'lineHeight', 'font-weight': 'fontWeight', 'font-family': 'fontFamily', shadow: 'boxShadow' };
+
+      expect(extend.colors['brand-primary']).toBe('var(--color-brand-primary, #3366cc)');
+      expect(extend.fontFamily['heading-lg']).toEqual(['Open Sans']);
+      entries.forEach(entry => {
+        const value = [].concat(extend[sections[entry.group]][entry.key])[0];
+        expect(value.replace(/^var\(--[\w-]+, (.*)\)$/, '$1')).toBe(cssValue(entry));
+      });
+    });
+  });
+
+  describe('exportTokensAsSCSS', () => {
+    it('should write one map per group and a $themes map', () => {
+      const scss = exportTokensAsSCSS(tokens);
+      const maps = {};
+      scss.replace(/\$([\w-]+): \(\n((?: {2}'[^']+': .+,\n)+)\);/g, (match, name, body) => {
+        maps[name] = Object.fromEntries([...body.matchAll(/'([^']+)': (.+),\n/g)].map(([, key, value]) => [key, value]));
+      });
+
+      expect(maps.colors).toEqual({ 'blue-500': '#3366cc', 'brand-primary': '#3366cc', 'color-1': '#ffffff' });
+      expect(maps.fonts['heading-lg']).toBe('"Open Sans"');
+      expect(scss).toContain("$themes: (\n  'light': (\n    'color-brand-primary': #3366cc,\n  ),\n  'dark': (\n    'color-brand-primary': #6699ff,\n  ),\n);");
+      entries.forEach(entry => {
+        const section = THEME_SECTIONS[entry.group].replace(/[A-Z]/g, character => `-${character.toLowerCase()}`);
+        expect(maps[section][entry.key].replace(/"/g, '')).toBe(cssValue(entry));
+      });
+    });
+  });
+
+  describe('exportTokensAsTypeScript', () => {
+    it('should export the theme object token-aware code references as const', () => {
+      const code = exportTokensAsTypeScript(tokens);
+      const declarations = Object.fromEntries(parseModule(code)
+        .filter(node => node.declaration?.type === 'VariableDeclaration')
+        .map(node => [node.declaration.declarations[0].id.name, node.declaration.declarations[0].init]));
+
+      expect(declarations.theme.type).toBe('TSAsExpression');
+      expect(evaluate(declarations.theme)).toEqual(buildThemeObject(entries));
+      expect(evaluate(declarations.themes).dark).toEqual({ colors: { brandPrimary: '#6699ff' } });
+      expect(code).toContain('export type Theme = typeof theme;');
+    });
+  });
+
+  describe('parseTokenFile', () => {
+    it('should read nested DTCG groups, inherited types and typography composites', () => {
+      const imported = parseTokenFile({
+        colors: { $type: 'color', brand: { primary: { $value: '#3366CC' }, accent: { $value: '{colors.brand.primary}' } } },
+        typography: { body: { $type: 'typography', $value: { fontFamily: 'Inter', fontSize: '16px', fontWeight: 400 } } }
+      });
+
+      expect(imported).toEqual([
+        { name: 'color-brand-primary', group: 'color', key: 'brand-primary', value: '#3366CC' },
+        { name: 'color-brand-accent', group: 'color', key: 'brand-accent', value: '#3366CC', alias: 'color-brand-primary' },
+        { name: 'text-body-font-family', group: 'font-family', key: 'body', value: 'Inter' },
+        { name: 'text-body-font-size', group: 'font-size', key: 'body', value: '16px' },
+        { name: 'text-body-font-weight', group: 'font-weight', key: 'body', value: 400 }
+      ]);
+    });
+
+    it('should read our own JSON export', () => {
+      const imported = collectTokenEntries(null, parseTokenFile(exportTokensAsJSON(tokens)));
+
+      expect(imported).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'color-brand-primary', value: '#3366cc', alias: 'color-blue-500' }),
+        expect.objectContaining({ name: 'color-1', value: '#ffffff' }),
+        expect.objectContaining({ group: 'font-size', key: 'font-1', value: 14 }),
+        expect.objectContaining({ group: 'radius', value: 4 })
+      ]));
+    });
+
+    it('should reject files that are not JSON or have no tokens', () => {
+      expect(() => parseTokenFile('colors: red')).toThrow(/not valid JSON/);
+      expect(() => parseTokenFile('{ "name": "tokens" }')).toThrow('No design tokens found in the file');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  collectTokenEntries,
+  matchStyleValue,
+  formatTokenReference,
+  tailwindTokenClass,
+  buildThemeObject,
+  buildCSSVariables,
+  describeDifference
+} from '../tokenMatcher';
+
+describe('tokenMatcher', () => {
+  const tokens = {
+    semantic: {
+      modes: [],
+      tokens: [
+        { name: 'color-brand-primary', source: 'variable', category: 'color', type: 'color', usage: ['fills'], resolvedValue: '#3366cc' },
+        { name: 'spacing-md', source: 'variable', category: 'spacing', type: 'dimension', usage: ['itemSpacing'], resolvedValue: 16 },
+        {
+          name: 'text-heading-lg',
+          source: 'style',
+          category: 'typography',
+          type: 'typography',
+          usage: ['text'],
+          resolvedValue: { fontFamily: 'Inter', fontSize: 32, fontWeight: 700, lineHeight: 40 }
+        }
+      ]
+    }
+  };
+  const entries = collectTokenEntries(tokens, [{ name: 'radius-2', group: 'radius', key: '2', value: '8px' }]);
+
+  describe('collectTokenEntries', () => {
+    it('should flatten named, typography and imported tokens', () => {
+      expect(entries).toEqual(expect.arrayContaining([
+        { name: 'color-brand-primary', group: 'color', key: 'brand-primary', value: '#3366cc', source: 'variable' },
+        { name: 'spacing-md', group: 'spacing', key: 'md', value: 16, source: 'variable' },
+        { name: 'text-heading-lg-font-size', group: 'font-size', key: 'heading-lg', value: 32, source: 'style' },
+        { name: 'text-heading-lg-font-weight', group: 'font-weight', key: 'heading-lg', value: 700, source: 'style' },
+        { name: 'radius-2', group: 'radius', key: '2', value: 8, source: 'imported' }
+      ]));
+    });
+  });
+
+  describe('matchStyleValue', () => {
+    it('should match equal values exactly, whatever their notation', () => {
+      expect(matchStyleValue(entries, 'backgroundColor', 'rgb(51, 102, 204)')).toMatchObject({ exact: true, token: { name: 'color-brand-primary' } });
+      expect(matchStyleValue(entries, 'gap', '16px')).toMatchObject({ exact: true, token: { name: 'spacing-md' } });
+      expect(matchStyleValue(entries, 'fontWeight', 'bold')).toMatchObject({ exact: true });
+    });
+
+    it('should report near misses within ΔE 2 or 1px instead of matching them', () => {
+      const color = matchStyleValue(entries, 'color', '#3467cc');
+      const length = matchStyleValue(entries, 'padding', '15px');
+
+      expect(color).toMatchObject({ exact: false, token: { name: 'color-brand-primary' } });
+      expect(color.difference).toBeLessThan(2);
+      expect(length).toMatchObject({ exact: false, difference: 1 });
+      expect(describeDifference(length)).toBe('1px');
+      expect(describeDifference(color)).toMatch(/^ΔE \d\.\d$/);
+    });
+
+    it('should ignore distant values, other groups and unitless line heights', () => {
+      expect(matchStyleValue(entries, 'color', '#ff0000')).toBeNull();
+      expect(matchStyleValue(entries, 'padding', '20px')).toBeNull();
+      expect(matchStyleValue(entries, 'width', '16px')).toBeNull();
+      expect(matchStyleValue(entries, 'lineHeight', 1.5)).toBeNull();
+    });
+  });
+
+  describe('references', () => {
+    const brand = entries[0];
+    const radius = entries.find(entry => entry.source === 'imported');
+
+    it('should format CSS variables, theme paths and Tailwind classes', () => {
+      expect(formatTokenReference(brand)).toBe("'var(--color-brand-primary)'");
+      expect(formatTokenReference(brand, 'theme')).toBe('theme.colors.brandPrimary');
+      expect(formatTokenReference(radius, 'theme')).toBe("theme.radii['2']");
+      expect(tailwindTokenClass(brand, 'backgroundColor')).toBe('bg-brand-primary');
+      expect(tailwindTokenClass(brand, 'width')).toBeNull();
+    });
+
+    it('should build the theme object and custom properties the references resolve against', () => {
+      expect(buildThemeObject(entries)).toMatchObject({
+        colors: { brandPrimary: '#3366cc' },
+        spacing: { md: '16px' },
+        fontSizes: { headingLg: '32px' },
+        radii: { 2: '8px' }
+      });
+      expect(buildCSSVariables(entries)).toMatchObject({ '--color-brand-primary': '#3366cc', '--spacing-md': '16px' });
+    });
+  });
+});
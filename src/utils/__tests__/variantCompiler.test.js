@@ -0,0 +1,199 @@
+/**
+ * Tests for variantCompiler utility
+ */
+
+import {
+  hasComponentProperties,
+  extractComponentProperties,
+  compileVariantComponent
+} from '../variantCompiler';
+import { generateStorybookStory } from '../storybookGenerator';
+
+describe('variantCompiler', () => {
+  const color = (r, g, b) => ({ type: 'SOLID', color: { r, g, b, a: 1 } });
+
+  const variant = (name, { x, width, fill }) => ({
+    id: `v-${name}`,
+    name,
+    type: 'COMPONENT',
+    absoluteBoundingBox: { x, y: 0, width, height: 40 },
+    fills: [fill],
+    children: [
+      {
+        id: `icon-${name}`,
+        name: 'Icon',
+        type: 'RECTANGLE',
+        visible: false,
+        componentPropertyReferences: { visible: 'Show icon#1:0' },
+        absoluteBoundingBox: { x: x + 8, y: 12, width: 16, height: 16 },
+        fills: [color(1, 1, 1)]
+      },
+      {
+        id: `label-${name}`,
+        name: 'Label',
+        type: 'TEXT',
+        characters: 'Button',
+        componentPropertyReferences: { characters: 'Label#2:0' },
+        absoluteBoundingBox: { x: x + 32, y: 10, width: 48, height: 20 },
+        style: { fontSize: 14 }
+      }
+    ]
+  });
+
+  const primary = color(0.2, 0.4, 0.8);
+  const secondary = color(1, 1, 1);
+
+  const buttonSet = {
+    id: '1:1',
+    name: 'Button',
+    type: 'COMPONENT_SET',
+    absoluteBoundingBox: { x: 0, y: 0, width: 600, height: 40 },
+    componentPropertyDefinitions: {
+      Variant: { type: 'VARIANT', defaultValue: 'Primary', variantOptions: ['Primary', 'Secondary'] },
+      Size: { type: 'VARIANT', defaultValue: 'Small', variantOptions: ['Small', 'Large'] },
+      'Show icon#1:0': { type: 'BOOLEAN', defaultValue: false },
+      'Label#2:0': { type: 'TEXT', defaultValue: 'Button' }
+    },
+    children: [
+      variant('Variant=Primary, Size=Small', { x: 0, width: 100, fill: primary }),
+      variant('Variant=Secondary, Size=Small', { x: 120, width: 100, fill: secondary }),
+      variant('Variant=Primary, Size=Large', { x: 240, width: 160, fill: primary }),
+      variant('Variant=Secondary, Size=Large', { x: 420, width: 160, fill: secondary })
+    ]
+  };
+
+  describe('hasComponentProperties', () => {
+    it('should detect component sets and instances with properties', () => {
+      expect(hasComponentProperties(buttonSet)).toBe(true);
+      expect(hasComponentProperties({ type: 'INSTANCE', componentProperties: { 'Label#2:0': { type: 'TEXT', value: 'Go' } } })).toBe(true);
+      expect(hasComponentProperties({ type: 'FRAME', children: [] })).toBe(false);
+    });
+  });
+
+  describe('extractComponentProperties', () => {
+    it('should turn variant axes, boolean and text properties into props', () => {
+      const { props, variants } = extractComponentProperties(buttonSet);
+
+      expect(props.map(prop => [prop.name, prop.type, prop.defaultValue])).toEqual([
+        ['variant', 'variant', 'primary'],
+        ['size', 'variant', 'small'],
+        ['showIcon', 'boolean', false],
+        ['label', 'text', 'Button']
+      ]);
+      expect(props[0].options).toEqual(['primary', 'secondary']);
+      expect(variants).toHaveLength(4);
+      expect(variants[3].values).toEqual({ variant: 'secondary', size: 'large' });
+    });
+
+    it('should read the axes from child names when definitions are missing', () => {
+      const { componentPropertyDefinitions, ...legacySet } = buttonSet;
+      const { props } = extractComponentProperties(legacySet);
+
+      expect(props.map(prop => prop.name)).toEqual(['variant', 'size']);
+      expect(props[1].options).toEqual(['small', 'large']);
+    });
+
+    it('should make true/false variant axes boolean props', () => {
+      const { props } = extractComponentProperties({
+        type: 'COMPONENT_SET',
+        componentPropertyDefinitions: {
+          Disabled: { type: 'VARIANT', defaultValue: 'False', variantOptions: ['False', 'True'] }
+        },
+        children: []
+      });
+
+      expect(props[0]).toMatchObject({ name: 'disabled', type: 'boolean', options: [false, true], defaultValue: false });
+    });
+
+    it('should skip instance swap properties with a warning', () => {
+      const { props, warnings } = extractComponentProperties({
+        type: 'COMPONENT',
+        componentPropertyDefinitions: {
+          'Icon#3:0': { type: 'INSTANCE_SWAP', defaultValue: '4:4' }
+        }
+      });
+
+      expect(props).toEqual([]);
+      expect(warnings[0]).toContain('INSTANCE_SWAP property "Icon"');
+    });
+  });
+
+  describe('compileVariantComponent', () => {
+    it('should generate one component with typed props and defaults', () => {
+      const result = compileVariantComponent(buttonSet);
+
+      expect(result.componentName).toBe('Button');
+      expect(result.code).toContain(
+        "const Button = ({ variant = 'primary', size = 'small', showIcon = false, label = 'Button' }) => {"
+      );
+      expect(result.code).toContain("//   variant: 'primary' | 'secondary' (default 'primary')");
+      expect(result.componentProperties.variants).toHaveLength(4);
+    });
+
+    it('should keep multi-line set names inside the header comment', () => {
+      const { code } = compileVariantComponent({ ...buttonSet, name: 'Button\nPrimary' });
+
+      expect(code).toContain('// Compiled from Figma component set "Button Primary"');
+    });
+
+    it('should look varying styles up from the axis they depend on', () => {
+      const { code } = compileVariantComponent(buttonSet);
+
+      expect(code).toContain("width: { small: '100px', large: '160px' }[size]");
+      expect(code).toContain("backgroundColor: { primary: '#3366cc', secondary: '#ffffff' }[variant]");
+      expect(code).toContain("height: '40px'");
+      expect(code).not.toContain('variantKey');
+    });
+
+    it('should bind boolean and text properties to their layers', () => {
+      const { code, warnings } = compileVariantComponent(buttonSet);
+
+      expect(code).toContain('{showIcon && (');
+      expect(code).toContain('{label}');
+      expect(warnings).toEqual([]);
+    });
+
+    it('should key values by the whole variant when no single axis decides them', () => {
+      const set = {
+        ...buttonSet,
+        children: buttonSet.children.map((child, index) => ({
+          ...child,
+          fills: [index === 3 ? color(0, 0, 0) : primary]
+        }))
+      };
+      const { code } = compileVariantComponent(set);
+
+      expect(code).toContain("const variantKey = [variant, size].join('/');");
+      expect(code).toContain("'secondary/large': '#000000' }[variantKey]");
+    });
+
+    it('should compile an instance with its current values as defaults', () => {
+      const instance = {
+        ...variant('Button', { x: 0, width: 100, fill: primary }),
+        type: 'INSTANCE',
+        componentProperties: {
+          Variant: { type: 'VARIANT', value: 'Secondary' },
+          'Label#2:0': { type: 'TEXT', value: 'Save' }
+        }
+      };
+      const result = compileVariantComponent(instance);
+
+      expect(result.code).toContain("({ variant = 'secondary', label = 'Save' })");
+      expect(result.code).toContain('{label}');
+      expect(result.warnings).toContain('Instances only carry their current variant - select the component set to get every option');
+    });
+  });
+
+  describe('variant stories', () => {
+    it('should build args, argTypes and one story per variant', () => {
+      const { code, componentName, componentDetection, componentProperties } = compileVariantComponent(buttonSet);
+      const story = generateStorybookStory(code, componentName, componentDetection, componentProperties);
+
+      expect(story).toContain("options: ['primary', 'secondary']");
+      expect(story).toContain("showIcon: false");
+      expect(story).toContain('export const PrimarySmall');
+      expect(story).toContain('export const SecondaryLarge');
+      expect(story).toContain("variant: 'secondary'");
+    });
+  });
+});
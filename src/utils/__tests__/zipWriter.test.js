@@ -0,0 +1,63 @@
+/**
+ * Tests for zipWriter utility
+ */
+
+import { createZip, crc32 } from '../zipWriter';
+
+// Read the central directory back so the archive layout is checked, not just its size
+const readEntries = (zip) => {
+  const view = new DataView(zip.buffer);
+  const endOffset = zip.length - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = String.fromCharCode(...zip.slice(offset + 46, offset + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries.push({ name, crc: view.getUint32(offset + 16, true), data: zip.slice(dataStart, dataStart + size) });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('zipWriter', () => {
+  describe('crc32', () => {
+    it('should match the standard CRC-32 check value', () => {
+      const bytes = Uint8Array.from('123456789', character => character.charCodeAt(0));
+      expect(crc32(bytes)).toBe(0xcbf43926);
+    });
+  });
+
+  describe('createZip', () => {
+    it('should store every file with a valid central directory', () => {
+      const zip = createZip([
+        { name: 'Button/Button.jsx', content: 'const Button = () => null;' },
+        { name: 'manifest.json', content: '{}' }
+      ], { date: new Date(2024, 0, 1) });
+
+      const entries = readEntries(zip);
+      expect(entries.map(entry => entry.name)).toEqual(['Button/Button.jsx', 'manifest.json']);
+      expect(String.fromCharCode(...entries[1].data)).toBe('{}');
+      expect(entries[0].crc).toBe(crc32(entries[0].data));
+    });
+
+    it('should UTF-8 encode text content', () => {
+      const [entry] = readEntries(createZip([{ name: 'a.txt', content: 'é✓' }]));
+      expect(Array.from(entry.data)).toEqual([0xc3, 0xa9, 0xe2, 0x9c, 0x93]);
+    });
+
+    it('should produce an empty archive for no files', () => {
+      expect(createZip([])).toHaveLength(22);
+    });
+  });
+});
@@ -5,6 +5,9 @@
  * for all components based on their detected type and context.
  */
 
+import { runJSXPasses } from './jsxTransform';
+import { semanticElementsPass, ariaPass } from './jsxPasses';
+
 /**
  * Main function to enhance component code with accessibility features
  * @param {string} componentCode - Generated React JSX code
@@ -39,20 +42,16 @@ export function enhanceWithAccessibility(componentCode, componentDetection, figm
   };
 
   try {
-    // Step 1: Convert to semantic HTML
-    enhancedCode = convertToSemanticHTML(enhancedCode, componentDetection.componentType, figmaNode);
+    // Steps 1-3: semantic elements, ARIA attributes and keyboard access, on the AST
+    const passes = runJSXPasses(enhancedCode, [semanticElementsPass, ariaPass], { componentDetection, figmaNode: figmaNode || {} });
+    if (passes.errors.length > 0) {
+      throw new Error(passes.errors.map(error => error.message).join('; '));
+    }
+    enhancedCode = passes.code;
     accessibilityReport.semanticHTML = true;
-    accessibilityReport.improvements.push('Converted to semantic HTML');
-
-    // Step 2: Add component-specific accessibility features
-    enhancedCode = addComponentSpecificAccessibility(enhancedCode, componentDetection, figmaNode);
     accessibilityReport.ariaLabels = true;
-    accessibilityReport.improvements.push('Added ARIA attributes');
-
-    // Step 3: Add keyboard accessibility
-    enhancedCode = addKeyboardAccessibility(enhancedCode, componentDetection);
     accessibilityReport.keyboardAccessible = true;
-    accessibilityReport.improvements.push('Added keyboard navigation');
+    accessibilityReport.improvements = passes.changes.map(change => change.message);
 
     // Step 4: Check color contrast
     const contrastCheck = checkColorContrast(figmaNode);
@@ -83,295 +82,6 @@ export function enhanceWithAccessibility(componentCode, componentDetection, figm
   };
 }
 
-/**
- * Convert generic divs to semantic HTML elements
- */
-function convertToSemanticHTML(jsxCode, componentType, figmaNode) {
-  let semanticCode = jsxCode;
-
-  switch (componentType) {
-    case 'button':
-      // Convert div to button element
-      semanticCode = semanticCode.replace(
-        /<div(\s+style=\{[^}]*\})[^>]*>([^<]*)<\/div>/,
-        (match, styleAttr, content) => {
-          // Check if it's actually a button (has interactive styling or text)
-          const hasButtonStyling = styleAttr.includes('cursor') || 
-                                   styleAttr.includes('backgroundColor') ||
-                                   styleAttr.includes('border');
-          
-          if (hasButtonStyling || content.trim()) {
-            return `<button type="button"${styleAttr}>${content}</button>`;
-          }
-          return match;
-        }
-      );
-      break;
-
-    case 'input':
-      // Convert div to input element with proper structure
-      semanticCode = semanticCode.replace(
-        /<div(\s+style=\{[^}]*\})[^>]*>([^<]*)<\/div>/,
-        (match, styleAttr, placeholder) => {
-          const inputType = determineInputType(figmaNode, placeholder);
-          const componentName = figmaNode.name?.toLowerCase().replace(/[^a-z0-9]/g, '') || 'input';
-          const inputId = `input-${componentName}`;
-          
-          return `
-            <div>
-              <label htmlFor="${inputId}" style={{ display: 'none' }}>${placeholder || 'Input field'}</label>
-              <input 
-                id="${inputId}"
-                type="${inputType}"
-                placeholder="${placeholder || ''}"
-                ${styleAttr}
-                aria-describedby="${inputId}-helper"
-              />
-              <span id="${inputId}-helper" style={{ display: 'none' }}>Enter your ${placeholder || 'value'}</span>
-            </div>
-          `;
-        }
-      );
-      break;
-
-    case 'card':
-      // Convert div to article element
-      semanticCode = semanticCode.replace(
-        /^<div(\s+style=\{[^}]*\})/,
-        '<article$1 role="article"'
-      ).replace(
-        /<\/div>$/, 
-        '</article>'
-      );
-      break;
-
-    case 'navigation':
-      // Convert div to nav element
-      semanticCode = semanticCode.replace(
-        /^<div(\s+style=\{[^}]*\})/,
-        '<nav$1 role="navigation" aria-label="Main navigation"'
-      ).replace(
-        /<\/div>$/, 
-        '</nav>'
-      );
-      break;
-
-    case 'avatar':
-    case 'image':
-      // Ensure images have proper alt attributes
-      semanticCode = semanticCode.replace(
-        /<img([^>]*)\/>/g,
-        (match, attributes) => {
-          if (!attributes.includes('alt=')) {
-            return `<img${attributes} alt="User profile picture" />`;
-          }
-          return match;
-        }
-      );
-      break;
-
-    default:
-      // For containers, add role if it seems like a section
-      if (figmaNode.name && (figmaNode.name.toLowerCase().includes('section') || 
-                             figmaNode.name.toLowerCase().includes('container'))) {
-        semanticCode = semanticCode.replace(
-          /^<div(\s+style=\{[^}]*\})/,
-          '<section$1 role="region"'
-        ).replace(
-          /<\/div>$/, 
-          '</section>'
-        );
-      }
-      break;
-  }
-
-  return semanticCode;
-}
-
-/**
- * Add component-specific accessibility attributes
- */
-function addComponentSpecificAccessibility(jsxCode, componentDetection, figmaNode) {
-  let enhancedCode = jsxCode;
-
-  switch (componentDetection.componentType) {
-    case 'button':
-      enhancedCode = addButtonAccessibility(enhancedCode, figmaNode);
-      break;
-    
-    case 'input':
-      enhancedCode = addInputAccessibility(enhancedCode, figmaNode);
-      break;
-    
-    case 'card':
-      enhancedCode = addCardAccessibility(enhancedCode, figmaNode);
-      break;
-    
-    case 'avatar':
-    case 'image':
-      enhancedCode = addImageAccessibility(enhancedCode, figmaNode);
-      break;
-    
-    case 'navigation':
-      enhancedCode = addNavigationAccessibility(enhancedCode, figmaNode);
-      break;
-  }
-
-  return enhancedCode;
-}
-
-/**
- * Add button-specific accessibility features
- */
-function addButtonAccessibility(jsxCode, figmaNode) {
-  let enhancedCode = jsxCode;
-
-  // Extract button text from Figma node
-  const buttonText = extractButtonText(figmaNode);
-  const componentName = figmaNode.name?.toLowerCase().replace(/[^a-z0-9]/g, '') || 'button';
-
-  // Add aria-label for icon-only buttons or unclear text
-  if (!buttonText || buttonText.length < 2) {
-    const inferredLabel = inferButtonLabel(figmaNode.name);
-    enhancedCode = enhancedCode.replace(
-      /<button([^>]*)>/,
-      `<button$1 aria-label="${inferredLabel}">`
-    );
-  }
-
-  // Ensure type="button" is present
-  if (!enhancedCode.includes('type=')) {
-    enhancedCode = enhancedCode.replace(
-      /<button([^>]*)>/,
-      '<button type="button"$1>'
-    );
-  }
-
-  return enhancedCode;
-}
-
-/**
- * Add input-specific accessibility features
- */
-function addInputAccessibility(jsxCode, figmaNode) {
-  let enhancedCode = jsxCode;
-  const componentName = figmaNode.name?.toLowerCase().replace(/[^a-z0-9]/g, '') || 'input';
-
-  // Add aria-required if name suggests it's required
-  const isRequired = figmaNode.name?.toLowerCase().includes('required') || 
-                     figmaNode.name?.toLowerCase().includes('mandatory');
-  
-  if (isRequired) {
-    enhancedCode = enhancedCode.replace(
-      /<input([^>]*)/,
-      '<input aria-required="true"$1'
-    );
-  }
-
-  // Add aria-invalid placeholder for error states
-  if (figmaNode.name?.toLowerCase().includes('error') || 
-      figmaNode.name?.toLowerCase().includes('invalid')) {
-    enhancedCode = enhancedCode.replace(
-      /<input([^>]*)/,
-      '<input aria-invalid="true"$1'
-    );
-  }
-
-  return enhancedCode;
-}
-
-/**
- * Add card-specific accessibility features
- */
-function addCardAccessibility(jsxCode, figmaNode) {
-  let enhancedCode = jsxCode;
-
-  // Look for text that should be a heading
-  const headingText = extractHeadingText(figmaNode);
-  if (headingText) {
-    // Convert text to proper heading
-    enhancedCode = enhancedCode.replace(
-      new RegExp(`>${headingText}<`, 'g'),
-      `><h2>${headingText}</h2><`
-    );
-  }
-
-  return enhancedCode;
-}
-
-/**
- * Add image/avatar-specific accessibility features
- */
-function addImageAccessibility(jsxCode, figmaNode) {
-  let enhancedCode = jsxCode;
-
-  // Generate descriptive alt text based on context
-  const altText = generateAltText(figmaNode);
-  
-  enhancedCode = enhancedCode.replace(
-    /alt="[^"]*"/g,
-    `alt="${altText}"`
-  );
-
-  // If no alt attribute exists, add one
-  if (!enhancedCode.includes('alt=')) {
-    enhancedCode = enhancedCode.replace(
-      /<img([^>]*)\/>/g,
-      `<img$1 alt="${altText}" />`
-    );
-  }
-
-  return enhancedCode;
-}
-
-/**
- * Add navigation-specific accessibility features
- */
-function addNavigationAccessibility(jsxCode, figmaNode) {
-  let enhancedCode = jsxCode;
-
-  // Add aria-label if not present
-  if (!enhancedCode.includes('aria-label=')) {
-    enhancedCode = enhancedCode.replace(
-      /<nav([^>]*)>/,
-      '<nav$1 aria-label="Main navigation">'
-    );
-  }
-
-  return enhancedCode;
-}
-
-/**
- * Add keyboard accessibility support
- */
-function addKeyboardAccessibility(jsxCode, componentDetection) {
-  let enhancedCode = jsxCode;
-
-  // Add keyboard support for custom interactive elements
-  if (componentDetection.componentType === 'button' || 
-      componentDetection.componentType === 'navigation') {
-    
-    // Add tabIndex and keyboard handlers for divs that should be interactive
-    enhancedCode = enhancedCode.replace(
-      /<div(\s+style=\{[^}]*cursor:\s*['"]pointer['"][^}]*\})/g,
-      '<div$1 tabIndex="0" onKeyPress={(e) => e.key === \'Enter\' || e.key === \' \' ? handleClick() : null}'
-    );
-
-    // Add focus styles
-    enhancedCode = enhancedCode.replace(
-      /style=\{\{([^}]*)\}\}/g,
-      (match, styles) => {
-        if (styles.includes('cursor:') && !styles.includes('outline:')) {
-          return `style={{${styles}, outline: '2px solid #3b82f6', outlineOffset: '2px'}}`;
-        }
-        return match;
-      }
-    );
-  }
-
-  return enhancedCode;
-}
-
 /**
  * Check color contrast between text and background
  */
@@ -477,83 +187,3 @@ function validateAccessibility(jsxCode, componentDetection) {
 
   return { issues };
 }
-
-// Helper functions
-
-function extractButtonText(figmaNode) {
-  // Look for text content in the node
-  if (figmaNode.characters) {
-    return figmaNode.characters;
-  }
-  
-  // Look in children
-  if (figmaNode.children) {
-    const textChild = figmaNode.children.find(child => child.type === 'TEXT');
-    if (textChild && textChild.characters) {
-      return textChild.characters;
-    }
-  }
-  
-  return null;
-}
-
-function inferButtonLabel(nodeName) {
-  if (!nodeName) return 'Button';
-  
-  const name = nodeName.toLowerCase();
-  
-  if (name.includes('close')) return 'Close';
-  if (name.includes('submit')) return 'Submit form';
-  if (name.includes('cancel')) return 'Cancel';
-  if (name.includes('save')) return 'Save';
-  if (name.includes('delete')) return 'Delete';
-  if (name.includes('edit')) return 'Edit';
-  if (name.includes('add')) return 'Add';
-  if (name.includes('remove')) return 'Remove';
-  
-  return 'Button';
-}
-
-function extractHeadingText(figmaNode) {
-  // Look for text that appears to be a heading
-  if (figmaNode.characters && figmaNode.characters.length < 50) {
-    return figmaNode.characters;
-  }
-  
-  if (figmaNode.children) {
-    const textChild = figmaNode.children.find(child => 
-      child.type === 'TEXT' && child.characters && child.characters.length < 50
-    );
-    if (textChild) {
-      return textChild.characters;
-    }
-  }
-  
-  return null;
-}
-
-function generateAltText(figmaNode) {
-  const name = figmaNode.name?.toLowerCase() || '';
-  
-  if (name.includes('avatar')) return 'User profile picture';
-  if (name.includes('logo')) return 'Company logo';
-  if (name.includes('icon')) return 'Icon';
-  if (name.includes('photo')) return 'Photo';
-  if (name.includes('image')) return 'Image';
-  
-  return 'Image';
-}
-
-function determineInputType(figmaNode, placeholder) {
-  const name = figmaNode.name?.toLowerCase() || '';
-  const placeholderLower = placeholder?.toLowerCase() || '';
-  
-  if (name.includes('email') || placeholderLower.includes('email')) return 'email';
-  if (name.includes('password') || placeholderLower.includes('password')) return 'password';
-  if (name.includes('phone') || placeholderLower.includes('phone')) return 'tel';
-  if (name.includes('number') || placeholderLower.includes('number')) return 'number';
-  if (name.includes('search') || placeholderLower.includes('search')) return 'search';
-  if (name.includes('url') || placeholderLower.includes('url')) return 'url';
-  
-  return 'text';
-}
@@ -5,6 +5,9 @@
  * in AI-generated React code from Figma designs.
  */
 
+import { runJSXPasses } from './jsxTransform';
+import { rootPositioningPass, exactValuesPass } from './jsxPasses';
+
 /**
  * Fix common alignment issues in generated React code
  * @param {string} code - Generated React JSX code
@@ -22,11 +25,14 @@ export function fixAlignmentIssues(code, figmaNode, alignmentAnalysis) {
   let correctedCode = code;
   
   try {
-    // Fix 1: Ensure aligned elements use identical values
-    correctedCode = fixAlignedElements(correctedCode, alignmentAnalysis);
-    
-    // Fix 2: Correct positioning values to match Figma exactly
-    correctedCode = fixPositioningValues(correctedCode, figmaNode);
+    // Fix 1-2: Static root, and exact Figma sizes and offsets for every tagged element.
+    // Aligned elements end up with identical values since they share the same Figma edge.
+    const passes = runJSXPasses(correctedCode, [rootPositioningPass, exactValuesPass], { figmaNode });
+    passes.changes.forEach(change => console.log(`🔧 ${change.message}`));
+    if (passes.errors.length > 0) {
+      throw new Error(passes.errors.map(error => error.message).join('; '));
+    }
+    correctedCode = passes.code;
     
     // Fix 3: Apply consistent spacing where detected
     correctedCode = fixConsistentSpacing(correctedCode, alignmentAnalysis);
@@ -48,90 +54,6 @@ export function fixAlignmentIssues(code, figmaNode, alignmentAnalysis) {
   return correctedCode;
 }
 
-/**
- * Fix elements that should be aligned to use identical values
- */
-function fixAlignedElements(code, alignmentAnalysis) {
-  const { alignmentGroups } = alignmentAnalysis;
-  
-  // Fix top-aligned elements
-  if (alignmentGroups.topAligned && alignmentGroups.topAligned.length > 1) {
-    const topValue = alignmentGroups.topAligned[0].yPosition;
-    const alignedElements = alignmentGroups.topAligned.map(item => item.node.name);
-    
-    console.log(`Fixing top-aligned elements: ${alignedElements.join(', ')} to Y: ${topValue}`);
-    
-    // Replace top values for aligned elements
-    alignedElements.forEach(elementName => {
-      const topRegex = new RegExp(`(top:\\s*)['"\`]?([\\d.]+)['"\`]?(?=\\s*[,}])`, 'g');
-      code = code.replace(topRegex, (match, prefix, value) => {
-        return `${prefix}'${topValue}'`;
-      });
-    });
-  }
-  
-  // Fix left-aligned elements
-  if (alignmentGroups.leftAligned && alignmentGroups.leftAligned.length > 1) {
-    const leftValue = alignmentGroups.leftAligned[0].xPosition;
-    const alignedElements = alignmentGroups.leftAligned.map(item => item.node.name);
-    
-    console.log(`Fixing left-aligned elements: ${alignedElements.join(', ')} to X: ${leftValue}`);
-    
-    // Replace left values for aligned elements
-    alignedElements.forEach(elementName => {
-      const leftRegex = new RegExp(`(left:\\s*)['"\`]?([\\d.]+)['"\`]?(?=\\s*[,}])`, 'g');
-      code = code.replace(leftRegex, (match, prefix, value) => {
-        return `${prefix}'${leftValue}'`;
-      });
-    });
-  }
-  
-  return code;
-}
-
-/**
- * Fix positioning values to match Figma exactly
- */
-function fixPositioningValues(code, figmaNode) {
-  // Fix root element positioning
-  if (figmaNode.absoluteBoundingBox) {
-    const { x, y, width, height } = figmaNode.absoluteBoundingBox;
-    
-    // Ensure root element doesn't have positioning
-    code = code.replace(/position:\s*['"`]?absolute['"`]?\s*,?\s*/g, '');
-    code = code.replace(/left:\s*['"`]?[^'"`}]+['"`]?\s*,?\s*/g, '');
-    code = code.replace(/top:\s*['"`]?[^'"`}]+['"`]?\s*,?\s*/g, '');
-    
-    // Ensure root element has correct dimensions
-    code = code.replace(/(width:\s*)['"`]?([^'"`}]+)['"`]?/g, `$1'${width}px'`);
-    code = code.replace(/(height:\s*)['"`]?([^'"`}]+)['"`]?/g, `$1'${height}px'`);
-  }
-  
-  // Fix child element positioning
-  if (figmaNode.children) {
-    figmaNode.children.forEach(child => {
-      if (child.absoluteBoundingBox) {
-        const { x, y, width, height } = child.absoluteBoundingBox;
-        const parentX = figmaNode.absoluteBoundingBox?.x || 0;
-        const parentY = figmaNode.absoluteBoundingBox?.y || 0;
-        
-        // Calculate relative positions
-        const relativeX = x - parentX;
-        const relativeY = y - parentY;
-        
-        // Fix positioning for this child element
-        const childName = child.name || child.id;
-        console.log(`Fixing positioning for ${childName}: left=${relativeX}, top=${relativeY}`);
-        
-        // This is a simplified approach - in practice, you'd need more sophisticated matching
-        // to identify which CSS rule corresponds to which Figma element
-      }
-    });
-  }
-  
-  return code;
-}
-
 /**
  * Fix consistent spacing patterns
  */
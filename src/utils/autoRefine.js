@@ -0,0 +1,370 @@
+/**
+ * Auto Refine
+ * @fileoverview Closes the loop between the visual comparison and the code.
+ * Each round renders the code, compares it with Figma, turns what the comparison
+ * found into style edits and applies them, until the score reaches the target or
+ * the iteration limit is hit.
+ *
+ * Fixes come from two places:
+ * - the per-layer diff (layerDiff), whose rows carry the exact Figma value
+ * - the narrative's actionableFixes ("Change backgroundColor from '#44b24f' to '#43b261'")
+ *
+ * Edits are made on the Babel AST: the element tagged with the layer's
+ * data-figma-id is located and only the one style value is spliced, so the rest
+ * of the code keeps its formatting. Values that depend on props are left alone.
+ * When nothing can be applied this way the caller may hand the findings to the
+ * generator instead (options.refine).
+ */
+
+import { packages } from '@babel/standalone';
+import { FIGMA_ID_ATTRIBUTE } from './layerDiff';
+import { diffGenerations } from './generationHistory';
+import {
+  parseJSX,
+  getAttributeValue,
+  getStyleObject,
+  getKeyName,
+  isLiteral,
+  getPixelValue,
+  formatValue
+} from './jsxTransform';
+
+export const DEFAULT_TARGET_SCORE = 95;
+export const DEFAULT_MAX_ITERATIONS = 5;
+
+const traverse = packages.traverse.default;
+
+// Layer diff properties -> React style keys
+const STYLE_KEYS = {
+  width: 'width',
+  height: 'height',
+  left: 'left',
+  top: 'top',
+  'font-size': 'fontSize',
+  'font-weight': 'fontWeight',
+  'line-height': 'lineHeight',
+  'letter-spacing': 'letterSpacing',
+  'font-family': 'fontFamily'
+};
+
+/**
+ * Turn per-layer differences into style fixes
+ * @param {Object} layerDiff - Result from diffLayers
+ * @returns {Array<Object>} { figmaId, property, value | adjust, reason } - adjust shifts a
+ *   pixel offset by that amount, since left/top are relative to the parent, not the root
+ */
+export function planLayerFixes(layerDiff) {
+  const fixes = [];
+
+  (layerDiff?.rows || []).forEach(row => {
+    if (row.status !== 'mismatch') return;
+    const figmaId = row.mergedInto || row.id;
+
+    row.issues.forEach(issue => {
+      const reason = `${row.label}: ${issue.message}`;
+
+      if (issue.kind === 'position') {
+        fixes.push({ figmaId, property: issue.property, adjust: -issue.difference, reason });
+      } else if (issue.kind === 'color') {
+        fixes.push({
+          figmaId,
+          property: issue.property === 'fill' ? 'backgroundColor' : 'color',
+          value: issue.expected,
+          reason
+        });
+      } else if (issue.property === 'font-weight') {
+        fixes.push({ figmaId, property: 'fontWeight', value: issue.expected, reason });
+      } else if (issue.property === 'font-family') {
+        fixes.push({ figmaId, property: 'fontFamily', value: `${issue.expected}, sans-serif`, reason });
+      } else if (STYLE_KEYS[issue.property]) {
+        fixes.push({ figmaId, property: STYLE_KEYS[issue.property], value: `${issue.expected}px`, reason });
+      }
+    });
+  });
+
+  return fixes;
+}
+
+/**
+ * Read a fix out of the narrative's actionable fixes
+ * @param {string} text - e.g. "Change backgroundColor from '#44b24f' to '#43b261'"
+ * @returns {Object|null} { match: { property, value }, property, value, reason } or null
+ *   when the sentence is not a plain value change
+ */
+export function parseActionableFix(text) {
+  const match = String(text || '').match(
+    /\b(?:change|set|update)\s+(\w+)\s+from\s+['"`]?([^'"`\s,]+)['"`]?\s+to\s+['"`]?([^'"`\s,]+)['"`]?/i
+  );
+  if (!match) return null;
+
+  const [, property, from, to] = match;
+  return { match: { property, value: from }, property, value: to, reason: text };
+}
+
+/**
+ * Apply style fixes to component code
+ *
+ * A fix targets either the element tagged with its figmaId, or - for narrative
+ * fixes - the single style property whose key and current value it names.
+ * The first fix for an element property wins.
+ *
+ * @param {string} code - Component code
+ * @param {Array<Object>} fixes - From planLayerFixes or parseActionableFix
+ * @returns {Object} { code, applied, skipped } - skipped fixes carry a skipReason
+ */
+export function applyStyleFixes(code, fixes) {
+  let ast;
+  try {
+    ast = parseJSX(code);
+  } catch (error) {
+    return {
+      code,
+      applied: [],
+      skipped: fixes.map(fix => ({ ...fix, skipReason: `Code could not be parsed: ${error.message}` }))
+    };
+  }
+
+  const elements = new Map();
+  const styleProperties = [];
+
+  traverse(ast, {
+    JSXOpeningElement(path) {
+      const figmaId = getAttributeValue(path.node, FIGMA_ID_ATTRIBUTE);
+      if (figmaId && !elements.has(figmaId)) {
+        elements.set(figmaId, path.node);
+      }
+
+      const style = getStyleObject(path.node);
+      if (style) {
+        style.properties.forEach(property => {
+          if (property.type === 'ObjectProperty') styleProperties.push(property);
+        });
+      }
+    }
+  });
+
+  const edits = [];
+  const applied = [];
+  const skipped = [];
+  const touched = new Set();
+
+  fixes.forEach(fix => {
+    const result = fix.match
+      ? planValueChange(fix, styleProperties)
+      : planElementEdit(fix, elements.get(fix.figmaId), code);
+
+    if (result.skipReason) {
+      skipped.push({ ...fix, skipReason: result.skipReason });
+      return;
+    }
+
+    if (touched.has(result.key)) {
+      skipped.push({ ...fix, skipReason: 'Another fix already changes this property' });
+      return;
+    }
+
+    touched.add(result.key);
+    edits.push(result.edit);
+    applied.push(fix);
+  });
+
+  // Splice from the end so earlier offsets stay valid
+  const fixedCode = edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), code);
+
+  return { code: fixedCode, applied, skipped };
+}
+
+/**
+ * Render, compare and fix until the score is good enough
+ *
+ * @param {string} code - Starting code
+ * @param {Object} options
+ * @param {Function} options.evaluate - async (code) => { score, layerDiff, comparison }; renders
+ *   and compares the code
+ * @param {Function} [options.refine] - async (code, evaluation, fixes) => code; asked when no fix
+ *   could be applied to the code directly (e.g. feed the findings back to the generator)
+ * @param {number} [options.targetScore] - Stop once the overall score reaches this (default 95)
+ * @param {number} [options.maxIterations] - Fix rounds after the first comparison (default 5)
+ * @param {Function} [options.onIteration] - Called with each iteration as it completes:
+ *   { index, code, score, source: 'initial'|'ast'|'model', applied, skipped, diff } - diff holds
+ *   the changed lines against the previous iteration (rows from diffGenerations)
+ * @param {AbortSignal} [options.signal] - Stops the loop after the current step
+ * @returns {Promise<Object>} { code, score, iterations, reason } - code and score of the best
+ *   iteration; reason is 'target' | 'limit' | 'no-fixes' | 'regressed' | 'cancelled'
+ */
+export async function runAutoRefine(code, options) {
+  const {
+    evaluate,
+    refine,
+    targetScore = DEFAULT_TARGET_SCORE,
+    maxIterations = DEFAULT_MAX_ITERATIONS,
+    onIteration,
+    signal
+  } = options;
+
+  const iterations = [];
+  const record = (iteration) => {
+    iterations.push(iteration);
+    onIteration?.(iteration);
+    return iteration;
+  };
+
+  let evaluation = await evaluate(code);
+  let current = record({
+    index: 0,
+    code,
+    score: evaluation.score,
+    source: 'initial',
+    applied: [],
+    skipped: [],
+    diff: null
+  });
+  let best = current;
+  let reason = 'limit';
+
+  for (let index = 1; index <= maxIterations; index++) {
+    if (current.score >= targetScore) {
+      reason = 'target';
+      break;
+    }
+    if (signal?.aborted) {
+      reason = 'cancelled';
+      break;
+    }
+
+    const fixes = [
+      ...planLayerFixes(evaluation.layerDiff),
+      ...(evaluation.comparison?.actionableFixes || []).map(parseActionableFix).filter(Boolean)
+    ];
+    const fixed = applyStyleFixes(current.code, fixes);
+    let nextCode = fixed.code;
+    let source = 'ast';
+
+    const hasFindings = fixes.length > 0 || evaluation.comparison?.actionableFixes?.length > 0;
+    if (fixed.applied.length === 0 && hasFindings && refine) {
+      nextCode = await refine(current.code, evaluation, fixes);
+      source = 'model';
+    }
+
+    if (!nextCode || nextCode === current.code) {
+      reason = 'no-fixes';
+      break;
+    }
+    if (signal?.aborted) {
+      reason = 'cancelled';
+      break;
+    }
+
+    evaluation = await evaluate(nextCode);
+    const { rows, added, removed } = diffGenerations(current.code, nextCode);
+    current = record({
+      index,
+      code: nextCode,
+      score: evaluation.score,
+      source,
+      // The model was handed every finding, so none of them count as skipped
+      applied: source === 'model' ? fixes : fixed.applied,
+      skipped: source === 'model' ? [] : fixed.skipped,
+      diff: { added, removed, rows: rows.filter(row => row.type !== 'same') }
+    });
+
+    if (current.score > best.score) {
+      best = current;
+    } else if (current.score < best.score) {
+      reason = 'regressed';
+      break;
+    }
+  }
+
+  if (reason === 'limit' && current.score >= targetScore) {
+    reason = 'target';
+  }
+
+  return { code: best.code, score: best.score, iterations, reason };
+}
+
+function planElementEdit(fix, element, code) {
+  if (!element) {
+    return { skipReason: `No element is tagged ${FIGMA_ID_ATTRIBUTE}="${fix.figmaId}"` };
+  }
+
+  const key = `${fix.figmaId}:${fix.property}`;
+  const style = getStyleObject(element);
+  const property = style && style.properties.find(candidate =>
+    candidate.type === 'ObjectProperty' && getKeyName(candidate) === fix.property
+  );
+
+  if (fix.adjust !== undefined) {
+    const current = property && getPixelValue(property.value);
+    if (current === null || current === undefined) {
+      return { skipReason: `${fix.property} is not a fixed pixel value` };
+    }
+    return {
+      key,
+      edit: { start: property.value.start, end: property.value.end, text: formatValue(`${round(current + fix.adjust)}px`) }
+    };
+  }
+
+  if (property) {
+    if (!isLiteral(property.value)) {
+      return { skipReason: `${fix.property} depends on props` };
+    }
+    return { key, edit: { start: property.value.start, end: property.value.end, text: formatValue(fix.value) } };
+  }
+
+  const entry = `${fix.property}: ${formatValue(fix.value)}`;
+
+  if (!style) {
+    const hasStyleAttribute = element.attributes.some(attribute => attribute.name?.name === 'style');
+    if (hasStyleAttribute) {
+      return { skipReason: 'The style attribute is not an object literal' };
+    }
+    return { key, edit: { start: element.name.end, end: element.name.end, text: ` style={{ ${entry} }}` } };
+  }
+
+  if (style.properties.length === 0) {
+    return { key, edit: { start: style.start + 1, end: style.end - 1, text: ` ${entry} ` } };
+  }
+
+  // Match the object's layout: one property per line, or all on one line
+  const last = style.properties[style.properties.length - 1];
+  const lineStart = code.lastIndexOf('\n', last.start) + 1;
+  const indent = code.slice(lineStart, last.start);
+  const separator = /^\s*$/.test(indent) ? `,\n${indent}` : ', ';
+  return { key, edit: { start: last.end, end: last.end, text: `${separator}${entry}` } };
+}
+
+function planValueChange(fix, styleProperties) {
+  const candidates = styleProperties.filter(property =>
+    getKeyName(property) === fix.match.property &&
+    isLiteral(property.value) &&
+    normalizeValue(property.value.value) === normalizeValue(fix.match.value)
+  );
+
+  if (candidates.length === 0) {
+    return { skipReason: `No ${fix.match.property} of ${fix.match.value} in the code` };
+  }
+  if (candidates.length > 1) {
+    return { skipReason: `${fix.match.property} ${fix.match.value} appears ${candidates.length} times` };
+  }
+
+  const [property] = candidates;
+  const value = typeof property.value.value === 'number' && !Number.isNaN(Number(fix.value))
+    ? Number(fix.value)
+    : fix.value;
+
+  return {
+    key: `${property.start}:${fix.match.property}`,
+    edit: { start: property.value.start, end: property.value.end, text: formatValue(value) }
+  };
+}
+
+function normalizeValue(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function round(value) {
+  return Number(Number(value).toFixed(2));
+}
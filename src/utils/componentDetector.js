@@ -3,6 +3,12 @@
  * @fileoverview Analyzes Figma nodes to identify common UI component patterns
  */
 
+import { matchRegistryComponent, DESIGN_SYSTEM_LIBRARY } from './designSystemRegistry';
+import { findComponentKeyMapping } from './componentKeyMap';
+
+// suggestedLibrary for instances resolved through the component key map
+export const COMPONENT_KEY_MAP_LIBRARY = 'component-key-map';
+
 /**
  * Detects the type of UI component represented by a Figma node
  * 
@@ -16,12 +22,17 @@
  * @param {Array} figmaNode.children - Array of child nodes
  * @param {string} figmaNode.name - Layer name from Figma
  * @param {string} figmaNode.characters - Text content (for TEXT nodes)
+ * @param {Object} [options] - Detection options
+ * @param {Object} [options.registry] - Custom design system registry (see designSystemRegistry)
+ * @param {Object} [options.componentKeyMap] - Figma component key -> code component table (see componentKeyMap)
  * 
  * @returns {Object} Detection result object
  * @returns {string} returns.componentType - Detected component type: 'button' | 'card' | 'input' | 'badge' | 'avatar' | 'container' | 'unknown'
  * @returns {number} returns.confidence - Confidence score (0-100 percentage)
  * @returns {string} returns.reasoning - Human-readable explanation of detection
- * @returns {string} returns.suggestedLibrary - Recommended UI library: 'shadcn' | 'mui' | 'chakra' | 'custom'
+ * @returns {string} returns.suggestedLibrary - Recommended UI library: 'shadcn' | 'mui' | 'chakra' | 'design-system' | 'component-key-map' | 'custom'
+ * @returns {string} [returns.registryComponent] - Name of the matching registered component, if any
+ * @returns {Object} [returns.mappedComponent] - Component key mapping that decided the result, if any
  * 
  * @example
  * const figmaButton = {
@@ -43,7 +54,7 @@
  * //   suggestedLibrary: 'shadcn'
  * // }
  */
-export function detectComponentPattern(figmaNode) {
+export function detectComponentPattern(figmaNode, options = {}) {
   if (!figmaNode || typeof figmaNode !== 'object') {
     return {
       componentType: 'unknown',
@@ -53,6 +64,18 @@ export function detectComponentPattern(figmaNode) {
     };
   }
 
+  // A mapped Figma component key is conclusive - no need to guess
+  const mappedComponent = findComponentKeyMapping(figmaNode, options.componentKeyMap);
+  if (mappedComponent) {
+    return {
+      componentType: mappedComponent.type || 'unknown',
+      confidence: 100,
+      reasoning: `Figma component "${mappedComponent.name || figmaNode.componentName || figmaNode.name}" is mapped to ${mappedComponent.component}`,
+      suggestedLibrary: COMPONENT_KEY_MAP_LIBRARY,
+      mappedComponent
+    };
+  }
+
   const {
     type,
     width = 0,
@@ -422,20 +445,35 @@ export function detectComponentPattern(figmaNode) {
   results.sort((a, b) => b.confidence - a.confidence);
   const bestMatch = results[0];
 
-  // If confidence is too low, return unknown
-  if (bestMatch.confidence < 50) {
-    return {
+  // If confidence is too low, the node is unknown
+  const detection = bestMatch.confidence < 50
+    ? {
       componentType: 'unknown',
       confidence: 0,
       reasoning: 'Does not match any known component patterns',
       suggestedLibrary: 'custom'
+    }
+    : {
+      componentType: bestMatch.type,
+      confidence: Math.min(bestMatch.confidence, 100),
+      reasoning: bestMatch.reasons.join(', '),
+      suggestedLibrary: suggestLibrary(bestMatch.type, bestMatch.confidence)
+    };
+
+  // The team's own components win over the built-in libraries
+  const registryMatch = options.registry
+    ? matchRegistryComponent(figmaNode, options.registry, detection.componentType)
+    : null;
+
+  if (registryMatch) {
+    return {
+      componentType: registryMatch.component.type || detection.componentType,
+      confidence: registryMatch.confidence,
+      reasoning: `Matches ${registryMatch.component.name}: ${registryMatch.reasons.join(', ')}`,
+      suggestedLibrary: DESIGN_SYSTEM_LIBRARY,
+      registryComponent: registryMatch.component.name
     };
   }
 
-  return {
-    componentType: bestMatch.type,
-    confidence: Math.min(bestMatch.confidence, 100),
-    reasoning: bestMatch.reasons.join(', '),
-    suggestedLibrary: suggestLibrary(bestMatch.type, bestMatch.confidence)
-  };
+  return detection;
 }
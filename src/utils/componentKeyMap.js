@@ -0,0 +1,135 @@
+/**
+ * Component Key Map
+ * @fileoverview Maps Figma library component keys to code components. An instance
+ * whose key is in the table is recognized with 100% confidence, ahead of the
+ * registry and the size/fill/name heuristics.
+ *
+ * Table format (keyed by component key or component set key):
+ * {
+ *   "4b1c...": { "name": "Button", "component": "Button", "import": "@/components/ui/button", "type": "button" }
+ * }
+ */
+
+export const COMPONENT_KEY_MAP_STORAGE_KEY = 'figma-to-react.componentKeyMap';
+
+/**
+ * Copy component keys from a Figma nodes response onto the nodes themselves
+ *
+ * The /files/:id/nodes endpoint only lists keys in the `components` and
+ * `componentSets` maps next to the document; this stamps `componentKey`,
+ * `componentName`, `componentSetKey` and `componentSetName` on every instance
+ * (and on components themselves) so later steps only need the node.
+ *
+ * @param {Object} node - Document node from the response
+ * @param {Object} [components] - response.nodes[id].components
+ * @param {Object} [componentSets] - response.nodes[id].componentSets
+ * @returns {Object} The same node
+ */
+export function annotateComponentKeys(node, components = {}, componentSets = {}) {
+  if (!node || typeof node !== 'object') return node;
+
+  const componentId = node.type === 'INSTANCE' ? node.componentId : node.type === 'COMPONENT' ? node.id : null;
+  const component = componentId && components[componentId];
+
+  if (component) {
+    node.componentKey = component.key;
+    node.componentName = component.name;
+
+    const componentSet = component.componentSetId && componentSets[component.componentSetId];
+    if (componentSet) {
+      node.componentSetKey = componentSet.key;
+      node.componentSetName = componentSet.name;
+    }
+  }
+
+  (node.children || []).forEach(child => annotateComponentKeys(child, components, componentSets));
+  return node;
+}
+
+/**
+ * Load the mapping table kept from previous sessions
+ * @returns {Object} Table keyed by Figma key (empty when nothing is saved)
+ */
+export function loadComponentKeyMap() {
+  try {
+    const saved = typeof localStorage !== 'undefined' && localStorage.getItem(COMPONENT_KEY_MAP_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.warn('Could not load component key map:', error);
+    return {};
+  }
+}
+
+/**
+ * Keep the mapping table across sessions
+ * @param {Object} keyMap - Table keyed by Figma key
+ */
+export function saveComponentKeyMap(keyMap) {
+  try {
+    localStorage.setItem(COMPONENT_KEY_MAP_STORAGE_KEY, JSON.stringify(keyMap));
+  } catch (error) {
+    console.warn('Could not save component key map:', error);
+  }
+}
+
+/**
+ * Find the code component a node is mapped to
+ * A mapping for the component set covers all of its variants.
+ *
+ * @param {Object} node - Figma node (annotated with annotateComponentKeys)
+ * @param {Object} keyMap - Table keyed by Figma key
+ * @returns {Object|null} { key, component, import, defaultImport, type, name } or null
+ */
+export function findComponentKeyMapping(node, keyMap) {
+  if (!node || !keyMap) return null;
+
+  const key = [node.componentKey, node.componentSetKey].find(candidate => candidate && keyMap[candidate]);
+  return key ? { ...keyMap[key], key } : null;
+}
+
+/**
+ * List the library components used in a node tree
+ * Variants of one set are reported once, under the set.
+ *
+ * @param {Object} node - Figma node (annotated with annotateComponentKeys)
+ * @param {Object} [skipKeyMap] - Leave out instances this table already maps
+ * @returns {Array} [{ key, name, count }] in first-use order
+ */
+export function collectComponentKeys(node, skipKeyMap = null) {
+  const found = new Map();
+
+  const visit = (current) => {
+    if (!current || current.visible === false) return;
+
+    const key = current.componentSetKey || current.componentKey;
+    if (current.type === 'INSTANCE' && key && !findComponentKeyMapping(current, skipKeyMap)) {
+      const entry = found.get(key) || {
+        key,
+        name: current.componentSetName || current.componentName || current.name,
+        count: 0
+      };
+      entry.count += 1;
+      found.set(key, entry);
+    }
+
+    (current.children || []).forEach(visit);
+  };
+
+  visit(node);
+  return Array.from(found.values());
+}
+
+/**
+ * Report the library components in a tree that have no code mapping yet
+ *
+ * @param {Object} node - Figma node (annotated with annotateComponentKeys)
+ * @param {Object} keyMap - Table keyed by Figma key
+ * @returns {Array} [{ key, name, count }]
+ *
+ * @example
+ * findUnmappedComponentKeys(screen, loadComponentKeyMap());
+ * // [{ key: '4b1c...', name: 'Button', count: 3 }]
+ */
+export function findUnmappedComponentKeys(node, keyMap) {
+  return collectComponentKeys(node, keyMap || {});
+}
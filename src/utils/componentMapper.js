@@ -3,6 +3,9 @@
  * @fileoverview Converts detected component patterns into actual component library code
  */
 
+import { mapToRegistryComponent, DESIGN_SYSTEM_LIBRARY } from './designSystemRegistry';
+import { extractComponentProperties } from './variantCompiler';
+
 /**
  * Maps detected component patterns to actual component library implementations
  * 
@@ -11,7 +14,8 @@
  * @param {number} detectionResult.confidence - Confidence score (0-100)
  * @param {string} detectionResult.suggestedLibrary - Suggested library
  * @param {Object} figmaNode - Original Figma node data
- * @param {string} library - User's selected library: 'shadcn' | 'mui' | 'chakra' | 'none'
+ * @param {string} library - User's selected library: 'shadcn' | 'mui' | 'chakra' | 'design-system' | 'none'
+ * @param {Object} [registry] - Custom design system registry, used with 'design-system'
  * @returns {Object} Mapping result object
  * @returns {string} returns.code - Generated JSX code using component library
  * @returns {Array} returns.imports - Array of import statements needed
@@ -40,7 +44,7 @@
  * //   usesLibrary: true
  * // }
  */
-export function mapToComponentLibrary(detectionResult, figmaNode, library = 'none') {
+export function mapToComponentLibrary(detectionResult, figmaNode, library = 'none', registry = null) {
   if (!detectionResult || !figmaNode) {
     return {
       code: '<div>Invalid component data</div>',
@@ -52,6 +56,19 @@ export function mapToComponentLibrary(detectionResult, figmaNode, library = 'non
 
   const { componentType } = detectionResult;
 
+  // Instances whose Figma component key is mapped to a code component skip every heuristic
+  if (detectionResult.mappedComponent) {
+    return mapToKeyMappedComponent(detectionResult.mappedComponent, figmaNode);
+  }
+
+  // Registered components were already matched (and scored) during detection
+  if (library === DESIGN_SYSTEM_LIBRARY) {
+    const component = registry?.components.find(candidate => candidate.name === detectionResult.registryComponent);
+    return component
+      ? mapToRegistryComponent(component, figmaNode, getRegistryFacts(figmaNode))
+      : generateCustomComponent(figmaNode, componentType);
+  }
+
   // Decide whether to use library component or custom div
   const shouldUseLibrary = shouldUseLibraryComponent(detectionResult, library);
 
@@ -73,6 +90,46 @@ export function mapToComponentLibrary(detectionResult, figmaNode, library = 'non
   }
 }
 
+/**
+ * Maps an instance to the code component its Figma component key is mapped to
+ * Variant, boolean and text properties of the instance become props; a single
+ * text property (or the first text layer) becomes the children.
+ */
+function mapToKeyMappedComponent(mapping, figmaNode) {
+  const { props: instanceProps } = extractComponentProperties(figmaNode);
+  const textProps = instanceProps.filter(prop => prop.type === 'text');
+  const childrenProp = textProps.length === 1 ? textProps[0] : null;
+
+  const props = {};
+  instanceProps
+    .filter(prop => prop !== childrenProp)
+    .forEach(prop => { props[prop.name] = prop.defaultValue; });
+
+  const children = String(childrenProp ? childrenProp.defaultValue : findFirstText(figmaNode)).trim();
+  const tag = mapping.component;
+  const attributes = Object.entries(props).map(([name, value]) => {
+    if (value === true) return `\n  ${name}`;
+    if (typeof value === 'string') return `\n  ${name}="${escapeAttribute(value)}"`;
+    return `\n  ${name}={${JSON.stringify(value)}}`;
+  }).join('');
+
+  const code = children
+    ? `<${tag}${attributes}${attributes ? '\n' : ''}>\n  ${children}\n</${tag}>`
+    : `<${tag}${attributes}${attributes ? '\n' : ' '}/>`;
+
+  const imports = mapping.import
+    ? [mapping.defaultImport ? `import ${tag} from "${mapping.import}"` : `import { ${tag} } from "${mapping.import}"`]
+    : [];
+
+  return {
+    code,
+    imports,
+    props: { ...props, children },
+    usesLibrary: true,
+    library: mapping.import || tag
+  };
+}
+
 /**
  * Maps component to shadcn/ui implementation
  */
@@ -137,7 +194,7 @@ function mapToShadcnInput(figmaNode, props) {
   
   const code = `<Input 
   type="${type}"
-  placeholder="${placeholder}"
+  placeholder="${escapeAttribute(placeholder)}"
   className="w-[${width}px] h-[${height}px]"
 />`;
 
@@ -222,7 +279,7 @@ function mapToShadcnAvatar(figmaNode, props) {
   const { width, height } = figmaNode;
   
   const code = `<Avatar className="w-[${width}px] h-[${height}px]">
-  <AvatarImage src="${imageUrl}" alt="${alt}" />
+  <AvatarImage src="${imageUrl}" alt="${escapeAttribute(alt)}" />
   <AvatarFallback>${initials}</AvatarFallback>
 </Avatar>`;
 
@@ -235,19 +292,356 @@ function mapToShadcnAvatar(figmaNode, props) {
 }
 
 /**
- * Maps to Material-UI components (placeholder for future implementation)
+ * Maps component to Material UI implementation
  */
 function mapToMUI(componentType, figmaNode, detectionResult) {
-  // Placeholder implementation - can be expanded later
-  return generateCustomComponent(figmaNode, componentType);
+  const props = extractPropsFromFigma(figmaNode, componentType);
+
+  switch (componentType) {
+    case 'button':
+      return mapToMUIButton(figmaNode, props);
+    case 'input':
+      return mapToMUITextField(figmaNode, props);
+    case 'card':
+      return mapToMUICard(figmaNode, props);
+    case 'badge':
+      return mapToMUIChip(figmaNode, props);
+    case 'avatar':
+      return mapToMUIAvatar(figmaNode, props);
+    default:
+      return generateCustomComponent(figmaNode, componentType);
+  }
+}
+
+/**
+ * Maps to Material UI Button component
+ */
+function mapToMUIButton(figmaNode, props) {
+  const { text = 'Button', onClick = '() => {}' } = props;
+  const { width, height } = getNodeSize(figmaNode);
+  const palette = determinePaletteColor(figmaNode.fills);
+
+  const variant = { solid: 'contained', outline: 'outlined', ghost: 'text' }[determineFillStyle(figmaNode)];
+  const size = height < 36 ? 'small' : height > 44 ? 'large' : 'medium';
+  const color = MUI_COLORS[palette.role] || 'primary';
+
+  const sx = formatSx(getLeftoverStyles(figmaNode, {
+    width,
+    backgroundColor: variant === 'contained' && !MUI_COLORS[palette.role] ? palette.hex : null
+  }));
+
+  const code = formatJSX('Button', [
+    `variant="${variant}"`,
+    `size="${size}"`,
+    `color="${color}"`,
+    sx,
+    `onClick={${onClick}}`
+  ], text);
+
+  return {
+    code,
+    imports: ['import { Button } from "@mui/material"'],
+    props: { text, onClick, variant, size, color },
+    usesLibrary: true
+  };
 }
 
 /**
- * Maps to Chakra UI components (placeholder for future implementation)
+ * Maps to Material UI TextField component
+ */
+function mapToMUITextField(figmaNode, props) {
+  const { placeholder = '', type = 'text' } = props;
+  const { width, height } = getNodeSize(figmaNode);
+
+  // Outlined fields draw a border, filled fields a tinted background
+  const variant = determineFillStyle(figmaNode) === 'solid' && !hasVisibleStroke(figmaNode) ? 'filled' : 'outlined';
+  const size = height < 48 ? 'small' : 'medium';
+
+  const code = formatJSX('TextField', [
+    `type="${type}"`,
+    `placeholder="${escapeAttribute(placeholder)}"`,
+    `variant="${variant}"`,
+    `size="${size}"`,
+    formatSx(getLeftoverStyles(figmaNode, { width }))
+  ]);
+
+  return {
+    code,
+    imports: ['import { TextField } from "@mui/material"'],
+    props: { placeholder, type, variant, size, width, height },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps to Material UI Card component
+ */
+function mapToMUICard(figmaNode, props) {
+  const { title = '', hasFooter = false } = props;
+  const { width, height } = getNodeSize(figmaNode);
+  const palette = determinePaletteColor(figmaNode.fills);
+
+  // Shadows become elevation, a plain border becomes the outlined variant
+  const cardProps = hasDropShadow(figmaNode)
+    ? ['elevation={1}']
+    : hasVisibleStroke(figmaNode) ? ['variant="outlined"'] : ['elevation={0}'];
+
+  const sx = formatSx(getLeftoverStyles(figmaNode, {
+    width,
+    height,
+    backgroundColor: palette.hex !== '#ffffff' ? palette.hex : null
+  }));
+
+  const body = [];
+  if (title) {
+    body.push(`<CardHeader title="${escapeAttribute(title)}" />`);
+  }
+  body.push('<CardContent>\n    {/* Card content */}\n  </CardContent>');
+  if (hasFooter) {
+    body.push('<CardActions>\n    {/* Card actions */}\n  </CardActions>');
+  }
+
+  const code = formatJSX('Card', [...cardProps, sx], body.join('\n  '));
+
+  const components = ['Card', title && 'CardHeader', 'CardContent', hasFooter && 'CardActions'].filter(Boolean);
+
+  return {
+    code,
+    imports: [`import { ${components.join(', ')} } from "@mui/material"`],
+    props: { title, hasFooter, width, height },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps badges to the Material UI Chip component
+ */
+function mapToMUIChip(figmaNode, props) {
+  const { text = 'Badge' } = props;
+  const { height } = getNodeSize(figmaNode);
+  const palette = determinePaletteColor(figmaNode.fills);
+  const fillStyle = determineFillStyle(figmaNode);
+
+  const variant = fillStyle === 'solid' ? 'filled' : 'outlined';
+  const size = height <= 24 ? 'small' : 'medium';
+  const color = MUI_CHIP_COLORS[palette.role] || 'default';
+
+  const sx = formatSx(getLeftoverStyles(figmaNode, {
+    backgroundColor: fillStyle === 'solid' && !MUI_COLORS[palette.role] ? palette.hex : null
+  }));
+
+  const code = formatJSX('Chip', [
+    `label="${escapeAttribute(text)}"`,
+    `variant="${variant}"`,
+    `size="${size}"`,
+    `color="${color}"`,
+    sx
+  ]);
+
+  return {
+    code,
+    imports: ['import { Chip } from "@mui/material"'],
+    props: { text, variant, size, color },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps to Material UI Avatar component
+ */
+function mapToMUIAvatar(figmaNode, props) {
+  const { imageUrl = '', initials = 'U', alt = 'User avatar' } = props;
+  const { width, height } = getNodeSize(figmaNode);
+
+  const code = formatJSX('Avatar', [
+    imageUrl && `src="${imageUrl}"`,
+    `alt="${escapeAttribute(alt)}"`,
+    formatSx(getLeftoverStyles(figmaNode, { width, height, radius: false }))
+  ], initials);
+
+  return {
+    code,
+    imports: ['import { Avatar } from "@mui/material"'],
+    props: { imageUrl, initials, alt, width, height },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps component to Chakra UI implementation
  */
 function mapToChakra(componentType, figmaNode, detectionResult) {
-  // Placeholder implementation - can be expanded later
-  return generateCustomComponent(figmaNode, componentType);
+  const props = extractPropsFromFigma(figmaNode, componentType);
+
+  switch (componentType) {
+    case 'button':
+      return mapToChakraButton(figmaNode, props);
+    case 'input':
+      return mapToChakraInput(figmaNode, props);
+    case 'card':
+      return mapToChakraCard(figmaNode, props);
+    case 'badge':
+      return mapToChakraBadge(figmaNode, props);
+    case 'avatar':
+      return mapToChakraAvatar(figmaNode, props);
+    default:
+      return generateCustomComponent(figmaNode, componentType);
+  }
+}
+
+/**
+ * Maps to Chakra UI Button component
+ */
+function mapToChakraButton(figmaNode, props) {
+  const { text = 'Button', onClick = '() => {}' } = props;
+  const { width, height } = getNodeSize(figmaNode);
+  const palette = determinePaletteColor(figmaNode.fills);
+
+  const variant = determineFillStyle(figmaNode);
+  const size = determineChakraSize(height);
+  const colorScheme = CHAKRA_COLOR_SCHEMES[palette.role] || 'blue';
+
+  const styleProps = formatStyleProps(getLeftoverStyles(figmaNode, {
+    width,
+    backgroundColor: variant === 'solid' && !CHAKRA_COLOR_SCHEMES[palette.role] ? palette.hex : null
+  }));
+
+  const code = formatJSX('Button', [
+    `variant="${variant}"`,
+    `size="${size}"`,
+    `colorScheme="${colorScheme}"`,
+    ...styleProps,
+    `onClick={${onClick}}`
+  ], text);
+
+  return {
+    code,
+    imports: ['import { Button } from "@chakra-ui/react"'],
+    props: { text, onClick, variant, size, colorScheme },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps to Chakra UI Input component
+ */
+function mapToChakraInput(figmaNode, props) {
+  const { placeholder = '', type = 'text' } = props;
+  const { width, height } = getNodeSize(figmaNode);
+
+  const variant = determineFillStyle(figmaNode) === 'solid' && !hasVisibleStroke(figmaNode) ? 'filled' : 'outline';
+  const size = determineChakraSize(height);
+
+  const code = formatJSX('Input', [
+    `type="${type}"`,
+    `placeholder="${escapeAttribute(placeholder)}"`,
+    `variant="${variant}"`,
+    `size="${size}"`,
+    ...formatStyleProps(getLeftoverStyles(figmaNode, { width }))
+  ]);
+
+  return {
+    code,
+    imports: ['import { Input } from "@chakra-ui/react"'],
+    props: { placeholder, type, variant, size, width, height },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps to Chakra UI Card component
+ */
+function mapToChakraCard(figmaNode, props) {
+  const { title = '', hasFooter = false } = props;
+  const { width, height } = getNodeSize(figmaNode);
+  const palette = determinePaletteColor(figmaNode.fills);
+
+  const variant = hasDropShadow(figmaNode) ? 'elevated' : hasVisibleStroke(figmaNode) ? 'outline' : 'unstyled';
+
+  const styleProps = formatStyleProps(getLeftoverStyles(figmaNode, {
+    width,
+    height,
+    backgroundColor: palette.hex !== '#ffffff' ? palette.hex : null
+  }));
+
+  const body = [];
+  if (title) {
+    body.push(`<CardHeader>\n    <Heading size="md">${title}</Heading>\n  </CardHeader>`);
+  }
+  body.push('<CardBody>\n    {/* Card content */}\n  </CardBody>');
+  if (hasFooter) {
+    body.push('<CardFooter>\n    {/* Card actions */}\n  </CardFooter>');
+  }
+
+  const code = formatJSX('Card', [`variant="${variant}"`, ...styleProps], body.join('\n  '));
+
+  const components = [
+    'Card',
+    title && 'CardHeader',
+    'CardBody',
+    hasFooter && 'CardFooter',
+    title && 'Heading'
+  ].filter(Boolean);
+
+  return {
+    code,
+    imports: [`import { ${components.join(', ')} } from "@chakra-ui/react"`],
+    props: { title, hasFooter, width, height },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps to Chakra UI Badge component
+ */
+function mapToChakraBadge(figmaNode, props) {
+  const { text = 'Badge' } = props;
+  const palette = determinePaletteColor(figmaNode.fills);
+  const fillStyle = determineFillStyle(figmaNode);
+
+  const variant = { solid: 'solid', outline: 'outline', ghost: 'subtle' }[fillStyle];
+  const colorScheme = CHAKRA_COLOR_SCHEMES[palette.role] || 'gray';
+
+  const styleProps = formatStyleProps(getLeftoverStyles(figmaNode, {
+    backgroundColor: fillStyle === 'solid' && !CHAKRA_COLOR_SCHEMES[palette.role] ? palette.hex : null
+  }));
+
+  const code = formatJSX('Badge', [
+    `variant="${variant}"`,
+    `colorScheme="${colorScheme}"`,
+    ...styleProps
+  ], text);
+
+  return {
+    code,
+    imports: ['import { Badge } from "@chakra-ui/react"'],
+    props: { text, variant, colorScheme },
+    usesLibrary: true
+  };
+}
+
+/**
+ * Maps to Chakra UI Avatar component
+ */
+function mapToChakraAvatar(figmaNode, props) {
+  const { imageUrl = '', initials = 'U', alt = 'User avatar' } = props;
+  const { width, height } = getNodeSize(figmaNode);
+
+  // Chakra derives the initials from the name
+  const name = extractTextFromChildren(figmaNode.children) || initials;
+
+  const code = formatJSX('Avatar', [
+    `name="${escapeAttribute(name)}"`,
+    imageUrl && `src="${imageUrl}"`,
+    ...formatStyleProps(getLeftoverStyles(figmaNode, { width, height, radius: false }))
+  ]);
+
+  return {
+    code,
+    imports: ['import { Avatar } from "@chakra-ui/react"'],
+    props: { imageUrl, initials, alt, name, width, height },
+    usesLibrary: true
+  };
 }
 
 /**
@@ -310,6 +704,7 @@ export function shouldUseLibraryComponent(detectionResult, userPreference) {
 
 /**
  * Generates deduplicated import statements from mapping results
+ * Named imports from the same module are merged into one statement.
  * 
  * @param {Array} mappingResults - Array of mapping result objects
  * @returns {Array} Deduplicated array of import statements
@@ -326,23 +721,71 @@ export function shouldUseLibraryComponent(detectionResult, userPreference) {
  * //   'import { Button } from "@/components/ui/button"',
  * //   'import { Card, CardContent } from "@/components/ui/card"'
  * // ]
+ * 
+ * generateImports([
+ *   { imports: ['import { Button } from "@mui/material"'] },
+ *   { imports: ['import { Chip } from "@mui/material"'] }
+ * ]);
+ * // Returns: ['import { Button, Chip } from "@mui/material"']
  */
 export function generateImports(mappingResults) {
   if (!Array.isArray(mappingResults)) {
     return [];
   }
   
-  const importSet = new Set();
+  // Named imports from the same module are merged so components like
+  // Card/CardHeader never end up imported twice
+  const statements = [];
+  const namedByModule = new Map();
   
   mappingResults.forEach(result => {
     if (result.imports && Array.isArray(result.imports)) {
       result.imports.forEach(importStatement => {
-        importSet.add(importStatement);
+        const named = importStatement.match(/^import\s*\{([^}]*)\}\s*from\s*(["'])([^"']+)\2;?$/);
+        
+        if (!named) {
+          if (!statements.includes(importStatement)) statements.push(importStatement);
+          return;
+        }
+        
+        const [, names, quote, source] = named;
+        if (!namedByModule.has(source)) {
+          namedByModule.set(source, { quote, names: [] });
+          statements.push({ source });
+        }
+        const entry = namedByModule.get(source);
+        names.split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+          if (!entry.names.includes(name)) entry.names.push(name);
+        });
       });
     }
   });
   
-  return Array.from(importSet);
+  return statements.map(statement => {
+    if (typeof statement === 'string') return statement;
+    const { quote, names } = namedByModule.get(statement.source);
+    return `import { ${names.join(', ')} } from ${quote}${statement.source}${quote}`;
+  });
+}
+
+/**
+ * Put import statements above component code, leaving out the ones it already has
+ *
+ * @param {string} code - Component code
+ * @param {Array<string>} imports - Import statements, with or without semicolons
+ * @returns {string} Code headed by the missing imports
+ *
+ * @example
+ * prependImports('const Save = () => <Button />;', ['import { Button } from "@mui/material"']);
+ * // Returns: 'import { Button } from "@mui/material";\n\nconst Save = () => <Button />;'
+ */
+export function prependImports(code, imports) {
+  const missing = generateImports([{ imports }])
+    .filter(statement => !code.includes(statement.replace(/;$/, '')));
+
+  return missing.length > 0
+    ? `${missing.map(statement => statement.replace(/;?$/, ';')).join('\n')}\n\n${code}`
+    : code;
 }
 
 /**
@@ -413,6 +856,18 @@ function extractTextFromChildren(children) {
   return textChild ? textChild.characters.trim() : '';
 }
 
+// First visible text anywhere in the tree (instances nest their labels)
+function findFirstText(node) {
+  if (!node) return '';
+  if (node.type === 'TEXT' && node.characters) return node.characters;
+  for (const child of node.children || []) {
+    if (child.visible === false) continue;
+    const text = findFirstText(child);
+    if (text) return text;
+  }
+  return '';
+}
+
 function extractPlaceholderText(children) {
   const text = extractTextFromChildren(children);
   if (text && (text.includes('Enter') || text.includes('Type') || text.includes('Placeholder'))) {
@@ -535,6 +990,172 @@ function getCustomButtonColor(fills) {
   return color;
 }
 
+// Palette roles mapped onto each library's color props
+const MUI_COLORS = {
+  primary: 'primary',
+  error: 'error',
+  warning: 'warning',
+  success: 'success',
+  neutral: 'inherit'
+};
+
+// Chip has no 'inherit' color - neutral chips use its default gray
+const MUI_CHIP_COLORS = { ...MUI_COLORS, neutral: 'default' };
+
+const CHAKRA_COLOR_SCHEMES = {
+  primary: 'blue',
+  error: 'red',
+  warning: 'orange',
+  success: 'green',
+  neutral: 'gray'
+};
+
+// Chakra style props for the leftover CSS properties
+const CHAKRA_STYLE_PROPS = {
+  width: 'w',
+  height: 'h',
+  backgroundColor: 'bg',
+  borderRadius: 'borderRadius'
+};
+
+/**
+ * Classifies the first solid fill into a palette role by hue
+ * Colors without a clear role (purple, pink...) keep only their hex value.
+ *
+ * @param {Array} fills - Figma fills
+ * @returns {Object} { role: 'primary'|'error'|'warning'|'success'|'neutral'|null, hex }
+ */
+function determinePaletteColor(fills) {
+  const fill = getSolidFill(fills);
+  if (!fill) return { role: null, hex: null };
+
+  const { r, g, b } = fill.color;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) hue = 60 * (((g - b) / delta) % 6);
+    else if (max === g) hue = 60 * ((b - r) / delta + 2);
+    else hue = 60 * ((r - g) / delta + 4);
+  }
+  if (hue < 0) hue += 360;
+
+  let role = null;
+  if (saturation < 0.15 || lightness > 0.95 || lightness < 0.05) role = 'neutral';
+  else if (hue < 15 || hue >= 345) role = 'error';
+  else if (hue < 65) role = 'warning';
+  else if (hue < 170) role = 'success';
+  else if (hue < 260) role = 'primary';
+
+  return { role, hex: getHexFromFill(fill) };
+}
+
+// 'solid' when filled, 'outline' when only stroked, 'ghost' when neither
+function determineFillStyle(figmaNode) {
+  if (getSolidFill(figmaNode.fills)) return 'solid';
+  if (hasVisibleStroke(figmaNode)) return 'outline';
+  return 'ghost';
+}
+
+// What the registry needs to fill in prop values from a manifest's "source" fields
+function getRegistryFacts(figmaNode) {
+  const { height } = getNodeSize(figmaNode);
+  const children = figmaNode.children || [];
+
+  return {
+    text: extractTextFromChildren(children) || (figmaNode.characters || '').trim(),
+    placeholder: extractPlaceholderText(children),
+    colorRole: determinePaletteColor(figmaNode.fills).role,
+    sizeRole: height < 36 ? 'small' : height > 44 ? 'large' : 'medium',
+    fillStyle: determineFillStyle(figmaNode)
+  };
+}
+
+function determineChakraSize(height) {
+  if (height < 28) return 'xs';
+  if (height < 36) return 'sm';
+  if (height > 44) return 'lg';
+  return 'md';
+}
+
+function hasVisibleStroke(figmaNode) {
+  return (figmaNode.strokes || []).some(stroke => stroke.visible !== false) && (figmaNode.strokeWeight ?? 1) > 0;
+}
+
+function hasDropShadow(figmaNode) {
+  return (figmaNode.effects || []).some(effect => effect.type === 'DROP_SHADOW' && effect.visible !== false);
+}
+
+// Figma API nodes carry their size in absoluteBoundingBox, plugin nodes directly
+function getNodeSize(figmaNode) {
+  return {
+    width: figmaNode.width ?? figmaNode.absoluteBoundingBox?.width,
+    height: figmaNode.height ?? figmaNode.absoluteBoundingBox?.height
+  };
+}
+
+/**
+ * Collects the styles a library component's props cannot express
+ *
+ * @param {Object} figmaNode - Figma node data
+ * @param {Object} options - Which styles to keep
+ * @param {number} [options.width] - Fixed width in px
+ * @param {number} [options.height] - Fixed height in px
+ * @param {string} [options.backgroundColor] - Custom background the color prop cannot express
+ * @param {boolean} [options.radius] - Keep the corner radius (default true)
+ * @returns {Object} CSS properties in camelCase
+ */
+function getLeftoverStyles(figmaNode, options = {}) {
+  const { width, height, backgroundColor, radius = true } = options;
+  const styles = {};
+
+  if (width) styles.width = `${Math.round(width)}px`;
+  if (height) styles.height = `${Math.round(height)}px`;
+  if (backgroundColor) styles.backgroundColor = backgroundColor;
+  if (radius && figmaNode.cornerRadius > 0) styles.borderRadius = `${figmaNode.cornerRadius}px`;
+
+  return styles;
+}
+
+// { width: '120px' } -> sx={{ width: '120px' }} for Material UI
+function formatSx(styles) {
+  const entries = Object.entries(styles);
+  if (entries.length === 0) return null;
+  return `sx={{ ${entries.map(([key, value]) => `${key}: '${value}'`).join(', ')} }}`;
+}
+
+// { width: '120px' } -> ['w="120px"'] for Chakra UI
+function formatStyleProps(styles) {
+  return Object.entries(styles).map(([key, value]) => `${CHAKRA_STYLE_PROPS[key] || key}="${value}"`);
+}
+
+// Figma text inside a "..." JSX attribute
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// One attribute per line, matching the shadcn output; empty attributes are dropped
+function formatJSX(tag, attributes, content) {
+  const attributeLines = attributes.filter(Boolean).map(attribute => `\n  ${attribute}`).join('');
+  if (content === undefined) {
+    return `<${tag}${attributeLines}\n/>`;
+  }
+  return `<${tag}${attributeLines}\n>\n  ${content}\n</${tag}>`;
+}
+
+function getSolidFill(fills) {
+  return (fills || []).find(fill => fill.type === 'SOLID' && fill.visible !== false && fill.color && (fill.opacity ?? 1) > 0) || null;
+}
+
+function getHexFromFill(fill) {
+  const { r, g, b } = fill.color;
+  return `#${[r, g, b].map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
 function getColorFromFill(fill) {
   if (!fill || !fill.color) return '#000000';
   
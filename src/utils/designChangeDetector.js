@@ -0,0 +1,291 @@
+/**
+ * Design Change Detector
+ * @fileoverview Notices when a Figma node changed after code was generated from it.
+ * Each generation stores a normalized snapshot of its node plus a hash of it; on
+ * reload the fresh node is normalized the same way, and a different hash marks
+ * the generated component stale. The snapshots are diffed to say what changed.
+ *
+ * The snapshot keeps what ends up in the code - names, text, paints, sizes,
+ * positions relative to the root, typography, corner radii, effects and auto
+ * layout - and drops what does not, such as where the root sits on the canvas.
+ */
+
+import { colorToCSS } from './figmaCompiler';
+
+// Typography and auto layout properties that affect the generated code
+const TEXT_STYLE_PROPS = [
+  'fontFamily', 'fontWeight', 'fontSize', 'lineHeightPx', 'letterSpacing',
+  'textAlignHorizontal', 'textAlignVertical', 'italic', 'textCase', 'textDecoration'
+];
+const LAYOUT_PROPS = [
+  'layoutMode', 'layoutWrap', 'itemSpacing', 'paddingLeft', 'paddingRight', 'paddingTop',
+  'paddingBottom', 'primaryAxisAlignItems', 'counterAxisAlignItems', 'layoutAlign', 'layoutGrow'
+];
+
+/**
+ * Reduce a Figma node to the properties that matter for its generated code
+ * @param {Object} node - Figma node (from fetchNodeById)
+ * @returns {Object|null} Snapshot with the same shape for every node, children included
+ */
+export function normalizeDesignNode(node) {
+  if (!node) return null;
+  const origin = node.absoluteBoundingBox || { x: 0, y: 0 };
+  return normalizeNode(node, origin);
+}
+
+/**
+ * Stable hash of a node snapshot (FNV-1a over its JSON)
+ * @param {Object} snapshot - From normalizeDesignNode
+ * @returns {string} 8 hex digits
+ */
+export function hashDesignSnapshot(snapshot) {
+  const text = JSON.stringify(snapshot);
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * List what changed between two snapshots of the same node
+ *
+ * Children are matched by id, then by name and type (ids change when a layer is
+ * recreated). Unmatched children are reported as added or removed.
+ *
+ * @param {Object} before - Snapshot stored with the generation
+ * @param {Object} after - Snapshot of the current node
+ * @returns {Array<Object>} [{ type, path, property, before, after }] where type is
+ *   'text', 'color', 'size', 'position', 'typography', 'style', 'layout', 'added' or 'removed'
+ *
+ * @example
+ * diffDesignSnapshots(stored, normalizeDesignNode(freshNode))
+ * // [{ type: 'color', path: 'Card / Button', property: 'fills', before: ['#2563eb'], after: ['#16a34a'] }]
+ */
+export function diffDesignSnapshots(before, after) {
+  const changes = [];
+  compareNodes(before, after, before.name || after.name, changes);
+  return changes;
+}
+
+/**
+ * One line per change for the UI, e.g. "Card / Title: text "Submit" → "Send""
+ * @param {Object} change - Entry from diffDesignSnapshots
+ * @returns {string}
+ */
+export function describeDesignChange(change) {
+  if (change.type === 'added') return `${change.path}: added ${change.after}`;
+  if (change.type === 'removed') return `${change.path}: removed ${change.before}`;
+
+  const format = (value) => (change.type === 'text' ? JSON.stringify(value ?? '') : formatValue(value));
+  return `${change.path}: ${change.property} ${format(change.before)} → ${format(change.after)}`;
+}
+
+/**
+ * Count changes per type, e.g. { color: 2, text: 1 }
+ * @param {Array<Object>} changes - From diffDesignSnapshots
+ * @returns {Object}
+ */
+export function summarizeDesignChanges(changes) {
+  return changes.reduce((summary, change) => {
+    summary[change.type] = (summary[change.type] || 0) + 1;
+    return summary;
+  }, {});
+}
+
+/**
+ * Compare the latest generation of each node with the node as it is now
+ *
+ * Generations without a stored snapshot (older history, responsive output)
+ * cannot be checked and are skipped.
+ *
+ * @param {Array<Object>} records - Latest history record per node (see generationHistory.js)
+ * @param {Object} currentNodes - Node id -> current Figma node, or null when it was deleted
+ * @returns {Array<Object>} Stale generations: [{ record, node, deleted, changes }]
+ */
+export function findStaleGenerations(records, currentNodes) {
+  return records
+    .filter(record => record.designHash && record.designSnapshot && record.nodeId in currentNodes)
+    .map(record => {
+      const node = currentNodes[record.nodeId];
+      if (!node) {
+        return { record, node: null, deleted: true, changes: [] };
+      }
+
+      const snapshot = normalizeDesignNode(node);
+      if (hashDesignSnapshot(snapshot) === record.designHash) {
+        return null;
+      }
+      return { record, node, deleted: false, changes: diffDesignSnapshots(record.designSnapshot, snapshot) };
+    })
+    .filter(Boolean);
+}
+
+function normalizeNode(node, origin) {
+  const box = node.absoluteBoundingBox || {};
+
+  return {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    visible: node.visible !== false,
+    characters: node.characters,
+    x: round(box.x - origin.x),
+    y: round(box.y - origin.y),
+    width: round(box.width),
+    height: round(box.height),
+    fills: normalizePaints(node.fills),
+    strokes: normalizePaints(node.strokes),
+    style: {
+      strokeWeight: node.strokes?.length ? node.strokeWeight : undefined,
+      cornerRadius: node.cornerRadius,
+      rectangleCornerRadii: node.rectangleCornerRadii,
+      opacity: node.opacity,
+      effects: normalizeEffects(node.effects)
+    },
+    typography: node.style ? pick(node.style, TEXT_STYLE_PROPS) : undefined,
+    layout: node.layoutMode && node.layoutMode !== 'NONE' ? pick(node, LAYOUT_PROPS) : undefined,
+    componentId: node.componentId,
+    children: (node.children || []).map(child => normalizeNode(child, origin))
+  };
+}
+
+function normalizePaints(paints) {
+  return (paints || [])
+    .filter(paint => paint.visible !== false)
+    .map(describePaint);
+}
+
+// '#2563eb', 'gradient_linear(#ffffff, #000000)' or 'image(ref)'
+function describePaint(paint) {
+  if (paint.type === 'SOLID') {
+    return colorToCSS(paint.color, paint.opacity);
+  }
+  if (paint.gradientStops) {
+    return `${paint.type.toLowerCase()}(${paint.gradientStops.map(stop => colorToCSS(stop.color)).join(', ')})`;
+  }
+  return paint.imageRef ? `${paint.type.toLowerCase()}(${paint.imageRef})` : paint.type.toLowerCase();
+}
+
+function normalizeEffects(effects) {
+  const visible = (effects || []).filter(effect => effect.visible !== false);
+  if (visible.length === 0) return undefined;
+
+  return visible.map(effect => [
+    effect.type.toLowerCase(),
+    effect.radius,
+    effect.offset ? `${round(effect.offset.x)},${round(effect.offset.y)}` : null,
+    effect.color ? colorToCSS(effect.color) : null
+  ].filter(part => part !== null && part !== undefined).join(' '));
+}
+
+function compareNodes(before, after, path, changes) {
+  if (before.characters !== after.characters) {
+    changes.push({ type: 'text', path, property: 'text', before: before.characters, after: after.characters });
+  }
+
+  ['fills', 'strokes'].forEach(property => {
+    if (!sameValue(before[property], after[property])) {
+      changes.push({ type: 'color', path, property, before: before[property], after: after[property] });
+    }
+  });
+
+  if (before.width !== after.width || before.height !== after.height) {
+    changes.push({
+      type: 'size',
+      path,
+      property: 'size',
+      before: `${before.width}×${before.height}`,
+      after: `${after.width}×${after.height}`
+    });
+  }
+
+  if (before.x !== after.x || before.y !== after.y) {
+    changes.push({ type: 'position', path, property: 'position', before: `${before.x},${before.y}`, after: `${after.x},${after.y}` });
+  }
+
+  if (before.visible !== after.visible) {
+    changes.push({ type: 'style', path, property: 'visible', before: before.visible, after: after.visible });
+  }
+
+  compareProperties('style', before.style, after.style, path, changes);
+  compareProperties('typography', before.typography, after.typography, path, changes);
+  compareProperties('layout', before.layout, after.layout, path, changes);
+
+  if (before.componentId !== after.componentId) {
+    changes.push({ type: 'style', path, property: 'component', before: before.componentId, after: after.componentId });
+  }
+
+  compareChildren(before.children || [], after.children || [], path, changes);
+}
+
+function compareProperties(type, before = {}, after = {}, path, changes) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (!sameValue(before[key], after[key])) {
+      changes.push({ type, path, property: key, before: before[key], after: after[key] });
+    }
+  });
+}
+
+function compareChildren(beforeChildren, afterChildren, path, changes) {
+  const unmatched = [...afterChildren];
+  const take = (predicate) => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  // Match by id first so a renamed layer is a change, not a remove + add
+  const pairs = beforeChildren.map(child => [child, take(candidate => candidate.id === child.id)]);
+  pairs.forEach(pair => {
+    if (!pair[1]) {
+      pair[1] = take(candidate => candidate.name === pair[0].name && candidate.type === pair[0].type);
+    }
+  });
+
+  pairs.forEach(([before, after]) => {
+    if (!after) {
+      changes.push({ type: 'removed', path, property: 'children', before: describeLayer(before), after: null });
+      return;
+    }
+
+    const childPath = `${path} / ${after.name}`;
+    if (before.name !== after.name) {
+      changes.push({ type: 'style', path: childPath, property: 'name', before: before.name, after: after.name });
+    }
+    compareNodes(before, after, childPath, changes);
+  });
+
+  unmatched.forEach(child => {
+    changes.push({ type: 'added', path, property: 'children', before: null, after: describeLayer(child) });
+  });
+}
+
+function describeLayer(node) {
+  return `${node.type.toLowerCase()} "${node.name}"`;
+}
+
+function pick(source, keys) {
+  return keys.reduce((picked, key) => {
+    if (source[key] !== undefined) picked[key] = source[key];
+    return picked;
+  }, {});
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return 'none';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'none';
+  return String(value);
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : undefined;
+}
@@ -0,0 +1,387 @@
+/**
+ * Design System Registry
+ * @fileoverview Lets a team register its own component library as a manifest so
+ * detection and mapping produce `<OurButton intent="primary">` instead of styled divs.
+ *
+ * Manifest format (JSON, or a JS module exporting the same object):
+ * {
+ *   "name": "Acme UI",
+ *   "components": [{
+ *     "name": "OurButton",
+ *     "import": "@acme/ui",                  // module path
+ *     "defaultImport": false,                 // optional, import OurButton from "..."
+ *     "type": "button",                       // optional built-in type it replaces
+ *     "props": {
+ *       "intent": { "type": "enum", "options": ["primary", "danger"], "source": "color", "default": "primary" },
+ *       "size": { "type": "enum", "options": ["sm", "md", "lg"], "source": "size" },
+ *       "children": { "type": "string", "source": "text" }
+ *     },
+ *     "match": {
+ *       "keywords": ["button", "btn", "cta"],
+ *       "width": [60, 320],
+ *       "height": [28, 56],
+ *       "componentKeys": ["3f2a..."]
+ *     }
+ *   }]
+ * }
+ */
+
+export const REGISTRY_STORAGE_KEY = 'figma-to-react.designSystem';
+
+// Library value used by the Library selector and mapToComponentLibrary
+export const DESIGN_SYSTEM_LIBRARY = 'design-system';
+
+// Where a prop value can come from in the Figma node
+const PROP_SOURCES = ['text', 'placeholder', 'color', 'size', 'variant', 'name'];
+
+const PROP_TYPES = ['enum', 'string', 'boolean', 'number'];
+
+// Words a team may use for the palette roles the mapper detects
+const COLOR_SYNONYMS = {
+  primary: ['primary', 'brand', 'accent', 'info', 'blue', 'default'],
+  error: ['danger', 'error', 'destructive', 'critical', 'negative', 'red'],
+  warning: ['warning', 'caution', 'attention', 'orange', 'yellow'],
+  success: ['success', 'positive', 'confirm', 'green'],
+  neutral: ['neutral', 'secondary', 'subtle', 'gray', 'grey', 'default']
+};
+
+const SIZE_SYNONYMS = {
+  small: ['xs', 'sm', 'small', 's', 'compact'],
+  medium: ['md', 'medium', 'm', 'default', 'base', 'regular'],
+  large: ['lg', 'large', 'l', 'xl']
+};
+
+const VARIANT_SYNONYMS = {
+  solid: ['solid', 'filled', 'fill', 'contained', 'primary', 'default'],
+  outline: ['outline', 'outlined', 'bordered', 'stroke', 'secondary'],
+  ghost: ['ghost', 'text', 'link', 'plain', 'subtle', 'tertiary']
+};
+
+/**
+ * Parse and validate an uploaded manifest
+ *
+ * Accepts JSON or a JS module (`export default {...}` / `module.exports = {...}`)
+ * whose object uses plain literal syntax.
+ *
+ * @param {string|Object} source - File contents or an already-parsed object
+ * @returns {Object} Normalized registry { name, components }
+ * @throws {Error} When the manifest cannot be parsed or is invalid
+ *
+ * @example
+ * const registry = parseRegistryManifest(await file.text());
+ * saveRegistry(registry);
+ */
+export function parseRegistryManifest(source) {
+  let manifest = source;
+
+  if (typeof source === 'string') {
+    try {
+      manifest = JSON.parse(source);
+    } catch (jsonError) {
+      try {
+        manifest = JSON.parse(jsModuleToJSON(source));
+      } catch (error) {
+        throw new Error(`Could not parse design system manifest: ${jsonError.message}`);
+      }
+    }
+  }
+
+  const { registry, errors } = normalizeManifest(manifest);
+  if (errors.length > 0) {
+    throw new Error(`Invalid design system manifest:\n- ${errors.join('\n- ')}`);
+  }
+
+  return registry;
+}
+
+/**
+ * Load the registry saved in a previous session
+ * @returns {Object|null} Registry or null when none is saved
+ */
+export function loadRegistry() {
+  try {
+    const saved = typeof localStorage !== 'undefined' && localStorage.getItem(REGISTRY_STORAGE_KEY);
+    return saved ? parseRegistryManifest(saved) : null;
+  } catch (error) {
+    console.warn('Could not load design system registry:', error);
+    return null;
+  }
+}
+
+/**
+ * Keep a registry across sessions
+ * @param {Object} registry - Registry from parseRegistryManifest
+ */
+export function saveRegistry(registry) {
+  try {
+    localStorage.setItem(REGISTRY_STORAGE_KEY, JSON.stringify(registry));
+  } catch (error) {
+    console.warn('Could not save design system registry:', error);
+  }
+}
+
+/**
+ * Forget the saved registry
+ */
+export function clearRegistry() {
+  try {
+    localStorage.removeItem(REGISTRY_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not clear design system registry:', error);
+  }
+}
+
+/**
+ * Find the registered component that best matches a Figma node
+ *
+ * A matching Figma component key is conclusive; otherwise name keywords, the
+ * size ranges and the built-in component type add up to a confidence score.
+ *
+ * @param {Object} figmaNode - Figma node
+ * @param {Object} registry - Registry from parseRegistryManifest
+ * @param {string} [detectedType] - Built-in detection result, compared with component.type
+ * @returns {Object|null} { component, confidence, reasons } or null below 50% confidence
+ */
+export function matchRegistryComponent(figmaNode, registry, detectedType) {
+  if (!figmaNode || !registry || !Array.isArray(registry.components)) return null;
+
+  const name = String(figmaNode.name || '').toLowerCase();
+  const width = figmaNode.width ?? figmaNode.absoluteBoundingBox?.width;
+  const height = figmaNode.height ?? figmaNode.absoluteBoundingBox?.height;
+  const nodeKeys = [figmaNode.componentKey, figmaNode.key, figmaNode.componentId, figmaNode.componentSetId].filter(Boolean);
+
+  const candidates = registry.components.map(component => {
+    const { keywords, componentKeys, width: widthRange, height: heightRange } = component.match;
+    const reasons = [];
+    let confidence = 0;
+
+    if (componentKeys.some(key => nodeKeys.includes(key))) {
+      return { component, confidence: 100, reasons: ['Figma component key matches'] };
+    }
+
+    const keyword = keywords.find(word => name.includes(word));
+    if (keyword) {
+      confidence += 50;
+      reasons.push(`name contains "${keyword}"`);
+    }
+
+    if (widthRange && inRange(width, widthRange)) {
+      confidence += 15;
+      reasons.push('width in range');
+    }
+
+    if (heightRange && inRange(height, heightRange)) {
+      confidence += 15;
+      reasons.push('height in range');
+    }
+
+    if (component.type && component.type === detectedType) {
+      confidence += 30;
+      reasons.push(`detected as ${detectedType}`);
+    }
+
+    // Size ranges are requirements, not just hints
+    if ((widthRange && !inRange(width, widthRange)) || (heightRange && !inRange(height, heightRange))) {
+      confidence -= 40;
+    }
+
+    return { component, confidence, reasons };
+  });
+
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  const best = candidates[0];
+
+  return best && best.confidence >= 50
+    ? { component: best.component, confidence: Math.min(best.confidence, 100), reasons: best.reasons }
+    : null;
+}
+
+/**
+ * Build the JSX for a registered component
+ *
+ * @param {Object} component - Registered component
+ * @param {Object} figmaNode - Figma node
+ * @param {Object} facts - What the mapper read from the node
+ * @param {string} [facts.text] - First text content
+ * @param {string} [facts.placeholder] - Placeholder-like text
+ * @param {string} [facts.colorRole] - 'primary' | 'error' | 'warning' | 'success' | 'neutral'
+ * @param {string} [facts.sizeRole] - 'small' | 'medium' | 'large'
+ * @param {string} [facts.fillStyle] - 'solid' | 'outline' | 'ghost'
+ * @returns {Object} Mapping result { code, imports, props, usesLibrary }
+ */
+export function mapToRegistryComponent(component, figmaNode, facts = {}) {
+  const props = {};
+
+  Object.entries(component.props).forEach(([propName, schema]) => {
+    const value = resolvePropValue(schema, figmaNode, facts);
+    if (value !== undefined && value !== '') props[propName] = value;
+  });
+
+  const { children, ...attributes } = props;
+  const attributeLines = Object.entries(attributes).map(([propName, value]) => `\n  ${formatAttribute(propName, value)}`);
+  const tag = component.name;
+
+  const code = children !== undefined
+    ? `<${tag}${attributeLines.join('')}${attributeLines.length > 0 ? '\n' : ''}>\n  ${children}\n</${tag}>`
+    : `<${tag}${attributeLines.join('')}${attributeLines.length > 0 ? '\n' : ' '}/>`;
+
+  const imports = [component.defaultImport
+    ? `import ${tag} from "${component.import}"`
+    : `import { ${tag} } from "${component.import}"`];
+
+  return { code, imports, props, usesLibrary: true };
+}
+
+/**
+ * Describe a registered component's props for the AI prompt
+ * @param {Object} component - Registered component
+ * @returns {string} e.g. 'intent: "primary" | "danger", children: string'
+ */
+export function describeRegistryProps(component) {
+  return Object.entries(component.props)
+    .map(([propName, schema]) => `${propName}: ${schema.type === 'enum'
+      ? schema.options.map(option => JSON.stringify(option)).join(' | ')
+      : schema.type}`)
+    .join(', ');
+}
+
+function resolvePropValue(schema, figmaNode, facts) {
+  let value;
+
+  switch (schema.source) {
+    case 'text':
+      value = facts.text;
+      break;
+    case 'placeholder':
+      value = facts.placeholder;
+      break;
+    case 'name':
+      value = figmaNode.name;
+      break;
+    case 'color':
+      value = pickOption(schema.options, COLOR_SYNONYMS[facts.colorRole]);
+      break;
+    case 'size':
+      value = pickOption(schema.options, SIZE_SYNONYMS[facts.sizeRole]);
+      break;
+    case 'variant':
+      value = pickOption(schema.options, VARIANT_SYNONYMS[facts.fillStyle]);
+      break;
+    default:
+      value = undefined;
+  }
+
+  if (value === undefined || value === '') value = schema.default;
+  if (value === undefined) return undefined;
+
+  if (schema.type === 'boolean') return Boolean(value);
+  if (schema.type === 'number') return Number(value);
+  if (schema.type === 'enum' && !schema.options.includes(value)) return schema.default;
+  return value;
+}
+
+// First option that is one of the synonyms, in the synonyms' order of preference
+function pickOption(options, synonyms) {
+  if (!options || !synonyms) return undefined;
+  const lowerOptions = options.map(option => String(option).toLowerCase());
+  for (const synonym of synonyms) {
+    const index = lowerOptions.indexOf(synonym);
+    if (index !== -1) return options[index];
+  }
+  return undefined;
+}
+
+function formatAttribute(propName, value) {
+  if (value === true) return propName;
+  if (typeof value === 'string') return `${propName}="${value.replace(/"/g, '&quot;')}"`;
+  return `${propName}={${JSON.stringify(value)}}`;
+}
+
+function inRange(value, [min, max]) {
+  return typeof value === 'number' && value >= (min ?? -Infinity) && value <= (max ?? Infinity);
+}
+
+function normalizeManifest(manifest) {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { registry: null, errors: ['Manifest must be an object with a "components" array'] };
+  }
+  if (!Array.isArray(manifest.components) || manifest.components.length === 0) {
+    return { registry: null, errors: ['"components" must be a non-empty array'] };
+  }
+
+  const names = new Set();
+  const components = manifest.components.map((component, index) => {
+    const label = component?.name ? `"${component.name}"` : `#${index + 1}`;
+
+    if (!component || typeof component !== 'object') {
+      errors.push(`Component ${label} must be an object`);
+      return null;
+    }
+    if (!/^[A-Z][A-Za-z0-9_.]*$/.test(component.name || '')) {
+      errors.push(`Component ${label} needs a PascalCase "name"`);
+    } else if (names.has(component.name)) {
+      errors.push(`Component ${label} is registered twice`);
+    }
+    names.add(component.name);
+
+    if (typeof component.import !== 'string' || !component.import.trim()) {
+      errors.push(`Component ${label} needs an "import" path`);
+    }
+
+    const props = {};
+    Object.entries(component.props || {}).forEach(([propName, schema]) => {
+      const type = schema?.type || 'string';
+      if (!PROP_TYPES.includes(type)) {
+        errors.push(`Prop ${component.name}.${propName} has unknown type "${type}"`);
+      }
+      if (type === 'enum' && (!Array.isArray(schema.options) || schema.options.length === 0)) {
+        errors.push(`Prop ${component.name}.${propName} is an enum without "options"`);
+      }
+      if (schema?.source && !PROP_SOURCES.includes(schema.source)) {
+        errors.push(`Prop ${component.name}.${propName} has unknown source "${schema.source}" (use ${PROP_SOURCES.join(', ')})`);
+      }
+      props[propName] = { ...schema, type };
+    });
+
+    const match = component.match || {};
+    ['width', 'height'].forEach(axis => {
+      if (match[axis] != null && (!Array.isArray(match[axis]) || match[axis].length !== 2)) {
+        errors.push(`Component ${label} match.${axis} must be [min, max]`);
+      }
+    });
+
+    return {
+      name: component.name,
+      import: component.import,
+      defaultImport: Boolean(component.defaultImport),
+      type: component.type || null,
+      description: component.description || '',
+      props,
+      match: {
+        keywords: (match.keywords || []).map(keyword => String(keyword).toLowerCase()),
+        width: Array.isArray(match.width) ? match.width : null,
+        height: Array.isArray(match.height) ? match.height : null,
+        componentKeys: (match.componentKeys || []).map(String)
+      }
+    };
+  });
+
+  return {
+    registry: { name: manifest.name || 'Design system', components },
+    errors
+  };
+}
+
+// Turn a JS module exporting an object literal into JSON
+function jsModuleToJSON(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|\s)\/\/.*$/gm, '$1')
+    .replace(/^[\s\S]*?(?:export\s+default|module\.exports\s*=)\s*/, '')
+    .replace(/;\s*$/, '')
+    .replace(/'((?:[^'\\]|\\.)*)'/g, (match, content) => JSON.stringify(content.replace(/\\'/g, "'")))
+    .replace(/([{,]\s*)([A-Za-z_$][A-Za-z0-9_$]*)\s*:/g, '$1"$2":')
+    .replace(/,(\s*[}\]])/g, '$1');
+}
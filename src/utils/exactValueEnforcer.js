@@ -5,8 +5,13 @@
  * instead of rounded or approximated values.
  */
 
+import { runJSXPasses } from './jsxTransform';
+import { exactValuesPass } from './jsxPasses';
+
 /**
  * Enforce exact pixel values from Figma JSON
+ * Runs exactValuesPass: the root's width and height, and the size and offsets of
+ * every element tagged with a Figma node id
  * @param {string} code - Generated React JSX code
  * @param {Object} figmaNode - Original Figma node data
  * @returns {string} Code with exact values enforced
@@ -17,64 +22,11 @@ export function enforceExactValues(code, figmaNode) {
     return code;
   }
 
-  const { width, height, x, y } = figmaNode.absoluteBoundingBox;
-  
-  console.log('🔧 Exact Value Enforcer: Enforcing exact values');
-  console.log(`🔧 Figma values - W: ${width}, H: ${height}, X: ${x}, Y: ${y}`);
-  
-  let correctedCode = code;
-  
-  try {
-    // Fix root element dimensions
-    correctedCode = correctedCode.replace(/width:\s*['"](\d+)px['"]/, `width: '${width}px'`);
-    correctedCode = correctedCode.replace(/height:\s*['"](\d+)px['"]/, `height: '${height}px'`);
-    
-    // Log the changes
-    if (correctedCode !== code) {
-      console.log('🔧 Applied exact dimension corrections');
-    }
-    
-    // Fix child elements if they exist
-    if (figmaNode.children && figmaNode.children.length > 0) {
-      correctedCode = enforceChildElementValues(correctedCode, figmaNode.children, x, y);
-    }
-    
-  } catch (error) {
-    console.error('Error enforcing exact values:', error);
-    return code;
-  }
-  
-  return correctedCode;
-}
+  const result = runJSXPasses(code, [exactValuesPass], { figmaNode });
+  result.changes.forEach(change => console.log(`🔧 ${change.message}`));
+  result.errors.forEach(error => console.error('Error enforcing exact values:', error.message));
 
-/**
- * Enforce exact values for child elements
- * @param {string} code - Generated code
- * @param {Array} children - Figma child nodes
- * @param {number} parentX - Parent X coordinate
- * @param {number} parentY - Parent Y coordinate
- * @returns {string} Corrected code
- */
-function enforceChildElementValues(code, children, parentX, parentY) {
-  let correctedCode = code;
-  
-  children.forEach((child, index) => {
-    if (child.absoluteBoundingBox) {
-      const { width, height, x, y } = child.absoluteBoundingBox;
-      
-      // Calculate relative positions
-      const relativeX = x - parentX;
-      const relativeY = y - parentY;
-      
-      console.log(`🔧 Child ${index + 1}: W: ${width}, H: ${height}, X: ${relativeX}, Y: ${relativeY}`);
-      
-      // Note: This is a simplified approach. In practice, we'd need more sophisticated
-      // matching to identify which CSS rule corresponds to which Figma element.
-      // For now, we'll just log the values for debugging.
-    }
-  });
-  
-  return correctedCode;
+  return result.code;
 }
 
 /**
@@ -0,0 +1,1038 @@
+/**
+ * Figma Compiler
+ *
+ * Deterministic, rule-based Figma-to-JSX code generation. Walks the Figma node
+ * tree and emits the same JSX the OpenAI prompt describes by hand, so generation
+ * works offline, costs nothing and gives identical output for identical input.
+ */
+
+import { detectComponentPattern } from './componentDetector';
+import { findComponentKeyMapping } from './componentKeyMap';
+import { mapToComponentLibrary, generateImports, prependImports, shouldUseLibraryComponent } from './componentMapper';
+import { DESIGN_SYSTEM_LIBRARY } from './designSystemRegistry';
+import { getImageStyle } from './imageHandler';
+
+// Node types that are rendered as plain boxes (no vector path support)
+const SHAPE_TYPES = ['VECTOR', 'STAR', 'POLYGON', 'BOOLEAN_OPERATION', 'REGULAR_POLYGON'];
+
+// Node types that can contain children
+const CONTAINER_TYPES = ['FRAME', 'GROUP', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'SECTION'];
+
+// Component types a library component can replace as a whole. Cards hold
+// arbitrary content, so they keep their compiled layout
+const LIBRARY_COMPONENT_TYPES = ['button', 'input', 'badge', 'avatar'];
+
+/**
+ * Compile a Figma node into a self-contained React component
+ *
+ * @param {Object} figmaNode - Figma node from the REST API (must have absoluteBoundingBox)
+ * @param {Object} [options] - Compiler options
+ * @param {string} [options.componentName] - Override the generated component name
+ * @param {boolean} [options.fluid] - Let the root fill its container instead of the fixed frame width
+ * @param {Object} [options.componentKeyMap] - Figma component key -> code component table; mapped
+ *   instances compile to their code component
+ * @param {string} [options.library] - Component library ('shadcn' | 'mui' | 'chakra' | 'design-system' |
+ *   'none') the root compiles to when it is detected as a button, input, badge or avatar, or
+ *   matches a registered component
+ * @param {Object} [options.registry] - Design system registry, used with 'design-system'
+ * @returns {Object} Compilation result
+ * @returns {string} returns.code - Complete component code, headed by the imports it needs
+ * @returns {Array} returns.imports - Import statements of the code components used
+ * @returns {string} returns.componentName - Name of the generated component
+ * @returns {string} returns.spec - Plain-text design specification
+ * @returns {string} returns.output - Spec and code in the same format as the AI output
+ * @returns {Object} returns.componentDetection - Result from detectComponentPattern
+ * @returns {Object|null} returns.libraryMapping - Result from mapToComponentLibrary when the root
+ *   compiled to a library component
+ * @returns {Object} returns.tree - Intermediate element tree the code was printed from
+ * @returns {Array} returns.warnings - Things the compiler could only approximate
+ *
+ * @example
+ * const result = compileFigmaNode({
+ *   id: '1:2',
+ *   name: 'Submit',
+ *   type: 'GROUP',
+ *   absoluteBoundingBox: { x: 100, y: 100, width: 120, height: 40 },
+ *   children: [
+ *     { type: 'RECTANGLE', fills: [...], cornerRadius: 8, absoluteBoundingBox: {...} },
+ *     { type: 'TEXT', characters: 'Submit', style: { fontSize: 16 }, absoluteBoundingBox: {...} }
+ *   ]
+ * });
+ * // result.code:
+ * // const SubmitButton = () => {
+ * //   return (
+ * //     <button type="button" style={{ width: '120px', ... }}>
+ * //       Submit
+ * //     </button>
+ * //   );
+ * // };
+ */
+export function compileFigmaNode(figmaNode, options = {}) {
+  if (!figmaNode || !figmaNode.absoluteBoundingBox) {
+    throw new Error('Invalid Figma node data - missing positioning information');
+  }
+
+  const warnings = [];
+  const box = figmaNode.absoluteBoundingBox;
+
+  const detectionNode = {
+    ...figmaNode,
+    width: box.width,
+    height: box.height,
+    fills: figmaNode.fills || [],
+    strokes: figmaNode.strokes || [],
+    children: figmaNode.children || []
+  };
+  // Registered components only take part when the design system is the selected library
+  const registry = options.library === DESIGN_SYSTEM_LIBRARY ? options.registry : null;
+  const componentDetection = detectComponentPattern(detectionNode, {
+    componentKeyMap: options.componentKeyMap,
+    registry
+  });
+  const libraryMapping = getLibraryMapping(componentDetection, detectionNode, options.library, registry, warnings);
+
+  const imports = [];
+  const tree = buildElementTree(figmaNode, {
+    warnings,
+    fluid: options.fluid,
+    componentKeyMap: options.componentKeyMap,
+    libraryMapping,
+    imports
+  });
+
+  // A RECTANGLE + TEXT pair is a button by structure, whatever the heuristics scored
+  const nameType = tree.tag === 'button' ? 'button' : componentDetection.componentType;
+  const componentName = options.componentName ||
+    generateComponentName(figmaNode.name, nameType);
+  const jsx = printElement(tree, 2);
+  const importStatements = generateImports([{ imports }]);
+  // Layer names may contain line breaks, which would end the line comment early
+  const layerName = String(figmaNode.name || 'Untitled').replace(/\s+/g, ' ');
+
+  const code = prependImports(`const ${componentName} = () => {
+  // Compiled from Figma node "${layerName}" (${figmaNode.id || 'unknown id'})
+  return (
+${jsx}
+  );
+};`, importStatements);
+
+  const spec = generateDesignSpec(figmaNode, componentDetection);
+
+  return {
+    code,
+    componentName,
+    spec,
+    output: formatCompilerOutput(spec, code),
+    imports: importStatements,
+    componentDetection,
+    libraryMapping,
+    tree,
+    warnings
+  };
+}
+
+/**
+ * Build the intermediate element tree for a Figma node
+ *
+ * Each element is { tag, nodeId, nodeName, style, attributes, text, children },
+ * plus propertyReferences when the Figma node is bound to component properties.
+ * An element of the form { code } holds ready-made JSX, such as the code
+ * component a mapped instance renders as. Every element is tagged with a data-figma-id attribute holding its node id.
+ * The root starts at (0, 0). Auto Layout frames become flex containers whose
+ * children stay in flow; every other child is absolutely positioned relative
+ * to its parent's absoluteBoundingBox and anchored according to its constraints.
+ *
+ * @param {Object} figmaNode - Figma node
+ * @param {Object} [context] - Build context
+ * @param {Array} [context.warnings] - Collects approximation warnings
+ * @param {boolean} [context.fluid] - Give the root width: 100% so constraints can take effect
+ * @param {boolean} [context.includePropertyBound] - Keep hidden layers whose visibility is a
+ *   boolean component property, so the caller can render them conditionally
+ * @param {Object} [context.componentKeyMap] - Figma component key -> code component table;
+ *   mapped instances render their code component inside a box that keeps their layout
+ * @param {Object} [context.libraryMapping] - Result from mapToComponentLibrary the root renders as
+ * @param {Array} [context.imports] - Collects the import statements of the code components used
+ * @returns {Object} Root element
+ */
+export function buildElementTree(figmaNode, context = {}) {
+  const root = buildElement(figmaNode, null, {
+    warnings: context.warnings || [],
+    includePropertyBound: Boolean(context.includePropertyBound),
+    componentKeyMap: context.componentKeyMap || null,
+    libraryMapping: context.libraryMapping || null,
+    imports: context.imports || []
+  });
+
+  if (context.fluid && root.style.width) {
+    root.style.width = '100%';
+  }
+
+  return root;
+}
+
+/**
+ * Check whether a node lays out its children with Auto Layout
+ * @param {Object} node - Figma node
+ * @returns {boolean}
+ */
+export function isAutoLayout(node) {
+  return Boolean(node) && (node.layoutMode === 'HORIZONTAL' || node.layoutMode === 'VERTICAL');
+}
+
+/**
+ * Build a single element (and its subtree)
+ */
+function buildElement(node, parent, context) {
+  const { warnings } = context;
+  const box = node.absoluteBoundingBox;
+  const isRoot = parent === null;
+  // Auto Layout children stay in flow unless they opted out with "absolute position"
+  const inFlow = !isRoot && isAutoLayout(parent) && node.layoutPositioning !== 'ABSOLUTE';
+
+  const element = {
+    tag: 'div',
+    nodeId: node.id,
+    nodeName: node.name,
+    style: {},
+    // Lets the preview map each rendered element back to its layer (see layerDiff)
+    attributes: node.id ? { 'data-figma-id': node.id } : {},
+    text: null,
+    children: []
+  };
+
+  if (node.componentPropertyReferences) {
+    element.propertyReferences = { ...node.componentPropertyReferences };
+  }
+
+  // Position: root stays in flow, children are anchored inside the parent by their constraints
+  const constraint = !isRoot && !inFlow ? getConstraintStyles(node, parent) : null;
+  if (isRoot) {
+    element.style.position = 'relative';
+  } else if (constraint) {
+    element.style.position = 'absolute';
+    Object.assign(element.style, constraint.position);
+  }
+
+  // Mapped instances render their code component instead of their layers
+  const mappedComponent = findComponentKeyMapping(node, context.componentKeyMap);
+  if (mappedComponent) {
+    const mapping = mapToComponentLibrary({
+      componentType: mappedComponent.type || 'unknown',
+      confidence: 100,
+      mappedComponent
+    }, node);
+    buildCodeElement(element, mapping, node, parent, isRoot, inFlow, constraint, context);
+    return element;
+  }
+
+  if (isRoot && context.libraryMapping) {
+    buildCodeElement(element, context.libraryMapping, node, parent, isRoot, inFlow, constraint, context);
+    return element;
+  }
+
+  // Button pattern: RECTANGLE background + TEXT label collapses into one <button>
+  const buttonParts = getButtonParts(node);
+  if (buttonParts) {
+    buildButtonElement(element, buttonParts, isRoot);
+    if (inFlow) {
+      Object.assign(element.style, getFlexItemStyles(node, parent));
+    }
+    if (constraint) {
+      applyConstraintSize(element.style, constraint.size);
+    }
+    return element;
+  }
+
+  Object.assign(element.style, getSizeStyles(node, parent, isRoot, inFlow));
+  if (constraint) {
+    applyConstraintSize(element.style, constraint.size);
+  }
+
+  if (node.type === 'TEXT') {
+    Object.assign(element.style, getTextStyles(node));
+    element.text = node.characters || '';
+    return element;
+  }
+
+  if (node.type === 'LINE') {
+    const stroke = getVisibleSolidPaint(node.strokes);
+    element.style.height = px(node.strokeWeight || 1);
+    if (stroke) element.style.backgroundColor = paintToCSS(stroke);
+    return element;
+  }
+
+  if (SHAPE_TYPES.includes(node.type)) {
+    warnings.push(`${node.type} "${node.name}" is approximated as a box - export it as SVG for an exact match`);
+  }
+
+  if (node.rotation) {
+    warnings.push(`Rotation on "${node.name}" is not applied`);
+  }
+
+  if (isAutoLayout(node)) {
+    Object.assign(element.style, getAutoLayoutStyles(node));
+  }
+
+  Object.assign(element.style, getBoxStyles(node, warnings));
+
+  if (node.type === 'ELLIPSE') {
+    element.style.borderRadius = '50%';
+  }
+
+  // Image fills become placeholders the developer replaces by hand
+  if (hasVisiblePaint(node.fills, 'IMAGE')) {
+    Object.assign(element.style, getImageStyle({
+      ...node,
+      width: box.width,
+      height: box.height
+    }));
+    element.attributes['data-placeholder'] = 'true';
+    const imageFill = node.fills.find(fill => fill.type === 'IMAGE');
+    if (imageFill.imageRef) {
+      element.attributes['data-figma-ref'] = imageFill.imageRef;
+    }
+  }
+
+  if (CONTAINER_TYPES.includes(node.type) && Array.isArray(node.children)) {
+    node.children
+      .filter(child => child.absoluteBoundingBox && (
+        child.visible !== false ||
+        (context.includePropertyBound && child.componentPropertyReferences?.visible)
+      ))
+      .forEach(child => {
+        element.children.push(buildElement(child, node, context));
+      });
+  }
+
+  // In-flow containers must still anchor their absolutely positioned children
+  if (inFlow && element.children.some(child => child.style.position === 'absolute')) {
+    element.style = { position: 'relative', ...element.style };
+  }
+
+  return element;
+}
+
+/**
+ * Map the root to the selected library's component when one stands in for the
+ * whole node. Mapped instances are handled by the component key map instead.
+ */
+function getLibraryMapping(componentDetection, node, library, registry, warnings) {
+  if (!library || componentDetection.mappedComponent) return null;
+
+  // Registered components were matched against the whole node during detection
+  if (componentDetection.registryComponent) {
+    return mapToComponentLibrary(componentDetection, node, library, registry);
+  }
+
+  if (library === DESIGN_SYSTEM_LIBRARY || !shouldUseLibraryComponent(componentDetection, library)) {
+    return null;
+  }
+
+  if (!LIBRARY_COMPONENT_TYPES.includes(componentDetection.componentType)) {
+    warnings.push(`"${node.name}" looks like a ${componentDetection.componentType} - its ${library} component is not applied, the layout is compiled as is`);
+    return null;
+  }
+
+  const mapping = mapToComponentLibrary(componentDetection, node, library);
+  return mapping.usesLibrary ? mapping : null;
+}
+
+/**
+ * Fill an element with a component library or mapped code component.
+ * The element keeps the node's size and position, so the component sits where
+ * the layer was, and the component's imports are collected on the context.
+ */
+function buildCodeElement(element, mapping, node, parent, isRoot, inFlow, constraint, context) {
+  Object.assign(element.style, getSizeStyles(node, parent, isRoot, inFlow));
+  if (constraint) {
+    applyConstraintSize(element.style, constraint.size);
+  }
+  element.children.push({ code: mapping.code });
+  context.imports.push(...mapping.imports);
+}
+
+/**
+ * Anchor an absolutely positioned child the way its Figma constraints resize it.
+ * LEFT/TOP keep the plain pixel offset; RIGHT/BOTTOM pin the opposite edge;
+ * LEFT_RIGHT/TOP_BOTTOM pin both edges; CENTER keeps the offset from the
+ * middle; SCALE turns offset and size into percentages of the parent.
+ *
+ * @returns {Object} { position, size } - size values of null drop the fixed dimension
+ */
+function getConstraintStyles(node, parent) {
+  const box = node.absoluteBoundingBox;
+  const parentBox = parent.absoluteBoundingBox;
+  const constraints = node.constraints || {};
+  const position = {};
+  const size = {};
+
+  const resolveAxis = (mode, [start, end, sizeProperty], offset, length, parentLength) => {
+    const farOffset = parentLength - offset - length;
+
+    switch (mode) {
+      case 'RIGHT':
+      case 'BOTTOM':
+        position[end] = px(farOffset);
+        break;
+      case 'LEFT_RIGHT':
+      case 'TOP_BOTTOM':
+        position[start] = px(offset);
+        position[end] = px(farOffset);
+        size[sizeProperty] = null;
+        break;
+      case 'CENTER': {
+        const fromCenter = offset - parentLength / 2;
+        position[start] = fromCenter < 0
+          ? `calc(50% - ${px(-fromCenter)})`
+          : `calc(50% + ${px(fromCenter)})`;
+        break;
+      }
+      case 'SCALE':
+        position[start] = percent(offset, parentLength);
+        size[sizeProperty] = percent(length, parentLength);
+        break;
+      default:
+        position[start] = px(offset);
+    }
+  };
+
+  resolveAxis(constraints.horizontal, ['left', 'right', 'width'], box.x - parentBox.x, box.width, parentBox.width);
+  resolveAxis(constraints.vertical, ['top', 'bottom', 'height'], box.y - parentBox.y, box.height, parentBox.height);
+
+  return { position, size };
+}
+
+function applyConstraintSize(style, size) {
+  Object.entries(size).forEach(([property, value]) => {
+    if (value === null) {
+      delete style[property];
+    } else {
+      style[property] = value;
+    }
+  });
+}
+
+/**
+ * Resolve how a node is sized along one axis: FIXED, HUG or FILL.
+ * Uses layoutSizingHorizontal/Vertical when the file provides them and falls
+ * back to the older layoutGrow / layoutAlign / *AxisSizingMode properties.
+ */
+function getAxisSizing(node, parent, axis) {
+  const explicit = axis === 'horizontal' ? node.layoutSizingHorizontal : node.layoutSizingVertical;
+  if (explicit) return explicit;
+
+  if (isAutoLayout(parent)) {
+    const parentPrimary = parent.layoutMode === 'HORIZONTAL' ? 'horizontal' : 'vertical';
+    if (axis === parentPrimary && node.layoutGrow === 1) return 'FILL';
+    if (axis !== parentPrimary && node.layoutAlign === 'STRETCH') return 'FILL';
+  }
+
+  if (isAutoLayout(node)) {
+    const primary = node.layoutMode === 'HORIZONTAL' ? 'horizontal' : 'vertical';
+    const sizingMode = axis === primary ? node.primaryAxisSizingMode : node.counterAxisSizingMode;
+    if (sizingMode === 'AUTO') return 'HUG';
+  }
+
+  if (node.type === 'TEXT') {
+    if (node.style?.textAutoResize === 'WIDTH_AND_HEIGHT' || node.textAutoResize === 'WIDTH_AND_HEIGHT') return 'HUG';
+    if (axis === 'vertical' && (node.style?.textAutoResize === 'HEIGHT' || node.textAutoResize === 'HEIGHT')) return 'HUG';
+  }
+
+  return 'FIXED';
+}
+
+/**
+ * Width/height for a node, leaving hugging and filling axes to flexbox
+ */
+function getSizeStyles(node, parent, isRoot, inFlow) {
+  const box = node.absoluteBoundingBox;
+  const styles = {};
+  // Hug/fill only make sense where flexbox does the sizing; elsewhere keep exact pixels
+  const flexSized = inFlow || isAutoLayout(node);
+
+  [['horizontal', 'width', box.width], ['vertical', 'height', box.height]].forEach(([axis, property, value]) => {
+    const sizing = flexSized ? getAxisSizing(node, parent, axis) : 'FIXED';
+
+    if (sizing === 'FILL' && inFlow) return;
+    if (sizing === 'HUG') {
+      // A hugging root would otherwise stretch to the preview width
+      if (isRoot && property === 'width') styles.width = 'fit-content';
+      return;
+    }
+    styles[property] = px(value);
+  });
+
+  ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].forEach(property => {
+    if (typeof node[property] === 'number') {
+      styles[property] = px(node[property]);
+    }
+  });
+
+  if (inFlow) {
+    Object.assign(styles, getFlexItemStyles(node, parent));
+  }
+
+  return styles;
+}
+
+/**
+ * flexGrow / alignSelf for a child of an Auto Layout frame
+ */
+function getFlexItemStyles(node, parent) {
+  const styles = {};
+  const primary = parent.layoutMode === 'HORIZONTAL' ? 'horizontal' : 'vertical';
+  const counter = primary === 'horizontal' ? 'vertical' : 'horizontal';
+
+  if (getAxisSizing(node, parent, primary) === 'FILL') {
+    styles.flexGrow = 1;
+    styles.flexBasis = 0;
+  } else {
+    // Figma never squeezes fixed or hugging children
+    styles.flexShrink = 0;
+  }
+
+  if (getAxisSizing(node, parent, counter) === 'FILL') {
+    styles.alignSelf = 'stretch';
+  }
+
+  return styles;
+}
+
+/**
+ * Flexbox styles for an Auto Layout frame
+ * @param {Object} node - Figma node with layoutMode HORIZONTAL or VERTICAL
+ * @returns {Object} Style object
+ */
+function getAutoLayoutStyles(node) {
+  const justifyMap = {
+    MIN: 'flex-start',
+    CENTER: 'center',
+    MAX: 'flex-end',
+    SPACE_BETWEEN: 'space-between'
+  };
+  const alignMap = {
+    MIN: 'flex-start',
+    CENTER: 'center',
+    MAX: 'flex-end',
+    BASELINE: 'baseline'
+  };
+
+  const styles = {
+    display: 'flex',
+    flexDirection: node.layoutMode === 'HORIZONTAL' ? 'row' : 'column',
+    justifyContent: justifyMap[node.primaryAxisAlignItems] || 'flex-start',
+    alignItems: alignMap[node.counterAxisAlignItems] || 'flex-start'
+  };
+
+  const spacing = node.itemSpacing || 0;
+  if (node.layoutWrap === 'WRAP') {
+    styles.flexWrap = 'wrap';
+    const counterSpacing = node.counterAxisSpacing ?? spacing;
+    const mainGap = node.primaryAxisAlignItems === 'SPACE_BETWEEN' ? 0 : spacing;
+    styles.rowGap = px(node.layoutMode === 'HORIZONTAL' ? counterSpacing : mainGap);
+    styles.columnGap = px(node.layoutMode === 'HORIZONTAL' ? mainGap : counterSpacing);
+  } else if (spacing && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+    // space-between distributes the free space itself; a gap would only shrink it
+    styles.gap = px(spacing);
+  }
+
+  const padding = [
+    node.paddingTop ?? node.verticalPadding ?? 0,
+    node.paddingRight ?? node.horizontalPadding ?? 0,
+    node.paddingBottom ?? node.verticalPadding ?? 0,
+    node.paddingLeft ?? node.horizontalPadding ?? 0
+  ];
+  if (padding.some(value => value)) {
+    styles.padding = padding.every(value => value === padding[0])
+      ? px(padding[0])
+      : padding.map(px).join(' ');
+  }
+
+  // Figma sizes include padding
+  styles.boxSizing = 'border-box';
+
+  return styles;
+}
+
+/**
+ * Find the RECTANGLE + TEXT pair that makes a node a button
+ * @param {Object} node - Figma node
+ * @returns {Object|null} { rect, text } or null
+ */
+function getButtonParts(node) {
+  if (!CONTAINER_TYPES.includes(node.type) || !Array.isArray(node.children)) {
+    return null;
+  }
+
+  const children = node.children.filter(child => child.visible !== false);
+  if (children.length !== 2) return null;
+
+  const rect = children.find(child => child.type === 'RECTANGLE');
+  const text = children.find(child => child.type === 'TEXT');
+  if (!rect || !text || !rect.absoluteBoundingBox) return null;
+
+  // Frames only qualify when the rectangle is their whole visible surface
+  if (node.type !== 'GROUP') {
+    const box = node.absoluteBoundingBox;
+    const rectBox = rect.absoluteBoundingBox;
+    const coversFrame = Math.abs(rectBox.width - box.width) <= 1 && Math.abs(rectBox.height - box.height) <= 1;
+    const hasOwnPaint = (node.fills || []).some(fill => fill.visible !== false) ||
+      (node.strokes || []).some(stroke => stroke.visible !== false);
+    if (!coversFrame || hasOwnPaint) return null;
+  }
+
+  return { rect, text };
+}
+
+/**
+ * Build a <button> element from its RECTANGLE and TEXT children
+ */
+function buildButtonElement(element, { rect, text }, isRoot) {
+  const rectBox = rect.absoluteBoundingBox;
+
+  element.tag = 'button';
+  element.attributes.type = 'button';
+
+  // Root buttons need no positioning at all
+  if (isRoot) {
+    delete element.style.position;
+  }
+
+  Object.assign(element.style, {
+    width: px(rectBox.width),
+    height: px(rectBox.height)
+  });
+  Object.assign(element.style, getBoxStyles(rect, []));
+  if (!element.style.border) {
+    element.style.border = 'none';
+  }
+
+  const textStyles = getTextStyles(text);
+  Object.assign(element.style, textStyles);
+  element.style.cursor = 'pointer';
+  element.text = text.characters || '';
+
+  // The label's text property now belongs to the button itself
+  if (text.componentPropertyReferences?.characters) {
+    element.propertyReferences = {
+      ...element.propertyReferences,
+      characters: text.componentPropertyReferences.characters
+    };
+  }
+
+  return element;
+}
+
+/**
+ * Visual styles shared by frames, rectangles and shapes
+ * @param {Object} node - Figma node
+ * @param {Array} warnings - Collects approximation warnings
+ * @returns {Object} React style object
+ */
+function getBoxStyles(node, warnings) {
+  const style = {};
+
+  // Background
+  const visibleFills = (node.fills || []).filter(fill => fill.visible !== false && fill.type !== 'IMAGE');
+  if (visibleFills.length > 1) {
+    warnings.push(`Only the first fill of "${node.name}" is applied`);
+  }
+  const fill = visibleFills[0];
+  if (fill) {
+    if (fill.type === 'SOLID') {
+      style.backgroundColor = paintToCSS(fill);
+    } else if (fill.type && fill.type.startsWith('GRADIENT_')) {
+      const gradient = gradientToCSS(fill);
+      if (gradient) style.background = gradient;
+    }
+  }
+
+  // Border
+  const stroke = getVisibleSolidPaint(node.strokes);
+  if (stroke && node.strokeWeight > 0) {
+    const lineStyle = Array.isArray(node.strokeDashes) && node.strokeDashes.length > 0 ? 'dashed' : 'solid';
+    style.border = `${formatNumber(node.strokeWeight)}px ${lineStyle} ${paintToCSS(stroke)}`;
+    // Figma strokes default to INSIDE, which keeps the outer size unchanged
+    if (node.strokeAlign !== 'OUTSIDE') {
+      style.boxSizing = 'border-box';
+    }
+  }
+
+  // Corner radius
+  if (Array.isArray(node.rectangleCornerRadii) && new Set(node.rectangleCornerRadii).size > 1) {
+    style.borderRadius = node.rectangleCornerRadii.map(radius => px(radius)).join(' ');
+  } else if (node.cornerRadius > 0) {
+    style.borderRadius = px(node.cornerRadius);
+  }
+
+  // Effects
+  const effects = getEffectStyles(node.effects, 'boxShadow');
+  Object.assign(style, effects);
+
+  if (typeof node.opacity === 'number' && node.opacity < 1) {
+    style.opacity = formatNumber(node.opacity);
+  }
+
+  if (node.clipsContent) {
+    style.overflow = 'hidden';
+  }
+
+  return style;
+}
+
+/**
+ * Typography styles for TEXT nodes
+ * @param {Object} node - Figma TEXT node
+ * @returns {Object} React style object
+ */
+function getTextStyles(node) {
+  const style = {};
+  const textStyle = node.style || {};
+
+  const color = getVisibleSolidPaint(node.fills);
+  if (color) style.color = paintToCSS(color);
+
+  if (textStyle.fontFamily) style.fontFamily = textStyle.fontFamily;
+  if (textStyle.fontSize) style.fontSize = px(textStyle.fontSize);
+  if (textStyle.fontWeight) style.fontWeight = textStyle.fontWeight;
+  if (textStyle.italic) style.fontStyle = 'italic';
+  if (textStyle.lineHeightPx) style.lineHeight = px(textStyle.lineHeightPx);
+  if (textStyle.letterSpacing) style.letterSpacing = px(textStyle.letterSpacing);
+
+  const textAlign = {
+    LEFT: 'left',
+    CENTER: 'center',
+    RIGHT: 'right',
+    JUSTIFIED: 'justify'
+  }[textStyle.textAlignHorizontal];
+  if (textAlign && textAlign !== 'left') style.textAlign = textAlign;
+
+  const textTransform = {
+    UPPER: 'uppercase',
+    LOWER: 'lowercase',
+    TITLE: 'capitalize'
+  }[textStyle.textCase];
+  if (textTransform) style.textTransform = textTransform;
+
+  const textDecoration = {
+    UNDERLINE: 'underline',
+    STRIKETHROUGH: 'line-through'
+  }[textStyle.textDecoration];
+  if (textDecoration) style.textDecoration = textDecoration;
+
+  Object.assign(style, getEffectStyles(node.effects, 'textShadow'));
+
+  if (typeof node.opacity === 'number' && node.opacity < 1) {
+    style.opacity = formatNumber(node.opacity);
+  }
+
+  return style;
+}
+
+/**
+ * Convert Figma effects to CSS shadow/filter properties
+ * @param {Array} effects - Figma effects array
+ * @param {string} shadowProperty - 'boxShadow' or 'textShadow'
+ * @returns {Object} React style object
+ */
+function getEffectStyles(effects, shadowProperty) {
+  const style = {};
+  if (!Array.isArray(effects)) return style;
+
+  const shadows = [];
+
+  effects.filter(effect => effect.visible !== false).forEach(effect => {
+    const offset = effect.offset || { x: 0, y: 0 };
+    const color = effect.color ? colorToCSS(effect.color) : 'rgba(0, 0, 0, 0.25)';
+
+    if (effect.type === 'DROP_SHADOW') {
+      const spread = shadowProperty === 'boxShadow' ? ` ${formatNumber(effect.spread || 0)}px` : '';
+      shadows.push(`${formatNumber(offset.x)}px ${formatNumber(offset.y)}px ${formatNumber(effect.radius || 0)}px${spread} ${color}`);
+    } else if (effect.type === 'INNER_SHADOW' && shadowProperty === 'boxShadow') {
+      shadows.push(`inset ${formatNumber(offset.x)}px ${formatNumber(offset.y)}px ${formatNumber(effect.radius || 0)}px ${formatNumber(effect.spread || 0)}px ${color}`);
+    } else if (effect.type === 'LAYER_BLUR') {
+      style.filter = `blur(${formatNumber(effect.radius || 0)}px)`;
+    } else if (effect.type === 'BACKGROUND_BLUR') {
+      style.backdropFilter = `blur(${formatNumber(effect.radius || 0)}px)`;
+    }
+  });
+
+  if (shadows.length > 0) {
+    style[shadowProperty] = shadows.join(', ');
+  }
+
+  return style;
+}
+
+/**
+ * Convert a linear or radial gradient paint to CSS
+ * @param {Object} paint - Figma gradient paint
+ * @returns {string|null} CSS gradient
+ */
+function gradientToCSS(paint) {
+  if (!Array.isArray(paint.gradientStops) || paint.gradientStops.length === 0) {
+    return null;
+  }
+
+  const stops = paint.gradientStops
+    .map(stop => `${colorToCSS(stop.color, paint.opacity)} ${formatNumber(stop.position * 100)}%`)
+    .join(', ');
+
+  if (paint.type === 'GRADIENT_LINEAR') {
+    const [start, end] = paint.gradientHandlePositions || [];
+    let angle = 180;
+    if (start && end) {
+      // Figma measures from the x-axis, CSS from "to top" clockwise
+      angle = Math.atan2(end.y - start.y, end.x - start.x) * (180 / Math.PI) + 90;
+    }
+    return `linear-gradient(${formatNumber(angle)}deg, ${stops})`;
+  }
+
+  return `radial-gradient(${stops})`;
+}
+
+/**
+ * Print an element tree as indented JSX
+ *
+ * Besides literal values the printer understands a few hooks used by the
+ * variant compiler: style and attribute values of the form { expression }
+ * are printed as raw JavaScript, textExpression replaces the text, and a
+ * child with a condition is wrapped in {condition && (...)}. Elements of
+ * the form { code } print their JSX as is.
+ *
+ * @param {Object} element - Element from buildElementTree
+ * @param {number} [depth] - Indentation depth (two spaces per level)
+ * @returns {string} JSX string
+ */
+export function printElement(element, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  if (element.code) {
+    return element.code.split('\n').map(line => `${indent}${line}`).join('\n');
+  }
+
+  const attributes = Object.entries(element.attributes || {})
+    .map(([name, value]) => formatAttribute(name, value));
+
+  const styleEntries = Object.entries(element.style || {});
+  if (styleEntries.length > 0) {
+    const styleLines = styleEntries.map(([key, value]) => `${indent}    ${key}: ${formatStyleValue(value)}`);
+    attributes.push(`style={{\n${styleLines.join(',\n')}\n${indent}  }}`);
+  }
+
+  const opening = attributes.length > 0
+    ? `${indent}<${element.tag}\n${attributes.map(attr => `${indent}  ${attr}`).join('\n')}\n${indent}>`
+    : `${indent}<${element.tag}>`;
+
+  const children = element.children || [];
+  const hasText = Boolean(element.textExpression) ||
+    (element.text !== null && element.text !== undefined && element.text !== '');
+
+  if (!hasText && children.length === 0) {
+    lines.push(opening);
+    lines.push(`${indent}</${element.tag}>`);
+    return lines.join('\n');
+  }
+
+  lines.push(opening);
+
+  if (element.textExpression) {
+    lines.push(`${indent}  {${element.textExpression}}`);
+  } else if (hasText && element.tag === 'style') {
+    // Stylesheets keep their line breaks inside a template literal
+    lines.push(`${indent}  {\`${element.text.replace(/[`\\]/g, '\\$&').replace(/\$\{/g, '\\${')}\`}`);
+  } else if (hasText) {
+    lines.push(`${indent}  ${escapeJSXText(element.text)}`);
+  }
+
+  children.forEach(child => {
+    if (child.nodeId) {
+      lines.push(`${indent}  {/* Figma node: ${sanitizeComment(child.nodeName)} (${child.nodeId}) */}`);
+    }
+    if (child.condition) {
+      lines.push(`${indent}  {${child.condition} && (`);
+      lines.push(printElement(child, depth + 2));
+      lines.push(`${indent}  )}`);
+    } else {
+      lines.push(printElement(child, depth + 1));
+    }
+  });
+
+  lines.push(`${indent}</${element.tag}>`);
+  return lines.join('\n');
+}
+
+/**
+ * Generate a PascalCase component name from a Figma layer name
+ *
+ * @param {string} name - Figma layer name
+ * @param {string} [componentType] - Detected component type used as suffix
+ * @returns {string} Valid React component name
+ *
+ * @example
+ * generateComponentName('submit btn', 'button'); // 'SubmitBtnButton'
+ * generateComponentName('Primary Button', 'button'); // 'PrimaryButton'
+ * generateComponentName('123', 'unknown'); // 'Component123'
+ */
+export function generateComponentName(name, componentType) {
+  const words = String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+
+  let componentName = words
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+
+  if (!componentName || /^[0-9]/.test(componentName)) {
+    componentName = `Component${componentName}`;
+  }
+
+  const suffix = {
+    button: 'Button',
+    input: 'Input',
+    card: 'Card',
+    badge: 'Badge',
+    avatar: 'Avatar'
+  }[componentType];
+
+  if (suffix && !componentName.endsWith(suffix)) {
+    componentName += suffix;
+  }
+
+  return componentName;
+}
+
+/**
+ * Generate a plain-text design specification from Figma data
+ *
+ * @param {Object} figmaNode - Figma node
+ * @param {Object} componentDetection - Detection result
+ * @returns {string} Design specification
+ */
+export function generateDesignSpec(figmaNode, componentDetection) {
+  const box = figmaNode.absoluteBoundingBox;
+  const lines = [];
+
+  lines.push(`Component: ${figmaNode.name || 'Untitled'} (${figmaNode.type})`);
+  if (componentDetection) {
+    lines.push(`Detected type: ${componentDetection.componentType} (${componentDetection.confidence}% confidence)`);
+  }
+  lines.push(`Dimensions: ${formatNumber(box.width)}px x ${formatNumber(box.height)}px`);
+
+  const colors = new Set();
+  const fonts = new Set();
+  let elementCount = 0;
+
+  const walk = (node) => {
+    if (!node || node.visible === false) return;
+    elementCount++;
+
+    (node.fills || []).forEach(fill => {
+      if (fill.visible !== false && fill.type === 'SOLID') colors.add(paintToCSS(fill));
+    });
+    (node.strokes || []).forEach(stroke => {
+      if (stroke.visible !== false && stroke.type === 'SOLID') colors.add(paintToCSS(stroke));
+    });
+
+    if (node.type === 'TEXT' && node.style) {
+      fonts.add(`${node.style.fontFamily || 'inherit'} ${formatNumber(node.style.fontSize || 0)}px / ${node.style.fontWeight || 400}`);
+    }
+
+    (node.children || []).forEach(walk);
+  };
+  walk(figmaNode);
+
+  lines.push(`Elements: ${elementCount}`);
+  if (colors.size > 0) lines.push(`Colors: ${Array.from(colors).join(', ')}`);
+  if (fonts.size > 0) lines.push(`Typography: ${Array.from(fonts).join('; ')}`);
+  if (figmaNode.cornerRadius) lines.push(`Corner radius: ${formatNumber(figmaNode.cornerRadius)}px`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Wrap spec and code in the same layout the AI prompt asks for,
+ * so App.js can extract both the same way
+ */
+export function formatCompilerOutput(spec, code) {
+  return `---
+📝 Design Specification:
+${spec}
+
+---
+⚛️ React Code:
+\`\`\`jsx
+${code}
+\`\`\`
+`;
+}
+
+// Paint and value helpers
+
+function getVisibleSolidPaint(paints) {
+  if (!Array.isArray(paints)) return null;
+  return paints.find(paint => paint.visible !== false && paint.type === 'SOLID' && paint.color) || null;
+}
+
+function hasVisiblePaint(paints, type) {
+  return Array.isArray(paints) && paints.some(paint => paint.visible !== false && paint.type === type);
+}
+
+function paintToCSS(paint) {
+  return colorToCSS(paint.color, paint.opacity);
+}
+
+/**
+ * Convert a Figma color (0-1 channels) to hex, or rgba() when translucent
+ * @param {Object} color - { r, g, b, a }
+ * @param {number} [opacity] - Paint opacity multiplied into alpha
+ * @returns {string} CSS color
+ */
+export function colorToCSS(color, opacity = 1) {
+  const { r = 0, g = 0, b = 0, a = 1 } = color || {};
+  const alpha = (typeof opacity === 'number' ? opacity : 1) * a;
+  const channels = [r, g, b].map(channel => Math.round(channel * 255));
+
+  if (alpha >= 1) {
+    return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  return `rgba(${channels.join(', ')}, ${formatNumber(alpha)})`;
+}
+
+function px(value) {
+  return `${formatNumber(value || 0)}px`;
+}
+
+function percent(value, total) {
+  return total ? `${formatNumber((value / total) * 100)}%` : '0%';
+}
+
+// Trim floating point noise (33.333333 -> 33.33) without rounding real values
+function formatNumber(value) {
+  return Number(Number(value).toFixed(2));
+}
+
+function formatStyleValue(value) {
+  if (value && typeof value === 'object' && 'expression' in value) return value.expression;
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function formatAttribute(name, value) {
+  if (value && typeof value === 'object' && 'expression' in value) return `${name}={${value.expression}}`;
+  return `${name}="${String(value).replace(/"/g, '&quot;')}"`;
+}
+
+function escapeJSXText(text) {
+  const lines = String(text).split('\n');
+  return lines
+    .map(line => (/[{}<>]/.test(line) ? `{${JSON.stringify(line)}}` : line))
+    .join('<br />');
+}
+
+function sanitizeComment(text) {
+  return String(text || 'Untitled').replace(/\*\//g, '* /');
+}
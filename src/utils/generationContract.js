@@ -0,0 +1,326 @@
+/**
+ * Generation Output Contract
+ * @fileoverview JSON contract for the code generation LLM calls: the schema the
+ * model is asked to follow, a validator, and a retry loop that feeds validation
+ * errors back to the model until the response matches.
+ */
+
+/**
+ * JSON schema of a generation response
+ */
+export const GENERATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['spec', 'code', 'componentName', 'imports', 'warnings'],
+  properties: {
+    spec: {
+      type: 'string',
+      description: 'Design specification: measurements, colors, typography, layout and notes'
+    },
+    code: {
+      type: 'string',
+      description: 'The complete component declaration as plain JSX source - no markdown fences, imports or exports'
+    },
+    componentName: {
+      type: 'string',
+      description: 'PascalCase name of the component declared in code'
+    },
+    imports: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Import statements the code needs, e.g. import { Button } from "@/components/ui/button"'
+    },
+    warnings: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Anything that could not be reproduced exactly'
+    }
+  }
+};
+
+/**
+ * Prompt section telling the model to answer with the contract
+ */
+export const GENERATION_CONTRACT_INSTRUCTIONS = `Respond with ONLY a JSON object - no markdown, no text before or after it - matching this JSON schema:
+${JSON.stringify(GENERATION_OUTPUT_SCHEMA, null, 2)}
+
+- "code" holds the whole component (const ComponentName = (...) => { ... };) as a JSON string
+- Put import statements in "imports", never inside "code"
+- Use an empty array when there are no imports or warnings`;
+
+/**
+ * Parse a raw model response into a contract object
+ * Tolerates a response wrapped in ```json fences.
+ *
+ * @param {string} content - Raw message content
+ * @returns {Object} { value, errors } - value is null when the response is not JSON
+ */
+export function parseGenerationOutput(content) {
+  const text = String(content || '').trim()
+    .replace(/^```(?:json)?\s*\n?/, '')
+    .replace(/\n?```\s*$/, '');
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { value: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateGenerationOutput(value);
+  return { value: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Validate a parsed response against the contract
+ *
+ * @param {Object} value - Parsed response
+ * @returns {Array<string>} Validation errors (empty when valid)
+ *
+ * @example
+ * validateGenerationOutput({ spec: '...', code: 'const Card = () => <div />;', componentName: 'Card', imports: [], warnings: [] });
+ * // []
+ */
+export function validateGenerationOutput(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Response must be a JSON object'];
+  }
+
+  const errors = [];
+
+  GENERATION_OUTPUT_SCHEMA.required.forEach(field => {
+    if (!(field in value)) errors.push(`Missing required field "${field}"`);
+  });
+
+  ['spec', 'code', 'componentName'].forEach(field => {
+    if (field in value && (typeof value[field] !== 'string' || !value[field].trim())) {
+      errors.push(`"${field}" must be a non-empty string`);
+    }
+  });
+
+  ['imports', 'warnings'].forEach(field => {
+    if (field in value && (!Array.isArray(value[field]) || value[field].some(item => typeof item !== 'string'))) {
+      errors.push(`"${field}" must be an array of strings`);
+    }
+  });
+
+  if (typeof value.componentName === 'string' && value.componentName && !/^[A-Z][A-Za-z0-9]*$/.test(value.componentName)) {
+    errors.push(`"componentName" must be PascalCase, got "${value.componentName}"`);
+  }
+
+  if (Array.isArray(value.imports)) {
+    value.imports
+      .filter(statement => typeof statement === 'string' && !/^import\s/.test(statement.trim()))
+      .forEach(statement => errors.push(`"imports" entries must be import statements, got "${statement}"`));
+  }
+
+  if (typeof value.code === 'string' && value.code.trim()) {
+    errors.push(...validateCode(value.code, value.componentName));
+  }
+
+  return errors;
+}
+
+/**
+ * Call a model until its response matches the contract
+ *
+ * Each failed attempt is added to the conversation together with the
+ * validation errors, so the model can correct itself.
+ *
+ * @param {Function} send - async (messages) => raw message content
+ * @param {Array<Object>} messages - Chat messages for the first attempt
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxAttempts] - Attempts before giving up (default 3)
+ * @param {Function} [options.onRetry] - (attempt, errors) before each retry
+ * @returns {Promise<Object>} { value, attempts }
+ * @throws {Error} When no attempt produced a valid response
+ */
+export async function requestWithContract(send, messages, options = {}) {
+  const { maxAttempts = 3, onRetry = () => {} } = options;
+  const conversation = [...messages];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const content = await send(conversation);
+    const parsed = parseGenerationOutput(content);
+
+    if (parsed.value) {
+      return { value: normalizeOutput(parsed.value), attempts: attempt };
+    }
+
+    errors = parsed.errors;
+    if (attempt < maxAttempts) {
+      onRetry(attempt, errors);
+      conversation.push(
+        { role: 'assistant', content: String(content || '') },
+        {
+          role: 'user',
+          content: `Your response does not match the required JSON contract:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the corrected JSON object.`
+        }
+      );
+    }
+  }
+
+  throw new Error(`AI response did not match the output contract after ${maxAttempts} attempts:\n- ${errors.join('\n- ')}`);
+}
+
+/**
+ * Read the spec and code out of a response that is still streaming
+ *
+ * The JSON is incomplete until the last token, so each string field is
+ * decoded up to wherever the stream currently ends.
+ *
+ * @param {string} text - Response received so far
+ * @returns {Object} { spec, code } - each null until its field has started
+ *
+ * @example
+ * parsePartialGenerationOutput('{"spec": "Card 320x2');
+ * // { spec: 'Card 320x2', code: null }
+ */
+export function parsePartialGenerationOutput(text) {
+  return {
+    spec: readPartialString(text, 'spec'),
+    code: readPartialString(text, 'code')
+  };
+}
+
+/**
+ * Whether streamed code is a complete component declaration yet
+ * Used to hold the live preview back until a render can succeed.
+ *
+ * @param {string} code - Code received so far
+ * @returns {boolean}
+ */
+export function isCompleteComponentCode(code) {
+  const source = String(code || '').trim();
+  if (!/^(const|let|function)\s+[A-Z]\w*/m.test(source)) return false;
+  if (!/[})\];]$/.test(source)) return false;
+  return !findUnbalancedBracket(source);
+}
+
+/**
+ * Render a contract object in the markdown layout the output panel shows
+ * @param {Object} value - Valid contract object
+ * @returns {string} Spec and code in the "📝 Design Specification / ⚛️ React Code" layout
+ */
+export function formatGenerationOutput(value) {
+  const warnings = value.warnings.length > 0
+    ? `\n\nWarnings:\n${value.warnings.map(warning => `- ${warning}`).join('\n')}`
+    : '';
+
+  return `---
+📝 Design Specification:
+${value.spec}${warnings}
+
+---
+⚛️ React Code:
+\`\`\`jsx
+${value.code}
+\`\`\`
+`;
+}
+
+function readPartialString(text, field) {
+  const start = String(text || '').match(new RegExp(`"${field}"\\s*:\\s*"`));
+  if (!start) return null;
+
+  let value = '';
+  for (let i = start.index + start[0].length; i < text.length; i++) {
+    const character = text[i];
+    if (character === '"') break;
+    if (character !== '\\') {
+      value += character;
+      continue;
+    }
+
+    // An escape cut off by the end of the stream is completed by the next token
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      if (i + 5 >= text.length) break;
+      value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+      i += 5;
+    } else {
+      value += JSON_ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+  return value;
+}
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+function normalizeOutput(value) {
+  return {
+    spec: value.spec.trim(),
+    code: value.code.trim(),
+    componentName: value.componentName,
+    imports: value.imports.map(statement => statement.trim()),
+    warnings: value.warnings
+  };
+}
+
+function validateCode(code, componentName) {
+  const errors = [];
+
+  if (/```/.test(code)) {
+    errors.push('"code" must be plain source without markdown fences');
+  }
+  if (/^\s*import\s/m.test(code)) {
+    errors.push('"code" must not contain import statements - list them in "imports"');
+  }
+  if (/^\s*export\s/m.test(code)) {
+    errors.push('"code" must not contain export statements');
+  }
+
+  if (typeof componentName === 'string' && /^[A-Z][A-Za-z0-9]*$/.test(componentName)) {
+    const declaration = new RegExp(`(const|let|function)\\s+${componentName}\\b`);
+    if (!declaration.test(code)) {
+      errors.push(`"code" must declare the component "${componentName}" (const ${componentName} = ...)`);
+    }
+  }
+
+  const unbalanced = findUnbalancedBracket(code);
+  if (unbalanced) {
+    errors.push(`"code" has unbalanced brackets (${unbalanced}) - it looks truncated or malformed`);
+  }
+
+  return errors;
+}
+
+// Bracket check that skips string and template literal contents. A quote only
+// starts a string in expression position, so apostrophes in JSX text are ignored.
+function findUnbalancedBracket(code) {
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  const stack = [];
+  let quote = null;
+  let previous = '';
+
+  for (let i = 0; i < code.length; i++) {
+    const character = code[i];
+
+    if (quote) {
+      if (character === '\\') i++;
+      else if (character === quote) quote = null;
+      continue;
+    }
+
+    if ((character === '"' || character === "'" || character === '`') && startsString(previous, code, i)) {
+      quote = character;
+    } else if ('([{'.includes(character)) {
+      stack.push(character);
+    } else if (pairs[character]) {
+      if (stack.pop() !== pairs[character]) return `unexpected "${character}"`;
+    }
+
+    if (!/\s/.test(character)) previous = character;
+  }
+
+  if (quote) return `unterminated ${quote} string`;
+  return stack.length > 0 ? `unclosed "${stack[stack.length - 1]}"` : null;
+}
+
+function startsString(previous, code, index) {
+  if (previous === '' || '=(,:[{?!&|+;'.includes(previous)) return true;
+  return /\breturn\s*$/.test(code.slice(Math.max(0, index - 12), index));
+}
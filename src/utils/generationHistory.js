@@ -0,0 +1,315 @@
+/**
+ * Generation History
+ * @fileoverview Keeps every generation per Figma file and node in IndexedDB so
+ * earlier results can be compared side by side and restored. Falls back to an
+ * in-memory store (this session only) when IndexedDB is unavailable.
+ *
+ * Record format:
+ * {
+ *   id, fileId, nodeId, nodeName, createdAt,
+ *   inputs: {
+ *     mode, library, nodeIds, responsive,
+ *     nodes,               // Figma node data the generation read (one per frame)
+ *     options: { componentKeyMap, registry, responsiveStyleMode, llm: { provider, model } }
+ *   },
+ *   rawOutput,             // model or compiler output as shown in the code pane
+ *   spec,                  // design specification, when the model wrote one
+ *   code,                  // code after positioning, exact value and accessibility passes
+ *   componentDetection, componentProperties,
+ *   accessibilityScore, accessibilityReport,
+ *   comparisonScore,       // overall accuracy from Compare Visuals, null until compared
+ *   fileVersion, fileLastModified,   // Figma file version the node was read from
+ *   designHash, designSnapshot       // normalized node (see designChangeDetector.js), null for responsive output
+ * }
+ */
+
+export const HISTORY_DB_NAME = 'figma-to-react';
+const HISTORY_DB_VERSION = 2;
+const HISTORY_STORE = 'generations';
+
+// Older generations of a node are dropped beyond this
+export const HISTORY_LIMIT_PER_NODE = 50;
+
+let databasePromise = null;
+const memoryStore = new Map();
+
+/**
+ * Build a history record for a finished generation
+ * @param {Object} fields - See the record format above
+ * @returns {Object} Record with id and createdAt
+ */
+export function createGenerationRecord({
+  fileId,
+  nodeId,
+  nodeName = null,
+  inputs = {},
+  rawOutput = '',
+  spec = null,
+  code,
+  componentDetection = null,
+  componentProperties = null,
+  accessibilityReport = null,
+  comparisonScore = null,
+  fileVersion = null,
+  fileLastModified = null,
+  designHash = null,
+  designSnapshot = null
+}) {
+  const createdAt = Date.now();
+
+  return {
+    id: `${createdAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    fileId: String(fileId || ''),
+    nodeId: String(nodeId || ''),
+    nodeName,
+    createdAt,
+    inputs,
+    rawOutput: rawOutput || '',
+    spec,
+    code,
+    componentDetection,
+    componentProperties,
+    accessibilityScore: accessibilityReport?.score ?? null,
+    accessibilityReport,
+    comparisonScore,
+    fileVersion,
+    fileLastModified,
+    designHash,
+    designSnapshot
+  };
+}
+
+/**
+ * Store a generation and drop the oldest ones of its node beyond the limit
+ * @param {Object} record - Record from createGenerationRecord
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveGeneration(record) {
+  const database = await openDatabase();
+
+  if (database) {
+    await runRequest(database, 'readwrite', store => store.put(record));
+  } else {
+    memoryStore.set(record.id, record);
+  }
+
+  const history = await listGenerations(record.fileId, record.nodeId);
+  await Promise.all(history.slice(HISTORY_LIMIT_PER_NODE).map(old => deleteGeneration(old.id)));
+
+  return record;
+}
+
+/**
+ * Generations of one node, newest first
+ * @param {string} fileId - Figma file key
+ * @param {string} nodeId - Figma node id
+ * @returns {Promise<Array>} Records
+ */
+export async function listGenerations(fileId, nodeId) {
+  const database = await openDatabase();
+  const key = [String(fileId || ''), String(nodeId || '')];
+
+  const records = database
+    ? await runRequest(database, 'readonly', store => store.index('byNode').getAll(key))
+    : [...memoryStore.values()].filter(record => record.fileId === key[0] && record.nodeId === key[1]);
+
+  return records.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Generations of every node in a file, newest first
+ * @param {string} fileId - Figma file key
+ * @returns {Promise<Array>} Records
+ */
+export async function listFileGenerations(fileId) {
+  const database = await openDatabase();
+  const key = String(fileId || '');
+
+  const records = database
+    ? await runRequest(database, 'readonly', store => store.index('byFile').getAll(key))
+    : [...memoryStore.values()].filter(record => record.fileId === key);
+
+  return records.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Keep only the newest generation of each node
+ * @param {Array<Object>} records - Records sorted newest first
+ * @returns {Array<Object>}
+ */
+export function latestGenerationPerNode(records) {
+  const seen = new Set();
+  return records.filter(record => {
+    if (seen.has(record.nodeId)) return false;
+    seen.add(record.nodeId);
+    return true;
+  });
+}
+
+/**
+ * Merge fields into a stored generation, e.g. the comparison score once it is known
+ * @param {string} id - Record id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated record, or null when it no longer exists
+ */
+export async function updateGeneration(id, changes) {
+  const database = await openDatabase();
+  const current = database
+    ? await runRequest(database, 'readonly', store => store.get(id))
+    : memoryStore.get(id);
+
+  if (!current) {
+    return null;
+  }
+
+  const updated = { ...current, ...changes, id };
+  if (database) {
+    await runRequest(database, 'readwrite', store => store.put(updated));
+  } else {
+    memoryStore.set(id, updated);
+  }
+  return updated;
+}
+
+/**
+ * Remove one generation
+ * @param {string} id - Record id
+ * @returns {Promise<void>}
+ */
+export async function deleteGeneration(id) {
+  const database = await openDatabase();
+
+  if (database) {
+    await runRequest(database, 'readwrite', store => store.delete(id));
+  } else {
+    memoryStore.delete(id);
+  }
+}
+
+/**
+ * Line diff of two generations, laid out for a side-by-side view
+ *
+ * Removed and added lines next to each other are paired into 'changed' rows.
+ *
+ * @param {string} before - Older code (left column)
+ * @param {string} after - Newer code (right column)
+ * @returns {Object} { rows: [{ type: 'same'|'changed'|'removed'|'added', left, right, leftLine, rightLine }], added, removed }
+ *
+ * @example
+ * diffGenerations('a\nb', 'a\nc').rows
+ * // [{ type: 'same', left: 'a', right: 'a', ... }, { type: 'changed', left: 'b', right: 'c', ... }]
+ */
+export function diffGenerations(before = '', after = '') {
+  const edits = diffLines(splitLines(before), splitLines(after));
+  const rows = [];
+  let added = 0;
+  let removed = 0;
+  let index = 0;
+
+  while (index < edits.length) {
+    if (edits[index].type === 'same') {
+      const edit = edits[index++];
+      rows.push({ type: 'same', left: edit.left, right: edit.right, leftLine: edit.leftLine, rightLine: edit.rightLine });
+      continue;
+    }
+
+    // Collect a run of removals and additions, then pair them up line by line
+    const removals = [];
+    const additions = [];
+    while (index < edits.length && edits[index].type !== 'same') {
+      (edits[index].type === 'removed' ? removals : additions).push(edits[index]);
+      index++;
+    }
+    removed += removals.length;
+    added += additions.length;
+
+    for (let pair = 0; pair < Math.max(removals.length, additions.length); pair++) {
+      const left = removals[pair];
+      const right = additions[pair];
+      rows.push({
+        type: left && right ? 'changed' : left ? 'removed' : 'added',
+        left: left ? left.left : null,
+        right: right ? right.right : null,
+        leftLine: left ? left.leftLine : null,
+        rightLine: right ? right.rightLine : null
+      });
+    }
+  }
+
+  return { rows, added, removed };
+}
+
+function splitLines(text) {
+  return text ? text.replace(/\r\n/g, '\n').split('\n') : [];
+}
+
+// Longest common subsequence over lines; generated components are a few hundred lines at most
+function diffLines(left, right) {
+  const lengths = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lengths[i][j] = left[i] === right[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      edits.push({ type: 'same', left: left[i], right: right[j], leftLine: i + 1, rightLine: j + 1 });
+      i++;
+      j++;
+    } else if (j >= right.length || (i < left.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      edits.push({ type: 'removed', left: left[i], leftLine: i + 1 });
+      i++;
+    } else {
+      edits.push({ type: 'added', right: right[j], rightLine: j + 1 });
+      j++;
+    }
+  }
+  return edits;
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const store = event.oldVersion < 1
+          ? request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' })
+          : request.transaction.objectStore(HISTORY_STORE);
+        if (event.oldVersion < 1) {
+          store.createIndex('byNode', ['fileId', 'nodeId']);
+        }
+        if (event.oldVersion < 2) {
+          store.createIndex('byFile', 'fileId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('IndexedDB unavailable, keeping generation history for this session only:', error);
+      return null;
+    });
+  }
+  return databasePromise;
+}
+
+// Run one request in its own transaction and resolve with its result
+function runRequest(database, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(HISTORY_STORE, mode);
+    const request = makeRequest(transaction.objectStore(HISTORY_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
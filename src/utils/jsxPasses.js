@@ -0,0 +1,701 @@
+/**
+ * JSX Passes
+ * @fileoverview The post-processing passes, run with runJSXPasses (jsxTransform):
+ * - rootPositioningPass: the root sits in the page flow instead of at absolute offsets
+ * - exactValuesPass: pixel sizes and offsets match the Figma boxes
+ * - semanticElementsPass: the root div becomes a button, article, nav, section or input
+ * - ariaPass: ARIA attributes, alt text and keyboard access
+ * - designTokensPass: literal style values that match a design token reference it
+ * - tailwindPass: static inline styles and hover/focus state styles become Tailwind classes
+ * - previewDefaultsPass: undefined references get placeholder values in the live preview
+ *
+ * Context keys: figmaNode (positioning, exact values, semantic, ARIA),
+ * componentDetection (semantic, ARIA), tokenEntries (design tokens, Tailwind; see
+ * tokenMatcher) and tokenFormat (design tokens).
+ */
+
+import { packages } from '@babel/standalone';
+import { FIGMA_ID_ATTRIBUTE } from './layerDiff';
+import { inlineStylesToTailwind } from './styleConverter';
+import { matchStyleValue, formatTokenReference, describeDifference, cssValue } from './tokenMatcher';
+import {
+  findRootElement,
+  findElements,
+  getTagName,
+  getAttribute,
+  getAttributeValue,
+  getStyleObject,
+  getStyleProperty,
+  getStaticStyle,
+  getKeyName,
+  getPixelValue,
+  isLiteral,
+  formatValue,
+  updateStyle,
+  setAttribute,
+  renameElement,
+  getStaticText,
+  describeElement,
+  getIndent
+} from './jsxTransform';
+
+const traverse = packages.traverse.default;
+
+const ROOT_OFFSET_KEYS = ['left', 'top', 'right', 'bottom', 'inset', 'transform'];
+const INTERACTIVE_TAGS = ['a', 'button', 'input', 'select', 'textarea'];
+
+// Keeps the input's label for screen readers without showing it
+const VISUALLY_HIDDEN = "{ position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap' }";
+
+// Placeholders for references the preview cannot resolve
+const STYLE_DEFAULTS = {
+  width: '200px',
+  height: '100px',
+  backgroundColor: '#f0f0f0',
+  color: '#000000',
+  border: '1px solid #ccc',
+  padding: '10px',
+  margin: '10px',
+  fontSize: '16px'
+};
+
+const TEMPLATE_DEFAULTS = {
+  text: 'Sample Text',
+  width: '200',
+  height: '100',
+  backgroundColor: '#f0f0f0',
+  borderColor: '#000000',
+  borderWidth: '1',
+  color: '#000000',
+  fontSize: '16',
+  padding: '10'
+};
+
+const PREVIEW_GLOBALS = new Set(['React', 'window', 'document', 'console', 'props']);
+
+// State names whose styles have a Tailwind variant: isHovered → hover:, isPressed → active:
+const STATE_VARIANTS = [['hover', /hover/i], ['focus', /focus/i], ['active', /active|press/i]];
+
+// Handlers removed with a state hook when all they do is set it
+const STATE_HANDLERS = [
+  'onMouseEnter', 'onMouseLeave', 'onMouseOver', 'onMouseOut', 'onMouseDown', 'onMouseUp',
+  'onPointerEnter', 'onPointerLeave', 'onPointerDown', 'onPointerUp', 'onFocus', 'onBlur'
+];
+
+/**
+ * Drop the root's absolute offsets so the component sits where it is placed,
+ * and make it the positioning context for its absolutely placed children.
+ */
+export const rootPositioningPass = {
+  name: 'root-positioning',
+  run({ ast, code, context, edit, report }) {
+    const root = findRootElement(ast, context.figmaNode?.id);
+    if (!root) return;
+
+    const opening = root.node.openingElement;
+    const style = getStyleObject(opening);
+    if (!style && getAttribute(opening, 'style')) return;
+
+    const updates = {};
+    const removed = ROOT_OFFSET_KEYS.filter(key => getStyleProperty(style, key));
+    removed.forEach(key => {
+      updates[key] = null;
+    });
+
+    const position = getStyleProperty(style, 'position');
+    const setsPosition = !position || (isLiteral(position.value) && !['relative', 'sticky'].includes(position.value.value));
+    if (setsPosition) {
+      updates.position = formatValue('relative');
+    }
+
+    if (removed.length === 0 && !setsPosition) return;
+
+    updateStyle(edit, code, opening, updates);
+
+    const parts = [];
+    if (removed.length > 0) parts.push(`removed ${removed.join(', ')}`);
+    if (setsPosition) parts.push('position: relative');
+    report(`Root ${describeElement(root.node)}: ${parts.join('; ')}`);
+  }
+};
+
+/**
+ * Put the exact Figma sizes back: width and height of the root, and width,
+ * height, left and top of absolutely placed elements tagged with data-figma-id.
+ * Only fixed pixel values are changed; values that depend on props are kept.
+ */
+export const exactValuesPass = {
+  name: 'exact-values',
+  run({ ast, code, context, edit, report }) {
+    const { figmaNode } = context;
+    if (!figmaNode?.absoluteBoundingBox) return;
+
+    const layers = indexFigmaBoxes(figmaNode);
+    const root = findRootElement(ast, figmaNode.id);
+
+    findElements(ast).forEach(path => {
+      const opening = path.node.openingElement;
+      const isRoot = path.node === root?.node;
+      const layer = isRoot ? layers.get(figmaNode.id) : layers.get(getAttributeValue(opening, FIGMA_ID_ATTRIBUTE));
+      const style = getStyleObject(opening);
+      if (!layer || !style) return;
+
+      const keys = ['width', 'height'];
+      if (!isRoot && getStaticStyle(style).position === 'absolute') {
+        keys.push('left', 'top');
+      }
+
+      const updates = {};
+      const corrections = [];
+
+      keys.forEach(key => {
+        const property = getStyleProperty(style, key);
+        const current = property ? getPixelValue(property.value) : null;
+        const expected = round(layer[key]);
+        if (current === null || Math.abs(current - expected) < 0.01) return;
+
+        updates[key] = property.value.type === 'NumericLiteral' ? String(expected) : formatValue(`${expected}px`);
+        corrections.push(`${key} ${current}px → ${expected}px`);
+      });
+
+      if (corrections.length > 0) {
+        updateStyle(edit, code, opening, updates);
+        report(`${layer.name}: ${corrections.join(', ')}`);
+      }
+    });
+  }
+};
+
+/**
+ * Swap generic divs for the element the detected component type calls for
+ */
+export const semanticElementsPass = {
+  name: 'semantic-elements',
+  run({ ast, code, context, edit, report }) {
+    const { componentDetection, figmaNode = {} } = context;
+    const componentType = componentDetection?.componentType;
+    const root = findRootElement(ast, figmaNode.id);
+    if (!root) return;
+
+    const rootIsDiv = getTagName(root.node) === 'div';
+    const swapRoot = (tagName, attributes) => {
+      renameElement(edit, root.node, tagName);
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (!getAttribute(root.node.openingElement, name)) {
+          setAttribute(edit, root.node.openingElement, name, value);
+        }
+      });
+      report(`Root <div> → <${tagName}>`);
+    };
+
+    switch (componentType) {
+      case 'button': {
+        const style = getStaticStyle(getStyleObject(root.node.openingElement));
+        const hasButtonStyling = 'cursor' in style || 'backgroundColor' in style || Object.keys(style).some(key => key.startsWith('border'));
+        if (rootIsDiv && (hasButtonStyling || hasText(root))) {
+          swapRoot('button', { type: '"button"' });
+        }
+        break;
+      }
+
+      case 'input': {
+        const field = findElements(ast).find(path => getTagName(path.node) === 'div' && getStaticText(path.node) !== null);
+        if (field) {
+          edit.replace(field.node, buildInputField(field.node, code, figmaNode));
+          report(`${describeElement(field.node)} → labelled <input>`);
+        }
+        break;
+      }
+
+      case 'card': {
+        if (rootIsDiv) swapRoot('article', { role: '"article"' });
+        promoteHeading(ast, root, code, edit, report, extractHeadingText(figmaNode));
+        break;
+      }
+
+      case 'navigation':
+        if (rootIsDiv) swapRoot('nav', { role: '"navigation"' });
+        break;
+
+      default: {
+        const name = figmaNode.name?.toLowerCase() || '';
+        if (rootIsDiv && (name.includes('section') || name.includes('container'))) {
+          swapRoot('section', { role: '"region"' });
+        }
+        break;
+      }
+    }
+  }
+};
+
+/**
+ * Add the ARIA attributes, alt text and keyboard access the component type needs
+ */
+export const ariaPass = {
+  name: 'aria',
+  run({ ast, edit, report, context }) {
+    const { componentDetection, figmaNode = {} } = context;
+    const componentType = componentDetection?.componentType;
+    const elements = findElements(ast);
+    const byTag = (tagName) => elements.filter(path => getTagName(path.node) === tagName);
+    const addMissing = (path, name, value) => {
+      const opening = path.node.openingElement;
+      if (getAttribute(opening, name)) return;
+      setAttribute(edit, opening, name, value);
+      report(`${describeElement(path.node)}: added ${name}`);
+    };
+
+    switch (componentType) {
+      case 'button': {
+        const buttons = byTag('button');
+        buttons.forEach(path => addMissing(path, 'type', '"button"'));
+
+        const buttonText = extractButtonText(figmaNode);
+        if (buttons.length > 0 && (!buttonText || buttonText.length < 2)) {
+          addMissing(buttons[0], 'aria-label', `"${escapeAttribute(inferButtonLabel(figmaNode.name))}"`);
+        }
+        break;
+      }
+
+      case 'input': {
+        const [input] = byTag('input');
+        const name = figmaNode.name?.toLowerCase() || '';
+        if (input && (name.includes('required') || name.includes('mandatory'))) {
+          addMissing(input, 'aria-required', '"true"');
+        }
+        if (input && (name.includes('error') || name.includes('invalid'))) {
+          addMissing(input, 'aria-invalid', '"true"');
+        }
+        break;
+      }
+
+      case 'avatar':
+      case 'image':
+        byTag('img').forEach(path => addMissing(path, 'alt', `"${escapeAttribute(generateAltText(figmaNode))}"`));
+        break;
+
+      case 'navigation':
+        byTag('nav').forEach(path => addMissing(path, 'aria-label', '"Main navigation"'));
+        break;
+
+      default:
+        break;
+    }
+
+    // Clickable elements that are not buttons or links need to be reachable by keyboard
+    if (componentType === 'button' || componentType === 'navigation') {
+      elements.forEach(path => {
+        const tagName = getTagName(path.node);
+        const style = getStaticStyle(getStyleObject(path.node.openingElement));
+        if (style.cursor !== 'pointer' || INTERACTIVE_TAGS.includes(tagName) || !/^[a-z]/.test(tagName)) return;
+
+        addMissing(path, 'role', '"button"');
+        addMissing(path, 'tabIndex', '{0}');
+      });
+    }
+  }
+};
+
+/**
+ * Reference design tokens instead of literal values: '#44b24f' becomes
+ * 'var(--color-brand-primary)' or theme.colors.brandPrimary (tokenFormat 'css-var'
+ * or 'theme'). Values within ΔE 2 or 1px of a token are reported as kind 'near-miss'
+ * and left alone. With tokenFormat 'tailwind' only the near misses are reported;
+ * tailwindPass turns the exact matches into theme classes.
+ */
+export const designTokensPass = {
+  name: 'design-tokens',
+  run({ ast, code, context, edit, report }) {
+    const { tokenEntries = [], tokenFormat = 'css-var' } = context;
+    if (tokenEntries.length === 0) return;
+
+    findElements(ast).forEach(path => {
+      const opening = path.node.openingElement;
+      const updates = {};
+      const replaced = [];
+
+      Object.entries(getStaticStyle(getStyleObject(opening))).forEach(([key, value]) => {
+        const match = matchStyleValue(tokenEntries, key, value);
+        if (!match) return;
+
+        if (!match.exact) {
+          report(
+            `${describeElement(path.node)}: ${key} ${value} is ${describeDifference(match)} from --${match.token.name} (${cssValue(match.token)}), left as is`,
+            { kind: 'near-miss', property: key, value, token: match.token.name, difference: match.difference }
+          );
+        } else if (tokenFormat !== 'tailwind') {
+          updates[key] = formatTokenReference(match.token, tokenFormat);
+          replaced.push(`${key} → ${updates[key].replace(/^'|'$/g, '')}`);
+        }
+      });
+
+      if (replaced.length > 0) {
+        updateStyle(edit, code, opening, updates);
+        report(`${describeElement(path.node)}: ${replaced.join(', ')}`, { kind: 'token' });
+      }
+    });
+  }
+};
+
+/**
+ * Move static inline styles into Tailwind classes on the project's theme scale,
+ * merged into any existing className. Styles Tailwind has no class for, and values
+ * that depend on props, stay in the style object. Values equal to a design token in
+ * tokenEntries get its theme class (bg-brand-primary).
+ *
+ * Values switched by hover, focus or press state (isHovered ? a : b) become hover:,
+ * focus: and active: classes; a useState hook left with no other use goes, together
+ * with the handlers that only set it.
+ */
+export const tailwindPass = {
+  name: 'tailwind',
+  run({ ast, code, context, edit, report }) {
+    const convertedTests = new Set();
+    const stateHooks = new Map();
+
+    findElements(ast).forEach(path => {
+      const opening = path.node.openingElement;
+      const style = getStyleObject(opening);
+      const staticStyle = getStaticStyle(style);
+      const states = getStateStyles(style, path.scope, context.tokenEntries);
+      if (Object.keys(staticStyle).length === 0 && states.length === 0) return;
+
+      const existingClass = getAttribute(opening, 'className');
+      if (existingClass && !existingClass.value) return;
+
+      const base = inlineStylesToTailwind(
+        { ...staticStyle, ...Object.fromEntries(states.map(state => [state.key, state.base])) },
+        { tokens: context.tokenEntries }
+      );
+      const stateClasses = states.map(state =>
+        inlineStylesToTailwind({ [state.key]: state.value }, { state: state.variant, tokens: context.tokenEntries }).className);
+      const className = [base.className, ...stateClasses].filter(Boolean).join(' ');
+      const converted = [...Object.keys(staticStyle), ...states.map(state => state.key)]
+        .filter(key => !(key in base.remainingStyles));
+      if (!className || converted.length === 0) return;
+
+      const styleAttribute = getAttribute(opening, 'style');
+      const keepsStyle = style.properties.some(property => !converted.includes(getKeyName(property)));
+
+      if (existingClass) {
+        edit.replace(existingClass.value, mergeClassName(code, existingClass.value, className));
+      }
+
+      if (!existingClass && !keepsStyle) {
+        edit.replace(styleAttribute, `className="${className}"`);
+      } else {
+        if (!existingClass) {
+          // Same spacing as the style attribute, so one-attribute-per-line code stays that way
+          const index = opening.attributes.indexOf(styleAttribute);
+          const previousEnd = index > 0 ? opening.attributes[index - 1].end : opening.name.end;
+          edit.insert(styleAttribute.start, `className="${className}"${code.slice(previousEnd, styleAttribute.start)}`);
+        }
+        updateStyle(edit, code, opening, Object.fromEntries(converted.map(key => [key, null])));
+      }
+
+      states.forEach(state => {
+        convertedTests.add(state.test);
+        stateHooks.set(state.binding, state.variant);
+      });
+      report(`${describeElement(path.node)}: ${converted.length} style${converted.length === 1 ? '' : 's'} → ${className}`);
+    });
+
+    stateHooks.forEach((variant, binding) => {
+      if (removeStateHook(binding, convertedTests, code, edit)) {
+        report(`${binding.identifier.name} state removed, ${variant}: classes replace it`);
+      }
+    });
+  }
+};
+
+/**
+ * Give references the preview cannot resolve a placeholder value: {text},
+ * style values like color: primary, and ${width} in template literals.
+ * Bound names, globals and anything more complex are left alone.
+ */
+export const previewDefaultsPass = {
+  name: 'preview-defaults',
+  run({ ast, edit, report }) {
+    traverse(ast, {
+      Identifier(path) {
+        const { name } = path.node;
+        if (!path.isReferencedIdentifier() || path.scope.hasBinding(name) || PREVIEW_GLOBALS.has(name)) return;
+
+        let value = null;
+        if (path.parentPath.isJSXExpressionContainer()) {
+          // An undefined handler would throw on click, a string would make React warn
+          const attribute = path.parentPath.parentPath.isJSXAttribute() ? path.parentPath.parent.name.name : '';
+          if (/^on[A-Z]/.test(attribute)) {
+            edit.replace(path.node, '() => {}');
+            report(`${name} → no-op handler`);
+            return;
+          }
+          value = STYLE_DEFAULTS[name] || name;
+        } else if (path.parentPath.isObjectProperty({ value: path.node, shorthand: false }) && isInStyle(path)) {
+          value = STYLE_DEFAULTS[getKeyName(path.parent)] || name;
+        } else if (path.parentPath.isTemplateLiteral()) {
+          value = TEMPLATE_DEFAULTS[name] || 'default';
+        }
+
+        if (value !== null) {
+          edit.replace(path.node, formatValue(value));
+          report(`${name} → '${value}'`);
+        }
+      }
+    });
+  }
+};
+
+// Style values switched by a hover, focus or press useState flag that convert on both
+// sides: [{ key, variant, value, base, test, binding }]
+function getStateStyles(style, scope, tokens) {
+  return (style?.properties || []).flatMap(property => {
+    const key = getKeyName(property);
+    const value = property.value;
+    if (!key || value.type !== 'ConditionalExpression' || !isLiteral(value.consequent) || !isLiteral(value.alternate)) return [];
+
+    const negated = value.test.type === 'UnaryExpression' && value.test.operator === '!';
+    const test = negated ? value.test.argument : value.test;
+    const variant = test.type === 'Identifier' && STATE_VARIANTS.find(([, pattern]) => pattern.test(test.name));
+    const binding = variant && scope.getBinding(test.name);
+    if (!binding || !isStateHook(binding)) return [];
+
+    const [on, off] = negated ? [value.alternate, value.consequent] : [value.consequent, value.alternate];
+    const converts = (values, options = {}) =>
+      Object.keys(inlineStylesToTailwind(values, { ...options, tokens }).remainingStyles).length === 0;
+    if (!converts({ [key]: off.value }) || !converts({ [key]: on.value }, { state: variant[0] })) return [];
+
+    return [{ key, variant: variant[0], value: on.value, base: off.value, test, binding }];
+  });
+}
+
+// const [isHovered, setIsHovered] = useState(false)
+function isStateHook(binding) {
+  const declarator = binding.path.node;
+  if (binding.path.type !== 'VariableDeclarator' || declarator.id.type !== 'ArrayPattern') return false;
+  if (declarator.id.elements[0] !== binding.identifier || declarator.init?.type !== 'CallExpression') return false;
+
+  const callee = declarator.init.callee;
+  return (callee.type === 'Identifier' && callee.name === 'useState')
+    || (callee.type === 'MemberExpression' && callee.property.name === 'useState');
+}
+
+// Remove a state hook whose uses all became classes, and the handlers that only set it
+function removeStateHook(binding, convertedTests, code, edit) {
+  if (!binding.referencePaths.every(reference => convertedTests.has(reference.node))) return false;
+
+  const declaration = binding.path.parentPath;
+  if (declaration.node.declarations.length !== 1) return false;
+
+  const setterName = binding.path.node.id.elements[1]?.name;
+  const setter = setterName ? binding.path.scope.getBinding(setterName) : null;
+  const handlers = setter ? setter.referencePaths.map(findStateHandler) : [];
+  if (handlers.some(handler => !handler)) return false;
+
+  handlers.forEach(({ attribute, opening }) => {
+    const index = opening.attributes.indexOf(attribute);
+    const previousEnd = index > 0 ? opening.attributes[index - 1].end : opening.name.end;
+    edit.replace({ start: previousEnd, end: attribute.end }, '');
+  });
+
+  const { start, end } = declaration.node;
+  const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+  const ownsLine = code.slice(lineStart, start).trim() === '' && code[end] === '\n';
+  edit.replace(ownsLine ? { start: lineStart, end: end + 1 } : declaration.node, '');
+  return true;
+}
+
+// onMouseEnter={() => setIsHovered(true)} for a setter reference, or null when the
+// setter is used any other way
+function findStateHandler(reference) {
+  const call = reference.parentPath;
+  if (call.type !== 'CallExpression' || call.node.callee !== reference.node) return null;
+
+  let handler = call.parentPath;
+  if (handler.type === 'ExpressionStatement' && handler.parent.type === 'BlockStatement' && handler.parent.body.length === 1) {
+    handler = handler.parentPath.parentPath;
+  }
+  if (handler.type !== 'ArrowFunctionExpression' && handler.type !== 'FunctionExpression') return null;
+
+  const attribute = handler.parentPath.parentPath;
+  if (handler.parent.type !== 'JSXExpressionContainer' || attribute.type !== 'JSXAttribute') return null;
+  if (!STATE_HANDLERS.includes(attribute.node.name.name)) return null;
+  return { attribute: attribute.node, opening: attribute.parent };
+}
+
+// New className value: classes added to a string without repeats, appended to a
+// template literal, or an expression wrapped in one
+function mergeClassName(code, value, className) {
+  const expression = value.type === 'JSXExpressionContainer' ? value.expression : value;
+
+  if (expression.type === 'StringLiteral') {
+    const classes = new Set([...expression.value.split(/\s+/), ...className.split(' ')].filter(Boolean));
+    return `"${[...classes].join(' ')}"`;
+  }
+
+  if (expression.type === 'TemplateLiteral') {
+    const lastQuasi = expression.quasis[expression.quasis.length - 1];
+    const raw = lastQuasi.value.raw;
+    const separator = /\s$/.test(raw) || (expression.quasis.length === 1 && raw === '') ? '' : ' ';
+    return `${code.slice(value.start, expression.end - 1)}${separator}${className}${code.slice(expression.end - 1, value.end)}`;
+  }
+
+  return `{\`\${${code.slice(expression.start, expression.end)}} ${className}\`}`;
+}
+
+/**
+ * Figma boxes by node id, offsets relative to the parent node
+ */
+function indexFigmaBoxes(figmaNode) {
+  const layers = new Map();
+
+  const visit = (node, parentBox) => {
+    const box = node.absoluteBoundingBox;
+    if (box && node.id) {
+      layers.set(node.id, {
+        name: node.name || node.id,
+        width: box.width,
+        height: box.height,
+        left: parentBox ? box.x - parentBox.x : 0,
+        top: parentBox ? box.y - parentBox.y : 0
+      });
+    }
+    (node.children || []).forEach(child => visit(child, box || parentBox));
+  };
+
+  visit(figmaNode, null);
+  return layers;
+}
+
+function buildInputField(element, code, figmaNode) {
+  const opening = element.openingElement;
+  const placeholder = getStaticText(element);
+  const componentName = figmaNode.name?.toLowerCase().replace(/[^a-z0-9]/g, '') || 'input';
+  const inputId = `input-${componentName}`;
+  const indent = getIndent(code, element.start);
+  const inputAttributes = [
+    `id="${inputId}"`,
+    `type="${determineInputType(figmaNode, placeholder)}"`,
+    `placeholder="${escapeAttribute(placeholder || '')}"`,
+    ...opening.attributes.map(attribute => code.slice(attribute.start, attribute.end)),
+    `aria-describedby="${inputId}-helper"`
+  ];
+
+  return [
+    '<>',
+    `${indent}  <label htmlFor="${inputId}" style={${VISUALLY_HIDDEN}}>${escapeJSXText(placeholder || 'Input field')}</label>`,
+    `${indent}  <input ${inputAttributes.join(' ')} />`,
+    `${indent}  <span id="${inputId}-helper" style={${VISUALLY_HIDDEN}}>${escapeJSXText(`Enter your ${placeholder || 'value'}`)}</span>`,
+    `${indent}</>`
+  ].join('\n');
+}
+
+// A card's short title text becomes its heading; margin: 0 undoes the h2 default margins
+function promoteHeading(ast, root, code, edit, report, headingText) {
+  if (!headingText) return;
+
+  const heading = findElements(ast).find(path =>
+    path.node !== root.node &&
+    ['div', 'span', 'p'].includes(getTagName(path.node)) &&
+    getStaticText(path.node) === headingText.trim()
+  );
+  if (!heading) return;
+
+  renameElement(edit, heading.node, 'h2');
+  if (!getStyleProperty(getStyleObject(heading.node.openingElement), 'margin')) {
+    updateStyle(edit, code, heading.node.openingElement, { margin: '0' });
+  }
+  report(`${describeElement(heading.node)} "${headingText.trim()}" → <h2>`);
+}
+
+function hasText(path) {
+  let found = false;
+  path.traverse({
+    JSXText(textPath) {
+      if (textPath.node.value.trim()) {
+        found = true;
+        textPath.stop();
+      }
+    }
+  });
+  return found;
+}
+
+function isInStyle(path) {
+  const attribute = path.findParent(parent => parent.isJSXAttribute());
+  return attribute?.node.name.name === 'style';
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// Text with JSX syntax characters is printed as a string expression
+function escapeJSXText(text) {
+  return /[{}<>]/.test(text) ? `{${JSON.stringify(text)}}` : text;
+}
+
+function round(value) {
+  return Number(Number(value).toFixed(2));
+}
+
+function extractButtonText(figmaNode) {
+  if (figmaNode.characters) {
+    return figmaNode.characters;
+  }
+
+  const textChild = figmaNode.children?.find(child => child.type === 'TEXT' && child.characters);
+  return textChild ? textChild.characters : null;
+}
+
+function inferButtonLabel(nodeName) {
+  const name = nodeName?.toLowerCase() || '';
+
+  if (name.includes('close')) return 'Close';
+  if (name.includes('submit')) return 'Submit form';
+  if (name.includes('cancel')) return 'Cancel';
+  if (name.includes('save')) return 'Save';
+  if (name.includes('delete')) return 'Delete';
+  if (name.includes('edit')) return 'Edit';
+  if (name.includes('add')) return 'Add';
+  if (name.includes('remove')) return 'Remove';
+
+  return 'Button';
+}
+
+function extractHeadingText(figmaNode) {
+  if (figmaNode.characters && figmaNode.characters.length < 50) {
+    return figmaNode.characters;
+  }
+
+  const textChild = figmaNode.children?.find(child =>
+    child.type === 'TEXT' && child.characters && child.characters.length < 50
+  );
+  return textChild ? textChild.characters : null;
+}
+
+function generateAltText(figmaNode) {
+  const name = figmaNode.name?.toLowerCase() || '';
+
+  if (name.includes('avatar')) return 'User profile picture';
+  if (name.includes('logo')) return 'Company logo';
+  if (name.includes('icon')) return 'Icon';
+  if (name.includes('photo')) return 'Photo';
+
+  return 'Image';
+}
+
+function determineInputType(figmaNode, placeholder) {
+  const name = figmaNode.name?.toLowerCase() || '';
+  const placeholderLower = placeholder?.toLowerCase() || '';
+  const mentions = (word) => name.includes(word) || placeholderLower.includes(word);
+
+  if (mentions('email')) return 'email';
+  if (mentions('password')) return 'password';
+  if (mentions('phone')) return 'tel';
+  if (mentions('number')) return 'number';
+  if (mentions('search')) return 'search';
+  if (mentions('url')) return 'url';
+
+  return 'text';
+}
@@ -0,0 +1,411 @@
+/**
+ * JSX Transform
+ * @fileoverview Shared Babel-AST layer for post-processing generated JSX.
+ *
+ * A pass is { name, run({ ast, code, context, edit, report }) }. runJSXPasses
+ * parses the code once per pass, the pass finds what it wants on the AST and
+ * records text edits against the node offsets, and the edits are spliced into
+ * the source. Only the touched ranges change, so the rest of the code keeps
+ * its formatting, and every pass sees the previous pass's output.
+ *
+ * Passes call report(message) for each change, which is how callers learn what
+ * was rewritten; report(message, details) adds fields for callers that need more
+ * than the message (such as a `kind` to tell flags from edits). The helpers below cover the usual edits: style properties,
+ * attributes and tag names.
+ */
+
+import { packages } from '@babel/standalone';
+import { FIGMA_ID_ATTRIBUTE } from './layerDiff';
+
+const { parser } = packages;
+const traverse = packages.traverse.default;
+
+/**
+ * Parse component code (or a bare JSX expression)
+ * @param {string} code - Source code
+ * @returns {Object} Babel File node
+ * @throws {SyntaxError} When the code is not valid JSX
+ */
+export function parseJSX(code) {
+  return parser.parse(code, { sourceType: 'module', plugins: ['jsx'], errorRecovery: false });
+}
+
+/**
+ * Run passes over the code, one after the other
+ *
+ * @param {string} code - Component code
+ * @param {Array<Object>} passes - { name, run } objects (see jsxPasses)
+ * @param {Object} [context] - Shared inputs for the passes (figmaNode, componentDetection, ...)
+ * @returns {Object} { code, changes, errors } - changes are { pass, message, ...details }; a pass that
+ *   throws leaves the code as it was and adds { pass, message } to errors. Code that does
+ *   not parse is returned unchanged.
+ *
+ * @example
+ * const { code, changes } = runJSXPasses(source, [rootPositioningPass, exactValuesPass], { figmaNode });
+ * // changes: [{ pass: 'root-positioning', message: 'Root: removed left, top; position: relative' }, ...]
+ */
+export function runJSXPasses(code, passes, context = {}) {
+  let current = code;
+  const changes = [];
+  const errors = [];
+
+  if (!code) {
+    return { code, changes, errors };
+  }
+
+  for (const pass of passes) {
+    let ast;
+    try {
+      ast = parseJSX(current);
+    } catch (error) {
+      errors.push({ pass: pass.name, message: `Code could not be parsed: ${error.message}` });
+      break;
+    }
+
+    const edit = createEditor(current);
+    const passChanges = [];
+    const report = (message, details) => passChanges.push({ pass: pass.name, message, ...details });
+
+    try {
+      pass.run({ ast, code: current, context, edit, report });
+      current = edit.apply();
+      changes.push(...passChanges);
+    } catch (error) {
+      errors.push({ pass: pass.name, message: error.message });
+    }
+  }
+
+  return { code: current, changes, errors };
+}
+
+/**
+ * Find the component's root element
+ * @param {Object} ast - Babel File node
+ * @param {string} [figmaId] - Prefer the element tagged with this Figma node id
+ * @returns {Object|null} Babel path of the JSXElement
+ */
+export function findRootElement(ast, figmaId) {
+  let tagged = null;
+  let outermost = null;
+
+  traverse(ast, {
+    JSXElement(path) {
+      if (!outermost && !path.findParent(parent => parent.isJSXElement() || parent.isJSXFragment())) {
+        outermost = path;
+      }
+      if (figmaId && !tagged && getAttributeValue(path.node.openingElement, FIGMA_ID_ATTRIBUTE) === figmaId) {
+        tagged = path;
+        path.stop();
+      }
+    }
+  });
+
+  return tagged || outermost;
+}
+
+/**
+ * Collect every JSX element
+ * @param {Object} ast - Babel File node
+ * @returns {Array<Object>} Babel paths of the JSXElements in source order
+ */
+export function findElements(ast) {
+  const elements = [];
+  traverse(ast, {
+    JSXElement(path) {
+      elements.push(path);
+    }
+  });
+  return elements;
+}
+
+/**
+ * @param {Object} element - JSXElement or JSXOpeningElement node
+ * @returns {string} Tag name ('div', 'Button', 'motion.div')
+ */
+export function getTagName(element) {
+  const opening = element.openingElement || element;
+  return getNameText(opening.name);
+}
+
+/**
+ * @param {Object} opening - JSXOpeningElement node
+ * @param {string} name - Attribute name
+ * @returns {Object|undefined} The JSXAttribute node
+ */
+export function getAttribute(opening, name) {
+  return opening.attributes.find(attribute => attribute.type === 'JSXAttribute' && getNameText(attribute.name) === name);
+}
+
+/**
+ * Static value of an attribute: name="x" or name={'x'}
+ * @param {Object} opening - JSXOpeningElement node
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+export function getAttributeValue(opening, name) {
+  const attribute = getAttribute(opening, name);
+  if (!attribute || !attribute.value) return null;
+  if (attribute.value.type === 'StringLiteral') return attribute.value.value;
+  if (attribute.value.type === 'JSXExpressionContainer' && attribute.value.expression.type === 'StringLiteral') {
+    return attribute.value.expression.value;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} opening - JSXOpeningElement node
+ * @returns {Object|null} The style={{ ... }} ObjectExpression, or null when there is no
+ *   style or it is not an object literal
+ */
+export function getStyleObject(opening) {
+  const attribute = getAttribute(opening, 'style');
+  const expression = attribute?.value?.type === 'JSXExpressionContainer' ? attribute.value.expression : null;
+  return expression?.type === 'ObjectExpression' ? expression : null;
+}
+
+/**
+ * @param {Object} property - ObjectProperty node
+ * @returns {string|null} The key, or null for computed keys
+ */
+export function getKeyName(property) {
+  if (property.type !== 'ObjectProperty' || property.computed) return null;
+  return property.key.type === 'Identifier' ? property.key.name : property.key.value;
+}
+
+/**
+ * @param {Object} style - ObjectExpression from getStyleObject
+ * @param {string} key - Style key
+ * @returns {Object|undefined} The ObjectProperty node
+ */
+export function getStyleProperty(style, key) {
+  return style?.properties.find(property => getKeyName(property) === key);
+}
+
+/**
+ * Static values of a style object
+ * @param {Object} style - ObjectExpression from getStyleObject
+ * @returns {Object} { key: value } for string and number literals; keys whose value depends
+ *   on props, spreads and computed keys are left out
+ */
+export function getStaticStyle(style) {
+  const values = {};
+  (style?.properties || []).forEach(property => {
+    const key = getKeyName(property);
+    if (key && isLiteral(property.value)) {
+      values[key] = property.value.value;
+    }
+  });
+  return values;
+}
+
+/**
+ * @param {Object} node - Babel node
+ * @returns {boolean} Whether it is a string or number literal
+ */
+export function isLiteral(node) {
+  return node.type === 'StringLiteral' || node.type === 'NumericLiteral';
+}
+
+/**
+ * @param {Object} node - Babel node
+ * @returns {number|null} The pixel value of '16px' or 16, otherwise null
+ */
+export function getPixelValue(node) {
+  if (node.type === 'NumericLiteral') return node.value;
+  if (node.type !== 'StringLiteral') return null;
+  const match = node.value.trim().match(/^(-?\d*\.?\d+)px$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Source text for a style value
+ * @param {string|number} value - Value
+ * @returns {string} 600 or '16px'
+ */
+export function formatValue(value) {
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Set and remove style properties on an element in one edit
+ *
+ * Existing properties keep their place and source text; new ones are appended.
+ * A multi-line object stays one property per line. When no property is left the
+ * style attribute is removed.
+ *
+ * @param {Object} edit - Editor from runJSXPasses
+ * @param {string} code - The code the AST was parsed from
+ * @param {Object} opening - JSXOpeningElement node
+ * @param {Object} updates - { key: valueSource } - valueSource is the source text of the new
+ *   value (see formatValue); null removes the key
+ * @returns {boolean} false when the style is not an object literal and was left alone
+ */
+export function updateStyle(edit, code, opening, updates) {
+  const attribute = getAttribute(opening, 'style');
+  const style = getStyleObject(opening);
+
+  if (attribute && !style) return false;
+
+  const pending = { ...updates };
+  const entries = [];
+
+  (style?.properties || []).forEach(property => {
+    const key = getKeyName(property);
+    if (key && key in pending) {
+      if (pending[key] !== null) {
+        entries.push(`${code.slice(property.key.start, property.key.end)}: ${pending[key]}`);
+      }
+      delete pending[key];
+      return;
+    }
+    entries.push(code.slice(property.start, property.end));
+  });
+
+  Object.entries(pending).forEach(([key, value]) => {
+    if (value !== null) entries.push(`${key}: ${value}`);
+  });
+
+  if (!style) {
+    if (entries.length > 0) {
+      edit.insert(opening.name.end, ` style={{ ${entries.join(', ')} }}`);
+    }
+    return true;
+  }
+
+  if (entries.length === 0) {
+    edit.replace({ start: skipWhitespaceBack(code, attribute.start), end: attribute.end }, '');
+    return true;
+  }
+
+  const source = code.slice(style.start, style.end);
+  if (!source.includes('\n') || style.properties.length === 0) {
+    edit.replace(style, `{ ${entries.join(', ')} }`);
+    return true;
+  }
+
+  const indent = getIndent(code, style.properties[0].start);
+  const closingIndent = getIndent(code, style.end - 1);
+  edit.replace(style, `{\n${indent}${entries.join(`,\n${indent}`)}\n${closingIndent}}`);
+  return true;
+}
+
+/**
+ * Add an attribute, or replace its value when it exists
+ * @param {Object} edit - Editor from runJSXPasses
+ * @param {Object} opening - JSXOpeningElement node
+ * @param {string} name - Attribute name
+ * @param {string} valueSource - Source text of the value: '"button"' or '{0}'
+ */
+export function setAttribute(edit, opening, name, valueSource) {
+  const attribute = getAttribute(opening, name);
+  if (attribute) {
+    if (attribute.value) {
+      edit.replace(attribute.value, valueSource);
+    } else {
+      edit.insert(attribute.end, `=${valueSource}`);
+    }
+    return;
+  }
+
+  const last = opening.attributes[opening.attributes.length - 1];
+  edit.insert(last ? last.end : opening.name.end, ` ${name}=${valueSource}`);
+}
+
+/**
+ * Change an element's tag, on both the opening and closing tag
+ * @param {Object} edit - Editor from runJSXPasses
+ * @param {Object} element - JSXElement node
+ * @param {string} tagName - New tag
+ */
+export function renameElement(edit, element, tagName) {
+  edit.replace(element.openingElement.name, tagName);
+  if (element.closingElement) {
+    edit.replace(element.closingElement.name, tagName);
+  }
+}
+
+/**
+ * Static text content of an element (text children and string expressions)
+ * @param {Object} element - JSXElement node
+ * @returns {string|null} Trimmed text, or null when it has element or dynamic children
+ */
+export function getStaticText(element) {
+  let text = '';
+  for (const child of element.children) {
+    if (child.type === 'JSXText') {
+      text += child.value;
+    } else if (child.type === 'JSXExpressionContainer' && child.expression.type === 'StringLiteral') {
+      text += child.expression.value;
+    } else if (!(child.type === 'JSXExpressionContainer' && child.expression.type === 'JSXEmptyExpression')) {
+      return null;
+    }
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {Object} element - JSXElement node
+ * @returns {string} A short name for reports: the Figma id or the tag
+ */
+export function describeElement(element) {
+  const figmaId = getAttributeValue(element.openingElement, FIGMA_ID_ATTRIBUTE);
+  const tagName = getTagName(element);
+  return figmaId ? `<${tagName}> (${figmaId})` : `<${tagName}>`;
+}
+
+/**
+ * @param {string} code - Source code
+ * @param {number} position - Offset
+ * @returns {string} The whitespace that starts the offset's line
+ */
+export function getIndent(code, position) {
+  const lineStart = code.lastIndexOf('\n', position - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// Edits are collected while the pass looks at the AST and spliced in one go at the end
+function createEditor(code) {
+  const edits = [];
+
+  const add = (start, end, text) => {
+    edits.push({ start, end, text, order: edits.length });
+  };
+
+  return {
+    replace(node, text) {
+      add(node.start, node.end, text);
+    },
+    insert(position, text) {
+      add(position, position, text);
+    },
+    apply() {
+      // From the end so earlier offsets stay valid. At the same offset, wider edits go
+      // first and inserts keep the order they were made in. Overlapping edits are dropped.
+      const sorted = [...edits].sort((a, b) => b.start - a.start || b.end - a.end || b.order - a.order);
+      let text = code;
+      let limit = Infinity;
+
+      sorted.forEach(({ start, end, text: replacement }) => {
+        if (end > limit) return;
+        text = text.slice(0, start) + replacement + text.slice(end);
+        limit = start;
+      });
+
+      return text;
+    }
+  };
+}
+
+function getNameText(name) {
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') return `${getNameText(name.object)}.${name.property.name}`;
+  if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+  return '';
+}
+
+function skipWhitespaceBack(code, position) {
+  let index = position;
+  while (index > 0 && /\s/.test(code[index - 1])) index -= 1;
+  return index;
+}
@@ -0,0 +1,346 @@
+/**
+ * Layer Diff
+ * @fileoverview Per-layer comparison of the live preview against the Figma node.
+ * Generated elements carry a data-figma-id attribute naming the layer they
+ * render. Each tagged element's box, colors and font are measured in the browser
+ * and checked against the layer's absoluteBoundingBox, fills and style, so a
+ * mismatch points at one layer instead of the whole image:
+ *
+ *   Text 'Submit': font-size 14 vs 16, left off by 3px
+ *
+ * Values read "preview vs Figma". validateExactValues only checks the root's
+ * declared width and height in the code; this checks what was actually rendered
+ * for every layer. Positions are relative to the root, as in extractFigmaValues.
+ */
+
+import { colorToCSS } from './figmaCompiler';
+import { rgbToLab, deltaE2000, DELTA_E_THRESHOLD } from './pixelDiff';
+
+export const FIGMA_ID_ATTRIBUTE = 'data-figma-id';
+
+// Sub-pixel rounding in the browser stays below a pixel
+const DEFAULT_TOLERANCE = 1;
+
+const TYPE_LABELS = {
+  TEXT: 'Text',
+  RECTANGLE: 'Rectangle',
+  ELLIPSE: 'Ellipse',
+  FRAME: 'Frame',
+  GROUP: 'Group',
+  COMPONENT: 'Component',
+  COMPONENT_SET: 'Component set',
+  INSTANCE: 'Instance',
+  SECTION: 'Section',
+  LINE: 'Line',
+  VECTOR: 'Vector'
+};
+
+/**
+ * Flatten a Figma node into the layers the preview should render
+ * @param {Object} figmaNode - Figma node with absoluteBoundingBox
+ * @returns {Array<Object>} { id, name, type, parentId, box, fill, typography } in document
+ *   order; box is relative to the root, fill is a CSS color or null
+ */
+export function extractFigmaLayers(figmaNode) {
+  if (!figmaNode || !figmaNode.absoluteBoundingBox) return [];
+
+  const origin = figmaNode.absoluteBoundingBox;
+  const layers = [];
+
+  const visit = (node, parentId) => {
+    if (node.visible === false || !node.absoluteBoundingBox) return;
+    const { x, y, width, height } = node.absoluteBoundingBox;
+    const fill = (node.fills || []).find(paint => paint.visible !== false && paint.type === 'SOLID' && paint.color);
+
+    layers.push({
+      id: node.id,
+      name: node.name || 'Untitled',
+      type: node.type,
+      parentId,
+      box: {
+        x: round(x - origin.x),
+        y: round(y - origin.y),
+        width: round(width),
+        height: round(height)
+      },
+      fill: fill ? colorToCSS(fill.color, fill.opacity) : null,
+      typography: node.type === 'TEXT' && node.style ? {
+        fontSize: node.style.fontSize,
+        fontWeight: node.style.fontWeight,
+        fontFamily: node.style.fontFamily,
+        lineHeight: node.style.lineHeightPx,
+        letterSpacing: node.style.letterSpacing
+      } : null
+    });
+
+    (node.children || []).forEach(child => visit(child, node.id));
+  };
+
+  visit(figmaNode, null);
+  return layers;
+}
+
+/**
+ * Measure every tagged element in the rendered preview
+ * @param {Element} container - Element the preview is rendered into
+ * @param {string} [rootId] - Figma id of the root layer; defaults to the outermost tagged element
+ * @returns {Object} Figma id -> { id, tag, box, backgroundColor, color, typography, isLeaf }
+ *   with boxes relative to the root in the component's own (unscaled) pixels
+ */
+export function measureRenderedLayers(container, rootId) {
+  const selector = `[${FIGMA_ID_ATTRIBUTE}]`;
+  const elements = Array.from(container.querySelectorAll(selector));
+  if (elements.length === 0) return {};
+
+  const root = (rootId && elements.find(element => element.getAttribute(FIGMA_ID_ATTRIBUTE) === rootId)) || elements[0];
+  const rootRect = root.getBoundingClientRect();
+  // The preview may be shrunk with a CSS transform - undo it so boxes compare with Figma pixels
+  const scale = root.offsetWidth && rootRect.width ? rootRect.width / root.offsetWidth : 1;
+  const view = container.ownerDocument.defaultView;
+  const layers = {};
+
+  elements.forEach(element => {
+    const id = element.getAttribute(FIGMA_ID_ATTRIBUTE);
+    if (layers[id]) return;
+
+    const rect = element.getBoundingClientRect();
+    const style = view.getComputedStyle(element);
+
+    layers[id] = {
+      id,
+      tag: element.tagName.toLowerCase(),
+      box: {
+        x: round((rect.left - rootRect.left) / scale),
+        y: round((rect.top - rootRect.top) / scale),
+        width: round(rect.width / scale),
+        height: round(rect.height / scale)
+      },
+      backgroundColor: parseCSSColor(style.backgroundColor),
+      color: parseCSSColor(style.color),
+      typography: {
+        fontSize: parsePixels(style.fontSize),
+        fontWeight: Number(style.fontWeight) || (style.fontWeight === 'bold' ? 700 : 400),
+        fontFamily: firstFontFamily(style.fontFamily),
+        lineHeight: parsePixels(style.lineHeight),
+        letterSpacing: style.letterSpacing === 'normal' ? 0 : parsePixels(style.letterSpacing)
+      },
+      isLeaf: !element.querySelector(selector)
+    };
+  });
+
+  return layers;
+}
+
+/**
+ * Compare each Figma layer with the element that renders it
+ *
+ * Layers without an element of their own are checked against their nearest
+ * rendered ancestor when that ancestor has no tagged children - the compiler
+ * collapses a GROUP's RECTANGLE + TEXT into one <button>, so the rectangle's
+ * fill and the text's font belong to the button. Otherwise they are missing.
+ *
+ * @param {Array<Object>} figmaLayers - From extractFigmaLayers
+ * @param {Object} renderedLayers - From measureRenderedLayers
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Pixels a box may be off before it counts (default 1)
+ * @param {number} [options.colorThreshold] - ΔE a color may be off before it counts
+ * @returns {Object} { rows, matched, mismatched, missing, tagged } - rows are
+ *   { id, name, type, label, status: 'match'|'mismatch'|'missing', mergedInto, issues }
+ */
+export function diffLayers(figmaLayers, renderedLayers, options = {}) {
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+  const colorThreshold = options.colorThreshold ?? DELTA_E_THRESHOLD;
+  const byId = new Map(figmaLayers.map(layer => [layer.id, layer]));
+
+  const rows = figmaLayers.map(layer => {
+    const row = {
+      id: layer.id,
+      name: layer.name,
+      type: layer.type,
+      label: `${TYPE_LABELS[layer.type] || 'Layer'} '${layer.name}'`,
+      status: 'match',
+      mergedInto: null,
+      issues: []
+    };
+
+    let rendered = renderedLayers[layer.id];
+    if (!rendered) {
+      const ancestor = findRenderedAncestor(layer, byId, renderedLayers);
+      if (!ancestor || !ancestor.isLeaf) {
+        row.status = 'missing';
+        return row;
+      }
+      rendered = ancestor;
+      row.mergedInto = ancestor.id;
+    }
+
+    // A merged layer shares its element's box, so only its paint and font are its own
+    if (!row.mergedInto) {
+      compareBox(layer, rendered, tolerance, row.issues);
+    }
+
+    if (layer.fill) {
+      const property = layer.type === 'TEXT' ? 'color' : 'fill';
+      const actual = layer.type === 'TEXT' ? rendered.color : rendered.backgroundColor;
+      compareColor(property, actual, layer.fill, colorThreshold, row.issues);
+    }
+
+    if (layer.typography) {
+      compareTypography(layer.typography, rendered.typography, row.issues);
+    }
+
+    if (row.issues.length > 0) row.status = 'mismatch';
+    return row;
+  });
+
+  return {
+    rows,
+    matched: rows.filter(row => row.status === 'match').length,
+    mismatched: rows.filter(row => row.status === 'mismatch').length,
+    missing: rows.filter(row => row.status === 'missing').length,
+    tagged: Object.keys(renderedLayers).length
+  };
+}
+
+/**
+ * One-line summary of a layer row
+ * @param {Object} row - Row from diffLayers
+ * @returns {string} e.g. "Text 'Submit': font-size 14 vs 16, left off by 3px"
+ */
+export function describeLayerDiff(row) {
+  if (row.status === 'missing') return `${row.label}: not found in the preview`;
+  if (row.issues.length === 0) return `${row.label}: matches`;
+  return `${row.label}: ${row.issues.map(issue => issue.message).join(', ')}`;
+}
+
+function findRenderedAncestor(layer, byId, renderedLayers) {
+  let parent = byId.get(layer.parentId);
+  while (parent) {
+    if (renderedLayers[parent.id]) return renderedLayers[parent.id];
+    parent = byId.get(parent.parentId);
+  }
+  return null;
+}
+
+function compareBox(layer, rendered, tolerance, issues) {
+  // The root defines the origin, so only its size can be off
+  const positions = layer.parentId === null ? [] : [['left', 'x'], ['top', 'y']];
+
+  positions.forEach(([property, key]) => {
+    const difference = round(rendered.box[key] - layer.box[key]);
+    if (Math.abs(difference) > tolerance) {
+      issues.push({
+        kind: 'position',
+        property,
+        actual: rendered.box[key],
+        expected: layer.box[key],
+        difference,
+        message: `${property} off by ${Math.abs(difference)}px`
+      });
+    }
+  });
+
+  ['width', 'height'].forEach(property => {
+    const difference = round(rendered.box[property] - layer.box[property]);
+    if (Math.abs(difference) > tolerance) {
+      issues.push({
+        kind: 'size',
+        property,
+        actual: rendered.box[property],
+        expected: layer.box[property],
+        difference,
+        message: `${property} ${rendered.box[property]} vs ${layer.box[property]}`
+      });
+    }
+  });
+}
+
+function compareColor(property, actual, expected, threshold, issues) {
+  const expectedRGB = parseCSSColor(expected);
+  if (!expectedRGB) return;
+  const actualHex = actual ? toHex(actual) : 'none';
+  const expectedHex = toHex(expectedRGB);
+  const difference = actual ? deltaE2000(rgbToLab(...actual), rgbToLab(...expectedRGB)) : Infinity;
+
+  if (difference > threshold) {
+    issues.push({
+      kind: 'color',
+      property,
+      actual: actualHex,
+      expected: expectedHex,
+      difference: Number.isFinite(difference) ? round(difference) : null,
+      message: `${property} ${actualHex} vs ${expectedHex}`
+    });
+  }
+}
+
+function compareTypography(expected, actual, issues) {
+  const checks = [
+    ['font-size', 'fontSize', 0.5],
+    ['font-weight', 'fontWeight', 0],
+    ['line-height', 'lineHeight', 0.5],
+    ['letter-spacing', 'letterSpacing', 0.1]
+  ];
+
+  checks.forEach(([property, key, tolerance]) => {
+    if (typeof expected[key] !== 'number' || typeof actual[key] !== 'number') return;
+    const difference = round(actual[key] - expected[key]);
+    if (Math.abs(difference) > tolerance) {
+      issues.push({
+        kind: 'typography',
+        property,
+        actual: round(actual[key]),
+        expected: round(expected[key]),
+        difference,
+        message: `${property} ${round(actual[key])} vs ${round(expected[key])}`
+      });
+    }
+  });
+
+  if (expected.fontFamily && actual.fontFamily &&
+      expected.fontFamily.toLowerCase() !== actual.fontFamily.toLowerCase()) {
+    issues.push({
+      kind: 'typography',
+      property: 'font-family',
+      actual: actual.fontFamily,
+      expected: expected.fontFamily,
+      difference: null,
+      message: `font-family ${actual.fontFamily} vs ${expected.fontFamily}`
+    });
+  }
+}
+
+// rgb()/rgba()/#hex -> [r, g, b], or null when fully transparent or unparseable
+function parseCSSColor(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+    return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+  }
+
+  const rgb = text.match(/^rgba?\(([^)]+)\)$/);
+  if (!rgb) return null;
+  const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+  return a === 0 ? null : [r, g, b];
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function parsePixels(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function firstFontFamily(value) {
+  const family = String(value || '').split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+  return family || null;
+}
+
+function round(value) {
+  return Number(Number(value).toFixed(2));
+}
@@ -0,0 +1,104 @@
+/**
+ * Overlay Viewport
+ * @fileoverview Zoom, pan and ruler math for the overlay comparison. The view is
+ * { zoom, panX, panY }: a design pixel (x, y) is drawn at screen offset
+ * (panX + x * zoom, panY + y * zoom) inside the viewport.
+ */
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 16;
+
+// Ruler steps in design pixels; the smallest one that keeps labels this far apart wins
+const RULER_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000];
+const MIN_TICK_SPACING = 50;
+
+/**
+ * View that fits the content into the viewport, centered, never enlarged past 1:1 by default
+ * @param {Object} content - { width, height } in design pixels
+ * @param {Object} viewport - { width, height } in screen pixels
+ * @param {Object} [options]
+ * @param {number} [options.padding] - Screen pixels to keep free around the content (default 24)
+ * @param {number} [options.maxZoom] - Largest zoom to fit at (default 1)
+ * @returns {Object} { zoom, panX, panY }
+ */
+export function fitView(content, viewport, options = {}) {
+  const padding = options.padding ?? 24;
+  const maxZoom = options.maxZoom ?? 1;
+  const available = {
+    width: Math.max(viewport.width - padding * 2, 1),
+    height: Math.max(viewport.height - padding * 2, 1)
+  };
+
+  const zoom = clampZoom(Math.min(
+    maxZoom,
+    content.width ? available.width / content.width : maxZoom,
+    content.height ? available.height / content.height : maxZoom
+  ));
+
+  return {
+    zoom,
+    panX: (viewport.width - content.width * zoom) / 2,
+    panY: (viewport.height - content.height * zoom) / 2
+  };
+}
+
+/**
+ * Zoom by a factor while keeping the design point under the cursor in place
+ * @param {Object} view - { zoom, panX, panY }
+ * @param {number} factor - Multiplier for the zoom (2 zooms in, 0.5 out)
+ * @param {Object} point - Screen offset { x, y } inside the viewport to zoom around
+ * @returns {Object} New view
+ */
+export function zoomView(view, factor, point) {
+  const zoom = clampZoom(view.zoom * factor);
+  const scale = zoom / view.zoom;
+
+  return {
+    zoom,
+    panX: point.x - (point.x - view.panX) * scale,
+    panY: point.y - (point.y - view.panY) * scale
+  };
+}
+
+/**
+ * Convert a screen offset inside the viewport to design pixels
+ * @param {Object} view - { zoom, panX, panY }
+ * @param {Object} point - Screen offset { x, y }
+ * @returns {Object} { x, y } in design pixels, rounded down to whole pixels
+ */
+export function toDesignPoint(view, point) {
+  return {
+    x: Math.floor((point.x - view.panX) / view.zoom),
+    y: Math.floor((point.y - view.panY) / view.zoom)
+  };
+}
+
+/**
+ * Labelled ruler ticks for one axis of the viewport
+ * @param {number} pan - panX or panY of the view
+ * @param {number} zoom - Zoom of the view
+ * @param {number} length - Viewport width or height in screen pixels
+ * @returns {Array<Object>} { value, position } - design pixel value and its screen offset
+ */
+export function rulerTicks(pan, zoom, length) {
+  const step = RULER_STEPS.find(candidate => candidate * zoom >= MIN_TICK_SPACING) ||
+    RULER_STEPS[RULER_STEPS.length - 1];
+  const first = Math.ceil(-pan / zoom / step) * step || 0;
+  const last = (length - pan) / zoom;
+  const ticks = [];
+
+  for (let value = first; value <= last; value += step) {
+    ticks.push({ value, position: pan + value * zoom });
+  }
+
+  return ticks;
+}
+
+/**
+ * Keep a zoom level inside the supported range
+ * @param {number} zoom
+ * @returns {number}
+ */
+export function clampZoom(zoom) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
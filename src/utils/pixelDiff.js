@@ -0,0 +1,396 @@
+/**
+ * Pixel Diff
+ * @fileoverview Deterministic visual comparison of the live preview and the Figma
+ * render. Both images are flattened onto white, trimmed to their content,
+ * resampled to the same size and compared pixel by pixel:
+ * - ΔE (CIEDE2000) color distance per pixel, with the share of visibly different pixels
+ * - SSIM (structural similarity) over the luminance
+ * - a heatmap of the differences over a faded copy of the Figma render
+ *
+ * Images are ImageData-like objects: { width, height, data: Uint8ClampedArray (RGBA) }.
+ */
+
+// ΔE of about 2.3 is the smallest color difference people notice
+export const DELTA_E_THRESHOLD = 2.3;
+
+// Longest side the images are compared at; keeps a comparison well under a second
+const DEFAULT_MAX_SIZE = 400;
+
+// How far below white a channel can be and still count as page background when trimming
+const TRIM_TOLERANCE = 8;
+
+// SSIM window and stride in pixels, and the usual stabilizing constants for 8-bit images
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+/**
+ * Compare two renders of the same component
+ *
+ * @param {Object} actual - Live preview capture (ImageData-like)
+ * @param {Object} expected - Figma render (ImageData-like), sets the compared size
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=400] - Longest side to compare at
+ * @param {boolean} [options.trim=true] - Crop the white page margin around the content first
+ * @param {number} [options.threshold=2.3] - ΔE above which a pixel counts as different
+ * @returns {Object} { width, height, actualSize, expectedSize, mismatchedPixels, mismatchRatio,
+ *   meanDeltaE, maxDeltaE, ssim, aspectSimilarity, heatmap }
+ *
+ * @example
+ * const diff = comparePixels(await loadImageData(previewUrl), await loadImageData(figmaUrl));
+ * diff.ssim; // 0.97
+ */
+export function comparePixels(actual, expected, options = {}) {
+  const { maxSize = DEFAULT_MAX_SIZE, trim = true, threshold = DELTA_E_THRESHOLD } = options;
+
+  let actualImage = flattenOnWhite(actual);
+  let expectedImage = flattenOnWhite(expected);
+  if (trim) {
+    actualImage = trimImage(actualImage);
+    expectedImage = trimImage(expectedImage);
+  }
+
+  const scale = Math.min(1, maxSize / Math.max(expectedImage.width, expectedImage.height));
+  const width = Math.max(1, Math.round(expectedImage.width * scale));
+  const height = Math.max(1, Math.round(expectedImage.height * scale));
+  const a = resampleImage(actualImage, width, height);
+  const b = resampleImage(expectedImage, width, height);
+
+  const pixelCount = width * height;
+  const deltas = new Float32Array(pixelCount);
+  let totalDeltaE = 0;
+  let maxDeltaE = 0;
+  let mismatchedPixels = 0;
+
+  for (let pixel = 0; pixel < pixelCount; pixel++) {
+    const offset = pixel * 4;
+    const deltaE = deltaE2000(
+      rgbToLab(a.data[offset], a.data[offset + 1], a.data[offset + 2]),
+      rgbToLab(b.data[offset], b.data[offset + 1], b.data[offset + 2])
+    );
+    deltas[pixel] = deltaE;
+    totalDeltaE += deltaE;
+    maxDeltaE = Math.max(maxDeltaE, deltaE);
+    if (deltaE > threshold) mismatchedPixels++;
+  }
+
+  const actualAspect = actualImage.width / actualImage.height;
+  const expectedAspect = expectedImage.width / expectedImage.height;
+
+  return {
+    width,
+    height,
+    actualSize: { width: actualImage.width, height: actualImage.height },
+    expectedSize: { width: expectedImage.width, height: expectedImage.height },
+    mismatchedPixels,
+    mismatchRatio: mismatchedPixels / pixelCount,
+    meanDeltaE: totalDeltaE / pixelCount,
+    maxDeltaE,
+    ssim: computeSSIM(toLuma(a), toLuma(b), width, height),
+    aspectSimilarity: Math.min(actualAspect, expectedAspect) / Math.max(actualAspect, expectedAspect),
+    heatmap: buildHeatmap(b, deltas, threshold)
+  };
+}
+
+/**
+ * Resample an image to a new size, averaging the source pixels under each target pixel
+ * @param {Object} image - ImageData-like
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} ImageData-like
+ */
+export function resampleImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.min(image.height - 1, Math.floor(y * scaleY));
+    const y1 = Math.min(image.height, Math.max(y0 + 1, Math.floor((y + 1) * scaleY)));
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.min(image.width - 1, Math.floor(x * scaleX));
+      const x1 = Math.min(image.width, Math.max(x0 + 1, Math.floor((x + 1) * scaleX)));
+      const sums = [0, 0, 0, 0];
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const offset = (sy * image.width + sx) * 4;
+          for (let channel = 0; channel < 4; channel++) {
+            sums[channel] += image.data[offset + channel];
+          }
+        }
+      }
+
+      const count = (y1 - y0) * (x1 - x0);
+      const target = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        data[target + channel] = Math.round(sums[channel] / count);
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Crop the white margin around the content (both renders sit on a white page)
+ * @param {Object} image - ImageData-like, opaque
+ * @returns {Object} Cropped image, or the image itself when it is all white
+ */
+export function trimImage(image) {
+  const { width, height, data } = image;
+  let left = width;
+  let right = -1;
+  let top = height;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const differs = [0, 1, 2].some(channel => 255 - data[offset + channel] > TRIM_TOLERANCE);
+      if (differs) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  if (right === -1 || (left === 0 && top === 0 && right === width - 1 && bottom === height - 1)) {
+    return image;
+  }
+
+  const cropWidth = right - left + 1;
+  const cropHeight = bottom - top + 1;
+  const cropped = new Uint8ClampedArray(cropWidth * cropHeight * 4);
+  for (let y = 0; y < cropHeight; y++) {
+    const start = ((top + y) * width + left) * 4;
+    cropped.set(data.subarray(start, start + cropWidth * 4), y * cropWidth * 4);
+  }
+
+  return { width: cropWidth, height: cropHeight, data: cropped };
+}
+
+/**
+ * Convert an sRGB color to CIELAB (D65)
+ * @param {number} r - 0-255
+ * @param {number} g - 0-255
+ * @param {number} b - 0-255
+ * @returns {Array<number>} [L, a, b]
+ */
+export function rgbToLab(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+  const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+  const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+  const [fx, fy, fz] = [x, y, z].map(value => (
+    value > 216 / 24389 ? Math.cbrt(value) : (24389 / 27 * value + 16) / 116
+  ));
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * CIEDE2000 color difference of two CIELAB colors
+ * @param {Array<number>} lab1 - [L, a, b]
+ * @param {Array<number>} lab2 - [L, a, b]
+ * @returns {number} ΔE00
+ */
+export function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const averageC = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(averageC ** 7 / (averageC ** 7 + 25 ** 7)));
+  const a1Prime = (1 + g) * a1;
+  const a2Prime = (1 + g) * a2;
+  const c1 = Math.hypot(a1Prime, b1);
+  const c2 = Math.hypot(a2Prime, b2);
+  const h1 = hueAngle(a1Prime, b1);
+  const h2 = hueAngle(a2Prime, b2);
+  const chromatic = c1 * c2 !== 0;
+
+  let deltaHue = 0;
+  if (chromatic) {
+    deltaHue = h2 - h1;
+    if (deltaHue > 180) deltaHue -= 360;
+    else if (deltaHue < -180) deltaHue += 360;
+  }
+
+  const deltaL = L2 - L1;
+  const deltaC = c2 - c1;
+  const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaHue / 2));
+
+  const averageL = (L1 + L2) / 2;
+  const averageCPrime = (c1 + c2) / 2;
+  let averageH = h1 + h2;
+  if (chromatic) {
+    if (Math.abs(h1 - h2) > 180) averageH += averageH < 360 ? 360 : -360;
+    averageH /= 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos(toRadians(averageH - 30))
+    + 0.24 * Math.cos(toRadians(2 * averageH))
+    + 0.32 * Math.cos(toRadians(3 * averageH + 6))
+    - 0.20 * Math.cos(toRadians(4 * averageH - 63));
+  const deltaTheta = 30 * Math.exp(-(((averageH - 275) / 25) ** 2));
+  const rotationC = 2 * Math.sqrt(averageCPrime ** 7 / (averageCPrime ** 7 + 25 ** 7));
+  const weightL = 1 + (0.015 * (averageL - 50) ** 2) / Math.sqrt(20 + (averageL - 50) ** 2);
+  const weightC = 1 + 0.045 * averageCPrime;
+  const weightH = 1 + 0.015 * averageCPrime * t;
+  const rotation = -Math.sin(toRadians(2 * deltaTheta)) * rotationC;
+
+  const l = deltaL / weightL;
+  const c = deltaC / weightC;
+  const h = deltaH / weightH;
+  return Math.sqrt(l * l + c * c + h * h + rotation * c * h);
+}
+
+/**
+ * Decode an image URL (data URL or CORS-enabled URL) into ImageData - browser only
+ * @param {string} url - Image URL
+ * @returns {Promise<ImageData>}
+ */
+export function loadImageData(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0);
+      resolve(context.getImageData(0, 0, canvas.width, canvas.height));
+    };
+    image.onerror = () => reject(new Error('Could not load the image for comparison (is it served with CORS?)'));
+    image.src = url;
+  });
+}
+
+/**
+ * Encode ImageData-like pixels as a PNG data URL - browser only
+ * @param {Object} image - ImageData-like
+ * @returns {string} data:image/png;base64,...
+ */
+export function imageDataToDataURL(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const context = canvas.getContext('2d');
+  const imageData = context.createImageData(image.width, image.height);
+  imageData.data.set(image.data);
+  context.putImageData(imageData, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+// Composite translucent pixels onto white, as both renders are shown on a white page
+function flattenOnWhite(image) {
+  const data = new Uint8ClampedArray(image.data.length);
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    const alpha = image.data[offset + 3] / 255;
+    for (let channel = 0; channel < 3; channel++) {
+      data[offset + channel] = Math.round(image.data[offset + channel] * alpha + 255 * (1 - alpha));
+    }
+    data[offset + 3] = 255;
+  }
+
+  return { width: image.width, height: image.height, data };
+}
+
+function toLuma(image) {
+  const luma = new Float32Array(image.width * image.height);
+  for (let pixel = 0; pixel < luma.length; pixel++) {
+    const offset = pixel * 4;
+    luma[pixel] = 0.299 * image.data[offset] + 0.587 * image.data[offset + 1] + 0.114 * image.data[offset + 2];
+  }
+  return luma;
+}
+
+// Mean SSIM over overlapping windows
+function computeSSIM(a, b, width, height) {
+  const windowWidth = Math.min(SSIM_WINDOW, width);
+  const windowHeight = Math.min(SSIM_WINDOW, height);
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + windowHeight <= height; top += SSIM_STRIDE) {
+    for (let left = 0; left + windowWidth <= width; left += SSIM_STRIDE) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+
+      for (let y = top; y < top + windowHeight; y++) {
+        for (let x = left; x < left + windowWidth; x++) {
+          const valueA = a[y * width + x];
+          const valueB = b[y * width + x];
+          sumA += valueA;
+          sumB += valueB;
+          sumAA += valueA * valueA;
+          sumBB += valueB * valueB;
+          sumAB += valueA * valueB;
+        }
+      }
+
+      const count = windowWidth * windowHeight;
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varianceA = sumAA / count - meanA * meanA;
+      const varianceB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2))
+        / ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return windows ? total / windows : 1;
+}
+
+// Faded grayscale of the reference with differing pixels tinted red by their ΔE
+function buildHeatmap(reference, deltas, threshold) {
+  const data = new Uint8ClampedArray(deltas.length * 4);
+
+  for (let pixel = 0; pixel < deltas.length; pixel++) {
+    const offset = pixel * 4;
+    const luma = 0.299 * reference.data[offset] + 0.587 * reference.data[offset + 1] + 0.114 * reference.data[offset + 2];
+    const faded = 255 - (255 - luma) * 0.3;
+
+    if (deltas[pixel] > threshold) {
+      const strength = 0.35 + 0.65 * Math.min(1, deltas[pixel] / 20);
+      data[offset] = Math.round(faded * (1 - strength) + 255 * strength);
+      data[offset + 1] = Math.round(faded * (1 - strength));
+      data[offset + 2] = Math.round(faded * (1 - strength));
+    } else {
+      data[offset] = faded;
+      data[offset + 1] = faded;
+      data[offset + 2] = faded;
+    }
+    data[offset + 3] = 255;
+  }
+
+  return { width: reference.width, height: reference.height, data };
+}
+
+function hueAngle(a, b) {
+  if (a === 0 && b === 0) return 0;
+  const degrees = (Math.atan2(b, a) * 180) / Math.PI;
+  return degrees >= 0 ? degrees : degrees + 360;
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
@@ -0,0 +1,405 @@
+/**
+ * Responsive Compiler
+ *
+ * Merges two or more frames of the same screen (for example Mobile, Tablet and
+ * Desktop) into one component. The narrowest frame is the base layout and every
+ * wider frame becomes a min-width breakpoint, emitted either as CSS media queries
+ * or as Tailwind sm:/md:/lg: variants.
+ */
+
+import { detectComponentPattern } from './componentDetector';
+import {
+  buildElementTree,
+  printElement,
+  generateComponentName,
+  generateDesignSpec,
+  formatCompilerOutput
+} from './figmaCompiler';
+import { inlineStylesToTailwind } from './styleConverter';
+
+/**
+ * Tailwind's default breakpoints, also used for the CSS media queries so both
+ * output modes switch layouts at the same widths
+ */
+export const BREAKPOINTS = [
+  { name: 'sm', minWidth: 640 },
+  { name: 'md', minWidth: 768 },
+  { name: 'lg', minWidth: 1024 },
+  { name: 'xl', minWidth: 1280 },
+  { name: '2xl', minWidth: 1536 }
+];
+
+// Values that undo a property the base layout set but a breakpoint frame does not use
+const RESET_VALUES = {
+  width: 'auto',
+  height: 'auto',
+  left: 'auto',
+  right: 'auto',
+  top: 'auto',
+  bottom: 'auto',
+  minWidth: '0px',
+  minHeight: '0px',
+  maxWidth: 'none',
+  maxHeight: 'none',
+  boxShadow: 'none',
+  border: 'none',
+  backgroundColor: 'transparent',
+  backgroundImage: 'none',
+  borderRadius: '0px',
+  padding: '0px',
+  gap: '0px',
+  flexGrow: 0,
+  flexBasis: 'auto',
+  transform: 'none'
+};
+
+// Properties written without a px unit in CSS
+const UNITLESS_PROPERTIES = ['fontWeight', 'flexGrow', 'flexShrink', 'opacity', 'zIndex', 'lineHeight', 'order'];
+
+/**
+ * Pick the breakpoint a frame of the given width is designed for
+ *
+ * @param {number} width - Frame width in px
+ * @returns {Object} Breakpoint from BREAKPOINTS (sm for anything narrower than 640px)
+ *
+ * @example
+ * getBreakpointForWidth(768);  // { name: 'md', minWidth: 768 }
+ * getBreakpointForWidth(1440); // { name: 'xl', minWidth: 1280 }
+ */
+export function getBreakpointForWidth(width) {
+  return BREAKPOINTS.reduce(
+    (match, breakpoint) => (width >= breakpoint.minWidth ? breakpoint : match),
+    BREAKPOINTS[0]
+  );
+}
+
+/**
+ * Compile several frames of one screen into a single responsive component
+ *
+ * Layers are matched across frames by name (and position among same-named
+ * siblings). Styles that differ move into a class that is overridden per
+ * breakpoint; layers missing from a frame are hidden at that breakpoint.
+ *
+ * @param {Array<Object>} frames - Figma frames, in any order (must have absoluteBoundingBox)
+ * @param {Object} [options] - Compiler options
+ * @param {string} [options.styleMode] - 'css' for media queries or 'tailwind' for sm:/md:/lg: classes
+ * @param {string} [options.componentName] - Override the generated component name
+ * @returns {Object} Same shape as compileFigmaNode plus breakpoints
+ * @returns {Array} returns.breakpoints - [{ name, minWidth, frameName, frameWidth }], base first
+ *
+ * @example
+ * const result = compileResponsiveFrames([desktopFrame, mobileFrame], { styleMode: 'tailwind' });
+ * // result.breakpoints: [{ name: 'base', frameName: 'Home / Mobile', ... }, { name: 'xl', ... }]
+ * // result.code: <div className="hero-1 w-[100%] xl:h-[900px]" ...>
+ */
+export function compileResponsiveFrames(frames, options = {}) {
+  const validFrames = (frames || []).filter(frame => frame && frame.absoluteBoundingBox);
+  if (validFrames.length < 2) {
+    throw new Error('Responsive compilation needs at least two frames with positioning information');
+  }
+
+  const styleMode = options.styleMode === 'tailwind' ? 'tailwind' : 'css';
+  const warnings = [];
+
+  // Narrowest frame first - it is the mobile-first base layout
+  const sorted = [...validFrames].sort(
+    (a, b) => a.absoluteBoundingBox.width - b.absoluteBoundingBox.width
+  );
+  const baseFrame = sorted[0];
+
+  const breakpoints = [{
+    name: 'base',
+    minWidth: 0,
+    frameName: baseFrame.name,
+    frameWidth: baseFrame.absoluteBoundingBox.width
+  }];
+  const layouts = [{ breakpoint: 'base', frame: baseFrame }];
+
+  sorted.slice(1).forEach(frame => {
+    const breakpoint = getBreakpointForWidth(frame.absoluteBoundingBox.width);
+    const existing = layouts.findIndex(layout => layout.breakpoint === breakpoint.name);
+
+    if (existing > 0) {
+      warnings.push(`Frames "${layouts[existing].frame.name}" and "${frame.name}" both fall into the ${breakpoint.name} breakpoint - "${layouts[existing].frame.name}" is ignored`);
+      layouts.splice(existing, 1);
+      breakpoints.splice(existing, 1);
+    }
+
+    layouts.push({ breakpoint: breakpoint.name, frame });
+    breakpoints.push({
+      ...breakpoint,
+      frameName: frame.name,
+      frameWidth: frame.absoluteBoundingBox.width
+    });
+  });
+
+  const trees = layouts.map(layout => buildElementTree(layout.frame, { warnings, fluid: true }));
+  const merged = mergeElementTrees(trees, layouts.map(layout => layout.breakpoint), warnings);
+
+  const box = baseFrame.absoluteBoundingBox;
+  const componentDetection = detectComponentPattern({
+    ...baseFrame,
+    width: box.width,
+    height: box.height,
+    fills: baseFrame.fills || [],
+    strokes: baseFrame.strokes || [],
+    children: baseFrame.children || []
+  });
+
+  const componentName = options.componentName ||
+    generateComponentName(stripBreakpointWords(baseFrame.name), componentDetection.componentType);
+
+  const context = {
+    styleMode,
+    breakpoints: breakpoints.slice(1),
+    classPrefix: toKebabCase(componentName),
+    classCount: 0,
+    rules: []
+  };
+  const tree = resolveElement(merged, context);
+
+  if (context.rules.length > 0) {
+    tree.children.unshift({
+      tag: 'style',
+      style: {},
+      attributes: {},
+      text: context.rules.join('\n'),
+      children: []
+    });
+  }
+
+  const code = `const ${componentName} = () => {
+  // Compiled from Figma frames ${layouts.map(layout => `"${String(layout.frame.name).replace(/\s+/g, ' ')}" (${layout.breakpoint})`).join(', ')}
+  return (
+${printElement(tree, 2)}
+  );
+};`;
+
+  const spec = [
+    generateDesignSpec(baseFrame, componentDetection),
+    `Breakpoints: ${breakpoints.map(breakpoint =>
+      `${breakpoint.name}${breakpoint.minWidth ? ` (>= ${breakpoint.minWidth}px)` : ''} from "${breakpoint.frameName}"`
+    ).join(', ')}`
+  ].join('\n');
+
+  return {
+    code,
+    componentName,
+    spec,
+    output: formatCompilerOutput(spec, code),
+    componentDetection,
+    tree,
+    warnings,
+    breakpoints
+  };
+}
+
+/**
+ * Merge element trees (one per frame or variant) into one tree whose elements
+ * carry a style and text per key - null where the layer does not exist
+ *
+ * @param {Array<Object|null>} elements - Root elements from buildElementTree
+ * @param {Array<string>} keys - Breakpoint or variant key for each tree
+ * @param {Array} [warnings] - Collects conflicts between trees; omit when differences are expected
+ * @returns {Object} { tag, nodeId, nodeName, attributes, propertyReferences, text, styles, texts, children }
+ */
+export function mergeElementTrees(elements, keys, warnings) {
+  const present = elements.find(Boolean);
+
+  const merged = {
+    tag: present.tag,
+    nodeId: present.nodeId,
+    nodeName: present.nodeName,
+    attributes: { ...present.attributes },
+    propertyReferences: present.propertyReferences,
+    text: present.text,
+    styles: {},
+    texts: {},
+    children: []
+  };
+
+  elements.forEach((element, index) => {
+    merged.styles[keys[index]] = element ? element.style : null;
+    merged.texts[keys[index]] = element ? element.text : null;
+
+    if (!warnings) return;
+    if (element && element.text !== present.text) {
+      warnings.push(`Text of "${present.nodeName}" differs between frames - using "${present.text}"`);
+    }
+    if (element && element.tag !== present.tag) {
+      warnings.push(`"${present.nodeName}" is a <${element.tag}> in one frame and a <${present.tag}> in another - using <${present.tag}>`);
+    }
+  });
+
+  // Collect child keys across frames. A layer new to a frame goes in front of the
+  // next layer it precedes there, so stacking order survives the merge
+  const keyedChildren = elements.map(element => keyChildren(element ? element.children : []));
+  const childKeys = [];
+  keyedChildren.forEach(children => {
+    const frameKeys = Array.from(children.keys());
+    frameKeys.forEach((key, index) => {
+      if (childKeys.includes(key)) return;
+      const next = frameKeys.slice(index + 1).find(candidate => childKeys.includes(candidate));
+      childKeys.splice(next ? childKeys.indexOf(next) : childKeys.length, 0, key);
+    });
+  });
+
+  merged.children = childKeys.map(childKey =>
+    mergeElementTrees(keyedChildren.map(children => children.get(childKey) || null), keys, warnings)
+  );
+
+  return merged;
+}
+
+/**
+ * Key children by layer name plus the index among same-named siblings
+ */
+function keyChildren(children) {
+  const counts = {};
+  const keyed = new Map();
+
+  children.forEach(child => {
+    const name = child.nodeName || child.tag;
+    counts[name] = (counts[name] || 0) + 1;
+    keyed.set(`${name}#${counts[name]}`, child);
+  });
+
+  return keyed;
+}
+
+/**
+ * Turn a merged element back into a printable element, moving styles that
+ * change between breakpoints into a class
+ */
+function resolveElement(merged, context) {
+  const baseStyle = merged.styles.base
+    ? { ...merged.styles.base }
+    : { ...firstStyle(merged.styles), display: 'none' };
+
+  const overrides = [];
+  let effective = baseStyle;
+
+  context.breakpoints.forEach(breakpoint => {
+    const frameStyle = merged.styles[breakpoint.name];
+    const desired = frameStyle
+      ? { ...frameStyle }
+      : { ...effective, display: 'none' };
+
+    // Bring back layers the previous layout hid
+    if (frameStyle && effective.display === 'none' && !frameStyle.display) {
+      desired.display = merged.tag === 'span' ? 'inline' : 'block';
+    }
+
+    const diff = {};
+    Object.keys(desired).forEach(property => {
+      if (desired[property] !== effective[property]) diff[property] = desired[property];
+    });
+    Object.keys(effective).forEach(property => {
+      if (!(property in desired)) {
+        const reset = property in RESET_VALUES ? RESET_VALUES[property] : 'initial';
+        diff[property] = reset;
+        desired[property] = reset;
+      }
+    });
+
+    if (Object.keys(diff).length > 0) {
+      overrides.push({ breakpoint, style: diff });
+    }
+    effective = desired;
+  });
+
+  const element = {
+    tag: merged.tag,
+    nodeId: merged.nodeId,
+    nodeName: merged.nodeName,
+    attributes: { ...merged.attributes },
+    text: merged.text,
+    style: baseStyle,
+    children: []
+  };
+
+  if (overrides.length > 0) {
+    applyOverrides(element, overrides, context);
+  }
+
+  element.children = merged.children.map(child => resolveElement(child, context));
+  return element;
+}
+
+/**
+ * Move the properties that vary between breakpoints out of the inline style
+ * (inline styles would beat any media query) into a class or Tailwind variants
+ */
+function applyOverrides(element, overrides, context) {
+  const varying = new Set();
+  overrides.forEach(override => Object.keys(override.style).forEach(property => varying.add(property)));
+
+  const baseRule = {};
+  varying.forEach(property => {
+    if (property in element.style) {
+      baseRule[property] = element.style[property];
+      delete element.style[property];
+    }
+  });
+
+  context.classCount++;
+  const className = `${context.classPrefix}-${context.classCount}`;
+  const classNames = [className];
+  const cssRules = [];
+
+  const addRule = (style, breakpoint) => {
+    if (Object.keys(style).length === 0) return;
+    const rule = `.${className} { ${toCSSDeclarations(style)} }`;
+    cssRules.push(breakpoint ? `@media (min-width: ${breakpoint.minWidth}px) { ${rule} }` : rule);
+  };
+
+  if (context.styleMode === 'tailwind') {
+    const base = inlineStylesToTailwind(baseRule);
+    if (base.className) classNames.push(base.className);
+    addRule(base.remainingStyles);
+
+    overrides.forEach(({ breakpoint, style }) => {
+      const converted = inlineStylesToTailwind(style, { breakpoint: breakpoint.name });
+      if (converted.className) classNames.push(converted.className);
+      // Whatever Tailwind cannot express still gets a media query
+      addRule(converted.remainingStyles, breakpoint);
+    });
+  } else {
+    addRule(baseRule);
+    overrides.forEach(({ breakpoint, style }) => addRule(style, breakpoint));
+  }
+
+  element.attributes.className = classNames.join(' ');
+  context.rules.push(...cssRules);
+}
+
+function firstStyle(styles) {
+  return Object.values(styles).find(Boolean) || {};
+}
+
+function toCSSDeclarations(style) {
+  return Object.entries(style)
+    .map(([property, value]) => {
+      const name = property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+      const cssValue = typeof value === 'number' && value !== 0 && !UNITLESS_PROPERTIES.includes(property)
+        ? `${value}px`
+        : value;
+      return `${name}: ${cssValue};`;
+    })
+    .join(' ');
+}
+
+function toKebabCase(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+// "Home / Mobile" and "Home - Desktop" should both name the component "Home"
+function stripBreakpointWords(name) {
+  const stripped = String(name || '')
+    .replace(/\b(mobile|phone|tablet|desktop|laptop|wide|sm|md|lg|xl|\d{3,4}(px)?)\b/gi, '')
+    .replace(/[\s/\-_|]+$/g, '')
+    .trim();
+  return stripped || name;
+}
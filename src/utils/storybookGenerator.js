@@ -10,16 +10,18 @@
  * @param {string} componentCode - The generated React component code
  * @param {string} componentName - Name of the component
  * @param {Object} detectionInfo - Component detection results
+ * @param {Object} [componentProperties] - Props and variant matrix from compileVariantComponent;
+ *   when given, stories mirror the real Figma variants instead of per-type guesses
  * @returns {string} Complete story file content
  */
-export function generateStorybookStory(componentCode, componentName, detectionInfo) {
+export function generateStorybookStory(componentCode, componentName, detectionInfo, componentProperties) {
   const { componentType, confidence } = detectionInfo || {};
   
   // Extract component name from code if not provided
   const extractedName = extractComponentName(componentCode) || componentName || 'GeneratedComponent';
   
   // Generate the story file content
-  const storyContent = generateStoryTemplate(extractedName, componentType, confidence);
+  const storyContent = generateStoryTemplate(extractedName, componentType, confidence, componentProperties);
   
   return storyContent;
 }
@@ -49,15 +51,18 @@ function extractComponentName(code) {
  * @param {string} componentName - Name of the component
  * @param {string} componentType - Detected component type
  * @param {number} confidence - Detection confidence score
+ * @param {Object} [componentProperties] - Props and variant matrix
  * @returns {string} Complete story file content
  */
-function generateStoryTemplate(componentName, componentType, confidence) {
+function generateStoryTemplate(componentName, componentType, confidence, componentProperties) {
   const importStatement = `import ${componentName} from './${componentName}';`;
+  const props = componentProperties?.props || [];
   
   const metaTemplate = `export default {
   title: 'Generated/${componentName}',
   component: ${componentName},
-  tags: ['autodocs'],
+  tags: ['autodocs'],${props.length > 0 ? `
+${generateArgsBlock(props)}` : ''}
   parameters: {
     docs: {
       description: {
@@ -67,8 +72,10 @@ function generateStoryTemplate(componentName, componentType, confidence) {
   },
 };`;
 
-  // Generate stories based on component type
-  const stories = generateStoriesByType(componentName, componentType);
+  // Real variants beat guesses based on the component type
+  const stories = componentProperties
+    ? generateVariantStories(componentProperties)
+    : generateStoriesByType(componentName, componentType);
   
   return `${importStatement}
 
@@ -77,6 +84,76 @@ ${metaTemplate}
 ${stories}`;
 }
 
+/**
+ * Generate the meta args (defaults) and argTypes (controls) for the component props
+ * @param {Array} props - Props from extractComponentProperties
+ * @returns {string} args and argTypes entries for the default export
+ */
+function generateArgsBlock(props) {
+  const args = props.map(prop => `    ${prop.name}: ${formatStoryValue(prop.defaultValue)},`);
+  const argTypes = props.map(prop => {
+    if (prop.type === 'variant') {
+      return `    ${prop.name}: { control: 'select', options: [${prop.options.map(formatStoryValue).join(', ')}] },`;
+    }
+    return `    ${prop.name}: { control: '${prop.type === 'boolean' ? 'boolean' : 'text'}' },`;
+  });
+
+  return `  args: {
+${args.join('\n')}
+  },
+  argTypes: {
+${argTypes.join('\n')}
+  },`;
+}
+
+/**
+ * Generate one story per variant in the Figma component set
+ * @param {Object} componentProperties - { props, variants: [{ name, values }] }
+ * @returns {string} Story exports
+ */
+function generateVariantStories({ props = [], variants = [] }) {
+  const axes = props.filter(prop => prop.variantAxis);
+  const usedNames = new Set();
+
+  const stories = (variants.length > 0 ? variants : [{ values: {} }]).map(variant => {
+    // "primary" + "large" + disabled -> PrimaryLargeDisabled
+    const words = axes
+      .map(axis => {
+        const value = variant.values[axis.name];
+        if (value === true) return axis.name;
+        if (value === false || value === undefined) return '';
+        return String(value);
+      })
+      .join(' ');
+    const baseName = words
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join('') || 'Default';
+
+    let storyName = /^[0-9]/.test(baseName) ? `Variant${baseName}` : baseName;
+    for (let suffix = 2; usedNames.has(storyName); suffix++) {
+      storyName = `${baseName}${suffix}`;
+    }
+    usedNames.add(storyName);
+
+    const args = axes
+      .map(axis => `    ${axis.name}: ${formatStoryValue(variant.values[axis.name])},`)
+      .join('\n');
+
+    return `export const ${storyName} = {
+  args: {${args ? `\n${args}\n  ` : ''}},
+};`;
+  });
+
+  return stories.join('\n\n');
+}
+
+function formatStoryValue(value) {
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  return `'${String(value ?? '').replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
 /**
  * Generate story variants based on component type
  * @param {string} componentName - Name of the component
@@ -1,12 +1,124 @@
 /**
  * Utility function to convert React inline style objects to Tailwind CSS classes
- * @fileoverview Converts CSS properties to their Tailwind equivalents with fallback handling
+ * @fileoverview Converts CSS properties to their Tailwind equivalents with fallback handling.
+ * Values on the project's theme scale (tailwind.config.js, see tailwindTheme) get its
+ * classes, other values arbitrary ones (w-[477px]); styles with neither stay inline.
  */
 
+import { matchStyleValue, tailwindTokenClass } from './tokenMatcher';
+import { themeClass, normalizeThemeValue } from './tailwindTheme';
+
+// Property → [utility, theme section] for values on a scale, or keyword → class.
+// Classes are written in this order.
+const UTILITIES = {
+  // Dimensions
+  width: ['w', 'width'],
+  height: ['h', 'height'],
+  minWidth: ['min-w', 'minWidth'],
+  maxWidth: ['max-w', 'maxWidth'],
+  minHeight: ['min-h', 'minHeight'],
+  maxHeight: ['max-h', 'maxHeight'],
+  // Colors
+  backgroundColor: ['bg', 'backgroundColor'],
+  color: ['text', 'textColor'],
+  // Borders
+  border: borderClasses,
+  borderWidth: ['border', 'borderWidth'],
+  borderStyle: { solid: 'border-solid', dashed: 'border-dashed', dotted: 'border-dotted', double: 'border-double', none: 'border-none' },
+  borderColor: ['border', 'borderColor'],
+  borderRadius: ['rounded', 'borderRadius'],
+  // Spacing
+  padding: sideClasses('p', 'padding'),
+  paddingTop: ['pt', 'padding'],
+  paddingRight: ['pr', 'padding'],
+  paddingBottom: ['pb', 'padding'],
+  paddingLeft: ['pl', 'padding'],
+  margin: sideClasses('m', 'margin'),
+  marginTop: ['mt', 'margin'],
+  marginRight: ['mr', 'margin'],
+  marginBottom: ['mb', 'margin'],
+  marginLeft: ['ml', 'margin'],
+  gap: ['gap', 'gap'],
+  rowGap: ['gap-y', 'gap'],
+  columnGap: ['gap-x', 'gap'],
+  // Layout
+  display: (value) => DISPLAY_CLASSES[value] || `[display:${value}]`,
+  flexDirection: { row: 'flex-row', column: 'flex-col', 'row-reverse': 'flex-row-reverse', 'column-reverse': 'flex-col-reverse' },
+  flexWrap: { wrap: 'flex-wrap', nowrap: 'flex-nowrap', 'wrap-reverse': 'flex-wrap-reverse' },
+  justifyContent: {
+    'flex-start': 'justify-start', start: 'justify-start', 'flex-end': 'justify-end', end: 'justify-end', center: 'justify-center',
+    'space-between': 'justify-between', 'space-around': 'justify-around', 'space-evenly': 'justify-evenly'
+  },
+  alignItems: { 'flex-start': 'items-start', 'flex-end': 'items-end', center: 'items-center', stretch: 'items-stretch', baseline: 'items-baseline' },
+  flexGrow: { 0: 'grow-0', 1: 'grow' },
+  flexShrink: { 0: 'shrink-0', 1: 'shrink' },
+  alignSelf: { auto: 'self-auto', 'flex-start': 'self-start', 'flex-end': 'self-end', center: 'self-center', stretch: 'self-stretch', baseline: 'self-baseline' },
+  // Position
+  position: { static: 'static', relative: 'relative', absolute: 'absolute', fixed: 'fixed', sticky: 'sticky' },
+  top: ['top', 'inset'],
+  left: ['left', 'inset'],
+  right: ['right', 'inset'],
+  bottom: ['bottom', 'inset'],
+  // Typography
+  fontFamily: ['font', 'fontFamily'],
+  fontSize: ['text', 'fontSize'],
+  fontWeight: ['font', 'fontWeight'],
+  fontStyle: { italic: 'italic', normal: 'not-italic' },
+  lineHeight: ['leading', 'lineHeight'],
+  letterSpacing: ['tracking', 'letterSpacing'],
+  textAlign: { left: 'text-left', center: 'text-center', right: 'text-right', justify: 'text-justify' },
+  textTransform: { uppercase: 'uppercase', lowercase: 'lowercase', capitalize: 'capitalize', none: 'normal-case' },
+  textDecoration: { underline: 'underline', 'line-through': 'line-through', none: 'no-underline' },
+  whiteSpace: { normal: 'whitespace-normal', nowrap: 'whitespace-nowrap', pre: 'whitespace-pre', 'pre-line': 'whitespace-pre-line', 'pre-wrap': 'whitespace-pre-wrap' },
+  // Effects
+  boxShadow: ['shadow', 'boxShadow'],
+  opacity: ['opacity', 'opacity'],
+  overflow: { hidden: 'overflow-hidden', visible: 'overflow-visible', auto: 'overflow-auto', scroll: 'overflow-scroll' },
+  boxSizing: { 'border-box': 'box-border', 'content-box': 'box-content' },
+  objectFit: { cover: 'object-cover', contain: 'object-contain', fill: 'object-fill', none: 'object-none', 'scale-down': 'object-scale-down' },
+  cursor: { pointer: 'cursor-pointer', default: 'cursor-default', 'not-allowed': 'cursor-not-allowed', text: 'cursor-text', move: 'cursor-move' },
+  visibility: { visible: 'visible', hidden: 'invisible' },
+  pointerEvents: { none: 'pointer-events-none', auto: 'pointer-events-auto' },
+  zIndex: ['z', 'zIndex']
+};
+
+const DISPLAY_CLASSES = {
+  flex: 'flex',
+  'inline-flex': 'inline-flex',
+  block: 'block',
+  inline: 'inline',
+  'inline-block': 'inline-block',
+  grid: 'grid',
+  'inline-grid': 'inline-grid',
+  contents: 'contents',
+  none: 'hidden',
+  hidden: 'hidden'
+};
+
+// Sections whose plain numbers are not pixels
+const UNITLESS_SECTIONS = ['fontWeight', 'lineHeight', 'opacity', 'zIndex'];
+
+const COLOR_SECTIONS = ['backgroundColor', 'textColor', 'borderColor'];
+
+// text-[...] and border-[...] read anything that is not a length as a color
+const LENGTH_ONLY_SECTIONS = ['fontSize', 'borderWidth'];
+
+const BORDER_STYLES = ['solid', 'dashed', 'dotted', 'double', 'none'];
+
 /**
  * Converts a React inline style object to Tailwind CSS classes
+ *
+ * Values on the project's theme scale become its classes (p-4, bg-primary, rounded,
+ * shadow-sm), others arbitrary values (p-[15px]). Styles neither can express - CSS
+ * variables as colors, font stacks off the theme, unknown keywords - stay in
+ * remainingStyles.
  * 
  * @param {Object} styleObject - React inline style object with CSS properties
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.breakpoint] - Responsive prefix (sm, md, lg, xl, 2xl) added to every class
+ * @param {string} [options.state] - State prefix (hover, focus, active) added after the breakpoint
+ * @param {Array<Object>} [options.tokens] - Design token entries (tokenMatcher); values equal to a
+ *   token become its theme class instead of an arbitrary value
  * @returns {Object} Object containing className string and remaining unconverted styles
  * @returns {string} returns.className - Tailwind CSS classes as a space-separated string
  * @returns {Object} returns.remainingStyles - Styles that couldn't be converted to Tailwind
@@ -23,356 +135,143 @@
  * const result = inlineStylesToTailwind(styles);
  * // result.className = 'w-[477px] h-[297px] bg-[#44b24f] border-[13px] border-solid border-black rounded-[15px]'
  * // result.remainingStyles = {}
+ *
+ * inlineStylesToTailwind({ padding: '16px', backgroundColor: '#5D5FEF', fontFamily: 'Inter' });
+ * // { className: 'bg-primary p-4', remainingStyles: { fontFamily: 'Inter' } }
+ *
+ * inlineStylesToTailwind({ width: '320px' }, { breakpoint: 'md' });
+ * // { className: 'md:w-[320px]', remainingStyles: {} }
+ *
+ * inlineStylesToTailwind({ backgroundColor: '#4A4ADB' }, { state: 'hover' });
+ * // { className: 'hover:bg-primary-dark', remainingStyles: {} }
+ *
+ * inlineStylesToTailwind({ backgroundColor: '#44b24f' }, { tokens: collectTokenEntries(designTokens) });
+ * // { className: 'bg-brand-primary', remainingStyles: {} }
  */
-export function inlineStylesToTailwind(styleObject) {
+export function inlineStylesToTailwind(styleObject, options = {}) {
   if (!styleObject || typeof styleObject !== 'object') {
     return { className: '', remainingStyles: {} };
   }
 
-  const tailwindClasses = [];
-  const remainingStyles = { ...styleObject };
-
-  // Helper function to remove processed style from remaining
-  const markAsProcessed = (property) => {
-    delete remainingStyles[property];
-  };
-
-  // Helper function to add class to array
-  const addClass = (className) => {
-    if (className) {
-      tailwindClasses.push(className);
-    }
-  };
-
-  // Helper function to parse pixel values for standard spacing
-  const getStandardSpacing = (value) => {
-    if (typeof value !== 'string' || !value.endsWith('px')) return null;
-    const num = parseInt(value);
-    const spacingMap = {
-      0: '0',
-      1: '0.5',
-      2: '1',
-      3: '1.5',
-      4: '2',
-      5: '2.5',
-      6: '3',
-      8: '4',
-      10: '5',
-      12: '6',
-      14: '7',
-      16: '8',
-      20: '10',
-      24: '12',
-      32: '16',
-      40: '20',
-      48: '24',
-      56: '28',
-      64: '32',
-      72: '36',
-      80: '40',
-      96: '48'
-    };
-    return spacingMap[num] || null;
-  };
-
-  // Helper function to convert color values
-  const convertColor = (color, prefix = '') => {
-    if (!color) return null;
-    
-    // Handle special cases
-    if (color === '#000000' || color === '#000') return `${prefix}black`;
-    if (color === '#ffffff' || color === '#fff') return `${prefix}white`;
-    if (color === 'transparent') return `${prefix}transparent`;
-    
-    // Handle hex colors
-    if (color.startsWith('#')) {
-      return `${prefix}[${color}]`;
-    }
-    
-    // Handle rgba/rgb colors
-    if (color.startsWith('rgb')) {
-      return `${prefix}[${color}]`;
-    }
-    
-    return null;
-  };
-
-  // DIMENSIONS
-  if (styleObject.width) {
-    const width = styleObject.width;
-    if (typeof width === 'string') {
-      addClass(`w-[${width}]`);
-    }
-    markAsProcessed('width');
+  if (!options.tokens?.length) {
+    return convertStyles(styleObject, options);
   }
 
-  if (styleObject.height) {
-    const height = styleObject.height;
-    if (typeof height === 'string') {
-      addClass(`h-[${height}]`);
-    }
-    markAsProcessed('height');
-  }
+  const variant = getVariantPrefix(options);
+  const tokenClasses = [];
+  const otherStyles = {};
 
-  // COLORS
-  if (styleObject.backgroundColor) {
-    const bgColor = convertColor(styleObject.backgroundColor, 'bg-');
-    if (bgColor) {
-      addClass(bgColor);
+  Object.entries(styleObject).forEach(([property, value]) => {
+    const match = matchStyleValue(options.tokens, property, value);
+    const tokenClass = match?.exact && tailwindTokenClass(match.token, property);
+    if (tokenClass) {
+      tokenClasses.push(`${variant}${tokenClass}`);
+    } else {
+      otherStyles[property] = value;
     }
-    markAsProcessed('backgroundColor');
-  }
+  });
 
-  if (styleObject.color) {
-    const textColor = convertColor(styleObject.color, 'text-');
-    if (textColor) {
-      addClass(textColor);
-    }
-    markAsProcessed('color');
-  }
+  const { className, remainingStyles } = convertStyles(otherStyles, options);
+  return {
+    className: [...tokenClasses, className].filter(Boolean).join(' '),
+    remainingStyles
+  };
+}
 
-  // BORDERS
-  if (styleObject.border) {
-    const border = styleObject.border;
-    if (typeof border === 'string') {
-      // Parse border: "width style color"
-      const parts = border.split(' ');
-      if (parts.length >= 3) {
-        const [width, style, ...colorParts] = parts;
-        const color = colorParts.join(' ');
-        
-        // Add border width
-        addClass(`border-[${width}]`);
-        
-        // Add border style
-        if (style === 'solid') addClass('border-solid');
-        else if (style === 'dashed') addClass('border-dashed');
-        else if (style === 'dotted') addClass('border-dotted');
-        else if (style === 'none') addClass('border-none');
-        else addClass(`border-[${style}]`);
-        
-        // Add border color
-        const borderColor = convertColor(color, 'border-');
-        if (borderColor) {
-          addClass(borderColor);
-        }
-      }
-    }
-    markAsProcessed('border');
-  }
+/**
+ * Convert a style object with the theme scale and arbitrary values
+ * @param {Object} styleObject - React inline style object
+ * @param {Object} options - See inlineStylesToTailwind
+ * @returns {Object} { className, remainingStyles }
+ */
+function convertStyles(styleObject, options) {
+  const variant = getVariantPrefix(options);
+  const tailwindClasses = [];
+  const remainingStyles = { ...styleObject };
 
-  if (styleObject.borderRadius) {
-    const borderRadius = styleObject.borderRadius;
-    if (typeof borderRadius === 'string') {
-      // Check for standard values first
-      const radiusMap = {
-        '0': 'rounded-none',
-        '2px': 'rounded-sm',
-        '4px': 'rounded',
-        '6px': 'rounded-md',
-        '8px': 'rounded-lg',
-        '12px': 'rounded-xl',
-        '16px': 'rounded-2xl',
-        '24px': 'rounded-3xl',
-        '9999px': 'rounded-full'
-      };
-      
-      const standardClass = radiusMap[borderRadius];
-      if (standardClass) {
-        addClass(standardClass);
-      } else {
-        addClass(`rounded-[${borderRadius}]`);
-      }
-    }
-    markAsProcessed('borderRadius');
-  }
+  Object.entries(UTILITIES).forEach(([property, utility]) => {
+    const value = styleObject[property];
+    if (value === undefined || value === null || value === '') return;
 
-  // SPACING
-  // Handle padding
-  if (styleObject.padding) {
-    const padding = styleObject.padding;
-    if (typeof padding === 'string') {
-      const standardPadding = getStandardSpacing(padding);
-      if (standardPadding) {
-        addClass(`p-${standardPadding}`);
-      } else {
-        addClass(`p-[${padding}]`);
-      }
+    let classes = null;
+    if (Array.isArray(utility)) {
+      classes = scaleClass(utility[0], utility[1], value);
+    } else if (typeof utility === 'function') {
+      classes = utility(value);
+    } else {
+      classes = utility[value] || null;
     }
-    markAsProcessed('padding');
-  }
+    if (!classes) return;
 
-  // Handle individual padding properties
-  ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'].forEach(prop => {
-    if (styleObject[prop]) {
-      const value = styleObject[prop];
-      const prefix = prop.replace('padding', '').toLowerCase();
-      const tailwindPrefix = prefix === 'top' ? 'pt' : 
-                           prefix === 'right' ? 'pr' : 
-                           prefix === 'bottom' ? 'pb' : 'pl';
-      
-      if (typeof value === 'string') {
-        const standardValue = getStandardSpacing(value);
-        if (standardValue) {
-          addClass(`${tailwindPrefix}-${standardValue}`);
-        } else {
-          addClass(`${tailwindPrefix}-[${value}]`);
-        }
-      }
-      markAsProcessed(prop);
-    }
+    [].concat(classes).forEach(className => tailwindClasses.push(`${variant}${className}`));
+    delete remainingStyles[property];
   });
 
-  // Handle margin
-  if (styleObject.margin) {
-    const margin = styleObject.margin;
-    if (typeof margin === 'string') {
-      const standardMargin = getStandardSpacing(margin);
-      if (standardMargin) {
-        addClass(`m-${standardMargin}`);
-      } else {
-        addClass(`m-[${margin}]`);
-      }
-    }
-    markAsProcessed('margin');
-  }
+  return {
+    className: tailwindClasses.join(' '),
+    remainingStyles
+  };
+}
 
-  // Handle individual margin properties
-  ['marginTop', 'marginRight', 'marginBottom', 'marginLeft'].forEach(prop => {
-    if (styleObject[prop]) {
-      const value = styleObject[prop];
-      const prefix = prop.replace('margin', '').toLowerCase();
-      const tailwindPrefix = prefix === 'top' ? 'mt' : 
-                           prefix === 'right' ? 'mr' : 
-                           prefix === 'bottom' ? 'mb' : 'ml';
-      
-      if (typeof value === 'string') {
-        const standardValue = getStandardSpacing(value);
-        if (standardValue) {
-          addClass(`${tailwindPrefix}-${standardValue}`);
-        } else {
-          addClass(`${tailwindPrefix}-[${value}]`);
-        }
-      }
-      markAsProcessed(prop);
-    }
-  });
+// 'md:hover:' for { breakpoint: 'md', state: 'hover' }
+function getVariantPrefix(options) {
+  return [options.breakpoint, options.state].filter(Boolean).map(prefix => `${prefix}:`).join('');
+}
 
-  // LAYOUT
-  if (styleObject.display) {
-    const display = styleObject.display;
-    if (display === 'flex') addClass('flex');
-    else if (display === 'block') addClass('block');
-    else if (display === 'inline') addClass('inline');
-    else if (display === 'inline-block') addClass('inline-block');
-    else if (display === 'grid') addClass('grid');
-    else if (display === 'hidden') addClass('hidden');
-    else addClass(`[display:${display}]`);
-    markAsProcessed('display');
-  }
+// Theme class for the value, else an arbitrary value the utility can read, else null
+function scaleClass(utility, section, value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const cssValue = typeof value === 'number' && !UNITLESS_SECTIONS.includes(section) ? `${value}px` : String(value).trim();
 
-  if (styleObject.flexDirection) {
-    const flexDirection = styleObject.flexDirection;
-    if (flexDirection === 'row') addClass('flex-row');
-    else if (flexDirection === 'column') addClass('flex-col');
-    else if (flexDirection === 'row-reverse') addClass('flex-row-reverse');
-    else if (flexDirection === 'column-reverse') addClass('flex-col-reverse');
-    markAsProcessed('flexDirection');
-  }
+  const themed = themeClass(utility, section, cssValue);
+  if (themed) return themed;
 
-  if (styleObject.justifyContent) {
-    const justifyContent = styleObject.justifyContent;
-    if (justifyContent === 'center') addClass('justify-center');
-    else if (justifyContent === 'flex-start') addClass('justify-start');
-    else if (justifyContent === 'flex-end') addClass('justify-end');
-    else if (justifyContent === 'space-between') addClass('justify-between');
-    else if (justifyContent === 'space-around') addClass('justify-around');
-    else if (justifyContent === 'space-evenly') addClass('justify-evenly');
-    markAsProcessed('justifyContent');
-  }
+  if (section === 'fontFamily') return null;
+  if (COLOR_SECTIONS.includes(section) && !isColorLiteral(cssValue)) return null;
+  if (LENGTH_ONLY_SECTIONS.includes(section) && !/^-?\d*\.?\d+(px|rem|em|%)$/.test(cssValue)) return null;
 
-  if (styleObject.alignItems) {
-    const alignItems = styleObject.alignItems;
-    if (alignItems === 'center') addClass('items-center');
-    else if (alignItems === 'flex-start') addClass('items-start');
-    else if (alignItems === 'flex-end') addClass('items-end');
-    else if (alignItems === 'stretch') addClass('items-stretch');
-    else if (alignItems === 'baseline') addClass('items-baseline');
-    markAsProcessed('alignItems');
-  }
+  // Arbitrary values cannot contain spaces - Tailwind reads underscores as spaces
+  return `${utility}-[${cssValue.replace(/\s+/g, '_')}]`;
+}
 
-  // POSITION
-  if (styleObject.position) {
-    const position = styleObject.position;
-    if (position === 'relative') addClass('relative');
-    else if (position === 'absolute') addClass('absolute');
-    else if (position === 'fixed') addClass('fixed');
-    else if (position === 'sticky') addClass('sticky');
-    else if (position === 'static') addClass('static');
-    markAsProcessed('position');
-  }
+// '1px solid #e5e7eb' → ['border', 'border-solid', 'border-gray-200'], null when a part has no class
+function borderClasses(value) {
+  if (typeof value === 'number') return scaleClass('border', 'borderWidth', value);
+  if (typeof value !== 'string') return null;
+  if (value.trim() === 'none' || value.trim() === '0') return 'border-0';
 
-  ['top', 'left', 'right', 'bottom'].forEach(prop => {
-    if (styleObject[prop] !== undefined) {
-      const value = styleObject[prop];
-      if (typeof value === 'string') {
-        addClass(`${prop}-[${value}]`);
-      } else if (typeof value === 'number') {
-        addClass(`${prop}-[${value}px]`);
-      }
-      markAsProcessed(prop);
-    }
+  const classes = [];
+  const parts = value.trim().match(/[^\s(]+\([^)]*\)|\S+/g) || [];
+  const understood = parts.every(part => {
+    const className = BORDER_STYLES.includes(part)
+      ? `border-${part}`
+      : isColorLiteral(part) || themeClass('border', 'borderColor', part)
+        ? scaleClass('border', 'borderColor', part)
+        : scaleClass('border', 'borderWidth', part);
+    if (className) classes.push(className);
+    return Boolean(className);
   });
+  return understood && classes.length > 0 ? classes : null;
+}
 
-  // EFFECTS
-  if (styleObject.boxShadow) {
-    const boxShadow = styleObject.boxShadow;
-    if (typeof boxShadow === 'string') {
-      // Check for common shadow patterns
-      if (boxShadow === '0px 4px 4px rgba(0, 0, 0, 0.25)') {
-        addClass('shadow-md');
-      } else if (boxShadow === '0px 10px 15px rgba(0, 0, 0, 0.1)') {
-        addClass('shadow-lg');
-      } else if (boxShadow === '0px 1px 3px rgba(0, 0, 0, 0.1)') {
-        addClass('shadow-sm');
-      } else if (boxShadow === '0px 25px 50px rgba(0, 0, 0, 0.25)') {
-        addClass('shadow-2xl');
-      } else if (boxShadow === 'none') {
-        addClass('shadow-none');
-      } else {
-        // Custom shadow - replace spaces with underscores for Tailwind
-        const customShadow = boxShadow.replace(/\s+/g, '_');
-        addClass(`shadow-[${customShadow}]`);
-      }
-    }
-    markAsProcessed('boxShadow');
-  }
+// '8px 16px' → ['py-2', 'px-4'], '4px 8px 12px' → ['pt-1', 'pr-2', 'pb-3', 'pl-2'], null when a side has no class
+function sideClasses(utility, section) {
+  return (value) => {
+    const parts = typeof value === 'string' ? value.trim().match(/[^\s(]+\([^)]*\)|\S+/g) || [] : [];
+    if (parts.length < 2 || parts.length > 4) return scaleClass(utility, section, value);
 
-  if (styleObject.zIndex !== undefined) {
-    const zIndex = styleObject.zIndex;
-    if (typeof zIndex === 'number') {
-      // Check for standard z-index values
-      const zIndexMap = {
-        0: 'z-0',
-        10: 'z-10',
-        20: 'z-20',
-        30: 'z-30',
-        40: 'z-40',
-        50: 'z-50'
-      };
-      
-      const standardClass = zIndexMap[zIndex];
-      if (standardClass) {
-        addClass(standardClass);
-      } else {
-        addClass(`z-[${zIndex}]`);
-      }
-    }
-    markAsProcessed('zIndex');
-  }
+    // CSS order: top, right, bottom, left - missing sides repeat their opposite
+    const [top, right = top, bottom = top, left = right] = parts;
+    const same = (a, b) => normalizeThemeValue(section, a) === normalizeThemeValue(section, b);
+    const sides = same(top, bottom) && same(left, right)
+      ? same(top, left) ? [[utility, top]] : [[`${utility}y`, top], [`${utility}x`, left]]
+      : [[`${utility}t`, top], [`${utility}r`, right], [`${utility}b`, bottom], [`${utility}l`, left]];
 
-  return {
-    className: tailwindClasses.join(' '),
-    remainingStyles
+    const classes = sides.map(([sideUtility, sideValue]) => scaleClass(sideUtility, section, sideValue));
+    return classes.every(Boolean) ? classes : null;
   };
 }
+
+function isColorLiteral(value) {
+  return /^(#[0-9a-f]{3,8}|rgba?\(.*\)|hsla?\(.*\))$/i.test(String(value).trim());
+}
@@ -0,0 +1,163 @@
+/**
+ * Tailwind Theme Scale
+ * @fileoverview Looks up style values on the project's Tailwind theme - tailwind.config.js
+ * (its extension lives in src/tailwind.theme.js) resolved over Tailwind's defaults - so
+ * converted code says bg-primary, p-4 and rounded instead of bg-[#5d5fef], p-[16px] and
+ * rounded-[8px].
+ *
+ * Values are compared after normalizing: rem becomes px (16px root), colors become
+ * lowercase hex (rgba when translucent) and shadows lose their spacing differences.
+ * Names from the project's extension win over Tailwind's defaults for the same value.
+ */
+
+import resolveConfig from 'tailwindcss/resolveConfig';
+import themeExtension from '../tailwind.theme';
+
+export const TAILWIND_THEME = resolveConfig({ content: [], theme: { extend: themeExtension } }).theme;
+
+const ROOT_FONT_SIZE = 16;
+
+// Sections whose utilities also take negative values (-mt-4, -top-2)
+const NEGATABLE_SECTIONS = ['margin', 'inset', 'translate', 'space'];
+
+const FONT_WEIGHT_KEYWORDS = { normal: '400', bold: '700' };
+
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+
+const COLOR_SECTIONS = ['colors', 'backgroundColor', 'textColor', 'borderColor', 'fill', 'stroke', 'outlineColor'];
+
+const lookups = new Map();
+
+/**
+ * Class for a value on the theme scale of a utility
+ *
+ * @param {string} utility - Utility prefix (bg, p, rounded, shadow, text, ...)
+ * @param {string} section - Theme section (backgroundColor, padding, borderRadius, ...)
+ * @param {string|number} value - CSS value; numbers are pixels
+ * @returns {string|null} 'bg-primary', 'p-4', 'rounded' (DEFAULT key), '-mt-2', or null when
+ *   the scale has no such value
+ *
+ * @example
+ * themeClass('p', 'padding', '16px'); // 'p-4'
+ * themeClass('rounded', 'borderRadius', '8px'); // 'rounded' - the project's DEFAULT radius
+ * themeClass('bg', 'backgroundColor', '#5D5FEF'); // 'bg-primary'
+ */
+export function themeClass(utility, section, value) {
+  const normalized = normalizeThemeValue(section, value);
+  if (normalized === null) return null;
+
+  const key = getLookup(section).get(normalized);
+  if (key !== undefined) return key === 'DEFAULT' ? utility : `${utility}-${key}`;
+
+  if (NEGATABLE_SECTIONS.includes(section) && normalized.startsWith('-')) {
+    const positive = getLookup(section).get(normalized.slice(1));
+    if (positive !== undefined && positive !== 'DEFAULT') return `-${utility}-${positive}`;
+  }
+  return null;
+}
+
+/**
+ * Normalize a CSS value for comparison with a theme section
+ * @param {string} section - Theme section
+ * @param {*} value - CSS value (or theme value: string, [fontSize, { lineHeight }], [families])
+ * @returns {string|null} Comparable text, or null for values the section cannot hold
+ */
+export function normalizeThemeValue(section, value) {
+  if (Array.isArray(value)) return normalizeThemeValue(section, value[0]);
+  if (value === null || value === undefined || typeof value === 'object' || typeof value === 'function') return null;
+
+  if (COLOR_SECTIONS.includes(section)) return normalizeColor(value);
+  if (section === 'boxShadow') return normalizeShadow(value);
+  if (section === 'fontFamily') return String(value).split(',')[0].replace(/['"]/g, '').trim().toLowerCase();
+  if (section === 'fontWeight') {
+    const weight = String(value).trim().toLowerCase();
+    return FONT_WEIGHT_KEYWORDS[weight] || weight;
+  }
+  if (['opacity', 'zIndex'].includes(section)) return String(value).trim();
+  // Unitless line heights are multipliers
+  if (section === 'lineHeight' && (typeof value === 'number' || /^\d*\.?\d+$/.test(String(value).trim()))) {
+    return `×${Number(value)}`;
+  }
+  return normalizeLength(value);
+}
+
+// Normalized value → theme key, the project's extension first
+function getLookup(section) {
+  if (!lookups.has(section)) {
+    const lookup = new Map();
+    const add = (values) => flattenKeys(values).forEach(([key, value]) => {
+      const normalized = normalizeThemeValue(section, value);
+      if (normalized !== null && !lookup.has(normalized)) lookup.set(normalized, key);
+    });
+    add(extensionFor(section));
+    add(TAILWIND_THEME[section]);
+    lookups.set(section, lookup);
+  }
+  return lookups.get(section);
+}
+
+// Color utilities read the extension's colors too
+function extensionFor(section) {
+  return themeExtension[section] || (COLOR_SECTIONS.includes(section) ? themeExtension.colors : null) || {};
+}
+
+// { gray: { 50: '#f9fafb', DEFAULT: '#6b7280' } } → [['gray-50', '#f9fafb'], ['gray', '#6b7280']]
+function flattenKeys(values, prefix = '') {
+  return Object.entries(values || {}).flatMap(([key, value]) => {
+    const name = key === 'DEFAULT' ? prefix.replace(/-$/, '') || 'DEFAULT' : `${prefix}${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) return flattenKeys(value, `${name}-`);
+    return [[name, value]];
+  });
+}
+
+function normalizeLength(value) {
+  if (typeof value === 'number') return `${value}px`;
+  const text = String(value).trim().toLowerCase();
+  if (text === '0') return '0px';
+
+  const match = text.match(/^(-?\d*\.?\d+)(px|rem)$/);
+  if (!match) return text;
+  const pixels = match[2] === 'rem' ? Number(match[1]) * ROOT_FONT_SIZE : Number(match[1]);
+  return `${Math.round(pixels * 100) / 100}px`;
+}
+
+// '#5D5FEF', '#fff', 'rgb(93, 95, 239)', 'rgb(0 0 0 / 0.1)' → '#5d5fef' or 'rgba(0, 0, 0, 0.1)'
+function normalizeColor(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['transparent', 'currentcolor', 'inherit'].includes(text)) return text;
+  if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+
+  let channels = null;
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+    const pairs = digits.match(/../g).map(pair => parseInt(pair, 16));
+    channels = [pairs[0], pairs[1], pairs[2], pairs.length === 4 ? Math.round((pairs[3] / 255) * 100) / 100 : 1];
+  }
+
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : Number(rgb[4]);
+    channels = [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), alpha];
+  }
+
+  if (!channels) return null;
+  const [r, g, b, a] = channels;
+  if (a >= 1) return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+  return `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+
+// '0 1px 2px rgba(0, 0, 0, 0.05)' and '0px 1px 2px 0px rgb(0 0 0 / 0.05)' compare equal
+function normalizeShadow(value) {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'none') return text;
+
+  return text.split(/,(?![^(]*\))/).map(layer => {
+    const parts = layer.trim().match(/[^\s(]+\([^)]*\)|[^\s]+/g) || [];
+    const inset = parts.includes('inset');
+    const lengths = parts.filter(part => part !== 'inset' && normalizeColor(part) === null).map(normalizeLength);
+    const color = parts.map(normalizeColor).find(Boolean) || '#000000';
+    while (lengths.length < 4) lengths.push('0px');
+    return [inset && 'inset', ...lengths, color].filter(Boolean).join(' ');
+  }).join(', ');
+}
@@ -0,0 +1,131 @@
+/**
+ * Token Compliance
+ * @fileoverview Checks a Figma node against an existing design token set (read with
+ * parseTokenFile) and lists every off-system value with its nearest allowed token and
+ * the layers that use it - a design system compliance report before any code exists.
+ *
+ * Checked: solid fill, text and stroke colors, font sizes, corner radii, shadows and
+ * auto-layout spacing (padding and item spacing). Gaps measured between children of
+ * frames without auto layout are left out, since nobody typed them in.
+ */
+
+import { colorToCSS } from './figmaCompiler';
+import { shadowsToCSS } from './tokenExtractor';
+import { collectTokenEntries, findNearestToken, matchTokenValue, cssValue } from './tokenMatcher';
+
+// Report order, with the labels the panel shows
+export const COMPLIANCE_GROUPS = {
+  color: 'Colors',
+  'font-size': 'Font Sizes',
+  radius: 'Radii',
+  shadow: 'Shadows',
+  spacing: 'Spacing'
+};
+
+const PADDING_SIDES = ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'];
+
+/**
+ * Check the values a node and its children use against a token set
+ *
+ * @param {Object} figmaNode - Selected Figma node
+ * @param {Array<Object>} tokenSet - Entries from parseTokenFile (or collectTokenEntries)
+ * @param {Object} [options] - Near-miss tolerances, as for matchStyleValue
+ * @returns {Object} {
+ *   checked, compliant - number of value usages checked and on-system,
+ *   score - percentage on-system (100 when nothing was checked),
+ *   issues - [{ group, value, nearest: { token, difference, near } | null,
+ *              usages: [{ id, name, property }] }], by group then most used
+ * }
+ */
+export function checkTokenCompliance(figmaNode, tokenSet, options = {}) {
+  const entries = collectTokenEntries(null, tokenSet || []);
+  const usages = collectValueUsages(figmaNode);
+  const issues = new Map();
+  let compliant = 0;
+
+  usages.forEach(usage => {
+    const nearest = findNearestToken(entries, usage.group, usage.value);
+    if (nearest && nearest.difference < 0.01) {
+      compliant++;
+      return;
+    }
+
+    const id = `${usage.group}|${usage.value}`;
+    if (!issues.has(id)) {
+      issues.set(id, {
+        group: usage.group,
+        value: usage.value,
+        nearest: nearest && { ...nearest, near: matchTokenValue(entries, usage.group, usage.value, options) !== null },
+        usages: []
+      });
+    }
+    issues.get(id).usages.push({ id: usage.layer.id, name: usage.layer.name, property: usage.property });
+  });
+
+  const order = Object.keys(COMPLIANCE_GROUPS);
+  return {
+    checked: usages.length,
+    compliant,
+    score: usages.length > 0 ? Math.round((compliant / usages.length) * 100) : 100,
+    issues: [...issues.values()].sort((a, b) =>
+      order.indexOf(a.group) - order.indexOf(b.group) || b.usages.length - a.usages.length)
+  };
+}
+
+/**
+ * One-line summary of an issue for lists and clipboard
+ * @param {Object} issue - From checkTokenCompliance
+ * @returns {string} e.g. 'color #3467cc → --color-brand-primary (#3366cc), used by Title (text)'
+ */
+export function describeComplianceIssue(issue) {
+  const nearest = issue.nearest
+    ? `--${issue.nearest.token.name} (${cssValue(issue.nearest.token)})`
+    : 'no token';
+  const layers = issue.usages.map(usage => `${usage.name} (${usage.property})`).join(', ');
+  return `${issue.group} ${issue.value} → ${nearest}, used by ${layers}`;
+}
+
+// Every checked value on the node and its visible children: { group, value, property, layer }
+function collectValueUsages(node, usages = []) {
+  if (!node || node.visible === false) return usages;
+  const layer = { id: node.id, name: node.name || node.type };
+  const add = (group, property, value) => usages.push({ group, property, value, layer });
+
+  (node.fills || []).forEach(fill => {
+    if (fill.type === 'SOLID' && fill.visible !== false && fill.color) {
+      add('color', node.type === 'TEXT' ? 'text' : 'fill', colorToCSS(fill.color, fill.opacity));
+    }
+  });
+  (node.strokes || []).forEach(stroke => {
+    if (stroke.type === 'SOLID' && stroke.visible !== false && stroke.color) {
+      add('color', 'stroke', colorToCSS(stroke.color, stroke.opacity));
+    }
+  });
+
+  if (node.type === 'TEXT' && node.style?.fontSize) {
+    add('font-size', 'fontSize', `${node.style.fontSize}px`);
+  }
+
+  if (node.rectangleCornerRadii) {
+    [...new Set(node.rectangleCornerRadii)]
+      .filter(radius => radius > 0)
+      .forEach(radius => add('radius', 'cornerRadii', `${radius}px`));
+  } else if (node.cornerRadius > 0) {
+    add('radius', 'cornerRadius', `${node.cornerRadius}px`);
+  }
+
+  const shadow = shadowsToCSS(node.effects);
+  if (shadow) add('shadow', 'effects', shadow);
+
+  if (node.layoutMode && node.layoutMode !== 'NONE') {
+    PADDING_SIDES.forEach(side => {
+      if (node[side] > 0) add('spacing', side, `${node[side]}px`);
+    });
+    if (node.itemSpacing > 0 && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+      add('spacing', 'itemSpacing', `${node.itemSpacing}px`);
+    }
+  }
+
+  (node.children || []).forEach(child => collectValueUsages(child, usages));
+  return usages;
+}
@@ -5,6 +5,8 @@
  * used in a selected Figma component to help developers understand the design system.
  */
 
+import { colorToCSS } from './figmaCompiler';
+
 /**
  * Convert RGB color to hex format
  * @param {Object} color - RGB color object with r, g, b properties
@@ -282,12 +284,364 @@ function analyzeSpacingPattern(spacingValues) {
   };
 }
 
+// Node properties a Variable can be bound to, with the token category they give it.
+// `unit` marks FLOAT variables that are written as pixel dimensions.
+const fieldsOf = (names, info) => Object.fromEntries(names.map(name => [name, info]));
+const VARIABLE_FIELDS = {
+  ...fieldsOf(['fills', 'strokes'], { category: 'color' }),
+  ...fieldsOf(['itemSpacing', 'counterAxisSpacing', 'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom'], { category: 'spacing', unit: 'px' }),
+  ...fieldsOf(['cornerRadius', 'topLeftRadius', 'topRightRadius', 'bottomLeftRadius', 'bottomRightRadius'], { category: 'radius', unit: 'px' }),
+  ...fieldsOf(['strokeWeight', 'strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight'], { category: 'border-width', unit: 'px' }),
+  ...fieldsOf(['fontSize', 'lineHeight', 'letterSpacing', 'paragraphSpacing'], { category: 'font', unit: 'px' }),
+  ...fieldsOf(['fontFamily', 'fontStyle', 'fontWeight'], { category: 'font' }),
+  ...fieldsOf(['width', 'height', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight'], { category: 'size', unit: 'px' }),
+  opacity: { category: 'opacity' }
+};
+
+// Name prefix per category: "Brand/Primary" bound to a fill becomes color-brand-primary
+const CATEGORY_PREFIXES = {
+  color: 'color',
+  spacing: 'spacing',
+  radius: 'radius',
+  'border-width': 'border-width',
+  font: 'font',
+  size: 'size',
+  opacity: 'opacity',
+  typography: 'text',
+  shadow: 'shadow'
+};
+
+// Keys of node.styles we turn into tokens
+const STYLE_KINDS = ['fill', 'stroke', 'text', 'effect'];
+
+/**
+ * Collect the named styles and Variables used by a node and its children
+ * @param {Object} node - Figma node
+ * @param {Object} styles - Style id → { name } map from the file or the /nodes response
+ * @param {Object} refs - Collected references (for recursion)
+ * @returns {Object} { variables: Map<id, ref>, styles: Map<id, ref> }
+ */
+function collectTokenReferences(node, styles, refs = { variables: new Map(), styles: new Map() }) {
+  if (!node) return refs;
+
+  const colorUsage = node.type === 'TEXT' ? 'text' : 'background';
+  const seen = new Set();
+  const addVariable = (alias, field) => {
+    const info = VARIABLE_FIELDS[field];
+    if (!alias?.id || !info || seen.has(alias.id)) return;
+    seen.add(alias.id);
+
+    const ref = refs.variables.get(alias.id) || { ...info, usage: new Set(), count: 0 };
+    ref.usage.add(field === 'fills' ? colorUsage : field === 'strokes' ? 'border' : field);
+    ref.count++;
+    refs.variables.set(alias.id, ref);
+  };
+
+  // Paints carry their own color binding; other fields are bound on the node
+  (node.fills || []).forEach(paint => addVariable(paint.boundVariables?.color, 'fills'));
+  (node.strokes || []).forEach(paint => addVariable(paint.boundVariables?.color, 'strokes'));
+  Object.entries(node.boundVariables || {}).forEach(([field, binding]) => {
+    [].concat(binding).forEach(alias => addVariable(alias, field));
+  });
+
+  STYLE_KINDS.forEach(kind => {
+    const styleId = node.styles?.[kind];
+    const name = node.styleNames?.[kind] || styles?.[styleId]?.name;
+    if (!styleId || !name) return;
+
+    const ref = refs.styles.get(styleId) || { kind, name, node, usage: new Set(), count: 0 };
+    ref.usage.add(kind === 'fill' ? colorUsage : kind === 'stroke' ? 'border' : kind);
+    ref.count++;
+    refs.styles.set(styleId, ref);
+  });
+
+  (node.children || []).forEach(child => collectTokenReferences(child, styles, refs));
+  return refs;
+}
+
+/**
+ * Build semantic tokens from the named styles and Variables a node uses
+ *
+ * Variables keep one value per mode of their collection (light, dark, …), and a
+ * value that points at another Variable stays an alias ({ alias: 'color-blue-500' }).
+ * Every token also carries the value its alias chain resolves to.
+ *
+ * @param {Object} figmaNode - Figma node to analyze
+ * @param {Object} options - { styles, variables } (see extractDesignTokens)
+ * @returns {Object} { modes, tokens }
+ */
+function extractSemanticTokens(figmaNode, { styles, variables } = {}) {
+  const refs = collectTokenReferences(figmaNode, styles);
+  const meta = variables?.meta || variables || {};
+  const definitions = meta.variables || {};
+  const collections = meta.variableCollections || {};
+
+  const tokens = [];
+  const names = new Set();
+  const byVariableId = new Map();
+
+  // Variables first, so an alias target is named after the category of whoever uses it
+  const queue = [...refs.variables.entries()];
+  while (queue.length > 0) {
+    const [id, ref] = queue.shift();
+    const definition = definitions[id];
+    if (byVariableId.has(id) || !definition) continue;
+
+    const collection = collections[definition.variableCollectionId] || {};
+    const collectionModes = collection.modes || [];
+    const defaultMode = collectionModes.find(mode => mode.modeId === collection.defaultModeId) || collectionModes[0];
+    const modes = {};
+
+    collectionModes.forEach(mode => {
+      const value = definition.valuesByMode?.[mode.modeId];
+      if (value === undefined) return;
+
+      if (value?.type === 'VARIABLE_ALIAS') {
+        modes[slugify(mode.name)] = { aliasId: value.id };
+        queue.push([value.id, { ...ref, usage: new Set(), count: 0 }]);
+      } else {
+        modes[slugify(mode.name)] = variableValue(value, definition.resolvedType);
+      }
+    });
+
+    const token = {
+      name: uniqueName(prefixedName(ref.category, definition.name), names),
+      figmaName: definition.name,
+      source: 'variable',
+      collection: collection.name || null,
+      category: ref.category,
+      type: variableType(definition.resolvedType, ref),
+      value: defaultMode ? modes[slugify(defaultMode.name)] : undefined,
+      modes,
+      defaultMode: defaultMode ? slugify(defaultMode.name) : null,
+      usage: [...ref.usage],
+      count: ref.count
+    };
+    byVariableId.set(id, token);
+    tokens.push(token);
+  }
+
+  refs.styles.forEach(ref => {
+    const style = styleValue(ref);
+    if (!style) return;
+
+    // A color style that only wraps a same-named Variable is the same token
+    const target = style.value?.aliasId && byVariableId.get(style.value.aliasId);
+    if (target && target.name === prefixedName(style.category, ref.name)) return;
+
+    tokens.push({
+      name: uniqueName(prefixedName(style.category, ref.name), names),
+      figmaName: ref.name,
+      source: 'style',
+      collection: null,
+      category: style.category,
+      type: style.type,
+      value: style.value,
+      modes: null,
+      defaultMode: null,
+      usage: [...ref.usage],
+      count: ref.count
+    });
+  });
+
+  // Swap Figma ids for token names, then follow the alias chains
+  const toAlias = (value) => {
+    if (!value?.aliasId) return value;
+    const target = byVariableId.get(value.aliasId);
+    return target ? { alias: target.name } : value.fallback ?? null;
+  };
+  tokens.forEach(token => {
+    token.value = toAlias(token.value);
+    if (token.modes) {
+      Object.keys(token.modes).forEach(mode => { token.modes[mode] = toAlias(token.modes[mode]); });
+    }
+  });
+
+  const byName = new Map(tokens.map(token => [token.name, token]));
+  tokens.forEach(token => {
+    const chain = [];
+    token.aliasOf = isAlias(token.value) ? token.value.alias : null;
+    token.resolvedValue = resolveAlias(token.value, token.defaultMode, byName, chain);
+    token.aliasChain = chain;
+    token.resolvedModes = token.modes && Object.fromEntries(
+      Object.entries(token.modes).map(([mode, value]) => [mode, resolveAlias(value, mode, byName)])
+    );
+  });
+
+  // Theme modes of the multi-mode collections, default modes first (what :root gets)
+  const themed = tokens.filter(token => token.modes && Object.keys(token.modes).length > 1);
+  const modes = [...new Set([
+    ...themed.map(token => token.defaultMode),
+    ...themed.flatMap(token => Object.keys(token.modes))
+  ])];
+
+  return { modes, tokens };
+}
+
+/**
+ * Value of a named style, read from the first node that uses it
+ * @param {Object} ref - Style reference from collectTokenReferences
+ * @returns {Object|null} { value, type, category } or null when the node has nothing to read
+ */
+function styleValue({ kind, node }) {
+  if (kind === 'text') {
+    if (!node.style) return null;
+    return {
+      category: 'typography',
+      type: 'typography',
+      value: {
+        fontFamily: node.style.fontFamily,
+        fontSize: node.style.fontSize,
+        fontWeight: node.style.fontWeight || 'normal',
+        lineHeight: node.style.lineHeightPx,
+        letterSpacing: node.style.letterSpacing
+      }
+    };
+  }
+
+  if (kind === 'effect') {
+    const shadow = shadowsToCSS(node.effects);
+    return shadow ? { category: 'shadow', type: 'shadow', value: shadow } : null;
+  }
+
+  const paints = (kind === 'fill' ? node.fills : node.strokes) || [];
+  const paint = paints.find(candidate => candidate.visible !== false && candidate.type === 'SOLID' && candidate.color);
+  if (!paint) return null;
+
+  // A bound Variable wins; the painted color stays as the fallback when it is not local
+  const color = colorToCSS(paint.color, paint.opacity);
+  const alias = paint.boundVariables?.color;
+  return {
+    category: 'color',
+    type: 'color',
+    value: alias?.id ? { aliasId: alias.id, fallback: color } : color
+  };
+}
+
+/**
+ * Convert a resolved Variable value to the value a token holds
+ * @param {*} value - From valuesByMode
+ * @param {string} resolvedType - COLOR, FLOAT, STRING or BOOLEAN
+ * @returns {*} CSS color for COLOR, the value itself otherwise
+ */
+function variableValue(value, resolvedType) {
+  return resolvedType === 'COLOR' ? colorToCSS(value) : value;
+}
+
+function variableType(resolvedType, ref) {
+  if (resolvedType === 'COLOR') return 'color';
+  if (resolvedType === 'FLOAT') return ref.unit ? 'dimension' : 'number';
+  return resolvedType === 'BOOLEAN' ? 'boolean' : 'string';
+}
+
+function isAlias(value) {
+  return Boolean(value) && typeof value.alias === 'string';
+}
+
+/**
+ * Follow an alias chain to its value in the given mode
+ * A target without that mode (another collection) contributes its default value.
+ * @param {*} value - Token value, possibly { alias }
+ * @param {string} mode - Mode name
+ * @param {Map} byName - Tokens by name
+ * @param {Array<string>} chain - Collects the names followed
+ * @returns {*} Resolved value, or null for a broken or circular chain
+ */
+function resolveAlias(value, mode, byName, chain = []) {
+  if (!isAlias(value)) return value ?? null;
+
+  const target = byName.get(value.alias);
+  if (!target || chain.includes(target.name)) return null;
+  chain.push(target.name);
+
+  const next = target.modes && mode in target.modes ? target.modes[mode] : target.value;
+  return resolveAlias(next, mode, byName, chain);
+}
+
+function slugify(name) {
+  return String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Category prefix plus the Figma name, without doubling a prefix the name already has
+function prefixedName(category, figmaName) {
+  const prefix = CATEGORY_PREFIXES[category];
+  const slug = slugify(figmaName);
+  if (!prefix || slug === prefix || slug.startsWith(`${prefix}-`)) return slug || prefix;
+  return slug ? `${prefix}-${slug}` : prefix;
+}
+
+function uniqueName(name, names) {
+  let candidate = name;
+  for (let suffix = 2; names.has(candidate); suffix++) {
+    candidate = `${name}-${suffix}`;
+  }
+  names.add(candidate);
+  return candidate;
+}
+
+/**
+ * Visible drop and inner shadows as a box-shadow value, the way shadow tokens hold them
+ * @param {Array<Object>} [effects] - Figma effects
+ * @returns {string|null} e.g. '0px 4px 8px 0px rgba(0, 0, 0, 0.25)', or null without shadows
+ */
+export function shadowsToCSS(effects = []) {
+  const shadows = effects
+    .filter(effect => effect.visible !== false && /SHADOW$/.test(effect.type))
+    .map(effect => [
+      effect.type === 'INNER_SHADOW' ? 'inset' : null,
+      `${effect.offset?.x || 0}px`,
+      `${effect.offset?.y || 0}px`,
+      `${effect.radius || 0}px`,
+      `${effect.spread || 0}px`,
+      colorToCSS(effect.color)
+    ].filter(Boolean).join(' '));
+  return shadows.length > 0 ? shadows.join(', ') : null;
+}
+
+/**
+ * Copy style names from a Figma nodes response onto the nodes that use them
+ *
+ * node.styles only holds style ids ({ fill: 'S:1a2b…' }); the names live in the
+ * `styles` map next to the document. This stamps `styleNames` ({ fill: 'Brand/Primary' })
+ * on every node so extractDesignTokens can name tokens without the response.
+ *
+ * @param {Object} node - Document node from the response
+ * @param {Object} [styles] - response.nodes[id].styles
+ * @returns {Object} The same node
+ */
+export function annotateStyleNames(node, styles = {}) {
+  if (!node || typeof node !== 'object') return node;
+
+  STYLE_KINDS.forEach(kind => {
+    const style = styles[node.styles?.[kind]];
+    if (style?.name) {
+      node.styleNames = { ...node.styleNames, [kind]: style.name };
+    }
+  });
+
+  (node.children || []).forEach(child => annotateStyleNames(child, styles));
+  return node;
+}
+
 /**
  * Main function to extract all design tokens from a Figma node
+ *
+ * Besides the raw values, `semantic` lists tokens named after the Figma styles and
+ * Variables the node uses (color-brand-primary, text-heading-lg). The exporters
+ * only fall back to numbered raw values (color-1) for values without a name.
+ *
  * @param {Object} figmaNode - Figma node to analyze
+ * @param {Object} [options]
+ * @param {Object} [options.styles] - Style id → { name } map (file or /nodes response),
+ *   for nodes not stamped by annotateStyleNames
+ * @param {Object} [options.variables] - Response of /files/:key/variables/local (or its meta)
  * @returns {Object} Complete design token analysis
  */
-export function extractDesignTokens(figmaNode) {
+export function extractDesignTokens(figmaNode, options = {}) {
   if (!figmaNode) {
     return {
       colors: [],
@@ -296,13 +650,15 @@ export function extractDesignTokens(figmaNode) {
       borders: { widths: [], radii: [] },
       effects: [],
       spacingPattern: null,
+      semantic: { modes: [], tokens: [] },
       summary: {
         totalColors: 0,
         totalSpacingValues: 0,
         totalFontStyles: 0,
         totalBorderWidths: 0,
         totalBorderRadii: 0,
-        totalEffects: 0
+        totalEffects: 0,
+        totalSemanticTokens: 0
       }
     };
   }
@@ -315,6 +671,7 @@ export function extractDesignTokens(figmaNode) {
   const borders = extractBorders(figmaNode);
   const effects = extractEffects(figmaNode);
   const spacingPattern = analyzeSpacingPattern(spacing);
+  const semantic = extractSemanticTokens(figmaNode, options);
 
   const summary = {
     totalColors: colors.length,
@@ -322,7 +679,8 @@ export function extractDesignTokens(figmaNode) {
     totalFontStyles: typography.length,
     totalBorderWidths: borders.widths.length,
     totalBorderRadii: borders.radii.length,
-    totalEffects: effects.length
+    totalEffects: effects.length,
+    totalSemanticTokens: semantic.tokens.length
   };
 
   console.log('🎨 TOKEN EXTRACTION: Analysis complete', summary);
@@ -334,85 +692,119 @@ export function extractDesignTokens(figmaNode) {
     borders,
     effects,
     spacingPattern,
+    semantic,
     summary
   };
 }
 
 /**
  * Export design tokens as CSS variables
+ *
+ * Named tokens come first with the default mode in :root; other modes get a
+ * [data-theme="<mode>"] block (dark also follows prefers-color-scheme), and aliases
+ * stay var() references. Raw values without a name are numbered (--color-1).
+ *
  * @param {Object} tokens - Design token object
  * @returns {string} CSS string with custom properties
  */
 export function exportTokensAsCSS(tokens) {
+  const semantic = tokens.semantic?.tokens || [];
+  const fallback = getFallbackValues(tokens);
+  const named = (...categories) => semantic
+    .filter(token => categories.includes(token.category))
+    .flatMap(token => cssDeclarations(token.name, token.value, token.type));
+  const section = (title, declarations) => (declarations.length > 0
+    ? `  /* ${title} */\n${declarations.map(declaration => `  ${declaration}\n`).join('')}\n`
+    : '');
+
   let css = ':root {\n  /* Design Tokens Generated by Smart Handoff */\n\n';
-  
-  // Colors
-  if (tokens.colors.length > 0) {
-    css += '  /* Colors */\n';
-    tokens.colors.forEach((color, index) => {
-      const name = `color-${index + 1}`;
-      css += `  --${name}: ${color.hex};\n`;
-    });
-    css += '\n';
-  }
-  
-  // Spacing
-  if (tokens.spacing.length > 0) {
-    css += '  /* Spacing */\n';
-    tokens.spacing.forEach((value, index) => {
-      const name = `spacing-${index + 1}`;
-      css += `  --${name}: ${value}px;\n`;
-    });
-    css += '\n';
-  }
-  
-  // Typography
-  if (tokens.typography.length > 0) {
-    css += '  /* Typography */\n';
-    tokens.typography.forEach((font, index) => {
+
+  css += section('Colors', [
+    ...named('color'),
+    ...fallback.colors.map((color, index) => `--color-${index + 1}: ${color.hex};`)
+  ]);
+
+  css += section('Spacing', [
+    ...named('spacing'),
+    ...fallback.spacing.map((value, index) => `--spacing-${index + 1}: ${value}px;`)
+  ]);
+
+  css += section('Typography', [
+    ...named('typography', 'font'),
+    ...fallback.typography.flatMap((font, index) => {
       const baseName = `font-${index + 1}`;
-      css += `  --${baseName}-family: ${font.family};\n`;
-      css += `  --${baseName}-size: ${font.size}px;\n`;
-      css += `  --${baseName}-weight: ${font.weight};\n`;
-      if (font.lineHeight) css += `  --${baseName}-line-height: ${font.lineHeight}px;\n`;
-      if (font.letterSpacing) css += `  --${baseName}-letter-spacing: ${font.letterSpacing}px;\n`;
-    });
-    css += '\n';
-  }
-  
-  // Border radius
-  if (tokens.borders.radii.length > 0) {
-    css += '  /* Border Radius */\n';
-    tokens.borders.radii.forEach((value, index) => {
-      const name = `radius-${index + 1}`;
-      css += `  --${name}: ${value}px;\n`;
-    });
-    css += '\n';
-  }
-  
-  // Border widths
-  if (tokens.borders.widths.length > 0) {
-    css += '  /* Border Widths */\n';
-    tokens.borders.widths.forEach((value, index) => {
-      const name = `border-width-${index + 1}`;
-      css += `  --${name}: ${value}px;\n`;
-    });
-    css += '\n';
-  }
-  
+      return [
+        `--${baseName}-family: ${font.family};`,
+        `--${baseName}-size: ${font.size}px;`,
+        `--${baseName}-weight: ${font.weight};`,
+        font.lineHeight && `--${baseName}-line-height: ${font.lineHeight}px;`,
+        font.letterSpacing && `--${baseName}-letter-spacing: ${font.letterSpacing}px;`
+      ].filter(Boolean);
+    })
+  ]);
+
+  css += section('Border Radius', [
+    ...named('radius'),
+    ...fallback.radii.map((value, index) => `--radius-${index + 1}: ${value}px;`)
+  ]);
+
+  css += section('Border Widths', [
+    ...named('border-width'),
+    ...fallback.widths.map((value, index) => `--border-width-${index + 1}: ${value}px;`)
+  ]);
+
+  css += section('Shadows', named('shadow'));
+  css += section('Other', semantic
+    .filter(token => !['color', 'spacing', 'typography', 'font', 'radius', 'border-width', 'shadow'].includes(token.category))
+    .flatMap(token => cssDeclarations(token.name, token.value, token.type)));
+
   css += '}\n';
-  
+
+  (tokens.semantic?.modes || []).forEach(mode => {
+    const declarations = semantic
+      .filter(token => token.modes && mode in token.modes && mode !== token.defaultMode &&
+        JSON.stringify(token.modes[mode]) !== JSON.stringify(token.value))
+      .flatMap(token => cssDeclarations(token.name, token.modes[mode], token.type));
+    if (declarations.length === 0) return;
+
+    css += `\n[data-theme="${mode}"] {\n${declarations.map(declaration => `  ${declaration}\n`).join('')}}\n`;
+    if (mode === 'dark') {
+      css += `\n@media (prefers-color-scheme: dark) {\n  :root:not([data-theme]) {\n${declarations.map(declaration => `    ${declaration}\n`).join('')}  }\n}\n`;
+    }
+  });
+
   return css;
 }
 
 /**
  * Export design tokens as JSON for design systems
+ * Named tokens are listed under `semantic`, aliases written as {token-name}.
  * @param {Object} tokens - Design token object
  * @returns {string} JSON string
  */
 export function exportTokensAsJSON(tokens) {
+  const fallback = getFallbackValues(tokens);
   const designTokens = {
-    colors: tokens.colors.reduce((acc, color, index) => {
+    semantic: (tokens.semantic?.tokens || []).reduce((acc, token) => {
+      acc[token.name] = {
+        value: jsonValue(token.value, token.type),
+        type: token.type,
+        source: token.source,
+        figmaName: token.figmaName,
+        collection: token.collection || undefined,
+        aliasOf: token.aliasOf || undefined,
+        aliasChain: token.aliasChain.length > 0 ? token.aliasChain : undefined,
+        resolvedValue: token.aliasOf ? jsonValue(token.resolvedValue, token.type) : undefined,
+        modes: token.modes
+          ? Object.fromEntries(Object.entries(token.modes).map(([mode, value]) => [mode, jsonValue(value, token.type)]))
+          : undefined,
+        usage: token.usage,
+        count: token.count
+      };
+      return acc;
+    }, {}),
+
+    colors: fallback.colors.reduce((acc, color, index) => {
       acc[`color-${index + 1}`] = {
         value: color.hex,
         type: 'color',
@@ -422,7 +814,7 @@ export function exportTokensAsJSON(tokens) {
       return acc;
     }, {}),
     
-    spacing: tokens.spacing.reduce((acc, value, index) => {
+    spacing: fallback.spacing.reduce((acc, value, index) => {
       acc[`spacing-${index + 1}`] = {
         value: `${value}px`,
         type: 'spacing'
@@ -430,7 +822,7 @@ export function exportTokensAsJSON(tokens) {
       return acc;
     }, {}),
     
-    typography: tokens.typography.reduce((acc, font, index) => {
+    typography: fallback.typography.reduce((acc, font, index) => {
       acc[`font-${index + 1}`] = {
         family: font.family,
         size: `${font.size}px`,
@@ -443,14 +835,14 @@ export function exportTokensAsJSON(tokens) {
     }, {}),
     
     borders: {
-      radius: tokens.borders.radii.reduce((acc, value, index) => {
+      radius: fallback.radii.reduce((acc, value, index) => {
         acc[`radius-${index + 1}`] = {
           value: `${value}px`,
           type: 'border-radius'
         };
         return acc;
       }, {}),
-      width: tokens.borders.widths.reduce((acc, value, index) => {
+      width: fallback.widths.reduce((acc, value, index) => {
         acc[`width-${index + 1}`] = {
           value: `${value}px`,
           type: 'border-width'
@@ -472,6 +864,7 @@ export function exportTokensAsJSON(tokens) {
     }, {}),
     
     meta: {
+      modes: tokens.semantic?.modes || [],
       spacingPattern: tokens.spacingPattern,
       summary: tokens.summary,
       generatedAt: new Date().toISOString(),
@@ -482,6 +875,66 @@ export function exportTokensAsJSON(tokens) {
   return JSON.stringify(designTokens, null, 2);
 }
 
+/**
+ * Raw values that no named token covers - the ones the exporters still number
+ * @param {Object} tokens - Design token object
+ * @returns {Object} { colors, spacing, typography, radii, widths }
+ */
+export function getFallbackValues(tokens) {
+  const semantic = tokens.semantic?.tokens || [];
+  const namedValues = (category) => new Set(semantic
+    .filter(token => token.category === category)
+    .map(token => String(token.resolvedValue).toLowerCase()));
+
+  const colors = namedValues('color');
+  const spacing = namedValues('spacing');
+  const radii = namedValues('radius');
+  const widths = namedValues('border-width');
+  const fonts = semantic
+    .filter(token => token.type === 'typography' && token.resolvedValue)
+    .map(token => token.resolvedValue);
+
+  return {
+    colors: tokens.colors.filter(color => !colors.has(color.hex.toLowerCase())),
+    spacing: tokens.spacing.filter(value => !spacing.has(String(value))),
+    typography: tokens.typography.filter(font => !fonts.some(named =>
+      named.fontFamily === font.family && named.fontSize === font.size && String(named.fontWeight) === String(font.weight)
+    )),
+    radii: tokens.borders.radii.filter(value => !radii.has(String(value))),
+    widths: tokens.borders.widths.filter(value => !widths.has(String(value)))
+  };
+}
+
+/**
+ * CSS custom property declarations for one token value
+ * Typography styles expand to one property per font attribute.
+ * @param {string} name - Token name
+ * @param {*} value - Token value, possibly { alias }
+ * @param {string} type - Token type
+ * @returns {Array<string>} Declarations (empty for values CSS cannot hold)
+ */
+function cssDeclarations(name, value, type) {
+  if (value === null || value === undefined || type === 'boolean') return [];
+  if (isAlias(value)) return [`--${name}: var(--${value.alias});`];
+
+  if (type === 'typography') {
+    return [
+      value.fontFamily && `--${name}-font-family: ${value.fontFamily};`,
+      value.fontSize && `--${name}-font-size: ${value.fontSize}px;`,
+      value.fontWeight && `--${name}-font-weight: ${value.fontWeight};`,
+      value.lineHeight && `--${name}-line-height: ${value.lineHeight}px;`,
+      value.letterSpacing && `--${name}-letter-spacing: ${value.letterSpacing}px;`
+    ].filter(Boolean);
+  }
+
+  return [`--${name}: ${type === 'dimension' ? `${value}px` : value};`];
+}
+
+function jsonValue(value, type) {
+  if (isAlias(value)) return `{${value.alias}}`;
+  return type === 'dimension' && typeof value === 'number' ? `${value}px` : value;
+}
+
 /**
  * Download a file with the given content
  * @param {string} content - File content
@@ -0,0 +1,410 @@
+/**
+ * Token Formats
+ * @fileoverview Writes extracted design tokens in the formats design systems consume:
+ * W3C Design Tokens (DTCG), Style Dictionary source JSON, a Tailwind theme.extend
+ * config, SCSS maps and a TypeScript `as const` theme module. Reads DTCG and Style
+ * Dictionary JSON (and our own JSON export) back into token entries.
+ *
+ * Every exporter works from the entries of collectTokenEntries, so the names and keys
+ * match what token-aware code references: --color-brand-primary,
+ * theme.colors.brandPrimary and bg-brand-primary all come out of the same entry.
+ * Tokens are grouped by entry group (color, spacing, radius, ...) and keyed by entry key.
+ */
+
+import { exportTokensAsCSS, exportTokensAsJSON } from './tokenExtractor';
+import { collectTokenEntries, buildThemeObject, themeKey, cssValue, THEME_SECTIONS } from './tokenMatcher';
+
+// DTCG $type of each entry group
+const DTCG_TYPES = {
+  color: 'color',
+  spacing: 'dimension',
+  radius: 'dimension',
+  'border-width': 'dimension',
+  'font-size': 'dimension',
+  'line-height': 'dimension',
+  'letter-spacing': 'dimension',
+  'font-weight': 'fontWeight',
+  'font-family': 'fontFamily',
+  shadow: 'shadow'
+};
+
+// Tailwind theme key of each entry group
+const TAILWIND_SECTIONS = {
+  color: 'colors',
+  spacing: 'spacing',
+  radius: 'borderRadius',
+  'border-width': 'borderWidth',
+  'font-size': 'fontSize',
+  'line-height': 'lineHeight',
+  'letter-spacing': 'letterSpacing',
+  'font-weight': 'fontWeight',
+  'font-family': 'fontFamily',
+  shadow: 'boxShadow'
+};
+
+// Group and path names other token files use, normalized (lowercase, letters only)
+const GROUP_NAMES = {
+  color: 'color', colors: 'color',
+  spacing: 'spacing', space: 'spacing',
+  radius: 'radius', radii: 'radius', borderradius: 'radius', rounded: 'radius',
+  borderwidth: 'border-width', borderwidths: 'border-width',
+  fontsize: 'font-size', fontsizes: 'font-size',
+  lineheight: 'line-height', lineheights: 'line-height', leading: 'line-height',
+  letterspacing: 'letter-spacing', letterspacings: 'letter-spacing', tracking: 'letter-spacing',
+  fontweight: 'font-weight', fontweights: 'font-weight',
+  fontfamily: 'font-family', fontfamilies: 'font-family', fonts: 'font-family',
+  shadow: 'shadow', shadows: 'shadow', boxshadow: 'shadow', elevation: 'shadow'
+};
+
+// Fields of composite typography tokens (DTCG and our JSON export's short names)
+const TYPOGRAPHY_FIELDS = {
+  fontFamily: 'font-family', family: 'font-family',
+  fontSize: 'font-size', size: 'font-size',
+  fontWeight: 'font-weight', weight: 'font-weight',
+  lineHeight: 'line-height',
+  letterSpacing: 'letter-spacing'
+};
+
+const HEADER = 'Design Tokens Generated by Smart Handoff';
+
+/**
+ * Export formats offered by the design tokens panel, in menu order
+ * @type {Array<{ id: string, label: string, filename: Function, mimeType: string, exporter: Function }>}
+ */
+export const TOKEN_EXPORT_FORMATS = [
+  { id: 'css', label: 'CSS Variables', filename: base => `${base}-tokens.css`, mimeType: 'text/css', exporter: exportTokensAsCSS },
+  { id: 'json', label: 'JSON', filename: base => `${base}-tokens.json`, mimeType: 'application/json', exporter: exportTokensAsJSON },
+  { id: 'dtcg', label: 'W3C Design Tokens', filename: base => `${base}.tokens.json`, mimeType: 'application/json', exporter: exportTokensAsDTCG },
+  { id: 'style-dictionary', label: 'Style Dictionary', filename: base => `${base}-style-dictionary.json`, mimeType: 'application/json', exporter: exportTokensAsStyleDictionary },
+  { id: 'tailwind', label: 'Tailwind Config', filename: base => `${base}-tailwind.config.js`, mimeType: 'text/javascript', exporter: exportTokensAsTailwindConfig },
+  { id: 'scss', label: 'SCSS Maps', filename: base => `_${base}-tokens.scss`, mimeType: 'text/x-scss', exporter: exportTokensAsSCSS },
+  { id: 'typescript', label: 'TypeScript Theme', filename: base => `${base}-theme.ts`, mimeType: 'text/typescript', exporter: exportTokensAsTypeScript }
+];
+
+/**
+ * Export design tokens in the W3C Design Tokens Community Group format
+ * Groups carry the $type; aliases are {group.key} references and other theme
+ * modes go in $extensions['com.figma'].modes.
+ * @param {Object} tokens - Result of extractDesignTokens
+ * @returns {string} JSON string
+ */
+export function exportTokensAsDTCG(tokens) {
+  const entries = uniqueEntries(tokens);
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const tree = {};
+
+  entries.forEach(entry => {
+    tree[entry.group] = tree[entry.group] || { $type: DTCG_TYPES[entry.group] };
+    const target = entry.alias && byName.get(entry.alias);
+    const token = { $value: target ? `{${target.group}.${target.key}}` : dtcgValue(entry, entry.value) };
+    if (entry.modes) {
+      token.$extensions = {
+        'com.figma': { modes: mapValues(entry.modes, value => dtcgValue(entry, value)) }
+      };
+    }
+    tree[entry.group][entry.key] = token;
+  });
+
+  return JSON.stringify(tree, null, 2);
+}
+
+/**
+ * Export design tokens as Style Dictionary source JSON
+ * Aliases are {group.key.value} references, which Style Dictionary resolves.
+ * @param {Object} tokens - Result of extractDesignTokens
+ * @returns {string} JSON string
+ */
+export function exportTokensAsStyleDictionary(tokens) {
+  const entries = uniqueEntries(tokens);
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const tree = {};
+
+  entries.forEach(entry => {
+    const target = entry.alias && byName.get(entry.alias);
+    tree[entry.group] = tree[entry.group] || {};
+    tree[entry.group][entry.key] = {
+      value: target ? `{${target.group}.${target.key}.value}` : cssValue(entry),
+      type: DTCG_TYPES[entry.group]
+    };
+  });
+
+  return JSON.stringify(tree, null, 2);
+}
+
+/**
+ * Export design tokens as a Tailwind config that extends the theme
+ * Keys match the token-aware classes (bg-brand-primary). Tokens with theme modes
+ * read their CSS variable, with the default value as fallback, so the CSS export's
+ * [data-theme] blocks switch them.
+ * @param {Object} tokens - Result of extractDesignTokens
+ * @returns {string} JavaScript module source
+ */
+export function exportTokensAsTailwindConfig(tokens) {
+  const extend = {};
+  uniqueEntries(tokens).forEach(entry => {
+    const section = TAILWIND_SECTIONS[entry.group];
+    const value = entry.modes ? `var(--${entry.name}, ${cssValue(entry)})` : cssValue(entry);
+    extend[section] = extend[section] || {};
+    extend[section][entry.key] = entry.group === 'font-family' ? [value] : value;
+  });
+
+  return `// ${HEADER}\n/** @type {import('tailwindcss').Config} */\nmodule.exports = ${jsLiteral({ theme: { extend } })};\n`;
+}
+
+/**
+ * Export design tokens as SCSS maps, one per group ($colors, $spacing, $radii, ...)
+ * Theme modes go in a $themes map of token name to value.
+ * @param {Object} tokens - Result of extractDesignTokens
+ * @returns {string} SCSS source
+ */
+export function exportTokensAsSCSS(tokens) {
+  const entries = uniqueEntries(tokens);
+  const map = (name, pairs) => `$${name}: (\n${pairs.map(([key, value]) => `  '${key}': ${value},\n`).join('')});\n`;
+
+  let scss = `// ${HEADER}\n`;
+  Object.keys(THEME_SECTIONS).forEach(group => {
+    const pairs = entries.filter(entry => entry.group === group).map(entry => [entry.key, scssValue(entry, entry.value)]);
+    if (pairs.length > 0) scss += `\n${map(kebabCase(THEME_SECTIONS[group]), pairs)}`;
+  });
+
+  const modes = [...new Set(entries.flatMap(entry => Object.keys(entry.modes || {})))];
+  if (modes.length > 0) {
+    scss += `\n$themes: (\n${modes.map(mode => {
+      const pairs = entries
+        .filter(entry => entry.modes && mode in entry.modes)
+        .map(entry => `    '${entry.name}': ${scssValue(entry, entry.modes[mode])},\n`);
+      return `  '${mode}': (\n${pairs.join('')}  ),\n`;
+    }).join('')});\n`;
+  }
+
+  return scss;
+}
+
+/**
+ * Export design tokens as a TypeScript theme module
+ * `theme` has the same shape token-aware code references (theme.colors.brandPrimary);
+ * `themes` has the values per mode when there are modes.
+ * @param {Object} tokens - Result of extractDesignTokens
+ * @returns {string} TypeScript source
+ */
+export function exportTokensAsTypeScript(tokens) {
+  const entries = uniqueEntries(tokens);
+  let ts = `// ${HEADER}\n\nexport const theme = ${jsLiteral(buildThemeObject(entries))} as const;\n`;
+
+  const modes = [...new Set(entries.flatMap(entry => Object.keys(entry.modes || {})))];
+  if (modes.length > 0) {
+    const themes = Object.fromEntries(modes.map(mode => {
+      const themed = {};
+      entries.filter(entry => entry.modes && mode in entry.modes).forEach(entry => {
+        const section = THEME_SECTIONS[entry.group];
+        themed[section] = { ...themed[section], [themeKey(entry)]: cssValue({ ...entry, value: entry.modes[mode] }) };
+      });
+      return [mode, themed];
+    }));
+    ts += `\nexport const themes = ${jsLiteral(themes)} as const;\n`;
+  }
+
+  return `${ts}\nexport type Theme = typeof theme;\n`;
+}
+
+/**
+ * Read a token file back into token entries
+ * Understands DTCG ($value, inherited $type), Style Dictionary (value) and our JSON
+ * export. Groups come from the token type or the group names on its path (colors,
+ * radii, fontSizes, ...); composite typography tokens expand to one entry per field.
+ *
+ * @param {string|Object} source - File contents or parsed JSON
+ * @returns {Array<Object>} Entries { name, group, key, value, alias? } for collectTokenEntries
+ * @throws {Error} When the file is not JSON or has no tokens
+ */
+export function parseTokenFile(source) {
+  let tree = source;
+  if (typeof source === 'string') {
+    try {
+      tree = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Token file is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const tokens = [];
+  const walk = (node, path, inheritedType) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    const type = node.$type || inheritedType;
+
+    if ('$value' in node || ('value' in node && !isGroup(node.value))) {
+      tokens.push({ path, type: node.$type || node.type || inheritedType, value: '$value' in node ? node.$value : node.value });
+      return;
+    }
+    // Our JSON export writes raw fonts as bare { family, size, ... } objects
+    if (node.type === 'typography' && 'family' in node) {
+      tokens.push({ path, type: 'typography', value: node });
+      return;
+    }
+    Object.entries(node).forEach(([key, child]) => {
+      if (!key.startsWith('$') && key !== 'meta') walk(child, [...path, key], type);
+    });
+  };
+  walk(tree, [], null);
+
+  const byPath = new Map(tokens.map(token => [token.path.join('.'), token]));
+  const entries = [];
+  tokens.forEach(token => {
+    const target = resolveReference(token.value, byPath);
+    const value = target ? target.value : token.value;
+    const group = groupOf(target?.type || token.type, token.path, value);
+    if (!group) return;
+
+    const key = keyOf(token.path, group);
+    const name = namePrefixed(group, key);
+
+    if (group === 'typography') {
+      Object.entries(value || {}).forEach(([field, fieldValue]) => {
+        const fieldGroup = TYPOGRAPHY_FIELDS[field];
+        if (fieldGroup) entries.push({ name: `${name}-${fieldGroup}`, group: fieldGroup, key, value: plainValue(fieldValue) });
+      });
+      return;
+    }
+
+    const entry = { name, group, key, value: plainValue(value) };
+    if (target) entry.alias = namePrefixed(group, keyOf(target.path, group));
+    entries.push(entry);
+  });
+
+  if (entries.length === 0) {
+    throw new Error('No design tokens found in the file');
+  }
+  return entries;
+}
+
+// Entries with one token per group and key (named tokens win over raw ones)
+function uniqueEntries(tokens) {
+  const seen = new Set();
+  return collectTokenEntries(tokens).filter(entry => {
+    const id = `${entry.group}.${entry.key}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+function dtcgValue(entry, value) {
+  if (entry.group === 'shadow') return parseShadow(String(value));
+  return cssValue({ ...entry, value });
+}
+
+function scssValue(entry, value) {
+  const css = cssValue({ ...entry, value });
+  if (entry.group === 'font-family') return `"${css}"`;
+  return splitTopLevel(css).length > 1 ? `(${css})` : css;
+}
+
+// '0px 4px 8px 0px rgba(0, 0, 0, 0.25), inset ...' → DTCG shadow object (array for several)
+function parseShadow(css) {
+  const shadows = splitTopLevel(css).map(shadow => {
+    const parts = shadow.trim().match(/(?:[^\s(]+\([^)]*\)|[^\s]+)/g) || [];
+    const inset = parts[0] === 'inset';
+    const [offsetX = '0px', offsetY = '0px', blur = '0px', spread = '0px', ...color] = inset ? parts.slice(1) : parts;
+    return { color: color.join(' ') || '#000000', offsetX, offsetY, blur, spread, ...(inset ? { inset: true } : {}) };
+  });
+  return shadows.length === 1 ? shadows[0] : shadows;
+}
+
+// DTCG shadow objects and dimension objects back to CSS text
+function plainValue(value) {
+  if (Array.isArray(value)) return value.map(plainValue).join(', ');
+  if (value && typeof value === 'object') {
+    if ('offsetX' in value) {
+      return [value.inset && 'inset', value.offsetX, value.offsetY, value.blur, value.spread, value.color].filter(Boolean).join(' ');
+    }
+    if ('value' in value && 'unit' in value) return `${value.value}${value.unit}`;
+    if ('hex' in value) return value.hex;
+  }
+  return value;
+}
+
+function isGroup(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).some(child => child && typeof child === 'object' && ('value' in child || '$value' in child));
+}
+
+// Follow {path.to.token} references; a bare {token-name} matches a token's last path segment
+function resolveReference(value, byPath, seen = new Set()) {
+  const match = typeof value === 'string' && value.match(/^\{([^}]+)\}$/);
+  if (!match) return null;
+  const path = match[1].replace(/\.\$?value$/, '');
+  const target = byPath.get(path) || [...byPath.entries()].find(([tokenPath]) => tokenPath.endsWith(`.${path}`))?.[1];
+  if (!target || seen.has(path)) return null;
+  seen.add(path);
+  return resolveReference(target.value, byPath, seen) || target;
+}
+
+function groupOf(type, path, value) {
+  const normalized = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (normalized(type) === 'typography' || (value && typeof value === 'object' && ('fontFamily' in value || 'family' in value))) {
+    return 'typography';
+  }
+  if (type === 'color') return 'color';
+  if (GROUP_NAMES[normalized(type)]) return GROUP_NAMES[normalized(type)];
+  const segment = path.find(name => GROUP_NAMES[normalized(name)] || GROUP_NAMES[normalized(name.split('-')[0])]);
+  if (segment) return GROUP_NAMES[normalized(segment)] || GROUP_NAMES[normalized(segment.split('-')[0])];
+  return type === 'dimension' ? 'spacing' : null;
+}
+
+// Path after the group segment: ['colors', 'brand', 'primary'] → 'brand-primary'
+function keyOf(path, group) {
+  const normalized = (name) => name.toLowerCase().replace(/[^a-z]/g, '');
+  const index = path.findIndex(name => GROUP_NAMES[normalized(name)] === group || normalized(name) === 'typography');
+  if (index === -1) {
+    // A prefixed token name outside a group: color-brand-primary → brand-primary
+    const prefix = `${group === 'typography' ? 'text' : group}-`;
+    const last = path[path.length - 1];
+    return last.startsWith(prefix) ? last.slice(prefix.length) : last;
+  }
+  const rest = path.slice(index + 1);
+  return (rest.length > 0 ? rest : path.slice(-1)).join('-');
+}
+
+function namePrefixed(group, key) {
+  const prefix = group === 'typography' ? 'text' : group;
+  return key.startsWith(`${prefix}-`) ? key : `${prefix}-${key}`;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+// Split at commas outside parentheses
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  [...text].forEach((character, index) => {
+    if (character === '(') depth++;
+    if (character === ')') depth--;
+    if (character === ',' && depth === 0) {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  });
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, character => `-${character.toLowerCase()}`);
+}
+
+// Object literal source with unquoted identifier keys and single-quoted strings
+function jsLiteral(value, indent = '') {
+  if (Array.isArray(value)) return `[${value.map(item => jsLiteral(item, indent)).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const inner = `${indent}  `;
+    const lines = Object.entries(value).map(([key, child]) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+      return `${inner}${name}: ${jsLiteral(child, inner)}`;
+    });
+    return lines.length > 0 ? `{\n${lines.join(',\n')}\n${indent}}` : '{}';
+  }
+  return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : String(value);
+}
@@ -0,0 +1,396 @@
+/**
+ * Token Matcher
+ * @fileoverview Matches literal style values against design tokens, so generated code
+ * can say var(--color-brand-primary), theme.colors.brandPrimary or bg-brand-primary
+ * instead of '#44b24f'.
+ *
+ * Tokens are flattened into entries { name, group, key, value, source }:
+ * - name: the CSS custom property without the dashes (color-brand-primary)
+ * - group: what the value styles - color, spacing, radius, border-width, font-size,
+ *   line-height, letter-spacing, font-weight, font-family or shadow
+ * - key: the name within its group (brand-primary), for theme objects and Tailwind classes
+ * - value: the resolved value - a CSS color, pixels as a number, a weight, a family or a shadow
+ * - source: 'variable', 'style', 'raw' (numbered fallback) or 'imported'
+ * - alias: name of the entry this one aliases, when it does
+ * - modes: resolved value per theme mode, for tokens with more than one
+ *
+ * A value equal to a token is an exact match. A color within ΔE 2 of one, or a
+ * length within 1px, is a near miss: callers flag it instead of snapping it, since
+ * the designer may have meant it.
+ */
+
+import { getFallbackValues } from './tokenExtractor';
+import { rgbToLab, deltaE2000 } from './pixelDiff';
+
+// Theme object section per group, named like styled-system themes
+export const THEME_SECTIONS = {
+  color: 'colors',
+  spacing: 'spacing',
+  radius: 'radii',
+  'border-width': 'borderWidths',
+  'font-size': 'fontSizes',
+  'line-height': 'lineHeights',
+  'letter-spacing': 'letterSpacings',
+  'font-weight': 'fontWeights',
+  'font-family': 'fonts',
+  shadow: 'shadows'
+};
+
+// Style properties that take tokens: their group and Tailwind utility
+const uses = (group, utility) => ({ group, utility });
+export const TOKEN_STYLE_PROPERTIES = {
+  color: uses('color', 'text'),
+  backgroundColor: uses('color', 'bg'),
+  borderColor: uses('color', 'border'),
+  borderTopColor: uses('color', 'border-t'),
+  borderRightColor: uses('color', 'border-r'),
+  borderBottomColor: uses('color', 'border-b'),
+  borderLeftColor: uses('color', 'border-l'),
+  outlineColor: uses('color', 'outline'),
+  fill: uses('color', 'fill'),
+  stroke: uses('color', 'stroke'),
+  padding: uses('spacing', 'p'),
+  paddingTop: uses('spacing', 'pt'),
+  paddingRight: uses('spacing', 'pr'),
+  paddingBottom: uses('spacing', 'pb'),
+  paddingLeft: uses('spacing', 'pl'),
+  margin: uses('spacing', 'm'),
+  marginTop: uses('spacing', 'mt'),
+  marginRight: uses('spacing', 'mr'),
+  marginBottom: uses('spacing', 'mb'),
+  marginLeft: uses('spacing', 'ml'),
+  gap: uses('spacing', 'gap'),
+  rowGap: uses('spacing', 'gap-y'),
+  columnGap: uses('spacing', 'gap-x'),
+  borderRadius: uses('radius', 'rounded'),
+  borderTopLeftRadius: uses('radius', 'rounded-tl'),
+  borderTopRightRadius: uses('radius', 'rounded-tr'),
+  borderBottomRightRadius: uses('radius', 'rounded-br'),
+  borderBottomLeftRadius: uses('radius', 'rounded-bl'),
+  borderWidth: uses('border-width', 'border'),
+  borderTopWidth: uses('border-width', 'border-t'),
+  borderRightWidth: uses('border-width', 'border-r'),
+  borderBottomWidth: uses('border-width', 'border-b'),
+  borderLeftWidth: uses('border-width', 'border-l'),
+  fontSize: uses('font-size', 'text'),
+  lineHeight: uses('line-height', 'leading'),
+  letterSpacing: uses('letter-spacing', 'tracking'),
+  fontWeight: uses('font-weight', 'font'),
+  fontFamily: uses('font-family', 'font'),
+  boxShadow: uses('shadow', 'shadow')
+};
+
+export const COLOR_TOLERANCE = 2;
+export const PIXEL_TOLERANCE = 1;
+
+const LENGTH_GROUPS = ['spacing', 'radius', 'border-width', 'font-size', 'line-height', 'letter-spacing'];
+
+// Name prefix of each semantic token category, dropped for the key
+const CATEGORY_PREFIXES = {
+  color: 'color',
+  spacing: 'spacing',
+  radius: 'radius',
+  'border-width': 'border-width',
+  shadow: 'shadow',
+  typography: 'text',
+  font: 'font'
+};
+
+// Bound fields of font Variables, and the typography style attributes
+const FONT_FIELDS = {
+  fontSize: 'font-size',
+  lineHeight: 'line-height',
+  letterSpacing: 'letter-spacing',
+  fontWeight: 'font-weight',
+  fontFamily: 'font-family'
+};
+
+const FONT_WEIGHTS = { thin: 100, light: 300, normal: 400, regular: 400, medium: 500, bold: 700, black: 900 };
+
+/**
+ * Flatten extracted (and imported) tokens into matchable entries
+ * Named tokens come before the numbered raw ones, so an exact match prefers a name.
+ *
+ * @param {Object} tokens - Result of extractDesignTokens
+ * @param {Array<Object>} [importedTokens] - Entries { name, group, value, key? } from an existing token set
+ * @returns {Array<Object>} Entries (see the file overview)
+ */
+export function collectTokenEntries(tokens, importedTokens = []) {
+  const entries = [];
+  const add = (name, group, key, value, source, extra = {}) => {
+    const normalized = normalizeValue(group, value);
+    if (normalized !== null) {
+      entries.push({ name, group, key: key || name, value: normalized, source, ...extra });
+    }
+  };
+
+  (tokens?.semantic?.tokens || []).forEach(token => {
+    const key = stripPrefix(token.name, CATEGORY_PREFIXES[token.category]);
+
+    if (token.type === 'typography') {
+      Object.entries(FONT_FIELDS).forEach(([field, group]) => {
+        add(`${token.name}-${group}`, group, key, token.resolvedValue?.[field], token.source);
+      });
+    } else if (token.category === 'font') {
+      const group = token.usage.map(field => FONT_FIELDS[field]).find(Boolean);
+      if (group) add(token.name, group, key, token.resolvedValue, token.source);
+    } else if (THEME_SECTIONS[token.category]) {
+      const extra = {};
+      if (token.aliasOf) extra.alias = token.aliasOf;
+      if (token.resolvedModes && Object.keys(token.resolvedModes).length > 1) {
+        extra.modes = Object.fromEntries(Object.entries(token.resolvedModes)
+          .map(([mode, value]) => [mode, normalizeValue(token.category, value)]));
+      }
+      add(token.name, token.category, key, token.resolvedValue, token.source, extra);
+    }
+  });
+
+  if (tokens?.colors) {
+    const fallback = getFallbackValues(tokens);
+    fallback.colors.forEach((color, index) => add(`color-${index + 1}`, 'color', null, color.hex, 'raw'));
+    fallback.spacing.forEach((value, index) => add(`spacing-${index + 1}`, 'spacing', null, value, 'raw'));
+    fallback.radii.forEach((value, index) => add(`radius-${index + 1}`, 'radius', null, value, 'raw'));
+    fallback.widths.forEach((value, index) => add(`border-width-${index + 1}`, 'border-width', null, value, 'raw'));
+    fallback.typography.forEach((font, index) => {
+      const name = `font-${index + 1}`;
+      add(`${name}-family`, 'font-family', name, font.family, 'raw');
+      add(`${name}-size`, 'font-size', name, font.size, 'raw');
+      add(`${name}-weight`, 'font-weight', name, font.weight, 'raw');
+      add(`${name}-line-height`, 'line-height', name, font.lineHeight, 'raw');
+      add(`${name}-letter-spacing`, 'letter-spacing', name, font.letterSpacing, 'raw');
+    });
+  }
+
+  importedTokens.forEach(entry => add(entry.name, entry.group, entry.key, entry.value, 'imported', entry.alias ? { alias: entry.alias } : {}));
+  return entries;
+}
+
+/**
+ * Find the token a style value matches
+ *
+ * @param {Array<Object>} entries - From collectTokenEntries
+ * @param {string} styleProperty - React style key (backgroundColor, fontSize, ...)
+ * @param {string|number} value - Literal value
+ * @param {Object} [options]
+ * @param {number} [options.colorTolerance=2] - ΔE (CIEDE2000) under which a color is a near miss
+ * @param {number} [options.pixelTolerance=1] - Pixels within which a length is a near miss
+ * @returns {Object|null} { token, exact, difference } - difference in ΔE or pixels; null when
+ *   no token is equal or close
+ */
+export function matchStyleValue(entries, styleProperty, value, options = {}) {
+  const group = TOKEN_STYLE_PROPERTIES[styleProperty]?.group;
+  // Unitless line heights are multipliers, not pixels
+  if (!group || (group === 'line-height' && typeof value === 'number')) return null;
+
+  return matchTokenValue(entries, group, value, options);
+}
+
+/**
+ * Find the token of a group a value matches (see matchStyleValue)
+ * @param {Array<Object>} entries - From collectTokenEntries
+ * @param {string} group - Entry group (color, spacing, radius, ...)
+ * @param {string|number} value - Literal value
+ * @param {Object} [options] - Tolerances, as for matchStyleValue
+ * @returns {Object|null} { token, exact, difference } or null
+ */
+export function matchTokenValue(entries, group, value, options = {}) {
+  const { colorTolerance = COLOR_TOLERANCE, pixelTolerance = PIXEL_TOLERANCE } = options;
+  const best = findNearestToken(entries, group, value);
+
+  if (!best) return null;
+  if (best.difference < 0.01) return { ...best, exact: true };
+
+  const tolerance = group === 'color' ? colorTolerance : LENGTH_GROUPS.includes(group) ? pixelTolerance : 0;
+  const near = group === 'color' ? best.difference < tolerance : best.difference <= tolerance;
+  return near ? { ...best, exact: false } : null;
+}
+
+/**
+ * The closest token of a group, however far it is
+ * Shadows are compared layer by layer: pixels of offset, blur and spread plus ΔE of the color.
+ * @param {Array<Object>} entries - From collectTokenEntries
+ * @param {string} group - Entry group
+ * @param {string|number} value - Literal value
+ * @returns {Object|null} { token, difference }, or null when no token of the group compares
+ */
+export function findNearestToken(entries, group, value) {
+  const normalized = normalizeValue(group, value);
+  if (normalized === null) return null;
+
+  let best = null;
+  entries.forEach(entry => {
+    if (entry.group !== group) return;
+    const difference = valueDifference(group, normalized, entry.value);
+    if (difference !== null && (!best || difference < best.difference)) {
+      best = { token: entry, difference };
+    }
+  });
+  return best;
+}
+
+/**
+ * Source text that references a token in a style object
+ * @param {Object} entry - Token entry
+ * @param {string} [format='css-var'] - 'css-var' or 'theme'
+ * @returns {string} 'var(--color-brand-primary)' (quoted) or theme.colors.brandPrimary
+ */
+export function formatTokenReference(entry, format = 'css-var') {
+  if (format === 'theme') {
+    const key = themeKey(entry);
+    const access = /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `['${key}']`;
+    return `theme.${THEME_SECTIONS[entry.group]}${access}`;
+  }
+  return `'var(--${entry.name})'`;
+}
+
+/**
+ * Tailwind class for a token used by a style property, e.g. bg-brand-primary
+ * Assumes the Tailwind theme has the token keys (see the token exporters).
+ * @param {Object} entry - Token entry
+ * @param {string} styleProperty - React style key
+ * @returns {string|null} Class name, or null for properties without a utility
+ */
+export function tailwindTokenClass(entry, styleProperty) {
+  const utility = TOKEN_STYLE_PROPERTIES[styleProperty]?.utility;
+  return utility ? `${utility}-${entry.key}` : null;
+}
+
+/**
+ * Key of a token in the theme object: brand-primary → brandPrimary
+ * @param {Object} entry - Token entry
+ * @returns {string}
+ */
+export function themeKey(entry) {
+  return entry.key.replace(/-([a-z0-9])/g, (match, character) => character.toUpperCase());
+}
+
+/**
+ * Theme object with every token, for code that uses the 'theme' format
+ * @param {Array<Object>} entries - Token entries
+ * @returns {Object} { colors: { brandPrimary: '#3366cc' }, spacing: { md: '16px' }, ... }
+ */
+export function buildThemeObject(entries) {
+  const theme = {};
+  entries.forEach(entry => {
+    const section = THEME_SECTIONS[entry.group];
+    theme[section] = theme[section] || {};
+    if (!(themeKey(entry) in theme[section])) {
+      theme[section][themeKey(entry)] = cssValue(entry);
+    }
+  });
+  return theme;
+}
+
+/**
+ * Custom properties with every token's resolved value, for a style attribute
+ * @param {Array<Object>} entries - Token entries
+ * @returns {Object} { '--color-brand-primary': '#3366cc', ... }
+ */
+export function buildCSSVariables(entries) {
+  return Object.fromEntries(entries.map(entry => [`--${entry.name}`, cssValue(entry)]));
+}
+
+/**
+ * How far a value is from a token, in the unit near misses are measured in
+ * @param {Object} match - From matchStyleValue or findNearestToken
+ * @returns {string} 'ΔE 0.4', '1px' or, for shadows, 'Δ 4.5'
+ */
+export function describeDifference(match) {
+  const rounded = Math.round(match.difference * 100) / 100;
+  if (match.token.group === 'color') return `ΔE ${match.difference.toFixed(1)}`;
+  return match.token.group === 'shadow' ? `Δ ${rounded}` : `${rounded}px`;
+}
+
+/**
+ * The token's value as CSS
+ * @param {Object} entry - Token entry
+ * @returns {string}
+ */
+export function cssValue(entry) {
+  return LENGTH_GROUPS.includes(entry.group) ? `${entry.value}px` : String(entry.value);
+}
+
+function normalizeValue(group, value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (group === 'color') return parseColor(value) ? String(value).trim().toLowerCase() : null;
+  if (LENGTH_GROUPS.includes(group)) return toPixels(value);
+  if (group === 'font-weight') {
+    const weight = typeof value === 'number' ? value : FONT_WEIGHTS[String(value).toLowerCase()] ?? Number(value);
+    return Number.isFinite(weight) ? weight : null;
+  }
+  if (group === 'font-family') return String(value).split(',')[0].replace(/['"]/g, '').trim() || null;
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+function valueDifference(group, value, tokenValue) {
+  if (group === 'color') {
+    const a = parseColor(value);
+    const b = parseColor(tokenValue);
+    if (!a || !b || Math.abs(a[3] - b[3]) > 0.01) return null;
+    if (a[0] === b[0] && a[1] === b[1] && a[2] === b[2]) return 0;
+    return deltaE2000(rgbToLab(a[0], a[1], a[2]), rgbToLab(b[0], b[1], b[2]));
+  }
+  if (LENGTH_GROUPS.includes(group)) return Math.abs(value - tokenValue);
+  if (group === 'font-family') return value.toLowerCase() === tokenValue.toLowerCase() ? 0 : null;
+  if (group === 'shadow') return value === tokenValue ? 0 : shadowDifference(value, tokenValue);
+  return value === tokenValue ? 0 : null;
+}
+
+function shadowDifference(value, tokenValue) {
+  const layers = parseShadows(value);
+  const tokenLayers = parseShadows(tokenValue);
+  if (layers.length !== tokenLayers.length) return null;
+
+  let total = 0;
+  for (let index = 0; index < layers.length; index++) {
+    const layer = layers[index];
+    const other = tokenLayers[index];
+    const color = valueDifference('color', layer.color, other.color);
+    if (layer.inset !== other.inset || color === null) return null;
+    total += color + layer.lengths.reduce((sum, length, i) => sum + Math.abs(length - (other.lengths[i] || 0)), 0);
+  }
+  return total;
+}
+
+// '0px 4px 8px 0px rgba(0, 0, 0, 0.25), inset ...' → [{ inset, lengths, color }]
+function parseShadows(value) {
+  return String(value).split(/,(?![^(]*\))/).map(layer => {
+    const parts = layer.trim().match(/[^\s(]+\([^)]*\)|[^\s]+/g) || [];
+    const length = (part) => (part === '0' ? 0 : toPixels(part));
+    return {
+      inset: parts.includes('inset'),
+      lengths: parts.map(length).filter(value => value !== null),
+      color: parts.find(part => part !== 'inset' && length(part) === null) || '#000000'
+    };
+  });
+}
+
+// '#3366cc', '#36c', '#3366cc80', 'rgb(51, 102, 204)' or 'rgba(51, 102, 204, 0.5)' → [r, g, b, a]
+function parseColor(value) {
+  const text = String(value).trim().toLowerCase();
+
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+  }
+
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb) {
+    return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), rgb[4] === undefined ? 1 : Number(rgb[4])];
+  }
+
+  return null;
+}
+
+function toPixels(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^(-?\d*\.?\d+)px$/);
+  return match ? Number(match[1]) : null;
+}
+
+function stripPrefix(name, prefix) {
+  return prefix && name.startsWith(`${prefix}-`) ? name.slice(prefix.length + 1) : name;
+}
@@ -0,0 +1,446 @@
+/**
+ * Variant Compiler
+ *
+ * Compiles a COMPONENT_SET - or a component/instance with component properties -
+ * into one component whose props are the Figma variant axes plus the boolean and
+ * text properties. Styles that differ between variants are looked up from the
+ * prop values, layers bound to a boolean property render conditionally and text
+ * bound to a text property prints the prop.
+ */
+
+import { detectComponentPattern } from './componentDetector';
+import {
+  buildElementTree,
+  printElement,
+  generateComponentName,
+  generateDesignSpec,
+  formatCompilerOutput
+} from './figmaCompiler';
+import { mergeElementTrees } from './responsiveCompiler';
+
+// Prop names React reserves or the generated component already uses
+const RESERVED_PROP_NAMES = ['children', 'key', 'ref', 'style', 'className', 'variantKey'];
+
+/**
+ * Check whether a node should compile into a component with props
+ * @param {Object} node - Figma node
+ * @returns {boolean}
+ */
+export function hasComponentProperties(node) {
+  if (!node) return false;
+  if (node.type === 'COMPONENT_SET') return true;
+  return Object.keys(node.componentPropertyDefinitions || node.componentProperties || {}).length > 0;
+}
+
+/**
+ * Read the component properties of a node as React props
+ *
+ * Variant axes come from componentPropertyDefinitions (or the "Size=Small, State=Hover"
+ * names of the set's children in older files); instances only know their current
+ * values. Variant options that are just true/false become boolean props.
+ *
+ * @param {Object} node - COMPONENT_SET, COMPONENT or INSTANCE
+ * @returns {Object} { props, variants, warnings }
+ * @returns {Array} returns.props - [{ name, key, type: 'variant'|'boolean'|'text', variantAxis, options, defaultValue }]
+ * @returns {Array} returns.variants - [{ name, node, values }] with values keyed by prop name
+ *
+ * @example
+ * extractComponentProperties(buttonSet).props;
+ * // [{ name: 'variant', type: 'variant', options: ['primary', 'secondary'], defaultValue: 'primary', ... },
+ * //  { name: 'label', type: 'text', defaultValue: 'Button', ... }]
+ */
+export function extractComponentProperties(node) {
+  const warnings = [];
+  const props = [];
+  const usedNames = new Set();
+
+  const addProp = (key, type, figmaOptions, figmaDefault) => {
+    const name = uniquePropName(key, usedNames);
+
+    if (type === 'VARIANT') {
+      const options = figmaOptions.map(toPropValue);
+      const isBoolean = options.length > 0 && options.every(option => typeof option === 'boolean');
+      props.push({
+        name,
+        key,
+        type: isBoolean ? 'boolean' : 'variant',
+        variantAxis: true,
+        options: isBoolean ? [false, true] : Array.from(new Set(options)),
+        defaultValue: toPropValue(figmaDefault ?? figmaOptions[0])
+      });
+    } else if (type === 'BOOLEAN') {
+      props.push({ name, key, type: 'boolean', variantAxis: false, defaultValue: Boolean(figmaDefault) });
+    } else if (type === 'TEXT') {
+      props.push({ name, key, type: 'text', variantAxis: false, defaultValue: String(figmaDefault ?? '') });
+    } else {
+      usedNames.delete(name);
+      warnings.push(`${type} property "${stripPropertyId(key)}" is not supported and was skipped`);
+    }
+  };
+
+  const variantNodes = node.type === 'COMPONENT_SET'
+    ? (node.children || []).filter(child => child.type === 'COMPONENT' && child.visible !== false)
+    : [];
+
+  if (node.componentPropertyDefinitions) {
+    Object.entries(node.componentPropertyDefinitions).forEach(([key, definition]) => {
+      addProp(key, definition.type, definition.variantOptions || [], definition.defaultValue);
+    });
+  } else if (node.componentProperties) {
+    Object.entries(node.componentProperties).forEach(([key, property]) => {
+      addProp(key, property.type, [property.value], property.value);
+    });
+    if (Object.values(node.componentProperties).some(property => property.type === 'VARIANT')) {
+      warnings.push('Instances only carry their current variant - select the component set to get every option');
+    }
+  }
+
+  // Older files: no definitions on the set, only "Axis=Value" component names
+  if (variantNodes.length > 0 && !props.some(prop => prop.variantAxis)) {
+    const axes = {};
+    variantNodes.forEach(child => {
+      Object.entries(parseVariantName(child.name)).forEach(([axis, value]) => {
+        axes[axis] = axes[axis] || [];
+        if (!axes[axis].includes(value)) axes[axis].push(value);
+      });
+    });
+    Object.entries(axes).forEach(([axis, values]) => addProp(axis, 'VARIANT', values, values[0]));
+  }
+
+  const defaults = {};
+  props.forEach(prop => { defaults[prop.name] = prop.defaultValue; });
+  const axisProps = props.filter(prop => prop.variantAxis);
+
+  const variants = variantNodes.length > 0
+    ? variantNodes.map(child => {
+      const parsed = parseVariantName(child.name);
+      const values = {};
+      axisProps.forEach(prop => {
+        values[prop.name] = prop.key in parsed ? toPropValue(parsed[prop.key]) : prop.defaultValue;
+      });
+      return { name: child.name, node: child, values };
+    })
+    : [{
+      name: node.name,
+      node,
+      values: axisProps.reduce((values, prop) => ({ ...values, [prop.name]: prop.defaultValue }), {})
+    }];
+
+  return { props, variants, warnings };
+}
+
+/**
+ * Compile a component set (or a component/instance with properties) into one
+ * React component with props
+ *
+ * @param {Object} figmaNode - COMPONENT_SET, COMPONENT or INSTANCE
+ * @param {Object} [options] - Compiler options
+ * @param {string} [options.componentName] - Override the generated component name
+ * @returns {Object} Same shape as compileFigmaNode plus componentProperties:
+ *   { props, variants: [{ name, values }] } for prop docs and stories
+ *
+ * @example
+ * const result = compileVariantComponent(buttonSet);
+ * // result.code:
+ * // const Button = ({ variant = 'primary', size = 'sm', label = 'Button' }) => {
+ * //   ...
+ * //       backgroundColor: { primary: '#3366cc', secondary: '#ffffff' }[variant],
+ */
+export function compileVariantComponent(figmaNode, options = {}) {
+  if (!figmaNode || !figmaNode.absoluteBoundingBox) {
+    throw new Error('Invalid Figma node data - missing positioning information');
+  }
+
+  const { props, variants: allVariants, warnings } = extractComponentProperties(figmaNode);
+  const axes = props.filter(prop => prop.variantAxis);
+  const variantKey = (values) => (axes.length > 0 ? axes.map(axis => String(values[axis.name])).join('/') : 'default');
+
+  // Two components with the same variant values cannot both be rendered
+  const variants = [];
+  allVariants.forEach(variant => {
+    if (!variant.node.absoluteBoundingBox) {
+      warnings.push(`Variant "${variant.name}" has no positioning information and was skipped`);
+    } else if (variants.some(existing => variantKey(existing.values) === variantKey(variant.values))) {
+      warnings.push(`Variant "${variant.name}" duplicates another variant's values and was skipped`);
+    } else {
+      variants.push(variant);
+    }
+  });
+
+  if (variants.length === 0) {
+    throw new Error('Component set has no variants to compile');
+  }
+
+  const keys = variants.map(variant => variantKey(variant.values));
+  const trees = variants.map(variant => buildElementTree(variant.node, { warnings, includePropertyBound: true }));
+  const merged = mergeElementTrees(trees, keys);
+
+  const context = {
+    axes,
+    props,
+    keys,
+    valuesByKey: variants.reduce((map, variant, index) => ({ ...map, [keys[index]]: variant.values }), {}),
+    needsVariantKey: false,
+    usedProps: new Set()
+  };
+  const tree = resolveElement(merged, context);
+
+  const disabledProp = props.find(prop => prop.name === 'disabled' && prop.type === 'boolean');
+  if (tree.tag === 'button' && disabledProp) {
+    tree.attributes.disabled = { expression: 'disabled' };
+    context.usedProps.add('disabled');
+  }
+
+  props
+    .filter(prop => !prop.variantAxis && !context.usedProps.has(prop.name))
+    .forEach(prop => warnings.push(`Property "${stripPropertyId(prop.key)}" is not bound to any layer`));
+
+  const defaultVariant = variants.find(variant =>
+    axes.every(axis => variant.values[axis.name] === axis.defaultValue)
+  ) || variants[0];
+  const defaultNode = defaultVariant.node;
+  const box = defaultNode.absoluteBoundingBox;
+
+  const componentDetection = detectComponentPattern({
+    ...defaultNode,
+    width: box.width,
+    height: box.height,
+    fills: defaultNode.fills || [],
+    strokes: defaultNode.strokes || [],
+    children: defaultNode.children || []
+  });
+
+  const nameType = tree.tag === 'button' ? 'button' : componentDetection.componentType;
+  const componentName = options.componentName ||
+    generateComponentName(figmaNode.name, nameType);
+
+  const signature = props.length > 0
+    ? `{ ${props.map(prop => `${prop.name} = ${formatLiteral(prop.defaultValue)}`).join(', ')} }`
+    : '';
+  const propComments = props.map(prop =>
+    `  //   ${prop.name}: ${describePropType(prop)} (default ${formatLiteral(prop.defaultValue)})`
+  );
+  const variantKeyLine = context.needsVariantKey
+    ? `  const variantKey = [${axes.map(axis => axis.name).join(', ')}].join('/');\n`
+    : '';
+
+  // Layer names may contain line breaks, which would end the line comment early
+  const layerName = String(figmaNode.name || 'Untitled').replace(/\s+/g, ' ');
+
+  const code = `const ${componentName} = (${signature}) => {
+  // Compiled from Figma ${figmaNode.type === 'COMPONENT_SET' ? 'component set' : 'node'} "${layerName}" (${figmaNode.id || 'unknown id'})
+${propComments.length > 0 ? `  // Props (Figma component properties):\n${propComments.join('\n')}\n` : ''}${variantKeyLine}  return (
+${printElement(tree, 2)}
+  );
+};`;
+
+  const spec = [
+    generateDesignSpec(defaultNode, componentDetection),
+    `Props: ${props.map(prop => `${prop.name}: ${describePropType(prop)}`).join(', ') || 'none'}`,
+    `Variants: ${variants.length}`
+  ].join('\n');
+
+  return {
+    code,
+    componentName,
+    spec,
+    output: formatCompilerOutput(spec, code),
+    componentDetection,
+    tree,
+    warnings,
+    componentProperties: {
+      props,
+      variants: variants.map(variant => ({ name: variant.name, values: variant.values }))
+    }
+  };
+}
+
+/**
+ * Turn a merged element into a printable element whose varying values are
+ * expressions over the props
+ */
+function resolveElement(merged, context) {
+  const presentKeys = context.keys.filter(key => merged.styles[key]);
+
+  const element = {
+    tag: merged.tag,
+    nodeId: merged.nodeId,
+    nodeName: merged.nodeName,
+    attributes: { ...merged.attributes },
+    text: merged.text,
+    style: {},
+    children: []
+  };
+
+  const properties = [];
+  presentKeys.forEach(key => {
+    Object.keys(merged.styles[key]).forEach(property => {
+      if (!properties.includes(property)) properties.push(property);
+    });
+  });
+
+  properties.forEach(property => {
+    const valuesByKey = {};
+    presentKeys.forEach(key => { valuesByKey[key] = merged.styles[key][property]; });
+    const values = Object.values(valuesByKey);
+
+    element.style[property] = values.every(value => value !== undefined && value === values[0])
+      ? values[0]
+      : { expression: valueExpression(valuesByKey, context) };
+  });
+
+  const conditions = [];
+  if (presentKeys.length < context.keys.length) {
+    conditions.push(presenceExpression(presentKeys, context));
+  }
+
+  const references = merged.propertyReferences || {};
+  const visibleProp = findProp(references.visible, context);
+  if (visibleProp) {
+    conditions.push(visibleProp.name);
+  }
+  if (conditions.length > 0) {
+    element.condition = conditions.join(' && ');
+  }
+
+  const textProp = findProp(references.characters, context);
+  if (textProp) {
+    element.textExpression = textProp.name;
+  } else {
+    const texts = {};
+    presentKeys.forEach(key => { texts[key] = merged.texts[key]; });
+    const textValues = Object.values(texts);
+    if (textValues.some(text => text !== textValues[0])) {
+      element.textExpression = valueExpression(texts, context);
+    }
+  }
+
+  element.children = merged.children.map(child => resolveElement(child, context));
+  return element;
+}
+
+function findProp(key, context) {
+  if (!key) return null;
+  const prop = context.props.find(candidate => candidate.key === key);
+  if (prop) context.usedProps.add(prop.name);
+  return prop || null;
+}
+
+/**
+ * Find the single variant axis a set of values depends on, if any
+ * @returns {Object|null} { axis, byAxisValue }
+ */
+function findDeterminingAxis(valuesByKey, context) {
+  for (const axis of context.axes) {
+    const byAxisValue = new Map();
+    const consistent = Object.entries(valuesByKey).every(([key, value]) => {
+      const axisValue = context.valuesByKey[key][axis.name];
+      if (byAxisValue.has(axisValue)) return byAxisValue.get(axisValue) === value;
+      byAxisValue.set(axisValue, value);
+      return true;
+    });
+    if (consistent) return { axis, byAxisValue };
+  }
+  return null;
+}
+
+// A value that changes between variants: keyed by one axis when possible, else by the full variant
+function valueExpression(valuesByKey, context) {
+  const determining = findDeterminingAxis(valuesByKey, context);
+
+  if (determining) {
+    const { axis, byAxisValue } = determining;
+    if (axis.type === 'boolean') {
+      return `${axis.name} ? ${formatLiteral(byAxisValue.get(true))} : ${formatLiteral(byAxisValue.get(false))}`;
+    }
+    return `${formatObject(Array.from(byAxisValue.entries()))}[${axis.name}]`;
+  }
+
+  context.needsVariantKey = true;
+  return `${formatObject(Object.entries(valuesByKey))}[variantKey]`;
+}
+
+// A layer that only exists in some variants
+function presenceExpression(presentKeys, context) {
+  const presence = {};
+  context.keys.forEach(key => { presence[key] = presentKeys.includes(key); });
+  const determining = findDeterminingAxis(presence, context);
+
+  if (determining) {
+    const { axis, byAxisValue } = determining;
+    const shownValues = Array.from(byAxisValue.entries()).filter(([, shown]) => shown).map(([value]) => value);
+
+    if (axis.type === 'boolean') {
+      return shownValues[0] ? axis.name : `!${axis.name}`;
+    }
+    return shownValues.length === 1
+      ? `${axis.name} === ${formatLiteral(shownValues[0])}`
+      : `[${shownValues.map(formatLiteral).join(', ')}].includes(${axis.name})`;
+  }
+
+  context.needsVariantKey = true;
+  return `[${presentKeys.map(formatLiteral).join(', ')}].includes(variantKey)`;
+}
+
+function describePropType(prop) {
+  if (prop.type === 'variant') return prop.options.map(formatLiteral).join(' | ');
+  if (prop.type === 'boolean') return 'boolean';
+  return 'string';
+}
+
+// "Size=Small, State=Hover" -> { Size: 'Small', State: 'Hover' }
+function parseVariantName(name) {
+  const values = {};
+  String(name || '').split(',').forEach(pair => {
+    const [axis, ...value] = pair.split('=');
+    if (value.length > 0) values[axis.trim()] = value.join('=').trim();
+  });
+  return values;
+}
+
+// Figma appends "#<id>" to boolean, text and instance-swap property keys
+function stripPropertyId(key) {
+  return String(key).replace(/#[^#]*$/, '');
+}
+
+function uniquePropName(key, usedNames) {
+  const words = stripPropertyId(key).split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  let name = words
+    .map((word, index) => (index === 0
+      ? word.charAt(0).toLowerCase() + word.slice(1)
+      : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('') || 'prop';
+
+  if (/^[0-9]/.test(name)) name = `prop${name}`;
+  if (RESERVED_PROP_NAMES.includes(name)) name = `${name}Prop`;
+
+  let unique = name;
+  for (let suffix = 2; usedNames.has(unique); suffix++) {
+    unique = `${name}${suffix}`;
+  }
+  usedNames.add(unique);
+  return unique;
+}
+
+// "Extra Large" -> 'extra-large', "True" -> true
+function toPropValue(value) {
+  const text = String(value ?? '').trim();
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || text;
+}
+
+function formatLiteral(value) {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+function formatObject(entries) {
+  const body = entries
+    .map(([key, value]) => {
+      const name = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(String(key)) ? String(key) : formatLiteral(String(key));
+      return `${name}: ${formatLiteral(value)}`;
+    })
+    .join(', ');
+  return `{ ${body} }`;
+}
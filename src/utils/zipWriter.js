@@ -0,0 +1,149 @@
+/**
+ * ZIP Writer
+ *
+ * Minimal ZIP archive builder for bundling generated files into one download.
+ * Files are stored uncompressed (method 0) - generated source files are small
+ * and this keeps the writer dependency-free and synchronous.
+ */
+
+const CRC_TABLE = buildCRCTable();
+
+/**
+ * Create a ZIP archive from a list of text or binary files
+ *
+ * @param {Array<Object>} files - Files to add
+ * @param {string} files[].name - Path inside the archive (use / for folders)
+ * @param {string|Uint8Array} files[].content - File content; strings are UTF-8 encoded
+ * @param {Object} [options] - Archive options
+ * @param {Date} [options.date] - Modification date stamped on every entry (defaults to now)
+ * @returns {Uint8Array} ZIP archive bytes, ready for downloadFile()
+ *
+ * @example
+ * const zip = createZip([
+ *   { name: 'Button/Button.jsx', content: code },
+ *   { name: 'Button/Button.stories.js', content: story }
+ * ]);
+ * downloadFile(zip, 'components.zip', 'application/zip');
+ */
+export function createZip(files, options = {}) {
+  const { time, date } = toDOSDateTime(options.date || new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  (files || []).forEach(file => {
+    const name = encodeUTF8(file.name);
+    const data = typeof file.content === 'string' ? encodeUTF8(file.content) : file.content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed to extract
+    local.setUint16(6, 0x0800, true); // flags: UTF-8 file names
+    local.setUint16(8, 0, true); // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // compressed size
+    local.setUint32(22, data.length, true); // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // extra length, comment length, disk number, internal and external attributes stay 0
+    central.setUint32(42, offset, true); // offset of the local header
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true); // entries on this disk
+  end.setUint16(10, files.length, true); // total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // central directory offset
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * CRC-32 checksum as used by ZIP
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildCRCTable() {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+}
+
+// DOS timestamps have 2-second resolution and start in 1980
+function toDOSDateTime(value) {
+  const year = Math.max(value.getFullYear(), 1980);
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+}
+
+// TextEncoder is missing from some test environments, so encode UTF-8 by hand
+function encodeUTF8(text) {
+  const bytes = [];
+  for (const character of String(text)) {
+    const code = character.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+}